@@ -0,0 +1,142 @@
+// Student sign-in and password changes: the server side of app/lib/authHelpers.js.
+// Passwords are only ever compared and stored here; the app never reads them.
+//
+// Accounts: Platform1/Schools/{schoolKey}/Users/{userNodeKey}
+//   { username, userId, role, studentId, isActive, passwordHash }
+// The school comes from the username's first three letters (Platform1/schoolCodeIndex),
+// and the account is found by username (the rules need ".indexOn": ["username"] on Users).
+// passwordHash is "scrypt$N$r$p$salt$hash" with a base64 salt and hash.
+//
+// Migration: an account that still has the plaintext `password` of older admin tools is
+// checked against it once; on a match the hash is stored, and `password` and the student's
+// Students/{studentId}/systemAccountInformation/temporaryPassword are deleted.
+//
+// Sign-in hands back a custom token. Its uid is the userNodeKey, and its claims carry what
+// the database rules and the other functions key data by:
+//   { schoolKey, studentId, examUserId, role }   examUserId: studentId, else the username
+//                                                (as session.js has it)
+//
+// Callables:
+//   studentSignIn({ username, password })
+//     -> { token, profile: { userId, username, userNodeKey, studentId, role, schoolKey } }
+//     Errors: failed-precondition (unknown school prefix), not-found (no account),
+//     unauthenticated (wrong password), permission-denied (inactive, or not a student),
+//     resource-exhausted with details { retryAfterMs, locked } while throttled
+//     (loginThrottle.js; checked and counted before the account is even looked up)
+//   changeStudentPassword({ newPassword })      (signed in)
+//     -> { ok: true }; stores a new hash for the caller's own account only.
+//     Errors: unauthenticated, invalid-argument (shorter than MIN_PASSWORD_LENGTH)
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import { getAuth } from "firebase-admin/auth";
+import { getDatabase } from "firebase-admin/database";
+import { HttpsError, onCall } from "firebase-functions/v2/https";
+import { clearFailures, takeAttempt } from "./loginThrottle.js";
+
+const scryptAsync = promisify(scrypt);
+
+const MIN_PASSWORD_LENGTH = 4;
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, KEY_LENGTH, SCRYPT);
+  return ["scrypt", SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scryptAsync(password, Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return timingSafeEqual(actual, expected);
+}
+
+export async function schoolKeyFor(username) {
+  const prefix = String(username || "").slice(0, 3).toUpperCase();
+  if (prefix.length < 3) return null;
+  const snap = await getDatabase().ref(`Platform1/schoolCodeIndex/${prefix}`).get();
+  return snap.exists() ? snap.val() : null;
+}
+
+async function findUser(schoolKey, username) {
+  const snap = await getDatabase()
+    .ref(`Platform1/Schools/${schoolKey}/Users`)
+    .orderByChild("username")
+    .equalTo(username)
+    .limitToFirst(1)
+    .get();
+  let found = null;
+  snap.forEach((child) => {
+    found = { key: child.key, ...child.val() };
+  });
+  return found;
+}
+
+// hash check, or the one-time plaintext check of an account that was never migrated
+async function checkPassword(schoolKey, user, password) {
+  if (user.passwordHash) return verifyPassword(password, user.passwordHash);
+  const stored = user.password == null ? "" : String(user.password).trim();
+  if (!stored || stored !== password) return false;
+  await storePassword(schoolKey, user, password);
+  return true;
+}
+
+async function storePassword(schoolKey, user, password) {
+  const base = `Platform1/Schools/${schoolKey}`;
+  const patch = {
+    [`${base}/Users/${user.key}/passwordHash`]: await hashPassword(password),
+    [`${base}/Users/${user.key}/password`]: null,
+  };
+  if (user.studentId) patch[`${base}/Students/${user.studentId}/systemAccountInformation/temporaryPassword`] = null;
+  await getDatabase().ref().update(patch);
+}
+
+export const studentSignIn = onCall(async (request) => {
+  const username = String(request.data?.username || "").trim();
+  const password = String(request.data?.password ?? "").trim();
+  if (!username || !password) throw new HttpsError("invalid-argument", "Username and password are required.");
+
+  const schoolKey = await schoolKeyFor(username);
+  if (!schoolKey) throw new HttpsError("failed-precondition", "School code not found for this username.");
+
+  await takeAttempt(schoolKey, username);
+  const user = await findUser(schoolKey, username);
+  if (!user) throw new HttpsError("not-found", "No account found with that username.");
+  if (!(await checkPassword(schoolKey, user, password))) throw new HttpsError("unauthenticated", "Incorrect password.");
+  if (user.isActive === false || user.role !== "student") {
+    throw new HttpsError("permission-denied", "This account cannot sign in here.");
+  }
+
+  await clearFailures(schoolKey, username);
+  const studentId = user.studentId ? String(user.studentId) : null;
+  const claims = { schoolKey, studentId, examUserId: studentId || user.username, role: user.role };
+  const token = await getAuth().createCustomToken(user.key, claims);
+  return {
+    token,
+    profile: {
+      userId: user.userId || null,
+      username: user.username,
+      userNodeKey: user.key,
+      studentId,
+      role: user.role,
+      schoolKey,
+    },
+  };
+});
+
+export const changeStudentPassword = onCall(async (request) => {
+  const auth = request.auth;
+  if (!auth?.token?.schoolKey) throw new HttpsError("unauthenticated", "Sign in again to change the password.");
+  const newPassword = String(request.data?.newPassword ?? "").trim();
+  if (newPassword.length < MIN_PASSWORD_LENGTH) {
+    throw new HttpsError("invalid-argument", `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+  await storePassword(auth.token.schoolKey, { key: auth.uid, studentId: auth.token.studentId }, newPassword);
+  return { ok: true };
+});
@@ -0,0 +1,329 @@
+// Company exam grading: the trusted grader the app's examGrader.js calls. Its header has the
+// data layout and the contract; this is the implementation. The student is always the
+// caller (the examUserId claim from studentSignIn), never a value sent by the app.
+//
+// Scoring uses questionTypes.js of the app itself, copied into shared/ before deploy and
+// before the emulator starts (npm run sync-shared), so device and server cannot disagree.
+//
+// gradeExamAttempt also settles lives (lives.js) for the attempt, once: the claim is a
+// transaction on the attempt's livesSettled ({ count, at }), so retries, a second device or
+// a call after a crash between the two writes never take them twice.
+//
+// Callables (signed in; errors as in examGrader.js, plus unauthenticated):
+//   gradeExamAttempt({ roundId, examId, attemptId })
+//   checkExamAnswer({ examId, attemptId, questionId, answer })
+//   checkPracticeAnswer({ packageId, subjectKey, sessionId, bankId, questionId, answer, level })
+import { getDatabase } from "firebase-admin/database";
+import { HttpsError, onCall } from "firebase-functions/v2/https";
+import { questionType, scoreAnswer, toList } from "./shared/questionTypes.js";
+import { deductLives, getLivesConfig, livesOwed } from "./lives.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START_EASE = 2.5;
+
+function studentOf(request) {
+  const studentId = request.auth?.token?.examUserId;
+  if (!studentId) throw new HttpsError("unauthenticated", "Sign in again.");
+  return String(studentId);
+}
+
+// first existing value of the paths, like dbHelpers getValue in the app
+async function readFirst(paths) {
+  const db = getDatabase();
+  for (const path of paths) {
+    const snap = await db.ref(path).get();
+    if (snap.exists()) return snap.val();
+  }
+  return null;
+}
+
+function toMsTs(v) {
+  const n = Number(v || 0);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return n < 1e12 ? n * 1000 : n;
+}
+
+// reviewScheduler.js questionItemId / firstSchedule
+function questionItemId(bankId, questionId) {
+  return `q__${bankId}__${questionId}`;
+}
+
+function firstSchedule(correct, now) {
+  return correct
+    ? { ef: START_EASE, reps: 1, interval: 1, due: now + DAY_MS, lastReviewedAt: now }
+    : { ef: START_EASE, reps: 0, interval: 0, due: now, lastReviewedAt: now };
+}
+
+function badgeFor(exam, percent) {
+  if (!exam?.scoringEnabled || !exam?.scoring) return { badge: null, points: 0 };
+  const s = exam.scoring;
+  if (percent >= Number(s.platinumPercent || 90)) return { badge: "platinum", points: Number(s.maxPoints || 3) };
+  if (percent >= Number(s.diamondPercent || 85)) return { badge: "diamond", points: 2 };
+  if (percent >= Number(s.goldPercent || 75)) return { badge: "gold", points: 1 };
+  return { badge: null, points: 0 };
+}
+
+async function loadExamKeys(examId) {
+  const exam = await readFirst([`Platform1/companyExams/exams/${examId}`, `companyExams/exams/${examId}`]);
+  const bankId = exam?.questionBankId;
+  if (!bankId) throw new HttpsError("not-found", "This exam was not found.");
+  const [keys, questions] = await Promise.all([
+    readFirst([`Platform1/questionBankKeys/${bankId}`]),
+    readFirst([`Platform1/questionBanks/${bankId}/questions`, `questionBanks/${bankId}/questions`]),
+  ]);
+  return { exam, bankId, keys: keys || {}, questions: questions || {} };
+}
+
+async function loadPackages() {
+  return (await readFirst([`Platform1/companyExams/packages`, `companyExams/packages`])) || {};
+}
+
+function isCompetitive(pkg) {
+  return String(pkg?.type || "").toLowerCase() === "competitive";
+}
+
+// the round (by id, or the first one using examId) with its package and subject
+async function findRound({ roundId, examId }) {
+  const pkgs = await loadPackages();
+  for (const [packageId, pkg] of Object.entries(pkgs)) {
+    for (const [subjectKey, subject] of Object.entries(pkg?.subjects || {})) {
+      for (const [id, round] of Object.entries(subject?.rounds || {})) {
+        if (roundId ? id !== roundId : round?.examId !== examId) continue;
+        return {
+          round,
+          competitive: isCompetitive(pkg),
+          source: { packageId, subjectKey, subjectName: subject.name || subjectKey, chapter: round.chapter || "" },
+        };
+      }
+    }
+  }
+  return { round: null, competitive: false, source: {} };
+}
+
+function verdict(question, key, answer) {
+  const credit = scoreAnswer(questionType(question), key, answer);
+  return {
+    correct: credit >= 1,
+    credit,
+    correctAnswer: key?.correctAnswer ?? null,
+    explanation: key?.explanation || "",
+    explanationTranslations: key?.explanationTranslations || null,
+  };
+}
+
+// notebook entries for a graded attempt, as an update patch (mistakeNotebook.js in the app)
+async function mistakesPatch({ studentId, examId, roundId, bankId, source, ids, keys, review, now }) {
+  const base = `Platform1/studentProgress/${studentId}/mistakes`;
+  const [existing, cfg] = await Promise.all([
+    readFirst([base]),
+    readFirst([`Platform1/appConfig/exams`, `appConfig/exams`]),
+  ]);
+  const clearAfter = Number(cfg?.mistakes?.clearAfterStreak || 0) || 3;
+  const patch = {};
+
+  ids.forEach((qId) => {
+    const key = `${bankId}__${qId}`;
+    const entry = existing?.[key];
+    const v = review[qId];
+    if (v.correct) {
+      if (!entry) return;
+      const streak = Number(entry.correctStreak || 0) + 1;
+      if (streak >= clearAfter) patch[`${base}/${key}`] = null;
+      else patch[`${base}/${key}/correctStreak`] = streak;
+      return;
+    }
+    const k = keys[String(qId)] || {};
+    patch[`${base}/${key}`] = {
+      bankId,
+      questionId: String(qId),
+      examId,
+      roundId,
+      ...source,
+      correctAnswer: k.correctAnswer ?? null,
+      tolerance: k.tolerance ?? null,
+      explanation: k.explanation || "",
+      explanationTranslations: k.explanationTranslations || null,
+      wrongCount: Number(entry?.wrongCount || 0) + 1,
+      correctStreak: 0,
+      lastWrongAt: now,
+    };
+  });
+  return patch;
+}
+
+// review-queue items for questions of the attempt that are not queued yet
+async function reviewQueuePatch({ studentId, bankId, source, ids, keys, review, now }) {
+  const base = `Platform1/studentProgress/${studentId}/reviewQueue`;
+  const queue = (await readFirst([base])) || {};
+  const patch = {};
+  ids.forEach((qId) => {
+    const itemId = questionItemId(bankId, qId);
+    if (queue[itemId]) return;
+    const k = keys[String(qId)] || {};
+    patch[`${base}/${itemId}`] = {
+      kind: "question",
+      bankId,
+      questionId: String(qId),
+      subjectKey: source.subjectKey || "",
+      subjectName: source.subjectName || "",
+      chapter: source.chapter || "",
+      correctAnswer: k.correctAnswer ?? null,
+      tolerance: k.tolerance ?? null,
+      explanation: k.explanation || "",
+      explanationTranslations: k.explanationTranslations || null,
+      ...firstSchedule(review[qId].correct, now),
+    };
+  });
+  return patch;
+}
+
+// lives for a graded attempt, claimed on the attempt so they are only ever taken once
+async function settleLives({ studentId, attemptPath, exam, competitive, graded }) {
+  const config = await getLivesConfig();
+  const count = livesOwed({ exam, competitive, config, ...graded });
+  const { committed } = await getDatabase()
+    .ref(`${attemptPath}/livesSettled`)
+    .transaction((current) => (current ? undefined : { count, at: Date.now() }));
+  if (committed && count > 0) await deductLives(studentId, count);
+}
+
+export const gradeExamAttempt = onCall(async (request) => {
+  const studentId = studentOf(request);
+  const { roundId, examId, attemptId } = request.data || {};
+  if (!roundId || !examId || !attemptId) throw new HttpsError("invalid-argument", "roundId, examId and attemptId are required.");
+
+  const attemptPath = `Platform1/attempts/company/${studentId}/${examId}/${attemptId}`;
+  const attempt = await readFirst([attemptPath]);
+  if (!attempt) throw new HttpsError("not-found", "This attempt was not found.");
+  if (!["submitted", "completed"].includes(String(attempt.attemptStatus || "").toLowerCase())) {
+    throw new HttpsError("failed-precondition", "The attempt has not been submitted yet.");
+  }
+
+  const [{ exam, bankId, keys, questions }, { round, competitive, source }] = await Promise.all([
+    loadExamKeys(examId),
+    findRound({ roundId }),
+  ]);
+  if (!round || String(round.examId || examId) !== String(examId)) throw new HttpsError("not-found", "This round was not found.");
+
+  const order = toList(attempt.questionOrder);
+  const ids = order.length ? order : Object.keys(keys);
+  const answers = attempt.answers || {};
+
+  const review = {};
+  let correctCount = 0;
+  let credits = 0;
+  ids.forEach((qId) => {
+    const v = verdict(questions[String(qId)], keys[String(qId)], answers[String(qId)]);
+    if (v.correct) correctCount += 1;
+    credits += v.credit;
+    review[qId] = v;
+  });
+
+  const now = Date.now();
+  const resultVisible = exam?.scoringEnabled ? now >= toMsTs(round?.resultReleaseTimestamp) : true;
+  const showReview = !competitive || resultVisible;
+
+  const patch = {};
+  if (showReview && !attempt.mistakesRecordedAt) {
+    Object.assign(
+      patch,
+      await mistakesPatch({ studentId, examId, roundId, bankId, source, ids, keys, review, now }),
+      await reviewQueuePatch({ studentId, bankId, source, ids, keys, review, now })
+    );
+    patch[`${attemptPath}/mistakesRecordedAt`] = now;
+  }
+
+  // already graded: hand back the stored result (recording mistakes once it is released)
+  if (attempt.gradedAt) {
+    if (Object.keys(patch).length) await getDatabase().ref().update(patch);
+    if (!attempt.livesSettled) await settleLives({ studentId, attemptPath, exam, competitive, graded: attempt });
+    return {
+      scorePercent: attempt.scorePercent,
+      correctCount: attempt.correctCount,
+      totalCount: attempt.totalCount,
+      pointsAwarded: attempt.pointsAwarded,
+      badge: attempt.badge ?? null,
+      resultVisible,
+      review: showReview ? review : null,
+    };
+  }
+
+  const totalCount = ids.length;
+  const scorePercent = totalCount ? (credits / totalCount) * 100 : 0;
+  const { badge, points } = badgeFor(exam, scorePercent);
+  const graded = {
+    attemptStatus: "completed",
+    scorePercent,
+    correctCount,
+    totalCount,
+    pointsAwarded: points,
+    badge,
+    resultVisible,
+    gradedAt: now,
+  };
+
+  Object.keys(graded).forEach((k) => { patch[`${attemptPath}/${k}`] = graded[k]; });
+  const progressPath = `Platform1/studentProgress/${studentId}/company/${roundId}/${examId}`;
+  const progress = await readFirst([progressPath]);
+  patch[`${progressPath}/status`] = "completed";
+  patch[`${progressPath}/lastScorePercent`] = scorePercent;
+  if (progress?.bestScorePercent == null || scorePercent > Number(progress.bestScorePercent)) {
+    patch[`${progressPath}/bestScorePercent`] = scorePercent;
+    patch[`${progressPath}/bestAttemptId`] = attemptId;
+  }
+  await getDatabase().ref().update(patch);
+  await settleLives({ studentId, attemptPath, exam, competitive, graded });
+
+  const { attemptStatus, gradedAt, ...result } = graded;
+  return { ...result, review: showReview ? review : null };
+});
+
+export const checkExamAnswer = onCall(async (request) => {
+  const studentId = studentOf(request);
+  const { examId, attemptId, questionId, answer } = request.data || {};
+  if (!examId || !attemptId || questionId == null) throw new HttpsError("invalid-argument", "examId, attemptId and questionId are required.");
+
+  const attemptPath = `Platform1/attempts/company/${studentId}/${examId}/${attemptId}`;
+  const attempt = await readFirst([attemptPath]);
+  const { competitive } = await findRound({ examId });
+  if (attempt?.feedbackMode !== "instant" || attempt?.attemptStatus !== "in_progress" || competitive) {
+    throw new HttpsError("failed-precondition", "Instant feedback is not available for this attempt.");
+  }
+
+  // one check per question, so keys cannot be probed option by option
+  const { committed } = await getDatabase()
+    .ref(`${attemptPath}/checked/${questionId}`)
+    .transaction((current) => (current ? undefined : Date.now()));
+  if (!committed) throw new HttpsError("already-exists", "This question was already checked.");
+
+  const { keys, questions } = await loadExamKeys(examId);
+  await getDatabase().ref(`${attemptPath}/answers/${questionId}`).set(answer ?? null);
+  return verdict(questions[String(questionId)], keys[String(questionId)], answer);
+});
+
+export const checkPracticeAnswer = onCall(async (request) => {
+  const studentId = studentOf(request);
+  const { packageId, subjectKey, sessionId, bankId, questionId, answer, level } = request.data || {};
+  if (!packageId || !subjectKey || !sessionId || !bankId || questionId == null) {
+    throw new HttpsError("invalid-argument", "The practice question is incomplete.");
+  }
+
+  const pkg = (await loadPackages())[packageId];
+  const exams = (await readFirst([`Platform1/companyExams/exams`, `companyExams/exams`])) || {};
+  const banks = Object.values(pkg?.subjects?.[subjectKey]?.rounds || {}).map((r) => exams[r?.examId]?.questionBankId);
+  if (isCompetitive(pkg) || !banks.includes(bankId)) {
+    throw new HttpsError("failed-precondition", "This question is not part of the practice set.");
+  }
+
+  const recordRef = getDatabase().ref(`Platform1/practiceHistory/${studentId}/${sessionId}/answers/${bankId}__${questionId}`);
+  const [key, question] = await Promise.all([
+    readFirst([`Platform1/questionBankKeys/${bankId}/${questionId}`]),
+    readFirst([`Platform1/questionBanks/${bankId}/questions/${questionId}`, `questionBanks/${bankId}/questions/${questionId}`]),
+  ]);
+  const v = verdict(question, key, answer);
+  const { committed } = await recordRef.transaction((current) =>
+    current ? undefined : { level: level || "", credit: v.credit, answeredAt: Date.now() }
+  );
+  if (!committed) throw new HttpsError("already-exists", "This question was already answered in this session.");
+  return v;
+});
@@ -0,0 +1,15 @@
+// Cloud Functions behind the student app (gojo-student-app). The app calls them with
+// httpsCallable; each module's header has its contract and the database nodes it owns.
+//
+//   auth.js            studentSignIn, changeStudentPassword (app/lib/authHelpers.js)
+//   loginThrottle.js   sign-in delays and lockout for studentSignIn
+//   grading.js         gradeExamAttempt, checkExamAnswer, checkPracticeAnswer (app/lib/examGrader.js)
+//   lives.js           lives taken by gradeExamAttempt
+//
+// Deploy: firebase deploy --only functions:student-app   (firebase.json at the repo root)
+import { initializeApp } from "firebase-admin/app";
+
+initializeApp();
+
+export { studentSignIn, changeStudentPassword } from "./auth.js";
+export { gradeExamAttempt, checkExamAnswer, checkPracticeAnswer } from "./grading.js";
@@ -0,0 +1,107 @@
+// Lives (hearts) taken by the grader for a failed practice attempt. The node and the refill
+// model are those of app/lib/livesHelpers.js, which this mirrors for the one write the
+// server makes:
+//   Platform1/studentLives/{studentId} = { currentLives, maxLives, refillIntervalMs, lastConsumedAt }
+// seeded from the legacy root studentLives/{studentId} when the scoped node is missing, with
+// defaults from appConfig/exams/lives (defaultMaxLives, defaultRefillIntervalMs).
+//
+// Owed for a graded attempt: none in competitive packages; with a pass mark on the exam
+// (passingPercent / passPercent / passScore) one below it; otherwise one per
+// fallbackWrongsPerLife (appConfig/exams/lives, default 2) questions without full credit.
+//
+// Usage:
+//   const owed = livesOwed({ exam, competitive, config, scorePercent, correctCount, totalCount });
+//   await deductLives(studentId, owed);
+import { getDatabase } from "firebase-admin/database";
+
+const DEFAULT_MAX_LIVES = 5;
+const DEFAULT_REFILL_INTERVAL_MS = 20 * 60 * 1000;
+const WRONGS_PER_LIFE_FALLBACK = 2;
+
+function toMsTs(v) {
+  const n = Number(v || 0);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return n < 1e12 ? n * 1000 : n;
+}
+
+function toIntervalMs(v, fallback) {
+  if (v == null) return fallback;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return n > 1000 ? n : n * 1000; // small numbers are seconds
+}
+
+export async function getLivesConfig() {
+  const db = getDatabase();
+  let snap = await db.ref("Platform1/appConfig/exams/lives").get();
+  if (!snap.exists()) snap = await db.ref("appConfig/exams/lives").get();
+  const cfg = snap.val() || {};
+  return {
+    ...cfg,
+    defaultMaxLives: Number(cfg.defaultMaxLives || DEFAULT_MAX_LIVES),
+    defaultRefillIntervalMs: Number(cfg.defaultRefillIntervalMs || DEFAULT_REFILL_INTERVAL_MS),
+  };
+}
+
+export function livesOwed({ exam, competitive, config, scorePercent, correctCount, totalCount }) {
+  if (competitive) return 0;
+  const pass = exam?.passingPercent ?? exam?.passPercent ?? exam?.passScore ?? null;
+  if (pass != null && !Number.isNaN(Number(pass))) return Number(scorePercent) < Number(pass) ? 1 : 0;
+  const wrong = Math.max(0, Number(totalCount || 0) - Number(correctCount || 0));
+  return Math.floor(wrong / Math.max(1, Number(config?.fallbackWrongsPerLife || WRONGS_PER_LIFE_FALLBACK)));
+}
+
+// canonical node with the hearts that came back since lastConsumedAt (livesHelpers.js refilledNode)
+function refilledNode(curr, config, now) {
+  const max = Number(curr?.maxLives ?? curr?.max ?? config.defaultMaxLives);
+  const maxLives = Number.isFinite(max) && max > 0 ? max : DEFAULT_MAX_LIVES;
+  const raw = curr ? Number(curr.currentLives ?? curr.lives ?? curr.current ?? maxLives) : maxLives;
+  let currentLives = Number.isFinite(raw) ? raw : maxLives;
+  const refillIntervalMs = toIntervalMs(curr?.refillIntervalMs ?? curr?.refillInterval, config.defaultRefillIntervalMs);
+  let lastConsumedAt = toMsTs(curr?.lastConsumedAt ?? curr?.lastConsumed);
+
+  if (currentLives < maxLives) {
+    if (!lastConsumedAt) {
+      lastConsumedAt = now;
+    } else {
+      const recovered = Math.floor(Math.max(0, now - lastConsumedAt) / refillIntervalMs);
+      currentLives = Math.min(maxLives, currentLives + recovered);
+      lastConsumedAt += recovered * refillIntervalMs;
+    }
+  }
+  return {
+    ...(curr || {}),
+    lives: null,
+    current: null,
+    max: null,
+    refillInterval: null,
+    lastConsumed: null,
+    currentLives,
+    maxLives,
+    refillIntervalMs,
+    lastConsumedAt: lastConsumedAt || null,
+  };
+}
+
+/**
+ * Take up to `count` lives (never below 0) in a transaction; the refill timer starts when
+ * the first heart goes missing.
+ */
+export async function deductLives(studentId, count) {
+  const n = Math.max(0, Math.floor(Number(count) || 0));
+  if (!studentId || n <= 0) return;
+  const db = getDatabase();
+  const config = await getLivesConfig();
+  const legacy = (await db.ref(`studentLives/${studentId}`).get()).val();
+
+  await db.ref(`Platform1/studentLives/${studentId}`).transaction((curr) => {
+    const now = Date.now();
+    const node = refilledNode(curr || legacy, config, now);
+    const wasFull = node.currentLives >= node.maxLives;
+    return {
+      ...node,
+      currentLives: Math.max(0, node.currentLives - n),
+      lastConsumedAt: wasFull || !node.lastConsumedAt ? now : node.lastConsumedAt,
+    };
+  });
+}
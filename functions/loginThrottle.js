@@ -0,0 +1,77 @@
+// Sign-in throttling for studentSignIn: progressive delays, then a temporary lockout,
+// per username and school. The schedule matches app/lib/loginThrottle.js, which only
+// shows the wait on the device; the record here is the one that is enforced.
+//
+// Data: Platform1/Schools/{schoolKey}/loginAttempts/{usernameKey}
+//   { username, failedCount, lastFailedAt, lockedUntil }   (ms timestamps)
+// usernameKey is the lowercased username with characters RTDB keys cannot hold replaced.
+//
+// Schedule (failures within FAILURE_WINDOW_MS):
+//   1-2 -> no wait, 3 -> 5s, 4 -> 15s, 5 -> 30s, 6+ -> locked for LOCKOUT_MS
+//
+// Every attempt is counted as a failure before the credentials are looked at, in one
+// transaction with the wait check, so parallel requests cannot slip under the schedule;
+// a successful sign-in clears the record.
+//
+// Usage (studentSignIn):
+//   await takeAttempt(schoolKey, username);         // throws resource-exhausted while waiting
+//   await clearFailures(schoolKey, username);       // signed in
+import { getDatabase } from "firebase-admin/database";
+import { HttpsError } from "firebase-functions/v2/https";
+
+const LOCKOUT_AFTER = 6;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const FAILURE_WINDOW_MS = 30 * 60 * 1000;
+
+const DELAYS_MS = [0, 0, 5 * 1000, 15 * 1000, 30 * 1000];
+
+function delayForFailures(failedCount) {
+  const n = Number(failedCount || 0);
+  if (n <= 0) return 0;
+  if (n >= LOCKOUT_AFTER) return LOCKOUT_MS;
+  return DELAYS_MS[n - 1] || 0;
+}
+
+function attemptsRef(schoolKey, username) {
+  const key = String(username || "").trim().toLowerCase().replace(/[.#$[\]/]/g, "_");
+  return getDatabase().ref(`Platform1/Schools/${schoolKey}/loginAttempts/${key}`);
+}
+
+function isFresh(entry, now) {
+  return !!entry && now - Number(entry.lastFailedAt || 0) <= FAILURE_WINDOW_MS;
+}
+
+function waitOf(entry, now) {
+  return isFresh(entry, now) ? Math.max(0, Number(entry.lockedUntil || 0) - now) : 0;
+}
+
+/**
+ * Count this attempt, or throw resource-exhausted (details { retryAfterMs, locked }) while
+ * the username must still wait.
+ */
+export async function takeAttempt(schoolKey, username) {
+  const now = Date.now();
+  const { committed, snapshot } = await attemptsRef(schoolKey, username).transaction((entry) => {
+    if (waitOf(entry, now) > 0) return undefined;
+    const failedCount = (isFresh(entry, now) ? Number(entry.failedCount || 0) : 0) + 1;
+    return {
+      username: String(username),
+      failedCount,
+      lastFailedAt: now,
+      lockedUntil: now + delayForFailures(failedCount),
+    };
+  });
+  if (committed) return;
+
+  const entry = snapshot.val();
+  const locked = Number(entry?.failedCount || 0) >= LOCKOUT_AFTER;
+  throw new HttpsError(
+    "resource-exhausted",
+    locked ? "Too many failed attempts. The account is locked for a while." : "Too many attempts. Please wait.",
+    { retryAfterMs: waitOf(entry, now), locked }
+  );
+}
+
+export async function clearFailures(schoolKey, username) {
+  await attemptsRef(schoolKey, username).remove();
+}
@@ -1,11 +1,13 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { SafeAreaView, StyleSheet, View, Text, TouchableOpacity, Animated, Easing } from "react-native";
-import { Slot, useRouter } from "expo-router";
+import { Slot, useRouter, useSegments } from "expo-router";
 import { StatusBar } from "expo-status-bar";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import { Ionicons } from "@expo/vector-icons";
 import { useSafeAreaInsets } from "react-native-safe-area-context";
 import { getValue } from "./lib/dbHelpers";
+import { startWriteQueue } from "./lib/writeQueue";
+import { SessionProvider, useSession } from "../components/session-provider";
+import { AppLockGate } from "../components/app-lock";
 
 type Notif = {
   id: string;
@@ -25,22 +27,53 @@ type Notif = {
 };
 
 export default function RootLayout() {
+  // replay writes left in the offline outbox by a previous session
+  useEffect(() => {
+    startWriteQueue();
+  }, []);
+
   return (
-    <SafeAreaView style={styles.container}>
-      <StatusBar style="auto" />
-      <GlobalNotificationToast />
-      <Slot />
-    </SafeAreaView>
+    <SessionProvider>
+      <SafeAreaView style={styles.container}>
+        <StatusBar style="auto" />
+        <SessionGate />
+        <GlobalNotificationToast />
+        <Slot />
+        <AppLockGate />
+      </SafeAreaView>
+    </SessionProvider>
   );
 }
 
+// keeps signed-out users on the login screen and signed-in users off it
+function SessionGate() {
+  const router = useRouter();
+  const segments = useSegments();
+  const { status, loginHint } = useSession();
+  const onLogin = !segments[0] || segments[0] === "index";
+
+  useEffect(() => {
+    if (status === "loading") return;
+    if (status === "signedIn" && onLogin) router.replace("/dashboard/home");
+    else if (status !== "signedIn" && !onLogin) {
+      const params: Record<string, string> = {};
+      if (status === "expired") params.expired = "1";
+      if (loginHint) params.username = loginHint;
+      router.replace({ pathname: "/", params });
+    }
+  }, [status, onLogin, loginHint, router]);
+
+  return null;
+}
+
 function GlobalNotificationToast() {
   const router = useRouter();
   const insets = useSafeAreaInsets();
 
   const [current, setCurrent] = useState<Notif | null>(null);
   const [queue, setQueue] = useState<Notif[]>([]);
-  const [studentId, setStudentId] = useState<string | null>(null);
+  const { session } = useSession();
+  const studentId = session?.examUserId || null;
   const seenIdsRef = useRef<Set<string>>(new Set());
 
   const slideY = useRef(new Animated.Value(-90)).current;
@@ -70,15 +103,11 @@ function GlobalNotificationToast() {
     return { pathname: pathname || "/", params };
   }, []);
 
+  const sessionGradeKey = session?.gradeKey || null;
+
   const getStudentGradeKey = useCallback(async (sid: string | null) => {
     if (!sid) return null;
-
-    const fromStorage =
-      (await AsyncStorage.getItem("studentGrade")) ||
-      (await AsyncStorage.getItem("grade")) ||
-      "";
-    const norm = String(fromStorage).toLowerCase().replace("grade", "").trim();
-    if (norm) return `grade${norm}`;
+    if (sessionGradeKey) return sessionGradeKey;
 
     const schoolCode = await getValue([`Platform1/schoolCodeIndex/${String(sid).slice(0, 3)}`]);
     if (!schoolCode) return null;
@@ -86,7 +115,7 @@ function GlobalNotificationToast() {
     const student = await getValue([`Platform1/Schools/${schoolCode}/Students/${sid}`]) || {};
     const g = String(student?.basicStudentInformation?.grade || student?.grade || "").trim();
     return g ? `grade${g}` : null;
-  }, []);
+  }, [sessionGradeKey]);
 
   const goToNotif = useCallback(async (n: Notif) => {
     if (!n) return;
@@ -133,16 +162,12 @@ function GlobalNotificationToast() {
     });
   }, [bar, hideToast, opacity, slideY]);
 
+  // toasts belong to one account; start clean when a sibling signs in
   useEffect(() => {
-    (async () => {
-      const sid =
-        (await AsyncStorage.getItem("studentNodeKey")) ||
-        (await AsyncStorage.getItem("studentId")) ||
-        (await AsyncStorage.getItem("username")) ||
-        null;
-      setStudentId(sid);
-    })();
-  }, []);
+    seenIdsRef.current = new Set();
+    setQueue([]);
+    setCurrent(null);
+  }, [studentId]);
 
   useEffect(() => {
     if (!studentId) return;
@@ -0,0 +1,237 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Platform,
+  StatusBar,
+} from "react-native";
+import { useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { getSession } from "./lib/session";
+import { achievementHistory, BADGE_TIERS, markAchievementsSeen, syncAchievements } from "./lib/achievements";
+import { subscribeStreak } from "./lib/studyStreak";
+import { AchievementUnlock } from "../components/achievement-unlock";
+
+const C = {
+  primary: "#0B72FF",
+  muted: "#6B78A8",
+  bg: "#FFFFFF",
+  text: "#0B2540",
+  border: "#EAF0FF",
+  gold: "#F59E0B",
+  flame: "#F97316",
+};
+
+function formatDate(ms) {
+  if (!ms) return "—";
+  return new Date(ms).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+}
+
+export default function Achievements() {
+  const router = useRouter();
+
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [studentId, setStudentId] = useState(null);
+  const [data, setData] = useState(null);
+  const [unlocked, setUnlocked] = useState([]);
+  const [streak, setStreak] = useState(null);
+
+  const load = useCallback(async () => {
+    const sid = (await getSession())?.examUserId || null;
+    const next = await syncAchievements(sid);
+    setStudentId(sid);
+    setData(next);
+    setUnlocked(next.unlocked);
+  }, []);
+
+  useEffect(() => {
+    load().finally(() => setLoading(false));
+  }, [load]);
+
+  useEffect(() => (studentId ? subscribeStreak(studentId, setStreak) : undefined), [studentId]);
+
+  const onRefresh = useCallback(async () => {
+    setRefreshing(true);
+    await load();
+    setRefreshing(false);
+  }, [load]);
+
+  const onUnlockDone = useCallback(
+    (ids) => {
+      setUnlocked([]);
+      markAchievementsSeen(studentId, ids);
+    },
+    [studentId]
+  );
+
+  const safeAreaPaddingTop = Platform.OS === "android" ? (StatusBar.currentHeight || 0) : 0;
+
+  if (loading) {
+    return (
+      <SafeAreaView style={[styles.loadingWrap, { paddingTop: safeAreaPaddingTop }]}>
+        <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+        <ActivityIndicator size="large" color={C.primary} />
+      </SafeAreaView>
+    );
+  }
+
+  const list = data?.list || [];
+  const history = achievementHistory(list);
+
+  return (
+    <SafeAreaView style={[styles.safeRoot, { paddingTop: safeAreaPaddingTop }]}>
+      <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+      <View style={styles.headerBar}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backBtn}>
+          <Ionicons name="chevron-back" size={22} color={C.text} />
+        </TouchableOpacity>
+        <View style={{ flex: 1, marginLeft: 10 }}>
+          <Text style={styles.title}>Achievements</Text>
+          <Text style={styles.subtitle}>
+            {history.length} of {list.length} earned
+          </Text>
+        </View>
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.body}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} tintColor={C.primary} />}
+      >
+        {streak ? (
+          <View style={[styles.card, styles.streakCard]}>
+            <View style={styles.streakHead}>
+              <Ionicons name={streak.activeToday ? "flame" : "flame-outline"} size={28} color={C.flame} />
+              <View style={{ flex: 1, marginLeft: 10 }}>
+                <Text style={styles.streakValue}>
+                  {streak.current} day{streak.current === 1 ? "" : "s"} streak
+                </Text>
+                <Text style={styles.achievementMeta}>
+                  {streak.activeToday ? "Done for today" : "Practise, read or write a note today to keep it"} · best {streak.best}
+                </Text>
+              </View>
+              <View style={styles.freezeChip}>
+                <Ionicons name="snow" size={12} color={C.primary} />
+                <Text style={styles.freezeText}>{streak.freezes}</Text>
+              </View>
+            </View>
+            <View style={styles.progressRow}>
+              <Text style={styles.levelText}>Level {streak.level}</Text>
+              <View style={[styles.progressTrack, { marginLeft: 8 }]}>
+                <View style={[styles.progressFill, { width: `${(streak.levelXp / streak.nextLevelXp) * 100}%` }]} />
+              </View>
+              <Text style={styles.progressText}>
+                {streak.levelXp}/{streak.nextLevelXp} XP
+              </Text>
+            </View>
+            <Text style={styles.achievementMeta}>A snowflake covers one missed day; a week of streak earns one.</Text>
+          </View>
+        ) : null}
+
+        <Text style={styles.sectionTitle}>Badges</Text>
+        <View style={styles.statsRow}>
+          {BADGE_TIERS.map((tier) => (
+            <View key={tier.key} style={styles.statBox}>
+              <Ionicons name="ribbon" size={20} color={tier.color} />
+              <Text style={styles.statValue}>{data?.badges?.[tier.key] || 0}</Text>
+              <Text style={styles.statLabel}>{tier.label}</Text>
+            </View>
+          ))}
+        </View>
+
+        <Text style={styles.sectionTitle}>Milestones</Text>
+        {list.map((a) => (
+          <View key={a.id} style={[styles.card, styles.achievementRow, !a.earned ? styles.lockedRow : null]}>
+            <View style={[styles.medal, a.earned ? styles.medalEarned : null]}>
+              <Ionicons name={a.earned ? a.icon : "lock-closed"} size={20} color={a.earned ? "#fff" : C.muted} />
+            </View>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.achievementTitle}>{a.title}</Text>
+              <Text style={styles.achievementMeta}>{a.description}</Text>
+              {a.earned ? (
+                <Text style={styles.earnedText}>Earned {formatDate(a.earnedAt)}</Text>
+              ) : (
+                <View style={styles.progressRow}>
+                  <View style={styles.progressTrack}>
+                    <View style={[styles.progressFill, { width: `${(a.progress / a.target) * 100}%` }]} />
+                  </View>
+                  <Text style={styles.progressText}>
+                    {a.progress}/{a.target}
+                  </Text>
+                </View>
+              )}
+            </View>
+          </View>
+        ))}
+
+        <Text style={styles.sectionTitle}>History</Text>
+        {!history.length ? (
+          <Text style={styles.empty}>Achievements you earn show up here with the day you earned them.</Text>
+        ) : (
+          <View style={styles.card}>
+            {history.map((a, i) => (
+              <View key={a.id} style={[styles.historyRow, i > 0 ? styles.historyDivider : null]}>
+                <Ionicons name={a.icon} size={16} color={C.gold} />
+                <Text style={styles.historyTitle}>{a.title}</Text>
+                <Text style={styles.historyDate}>{formatDate(a.earnedAt)}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+      </ScrollView>
+
+      <AchievementUnlock achievements={unlocked} onDone={onUnlockDone} />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeRoot: { flex: 1, backgroundColor: C.bg },
+  loadingWrap: { flex: 1, backgroundColor: C.bg, justifyContent: "center", alignItems: "center" },
+
+  headerBar: { minHeight: 62, paddingHorizontal: 16, flexDirection: "row", alignItems: "center", backgroundColor: C.bg },
+  backBtn: { width: 40, height: 40, borderRadius: 10, alignItems: "center", justifyContent: "center", backgroundColor: "#F7F9FF" },
+  title: { fontSize: 18, fontWeight: "900", color: C.text },
+  subtitle: { marginTop: 2, color: C.muted, fontSize: 12 },
+
+  body: { flexGrow: 1, paddingHorizontal: 16, paddingBottom: 24 },
+  sectionTitle: { marginTop: 18, marginBottom: 4, fontSize: 16, fontWeight: "900", color: C.text },
+  empty: { marginTop: 6, color: C.muted, lineHeight: 20 },
+
+  statsRow: { marginTop: 8, flexDirection: "row", gap: 8 },
+  statBox: { flex: 1, borderWidth: 1, borderColor: C.border, backgroundColor: "#F8FAFF", borderRadius: 10, paddingVertical: 10, alignItems: "center" },
+  statLabel: { marginTop: 2, color: C.muted, fontSize: 11, fontWeight: "700" },
+  statValue: { marginTop: 4, fontSize: 18, fontWeight: "900", color: C.text },
+
+  card: { marginTop: 8, borderWidth: 1, borderColor: C.border, borderRadius: 12, backgroundColor: "#fff", padding: 12 },
+
+  streakCard: { marginTop: 4 },
+  streakHead: { flexDirection: "row", alignItems: "center" },
+  streakValue: { fontSize: 16, fontWeight: "900", color: C.text },
+  freezeChip: { flexDirection: "row", alignItems: "center", backgroundColor: "#EEF4FF", borderRadius: 999, paddingHorizontal: 8, paddingVertical: 4 },
+  freezeText: { marginLeft: 4, color: C.primary, fontWeight: "800", fontSize: 12 },
+  levelText: { color: C.text, fontWeight: "800", fontSize: 12 },
+
+  achievementRow: { flexDirection: "row", alignItems: "center" },
+  lockedRow: { backgroundColor: "#FBFCFF" },
+  medal: { width: 42, height: 42, borderRadius: 21, marginRight: 12, alignItems: "center", justifyContent: "center", backgroundColor: "#EEF2FA" },
+  medalEarned: { backgroundColor: C.gold },
+  achievementTitle: { fontWeight: "800", color: C.text },
+  achievementMeta: { marginTop: 2, color: C.muted, fontSize: 12 },
+  earnedText: { marginTop: 4, color: C.gold, fontWeight: "800", fontSize: 12 },
+  progressRow: { marginTop: 6, flexDirection: "row", alignItems: "center" },
+  progressTrack: { flex: 1, height: 6, borderRadius: 999, backgroundColor: C.border, overflow: "hidden" },
+  progressFill: { height: 6, backgroundColor: C.primary },
+  progressText: { marginLeft: 8, color: C.muted, fontSize: 11, fontWeight: "700" },
+
+  historyRow: { flexDirection: "row", alignItems: "center", paddingVertical: 8 },
+  historyDivider: { borderTopWidth: 1, borderTopColor: C.border },
+  historyTitle: { flex: 1, marginLeft: 8, fontWeight: "700", color: C.text },
+  historyDate: { color: C.muted, fontSize: 12 },
+});
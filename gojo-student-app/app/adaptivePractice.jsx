@@ -0,0 +1,335 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Platform,
+  StatusBar,
+} from "react-native";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { getSession } from "./lib/session";
+import { deductLives } from "./lib/livesHelpers";
+import { useLives } from "../hooks/use-lives";
+import { checkPracticeAnswer } from "./lib/examGrader";
+import {
+  afterAnswer,
+  finishPracticeSession,
+  getAdaptiveSettings,
+  LEVELS,
+  loadSubjectPool,
+  pickQuestion,
+  startPracticeSession,
+  startState,
+} from "./lib/adaptivePractice";
+import { isAnswered } from "./lib/questionTypes";
+import { availableLanguages, DEFAULT_LANGUAGE, getQuestionLanguage } from "./lib/questionLanguage";
+import { PracticeQuestion } from "../components/practice-question";
+import { LanguageToggle } from "../components/language-toggle";
+
+const C = {
+  primary: "#0B72FF",
+  muted: "#6B78A8",
+  bg: "#FFFFFF",
+  text: "#0B2540",
+  border: "#EAF0FF",
+  danger: "#EF4444",
+};
+const HEART_COLOR = "#EF4444";
+const LEVEL_COLORS = { easy: "#16A34A", medium: "#0B72FF", hard: "#7C3AED" };
+
+function formatMsToMMSS(ms) {
+  const s = Math.max(0, Math.ceil(ms / 1000));
+  const mm = Math.floor(s / 60).toString().padStart(2, "0");
+  const ss = Math.floor(s % 60).toString().padStart(2, "0");
+  return `${mm}:${ss}`;
+}
+
+export default function AdaptivePractice() {
+  const router = useRouter();
+  const { packageId, subjectKey } = useLocalSearchParams();
+
+  const [studentId, setStudentId] = useState(null);
+  const lives = useLives(studentId);
+
+  const [loading, setLoading] = useState(true);
+  const [pool, setPool] = useState(null);
+  const [settings, setSettings] = useState(null);
+
+  // stage: "intro" | "question" | "summary"
+  const [stage, setStage] = useState("intro");
+  const [sessionId, setSessionId] = useState(null);
+  const [state, setState] = useState(startState());
+  const [question, setQuestion] = useState(null);
+  const [answer, setAnswer] = useState(null);
+  const [verdict, setVerdict] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState("");
+  const [livesLost, setLivesLost] = useState(0);
+  const [endReason, setEndReason] = useState("");
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+
+  useEffect(() => {
+    (async () => {
+      const session = await getSession();
+      setStudentId(session?.examUserId || null);
+      const [p, s, lang] = await Promise.all([
+        loadSubjectPool({ packageId, subjectKey }),
+        getAdaptiveSettings(),
+        getQuestionLanguage(),
+      ]);
+      setPool(p);
+      setSettings(s);
+      setLanguage(lang);
+    })().finally(() => setLoading(false));
+  }, [packageId, subjectKey]);
+
+  const noLives = lives.loaded && lives.currentLives === 0;
+
+  const finish = useCallback(async (finalState, reason, lost) => {
+    await finishPracticeSession(studentId, sessionId, finalState, lost);
+    setEndReason(reason);
+    setStage("summary");
+  }, [studentId, sessionId]);
+
+  const start = async () => {
+    if (!pool?.questions?.length || noLives || !studentId) return;
+    const id = await startPracticeSession(studentId, { packageId, subjectKey, subjectName: pool.subjectName });
+    const first = startState();
+    setSessionId(id);
+    setState(first);
+    setLivesLost(0);
+    setQuestion(pickQuestion(pool.questions, first));
+    setAnswer(null);
+    setVerdict(null);
+    setError("");
+    setStage("question");
+  };
+
+  const check = async () => {
+    if (!question || checking || !isAnswered(question, answer)) return;
+    setChecking(true);
+    setError("");
+    try {
+      const v = await checkPracticeAnswer({
+        studentId,
+        packageId,
+        subjectKey,
+        sessionId,
+        bankId: question.bankId,
+        questionId: question.id,
+        answer,
+        level: question.level,
+      });
+      const next = afterAnswer(state, question, v.correct, settings);
+      setVerdict(v);
+      setState(next);
+
+      // one heart per wrongsPerLife misses, as in practice exams
+      if (!v.correct && next.wrongs % settings.wrongsPerLife === 0) {
+        setLivesLost((n) => n + 1);
+        await deductLives(studentId, 1).catch((e) => console.warn("adaptivePractice: life deduction failed", e));
+      }
+    } catch (e) {
+      setError(e?.message || "Could not check this answer.");
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const goNext = async () => {
+    if (lives.currentLives === 0) return finish(state, "You are out of lives.", livesLost);
+    if (state.answered >= settings.sessionLength) return finish(state, "Session complete.", livesLost);
+    const q = pickQuestion(pool.questions, state);
+    if (!q) return finish(state, "You have answered every question in this subject.", livesLost);
+    setQuestion(q);
+    setAnswer(null);
+    setVerdict(null);
+  };
+
+  const safeAreaPaddingTop = Platform.OS === "android" ? (StatusBar.currentHeight || 0) : 0;
+
+  if (loading) {
+    return (
+      <SafeAreaView style={[styles.loadingWrap, { paddingTop: safeAreaPaddingTop }]}>
+        <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+        <ActivityIndicator size="large" color={C.primary} />
+      </SafeAreaView>
+    );
+  }
+
+  const levelName = LEVELS[state.level];
+  const header = (
+    <View style={styles.headerBar}>
+      <TouchableOpacity
+        onPress={() => (stage === "question" ? finish(state, "Session ended.", livesLost) : router.back())}
+        style={styles.backBtn}
+      >
+        <Ionicons name={stage === "question" ? "close" : "chevron-back"} size={22} color={C.text} />
+      </TouchableOpacity>
+      <View style={{ flex: 1, marginLeft: 10 }}>
+        <Text style={styles.title}>Adaptive practice</Text>
+        <Text style={styles.subtitle}>{pool?.subjectName || ""}</Text>
+      </View>
+      {stage === "question" ? (
+        <LanguageToggle languages={availableLanguages(pool?.questions)} value={language} onChange={setLanguage} />
+      ) : null}
+      <View style={styles.heartPill}>
+        <Ionicons name="heart" size={14} color={HEART_COLOR} />
+        <Text style={styles.heartText}>{lives.currentLives ?? "–"}</Text>
+      </View>
+    </View>
+  );
+
+  if (stage === "summary") {
+    return (
+      <SafeAreaView style={[styles.safeRoot, { paddingTop: safeAreaPaddingTop }]}>
+        <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+        {header}
+        <View style={styles.centerWrap}>
+          <Ionicons name="trending-up" size={56} color={C.primary} />
+          <Text style={styles.bigTitle}>{endReason}</Text>
+          <Text style={styles.muted}>
+            {state.correct} of {state.answered} correct · reached {LEVELS[state.topLevel]}
+          </Text>
+          {livesLost ? <Text style={[styles.muted, { color: C.danger }]}>{livesLost} heart{livesLost === 1 ? "" : "s"} used</Text> : null}
+          <TouchableOpacity style={[styles.primaryBtn, styles.stretch]} onPress={() => router.back()}>
+            <Text style={styles.primaryBtnText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (stage === "question" && question) {
+    return (
+      <SafeAreaView style={[styles.safeRoot, { paddingTop: safeAreaPaddingTop }]}>
+        <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+        {header}
+        <View style={styles.statusRow}>
+          <View style={[styles.levelPill, { backgroundColor: LEVEL_COLORS[question.level] }]}>
+            <Text style={styles.levelText}>{question.level}</Text>
+          </View>
+          <Text style={styles.muted}>
+            Question {state.answered + (verdict ? 0 : 1)} / {settings.sessionLength} · {state.correct} correct
+          </Text>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.body}>
+          <PracticeQuestion
+            question={question}
+            language={language}
+            value={answer}
+            onChange={setAnswer}
+            feedback={
+              verdict
+                ? {
+                    correct: verdict.correct,
+                    text: verdict.correct
+                      ? levelName !== question.level
+                        ? `Correct ✅ Moving up to ${levelName}`
+                        : "Correct ✅"
+                      : verdict.credit > 0
+                        ? `Partly correct (${Math.round(verdict.credit * 100)}%)`
+                        : levelName !== question.level
+                          ? `Wrong ❌ Moving to ${levelName}`
+                          : "Wrong ❌",
+                    correctAnswer: verdict.correctAnswer,
+                    explanation: verdict.explanation,
+                    explanationTranslations: verdict.explanationTranslations,
+                  }
+                : null
+            }
+          />
+          {error ? <Text style={styles.error}>{error}</Text> : null}
+        </ScrollView>
+
+        <View style={styles.footer}>
+          {verdict ? (
+            <TouchableOpacity style={styles.primaryBtn} onPress={goNext}>
+              <Text style={styles.primaryBtnText}>Next</Text>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              style={[styles.primaryBtn, !isAnswered(question, answer) || checking ? { opacity: 0.55 } : null]}
+              disabled={!isAnswered(question, answer) || checking}
+              onPress={check}
+            >
+              <Text style={styles.primaryBtnText}>{checking ? "Checking…" : "Check answer"}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const count = pool?.questions?.length || 0;
+  return (
+    <SafeAreaView style={[styles.safeRoot, { paddingTop: safeAreaPaddingTop }]}>
+      <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+      {header}
+      <ScrollView contentContainerStyle={styles.body}>
+        <View style={styles.infoCard}>
+          <Text style={styles.infoTitle}>How it works</Text>
+          <Text style={styles.infoText}>
+            Questions from every round of this subject, up to {settings?.sessionLength} per session. After{" "}
+            {settings?.stepUpAfter} correct answers in a row you move to harder questions; a miss brings easier ones.
+          </Text>
+          <Text style={[styles.infoText, { marginTop: 8 }]}>
+            Every {settings?.wrongsPerLife} wrong answers cost a heart. Practice sessions do not change your round progress or ranking.
+          </Text>
+        </View>
+
+        {!pool ? <Text style={styles.error}>Adaptive practice is only available for practice packages.</Text> : null}
+        {pool && !count ? <Text style={styles.error}>No questions are available for this subject yet.</Text> : null}
+        {noLives ? (
+          <Text style={styles.error}>No lives left. Next life in {formatMsToMMSS(lives.nextInMs)}</Text>
+        ) : null}
+
+        <TouchableOpacity
+          style={[styles.primaryBtn, !count || noLives ? { opacity: 0.55 } : null]}
+          disabled={!count || noLives}
+          onPress={start}
+        >
+          <Text style={styles.primaryBtnText}>Start practice</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeRoot: { flex: 1, backgroundColor: C.bg },
+  loadingWrap: { flex: 1, backgroundColor: C.bg, justifyContent: "center", alignItems: "center" },
+
+  headerBar: { minHeight: 62, paddingHorizontal: 16, flexDirection: "row", alignItems: "center", backgroundColor: C.bg },
+  backBtn: { width: 40, height: 40, borderRadius: 10, alignItems: "center", justifyContent: "center", backgroundColor: "#F7F9FF" },
+  title: { fontSize: 18, fontWeight: "900", color: C.text },
+  subtitle: { marginTop: 2, color: C.muted, fontSize: 12 },
+  heartPill: { flexDirection: "row", alignItems: "center", backgroundColor: "#FEF2F2", borderRadius: 12, paddingHorizontal: 10, paddingVertical: 6 },
+  heartText: { marginLeft: 4, color: HEART_COLOR, fontWeight: "900" },
+
+  statusRow: { flexDirection: "row", alignItems: "center", paddingHorizontal: 16, gap: 10 },
+  levelPill: { borderRadius: 999, paddingHorizontal: 10, paddingVertical: 4 },
+  levelText: { color: "#fff", fontWeight: "900", fontSize: 12, textTransform: "capitalize" },
+
+  body: { flexGrow: 1, paddingHorizontal: 16, paddingBottom: 24 },
+  muted: { marginTop: 4, color: C.muted, fontWeight: "700", textAlign: "center" },
+  error: { marginTop: 12, color: "#B54708", fontWeight: "700" },
+
+  infoCard: { marginTop: 8, borderWidth: 1, borderColor: C.border, backgroundColor: "#F8FAFF", borderRadius: 12, padding: 12 },
+  infoTitle: { fontWeight: "900", color: C.text, marginBottom: 6 },
+  infoText: { color: C.muted, lineHeight: 20 },
+
+  footer: { marginHorizontal: 16, marginBottom: 12 },
+  primaryBtn: { marginTop: 18, backgroundColor: C.primary, borderRadius: 12, alignItems: "center", paddingVertical: 14 },
+  primaryBtnText: { color: "#fff", fontWeight: "900" },
+  stretch: { alignSelf: "stretch", marginTop: 24 },
+
+  centerWrap: { flex: 1, alignItems: "center", justifyContent: "center", paddingHorizontal: 24 },
+  bigTitle: { marginTop: 12, fontSize: 22, fontWeight: "900", color: C.text, textAlign: "center" },
+});
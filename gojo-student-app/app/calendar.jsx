@@ -8,11 +8,10 @@ import {
   ScrollView,
   RefreshControl,
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
-import { ref, get } from "firebase/database";
-import { database } from "../constants/firebaseConfig";
 import { Ionicons } from "@expo/vector-icons";
 import * as EthiopianDate from "ethiopian-date";
+import { getCalendarEventsSnapshot, resolveSchoolPaths } from "./lib/schoolRepo";
+import { LastUpdatedHint } from "../components/last-updated-hint";
 
 const PRIMARY = "#2563EB";
 const PRIMARY_DARK = "#1D4ED8";
@@ -360,6 +359,7 @@ export default function CalendarTab() {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [events, setEvents] = useState([]);
+  const [eventsPaths, setEventsPaths] = useState([]);
 
   const [ethYear, setEthYear] = useState(todayEth.year);
   const [ethMonth, setEthMonth] = useState(todayEth.month);
@@ -371,17 +371,10 @@ export default function CalendarTab() {
   const scrollRef = useRef(null);
   const detailsYRef = useRef(0);
 
-  const getPathPrefix = async () => {
-    const sk = (await AsyncStorage.getItem("schoolKey")) || null;
-    return sk ? `Platform1/Schools/${sk}/` : "";
-  };
-
-  const fetchCalendarEvents = async () => {
+  const fetchCalendarEvents = async (options = {}) => {
     try {
-      const prefix = await getPathPrefix();
-      const snap = await get(ref(database, `${prefix}CalendarEvents`));
-
-      if (!snap.exists()) return [];
+      const snap = await getCalendarEventsSnapshot(options);
+      if (!snap) return [];
 
       const arr = [];
       snap.forEach((child) => {
@@ -421,8 +414,10 @@ export default function CalendarTab() {
     (async () => {
       setLoading(true);
       const data = await fetchCalendarEvents();
+      const paths = await resolveSchoolPaths("CalendarEvents");
       if (mounted) {
         setEvents(data);
+        setEventsPaths(paths);
         setLoading(false);
       }
     })();
@@ -434,7 +429,7 @@ export default function CalendarTab() {
 
   const onRefresh = async () => {
     setRefreshing(true);
-    const data = await fetchCalendarEvents();
+    const data = await fetchCalendarEvents({ cache: false });
     setEvents(data);
     setRefreshing(false);
   };
@@ -583,6 +578,7 @@ export default function CalendarTab() {
                   {amharic ? "የኢትዮጵያ ቀን መቁጠሪያ" : "Ethiopian calendar mode"}
                 </Text>
               </View>
+              <LastUpdatedHint paths={eventsPaths} style={{ marginTop: 6 }} />
             </View>
           </View>
 
@@ -12,8 +12,14 @@ import {
 } from "react-native";
 import { useLocalSearchParams, useRouter } from "expo-router";
 import { Ionicons } from "@expo/vector-icons";
-import { ref, get, set, remove } from "firebase/database";
+import { ref, get, remove } from "firebase/database";
 import { database } from "../constants/firebaseConfig";
+import { safeSet } from "./lib/dbHelpers";
+import { subscribeOutbox } from "./lib/writeQueue";
+import { serverNow } from "./lib/serverTime";
+import { getSession } from "./lib/session";
+import { parseFlashcards, syncNoteFlashcards } from "./lib/reviewScheduler";
+import { awardXp, dayKey } from "./lib/studyStreak";
 import { useSafeAreaInsets } from "react-native-safe-area-context";
 
 const PRIMARY = "#0B72FF";
@@ -59,6 +65,9 @@ export default function ChapterNoteScreen() {
   const [colorTag, setColorTag] = useState(NOTE_COLORS[0]);
 
   const lastSavedRef = useRef("");
+  const createdAtRef = useRef(null);
+  const syncedCardsRef = useRef(null);
+  const xpDayRef = useRef(null);
 
   const gradeKey = useMemo(() => normalizeGradeKey(grade), [grade]);
 
@@ -67,6 +76,21 @@ export default function ChapterNoteScreen() {
     return `Platform1/Schools/${schoolCode}/StudentBookNotes/${studentId}/${gradeKey}/${subjectKey}/${unitKey}`;
   }, [schoolCode, studentId, gradeKey, subjectKey, unitKey]);
 
+  const deck = useMemo(
+    () => ({ deckId: `${gradeKey}__${subjectKey}__${unitKey}`, subjectName: subjectTitle || "", chapter: unitTitle || "" }),
+    [gradeKey, subjectKey, unitKey, subjectTitle, unitTitle]
+  );
+  const flashcardCount = useMemo(() => parseFlashcards(noteText).length, [noteText]);
+
+  // keep the review queue's deck for this note in step with its "front :: back" lines
+  const syncFlashcards = async (text) => {
+    const cards = JSON.stringify(parseFlashcards(text));
+    if (cards === syncedCardsRef.current) return;
+    const examUserId = (await getSession())?.examUserId;
+    await syncNoteFlashcards(examUserId, deck, text);
+    syncedCardsRef.current = cards;
+  };
+
   useEffect(() => {
     (async () => {
       try {
@@ -75,6 +99,7 @@ export default function ChapterNoteScreen() {
         const snap = await get(ref(database, notePath));
         if (snap.exists()) {
           const val = snap.val() || {};
+          createdAtRef.current = val.createdAt || null;
           setNoteTitle(val.title || "");
           setNoteText(val.text || "");
           setPinned(!!val.pinned);
@@ -125,16 +150,26 @@ export default function ChapterNoteScreen() {
     return () => clearTimeout(timer);
   }, [noteTitle, noteText, pinned, colorTag, notePath, loading]);
 
+  // flip "Saved offline" to "Saved" once the outbox has delivered this note
+  useEffect(() => {
+    if (!notePath) return;
+    return subscribeOutbox((items) => {
+      const mine = items.filter((it) => it.tag === "chapter-note" && it.meta?.path === notePath);
+      if (mine.some((it) => it.status === "failed")) setSaveStatus("Failed");
+      else if (!mine.length) setSaveStatus((s) => (s === "Saved offline" ? "Saved" : s));
+    });
+  }, [notePath]);
+
   const saveNote = async (showAlert = true) => {
     try {
       if (!notePath) return;
       setSaving(true);
       setSaveStatus("Saving...");
 
-      const now = Date.now();
-      const existing = await get(ref(database, notePath));
-      const prev = existing.exists() ? existing.val() || {} : {};
+      const now = serverNow();
+      if (!createdAtRef.current) createdAtRef.current = now;
 
+      // updatedAt lets the outbox drop this save if another device saved later
       const payload = {
         studentId,
         gradeKey,
@@ -144,11 +179,11 @@ export default function ChapterNoteScreen() {
         text: noteText,
         pinned: !!pinned,
         colorTag,
-        createdAt: prev.createdAt || now,
+        createdAt: createdAtRef.current,
         updatedAt: now,
       };
 
-      await set(ref(database, notePath), payload);
+      const { queued } = await safeSet(notePath, payload, { tag: "chapter-note", meta: { path: notePath } });
 
       lastSavedRef.current = JSON.stringify({
         title: payload.title,
@@ -157,8 +192,20 @@ export default function ChapterNoteScreen() {
         colorTag: payload.colorTag,
       });
 
-      setSaveStatus("Saved");
-      if (showAlert) Alert.alert("Saved", "Your chapter note was saved.");
+      setSaveStatus(queued ? "Saved offline" : "Saved");
+      syncFlashcards(payload.text).catch(() => {});
+      // XP once per note and day; autosave would otherwise ask on every pause
+      const today = dayKey(now);
+      if (payload.text.trim() && xpDayRef.current !== today) {
+        xpDayRef.current = today;
+        getSession().then((s) => awardXp(s?.examUserId, { kind: "note", key: `note__${deck.deckId}__${today}` }));
+      }
+      if (showAlert) {
+        Alert.alert(
+          "Saved",
+          queued ? "Saved on this device. It will sync when you are back online." : "Your chapter note was saved."
+        );
+      }
     } catch {
       setSaveStatus("Failed");
       if (showAlert) Alert.alert("Save failed", "Could not save note.");
@@ -171,6 +218,7 @@ export default function ChapterNoteScreen() {
     try {
       if (!notePath) return;
       await remove(ref(database, notePath));
+      syncFlashcards("").catch(() => {});
       Alert.alert("Deleted", "Note removed.", [
         {
           text: "OK",
@@ -226,6 +274,8 @@ export default function ChapterNoteScreen() {
                   ? "checkmark-circle"
                   : saveStatus === "Saving..."
                   ? "time-outline"
+                  : saveStatus === "Saved offline"
+                  ? "cloud-offline-outline"
                   : "alert-circle-outline"
               }
               size={14}
@@ -234,6 +284,8 @@ export default function ChapterNoteScreen() {
                   ? "#12B76A"
                   : saveStatus === "Saving..."
                   ? PRIMARY
+                  : saveStatus === "Saved offline"
+                  ? "#B45309"
                   : "#EF4444"
               }
             />
@@ -289,6 +341,10 @@ export default function ChapterNoteScreen() {
           <Text style={styles.helperText}>
             Use this page for summary notes, key formulas, questions to ask later, and exam revision points.
           </Text>
+          <Text style={[styles.helperText, { marginTop: 6 }]}>
+            Write a line as &quot;term :: meaning&quot; to turn it into a flashcard for your daily review.
+            {flashcardCount ? ` This note has ${flashcardCount} flashcard${flashcardCount === 1 ? "" : "s"}.` : ""}
+          </Text>
         </View>
 
         <View style={styles.actionRow}>
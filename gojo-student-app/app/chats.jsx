@@ -13,14 +13,22 @@ import {
   RefreshControl,
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
-import AsyncStorage from "@react-native-async-storage/async-storage";
-import { ref, get } from "firebase/database";
-import { database } from "../constants/firebaseConfig";
 import { Ionicons } from "@expo/vector-icons";
 import { useRouter } from "expo-router";
 import { setOpenedChat } from "./lib/chatStore";
 import { useFocusEffect } from "@react-navigation/native";
 import { getUserVal } from "./lib/userHelpers";
+import { getSession } from "./lib/session";
+import { getAccountItem, setAccountItem } from "./lib/accountStorage";
+import {
+  getStudent,
+  getCoursesSnapshot,
+  getTeacherAssignmentsSnapshot,
+  getTeachersSnapshot,
+  getStaffSnapshot,
+  getChatsSnapshot,
+  getChat,
+} from "./lib/schoolRepo";
 
 const PRIMARY = "#007AFB";
 const MUTED = "#6B78A8";
@@ -67,21 +75,11 @@ export default function ChatsScreen() {
 
   const makeDeterministicChatId = (a, b) => `${a}_${b}`;
 
-  async function getDbRef(subPath) {
-    const sk = (await AsyncStorage.getItem("schoolKey")) || null;
-    if (sk) return ref(database, `Platform1/Schools/${sk}/${subPath}`);
-    return ref(database, subPath);
-  }
-
   const resolveCurrentUserId = useCallback(async () => {
-    let uId = await AsyncStorage.getItem("userId");
-    if (uId) return uId;
-
-    const nodeKey =
-      (await AsyncStorage.getItem("userNodeKey")) ||
-      (await AsyncStorage.getItem("studentNodeKey")) ||
-      (await AsyncStorage.getItem("studentId")) ||
-      null;
+    const session = await getSession();
+    if (session?.userId) return session.userId;
+
+    const nodeKey = session?.userNodeKey || session?.studentId || null;
     if (!nodeKey) return null;
 
     try {
@@ -93,13 +91,13 @@ export default function ChatsScreen() {
 
   const loadCacheAndShow = async () => {
     try {
-      const raw = await AsyncStorage.getItem("chatsCache");
+      const raw = await getAccountItem("chatsCache");
       if (raw) {
         const parsed = JSON.parse(raw);
         if (Array.isArray(parsed) && parsed.length > 0) {
           setContacts(parsed);
           setLoadingInitial(false);
-          const fetchedAt = Number((await AsyncStorage.getItem("chatsCacheFetchedAt")) || 0);
+          const fetchedAt = Number((await getAccountItem("chatsCacheFetchedAt")) || 0);
           lastFetchedAtRef.current = fetchedAt;
           return true;
         }
@@ -111,10 +109,7 @@ export default function ChatsScreen() {
   const loadData = useCallback(async ({ background = false } = {}) => {
     if (!background) setLoadingInitial(true);
     try {
-      const studentNodeKey =
-        (await AsyncStorage.getItem("studentNodeKey")) ||
-        (await AsyncStorage.getItem("studentId")) ||
-        null;
+      const studentNodeKey = (await getSession())?.studentId || null;
 
       const resolvedUserId = await resolveCurrentUserId();
       setCurrentUserId(resolvedUserId || null);
@@ -124,9 +119,8 @@ export default function ChatsScreen() {
       let studentParentsMap = {};
       try {
         if (studentNodeKey) {
-          const snap = await get(await getDbRef(`Students/${studentNodeKey}`));
-          if (snap.exists()) {
-            const s = snap.val() || {};
+          const s = await getStudent(studentNodeKey);
+          if (s) {
             studentGrade = s?.grade ? String(s.grade) : null;
             studentSection = s?.section ? String(s.section) : null;
             studentParentsMap = s?.parents || s?.parentGuardianInformation?.parents || {};
@@ -140,8 +134,8 @@ export default function ChatsScreen() {
       if (cacheRef.current.studentNodeKey !== studentNodeKey || !cacheRef.current.teacherIdsForStudent) {
         const courseKeys = new Set();
         try {
-          const coursesSnap = await get(await getDbRef("Courses"));
-          if (coursesSnap.exists() && studentGrade && studentSection) {
+          const coursesSnap = await getCoursesSnapshot();
+          if (coursesSnap && studentGrade && studentSection) {
             coursesSnap.forEach((c) => {
               const val = c.val();
               const key = c.key;
@@ -154,8 +148,8 @@ export default function ChatsScreen() {
 
         const teacherIdsForStudent = new Set();
         try {
-          const taSnap = await get(await getDbRef("TeacherAssignments"));
-          if (taSnap.exists() && courseKeys.size > 0) {
+          const taSnap = await getTeacherAssignmentsSnapshot();
+          if (taSnap && courseKeys.size > 0) {
             taSnap.forEach((child) => {
               const val = child.val();
               if (val?.courseId && courseKeys.has(val.courseId) && val?.teacherId) {
@@ -167,8 +161,8 @@ export default function ChatsScreen() {
 
         const teacherNodeKeyMap = {};
         try {
-          const teachersSnap = await get(await getDbRef("Teachers"));
-          if (teachersSnap.exists()) {
+          const teachersSnap = await getTeachersSnapshot();
+          if (teachersSnap) {
             teachersSnap.forEach((child) => {
               const v = child.val();
               const teacherId = v?.teacherId;
@@ -204,8 +198,8 @@ export default function ChatsScreen() {
       const managementMap = new Map(); // userId -> role label
 
       try {
-        const saSnap = await get(await getDbRef("School_Admins"));
-        if (saSnap.exists()) {
+        const saSnap = await getStaffSnapshot("School_Admins");
+        if (saSnap) {
           saSnap.forEach((child) => {
             const v = child.val();
             if (v?.userId) managementMap.set(String(v.userId), "Management");
@@ -214,8 +208,8 @@ export default function ChatsScreen() {
       } catch {}
 
       try {
-        const regSnap = await get(await getDbRef("Registerers"));
-        if (regSnap.exists()) {
+        const regSnap = await getStaffSnapshot("Registerers");
+        if (regSnap) {
           regSnap.forEach((child) => {
             const v = child.val();
             if (v?.userId) managementMap.set(String(v.userId), "Registerer");
@@ -224,8 +218,8 @@ export default function ChatsScreen() {
       } catch {}
 
       try {
-        const finSnap = await get(await getDbRef("Finances"));
-        if (finSnap.exists()) {
+        const finSnap = await getStaffSnapshot("Finances");
+        if (finSnap) {
           finSnap.forEach((child) => {
             const v = child.val();
             if (v?.userId) managementMap.set(String(v.userId), "Finance");
@@ -312,8 +306,8 @@ export default function ChatsScreen() {
 
       // merge chat last message + unread
       try {
-        const chatsSnap = await get(await getDbRef("Chats"));
-        if (chatsSnap.exists()) {
+        const chatsSnap = await getChatsSnapshot();
+        if (chatsSnap) {
           chatsSnap.forEach((child) => {
             const chatKey = child.key;
             const val = child.val() || {};
@@ -358,8 +352,8 @@ export default function ChatsScreen() {
       setContacts(fresh);
 
       try {
-        await AsyncStorage.setItem("chatsCache", JSON.stringify(fresh));
-        await AsyncStorage.setItem("chatsCacheFetchedAt", String(Date.now()));
+        await setAccountItem("chatsCache", JSON.stringify(fresh));
+        await setAccountItem("chatsCacheFetchedAt", String(Date.now()));
         lastFetchedAtRef.current = Date.now();
       } catch {}
     } catch (err) {
@@ -374,7 +368,7 @@ export default function ChatsScreen() {
     (async () => {
       await loadCacheAndShow();
       try {
-        const fetchedAt = Number((await AsyncStorage.getItem("chatsCacheFetchedAt")) || 0);
+        const fetchedAt = Number((await getAccountItem("chatsCacheFetchedAt")) || 0);
         if (!fetchedAt || Date.now() - fetchedAt > debounceWindowMs) loadData({ background: true });
         else lastFetchedAtRef.current = fetchedAt;
       } catch {
@@ -410,34 +404,15 @@ export default function ChatsScreen() {
       }
     }
 
-    let myUserId = await AsyncStorage.getItem("userId");
-    if (!myUserId) {
-      const nk =
-        (await AsyncStorage.getItem("userNodeKey")) ||
-        (await AsyncStorage.getItem("studentNodeKey")) ||
-        (await AsyncStorage.getItem("studentId")) ||
-        null;
-      if (nk) {
-        try {
-          const u = await getUserVal(nk);
-          myUserId = u?.userId || nk;
-        } catch {
-          myUserId = nk;
-        }
-      }
-    }
+    const myUserId = await resolveCurrentUserId();
 
     let existingChatId = "";
     if (myUserId && contactUserId) {
       try {
         const c1 = makeDeterministicChatId(myUserId, contactUserId);
         const c2 = makeDeterministicChatId(contactUserId, myUserId);
-        const s1 = await get(await getDbRef(`Chats/${c1}`));
-        if (s1.exists()) existingChatId = c1;
-        else {
-          const s2 = await get(await getDbRef(`Chats/${c2}`));
-          if (s2.exists()) existingChatId = c2;
-        }
+        if (await getChat(c1)) existingChatId = c1;
+        else if (await getChat(c2)) existingChatId = c2;
       } catch (e) {
         console.warn("onOpenChat find existing chat error", e);
       }
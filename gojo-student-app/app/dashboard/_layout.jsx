@@ -2,32 +2,44 @@ import React, { useEffect, useState, useRef } from "react";
 import { Tabs, useRouter } from "expo-router";
 import { Ionicons } from "@expo/vector-icons";
 import { Text, TouchableOpacity, View, Image, StyleSheet } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import { ref, get, onValue, off } from "firebase/database";
 import { database } from "../../constants/firebaseConfig";
+import { getSession } from "../lib/session";
+import { subscribeStreak } from "../lib/studyStreak";
 import { StatusBar } from "expo-status-bar";
 
 const PRIMARY = "#007AFB";
 const WHITE = "#FFFFFF";
+const FLAME = "#F97316";
 
 export default function DashboardLayout() {
   const router = useRouter();
   const [profileImage, setProfileImage] = useState(null);
   const [totalUnread, setTotalUnread] = useState(0);
+  const [streak, setStreak] = useState(null);
   const chatsCleanupRef = useRef(null);
 
+  useEffect(() => {
+    let unsubscribe = null;
+    let mounted = true;
+    getSession().then((session) => {
+      if (mounted) unsubscribe = subscribeStreak(session?.examUserId || null, setStreak);
+    });
+    return () => {
+      mounted = false;
+      if (unsubscribe) unsubscribe();
+    };
+  }, []);
+
   useEffect(() => {
     let mounted = true;
 
     (async () => {
       try {
-        const userNodeKey =
-          (await AsyncStorage.getItem("userNodeKey")) ||
-          (await AsyncStorage.getItem("userId")) ||
-          null;
-
-        const userId = await AsyncStorage.getItem("userId");
-        const schoolKey = await AsyncStorage.getItem("schoolKey");
+        const session = await getSession();
+        const userNodeKey = session?.userNodeKey || session?.userId || null;
+        const userId = session?.userId || null;
+        const schoolKey = session?.schoolKey || null;
 
         if (userNodeKey) {
           const userPath = schoolKey
@@ -98,6 +110,17 @@ export default function DashboardLayout() {
 
   const HomeHeaderRight = () => (
     <View style={styles.headerRightRow}>
+      {streak ? (
+        <TouchableOpacity
+          style={styles.streakPill}
+          onPress={() => router.push("/achievements")}
+          accessibilityLabel={`${streak.current} day streak${streak.activeToday ? "" : ", study today to keep it"}`}
+        >
+          <Ionicons name={streak.activeToday ? "flame" : "flame-outline"} size={18} color={streak.current ? FLAME : "#9AA3B8"} />
+          <Text style={[styles.streakText, !streak.current && { color: "#9AA3B8" }]}>{streak.current}</Text>
+        </TouchableOpacity>
+      ) : null}
+
       <TouchableOpacity style={styles.iconButton} onPress={() => router.push("/chats")}>
         <View style={styles.chatIconWrap}>
           <Ionicons name="chatbubbles-outline" size={22} color="#222" />
@@ -213,6 +236,23 @@ const styles = StyleSheet.create({
     backgroundColor: "#F6F8FF",
   },
 
+  streakPill: {
+    flexDirection: "row",
+    alignItems: "center",
+    height: 32,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    borderRadius: 16,
+    backgroundColor: "#FFF4EC",
+  },
+
+  streakText: {
+    marginLeft: 4,
+    color: FLAME,
+    fontSize: 14,
+    fontWeight: "800",
+  },
+
   iconButton: {
     width: 38,
     height: 38,
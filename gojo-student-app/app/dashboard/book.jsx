@@ -14,14 +14,21 @@ import {
   TextInput,
   Switch,
   Animated,
+  AppState,
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import { ref, get } from "firebase/database";
 import { database } from "../../constants/firebaseConfig";
 import { Ionicons } from "@expo/vector-icons";
 import * as FileSystem from "expo-file-system/legacy";
 import { WebView } from "react-native-webview";
-import { useRouter, useFocusEffect } from "expo-router";
+import { useRouter, useFocusEffect, useLocalSearchParams } from "expo-router";
+import { getValue } from "../lib/dbHelpers";
+import { sha1 } from "../lib/hash";
+import { getSession, setSessionGrade } from "../lib/session";
+import { accountDirectory, getAccountItem, setAccountItem } from "../lib/accountStorage";
+import { awardReadingXp } from "../lib/studyStreak";
+import { useSession } from "../../components/session-provider";
+import { LastUpdatedHint } from "../../components/last-updated-hint";
 
 const PRIMARY = "#0B72FF";
 const TEXT = "#0B2540";
@@ -31,45 +38,9 @@ const BORDER = "#EAF0FF";
 const BG = "#ffffff";
 const SUCCESS = "#12B76A";
 
-const BOOKS_DIR = `${FileSystem.documentDirectory}books/`;
 const DOWNLOAD_INDEX_KEY = "downloaded_books_index_v1";
 const BOOK_SETTINGS_KEY = "book_settings_v1";
-
-function sha1(msg) {
-  function rotl(n, s) { return (n << s) | (n >>> (32 - s)); }
-  function tohex(i) { return ("00000000" + i.toString(16)).slice(-8); }
-  let H0 = 0x67452301, H1 = 0xEFCDAB89, H2 = 0x98BADCFE, H3 = 0x10325476, H4 = 0xC3D2E1F0;
-  const ml = msg.length;
-  const wa = [];
-  for (let i = 0; i < ml; i++) wa[i >> 2] |= msg.charCodeAt(i) << (24 - (i % 4) * 8);
-  const l = ((ml + 8) >> 6) + 1;
-  const words = new Array(l * 16).fill(0);
-  for (let i = 0; i < wa.length; i++) words[i] = wa[i];
-  words[ml >> 2] |= 0x80 << (24 - (ml % 4) * 8);
-  words[words.length - 1] = ml * 8;
-
-  for (let i = 0; i < words.length; i += 16) {
-    const w = words.slice(i, i + 16);
-    let a = H0, b = H1, c = H2, d = H3, e = H4;
-    for (let t = 0; t < 80; t++) {
-      let wt;
-      if (t < 16) wt = w[t];
-      else {
-        const x = w[t - 3] ^ w[t - 8] ^ w[t - 14] ^ w[t - 16];
-        wt = rotl(x, 1); w[t] = wt;
-      }
-      let f, k;
-      if (t < 20) { f = (b & c) | (~b & d); k = 0x5A827999; }
-      else if (t < 40) { f = b ^ c ^ d; k = 0x6ED9EBA1; }
-      else if (t < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8F1BBCDC; }
-      else { f = b ^ c ^ d; k = 0xCA62C1D6; }
-      const temp = (rotl(a, 5) + f + e + k + (wt >>> 0)) >>> 0;
-      e = d; d = c; c = rotl(b, 30) >>> 0; b = a; a = temp;
-    }
-    H0 = (H0 + a) >>> 0; H1 = (H1 + b) >>> 0; H2 = (H2 + c) >>> 0; H3 = (H3 + d) >>> 0; H4 = (H4 + e) >>> 0;
-  }
-  return tohex(H0) + tohex(H1) + tohex(H2) + tohex(H3) + tohex(H4);
-}
+const READING_TICK_MS = 5000;
 
 function titleize(s) {
   return String(s || "").replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
@@ -117,6 +88,14 @@ function getSubjectColor(subjectName) {
 
 export default function BooksScreen() {
   const router = useRouter();
+  // other screens link to one unit with { subjectKey, unitKey }
+  const linkParams = useLocalSearchParams();
+  const { session } = useSession();
+  // downloads are kept per account so siblings on one phone see only their own
+  const booksDir = useMemo(
+    () => accountDirectory(session?.accountId, "books") || `${FileSystem.documentDirectory}books/`,
+    [session?.accountId]
+  );
 
   const [loading, setLoading] = useState(true);
   const [subjects, setSubjects] = useState([]);
@@ -144,19 +123,20 @@ export default function BooksScreen() {
 
   const [viewer, setViewer] = useState({ visible: false, uri: null, title: "" });
   const [notesMap, setNotesMap] = useState({});
+  const [booksPath, setBooksPath] = useState(null);
 
   const [showFloatingIndicators, setShowFloatingIndicators] = useState(false);
 
   const floatingAnimValue = useRef(new Animated.Value(0)).current;
 
   const ensureBooksDir = useCallback(async () => {
-    const info = await FileSystem.getInfoAsync(BOOKS_DIR);
-    if (!info.exists) await FileSystem.makeDirectoryAsync(BOOKS_DIR, { intermediates: true });
-  }, []);
+    const info = await FileSystem.getInfoAsync(booksDir);
+    if (!info.exists) await FileSystem.makeDirectoryAsync(booksDir, { intermediates: true });
+  }, [booksDir]);
 
   const loadSettings = useCallback(async () => {
     try {
-      const raw = await AsyncStorage.getItem(BOOK_SETTINGS_KEY);
+      const raw = await getAccountItem(BOOK_SETTINGS_KEY);
       if (raw) {
         const parsed = JSON.parse(raw);
         setSettings((prev) => ({ ...prev, ...parsed }));
@@ -167,7 +147,7 @@ export default function BooksScreen() {
   const saveSettings = useCallback(async (next) => {
     setSettings(next);
     try {
-      await AsyncStorage.setItem(BOOK_SETTINGS_KEY, JSON.stringify(next));
+      await setAccountItem(BOOK_SETTINGS_KEY, JSON.stringify(next));
     } catch {}
   }, []);
 
@@ -200,12 +180,12 @@ export default function BooksScreen() {
 
   const getLocalPathForUrl = useCallback((url) => {
     const name = getLocalFilename(url);
-    return name ? `${BOOKS_DIR}${name}` : null;
-  }, [getLocalFilename]);
+    return name ? `${booksDir}${name}` : null;
+  }, [getLocalFilename, booksDir]);
 
   const loadDownloadIndex = useCallback(async () => {
     try {
-      const raw = await AsyncStorage.getItem(DOWNLOAD_INDEX_KEY);
+      const raw = await getAccountItem(DOWNLOAD_INDEX_KEY);
       return raw ? JSON.parse(raw) : {};
     } catch {
       return {};
@@ -213,7 +193,7 @@ export default function BooksScreen() {
   }, []);
 
   const saveDownloadIndex = useCallback(async (idx) => {
-    await AsyncStorage.setItem(DOWNLOAD_INDEX_KEY, JSON.stringify(idx || {}));
+    await setAccountItem(DOWNLOAD_INDEX_KEY, JSON.stringify(idx || {}));
   }, []);
 
   const registerDownloadMetadata = useCallback(async (url, meta) => {
@@ -240,11 +220,11 @@ export default function BooksScreen() {
   const refreshDownloadedFiles = useCallback(async () => {
     await ensureBooksDir();
     const idx = await loadDownloadIndex();
-    const names = await FileSystem.readDirectoryAsync(BOOKS_DIR);
+    const names = await FileSystem.readDirectoryAsync(booksDir);
     const list = [];
 
     for (const name of names) {
-      const uri = `${BOOKS_DIR}${name}`;
+      const uri = `${booksDir}${name}`;
       const info = await FileSystem.getInfoAsync(uri);
       if (!info.exists) continue;
       const meta = idx[name] || {};
@@ -261,7 +241,7 @@ export default function BooksScreen() {
 
     list.sort((a, b) => (b.modificationTime || 0) - (a.modificationTime || 0));
     setDownloadedFilesList(list);
-  }, [ensureBooksDir, loadDownloadIndex]);
+  }, [ensureBooksDir, loadDownloadIndex, booksDir]);
 
   const cancelDownload = useCallback(async (url) => {
     const active = activeDownloadsRef.current[url];
@@ -361,6 +341,20 @@ export default function BooksScreen() {
     setViewer({ visible: true, uri: gview, title });
   }, []);
 
+  // time in the reader earns XP once it closes. Counted by a timer while the app is in
+  // front, not from clock readings, so changing the phone's time earns nothing.
+  useEffect(() => {
+    if (!viewer.visible) return;
+    let seconds = 0;
+    const timer = setInterval(() => {
+      if (AppState.currentState === "active") seconds += READING_TICK_MS / 1000;
+    }, READING_TICK_MS);
+    return () => {
+      clearInterval(timer);
+      awardReadingXp(studentId, seconds / 60);
+    };
+  }, [viewer.visible, studentId]);
+
   const deleteFile = useCallback(async (file) => {
     await FileSystem.deleteAsync(file.uri, { idempotent: true });
     await removeDownloadMetadata(file.name);
@@ -369,37 +363,32 @@ export default function BooksScreen() {
 
   const loadStudentContext = useCallback(async () => {
     try {
-      const sid =
-        (await AsyncStorage.getItem("studentNodeKey")) ||
-        (await AsyncStorage.getItem("studentId")) ||
-        (await AsyncStorage.getItem("username")) ||
-        null;
+      const session = await getSession();
+      const sid = session?.examUserId || null;
 
       if (!sid) return null;
 
       setStudentId(sid);
 
       const prefix = String(sid).slice(0, 3).toUpperCase();
-      const schoolCodeSnap = await get(ref(database, `Platform1/schoolCodeIndex/${prefix}`));
-      const resolvedSchoolCode = schoolCodeSnap.exists() ? schoolCodeSnap.val() : null;
+      const resolvedSchoolCode = await getValue([`Platform1/schoolCodeIndex/${prefix}`]);
 
       if (resolvedSchoolCode) setSchoolCode(resolvedSchoolCode);
 
       if (resolvedSchoolCode) {
-        const stSnap = await get(ref(database, `Platform1/Schools/${resolvedSchoolCode}/Students/${sid}`));
-        if (stSnap.exists()) {
-          const st = stSnap.val() || {};
+        const st = await getValue([`Platform1/Schools/${resolvedSchoolCode}/Students/${sid}`]);
+        if (st) {
           const g = String(st?.basicStudentInformation?.grade || st?.grade || "").trim();
           if (g) {
             setStudentGrade(g);
+            setSessionGrade(g);
             return { studentId: sid, schoolCode: resolvedSchoolCode, grade: g };
           }
         }
       }
 
-      const cached = await AsyncStorage.getItem("studentGrade");
-      if (cached) {
-        const g = String(cached).toLowerCase().replace("grade", "").trim();
+      if (session.grade) {
+        const g = session.grade;
         setStudentGrade(g);
         return { studentId: sid, schoolCode: resolvedSchoolCode, grade: g };
       }
@@ -455,15 +444,16 @@ export default function BooksScreen() {
       }
 
       const gradeKey = normalizeGradeKey(ctx.grade);
-      const snap = await get(ref(database, `Platform1/TextBooks/${gradeKey}`));
+      const path = `Platform1/TextBooks/${gradeKey}`;
+      setBooksPath(path);
+      const booksObj = await getValue([path]);
 
-      if (!snap.exists()) {
+      if (!booksObj) {
         setSubjects([]);
         setLoading(false);
         return;
       }
 
-      const booksObj = snap.val() || {};
       const list = Object.keys(booksObj).map((subjectKey) => {
         const b = booksObj[subjectKey] || {};
         const unitsObj = b.units || {};
@@ -620,6 +610,19 @@ export default function BooksScreen() {
     ]);
   }, [downloadToLocal, getLocalPathForUrl, openRemotePdfInViewer]);
 
+  // open the linked unit once the books are in, then drop the link so a refresh does not reopen it
+  useEffect(() => {
+    const subjectKey = linkParams.subjectKey;
+    const unitKey = linkParams.unitKey;
+    if (loading || !subjectKey || !unitKey) return;
+    const subject = subjects.find((s) => s.subjectKey === subjectKey);
+    const unit = subject?.units.find((u) => u.unitKey === unitKey);
+    router.setParams({ subjectKey: undefined, unitKey: undefined });
+    if (!subject || !unit) return;
+    setExpanded((p) => ({ ...p, [subjectKey]: true }));
+    openUnit(unit, subject.subjectName);
+  }, [linkParams.subjectKey, linkParams.unitKey, loading, subjects, openUnit, router]);
+
   const downloadOrCancel = useCallback(async (unit, subjectName) => {
     const url = unit.pdfUrl;
     if (!url) return Alert.alert("No PDF", "This unit has no pdfUrl.");
@@ -816,6 +819,8 @@ export default function BooksScreen() {
           </TouchableOpacity>
         </View>
 
+        {booksPath ? <LastUpdatedHint paths={[booksPath]} style={styles.lastUpdated} /> : null}
+
         <Animated.View style={[
           styles.floatingIndicatorsWrap,
           {
@@ -1107,6 +1112,10 @@ const styles = StyleSheet.create({
     paddingTop: 14,
     paddingBottom: 8,
   },
+  lastUpdated: {
+    paddingHorizontal: 16,
+    paddingBottom: 6,
+  },
   searchCard: {
     flex: 1,
     borderWidth: 1,
@@ -18,17 +18,23 @@ import {
   TouchableWithoutFeedback,
   Alert,
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
-import { ref, get } from "firebase/database";
-import { database } from "../../constants/firebaseConfig";
 import { Ionicons, MaterialCommunityIcons } from "@expo/vector-icons";
 import { Svg, Circle } from "react-native-svg";
 
-// school-aware helper (adjust path if your helper lives elsewhere)
+// school-aware helpers (adjust path if your helper lives elsewhere)
 import { getUserVal } from "../lib/userHelpers";
+import {
+  getMyStudent,
+  getCoursesForClass,
+  getClassMark,
+  getTeacherAssignmentsSnapshot,
+  getTeacher,
+  resolveSchoolPaths,
+} from "../lib/schoolRepo";
+import { LastUpdatedHint } from "../../components/last-updated-hint";
 
 /* app/dashboard/classMark.jsx
-   - Uses Platform1/Schools/{schoolKey}/... where available
+   - Reads school data through lib/schoolRepo (scoped paths with legacy fallback)
    - Shows empty state when no courses found
 */
 
@@ -112,10 +118,6 @@ function LinearProgress({ percent = 0, height = 8, style }) {
   );
 }
 
-function schoolBasePath(schoolKey) {
-  return schoolKey ? `Platform1/Schools/${schoolKey}` : null;
-}
-
 /* Bottom sheet omitted for brevity — unchanged from previous (keeps same implementation) */
 // ... (keep DraggableBottomSheet from prior file unchanged)
 function DraggableBottomSheet({ visible, onClose, contentHeight = SCREEN_H * 0.85, innerScrollAtTopRef, onSnapChange, children }) {
@@ -217,65 +219,17 @@ export default function ClassMarkScreen() {
   const [selectedSemester, setSelectedSemester] = useState(null);
   const [teacherProfile, setTeacherProfile] = useState({ name: null, profileImage: null });
 
+  const [marksPaths, setMarksPaths] = useState([]);
+
   const innerScrollAtTopRef = useRef(true);
 
-  // load student info; reads Students path under school bucket if schoolKey present
+  // load student info; the repository resolves school-scoped vs legacy Students paths
   const loadStudent = useCallback(async () => {
     try {
-      const schoolKey = await AsyncStorage.getItem("schoolKey");
-      const base = schoolBasePath(schoolKey);
-
-      // prefer explicit stored student node key (studentNodeKey or studentId)
-      const sNode = (await AsyncStorage.getItem("studentNodeKey")) || (await AsyncStorage.getItem("studentId"));
-      if (sNode) {
-        // try school-scoped Students first
-        if (base) {
-          try {
-            const snap = await get(ref(database, `${base}/Students/${sNode}`));
-            if (snap.exists()) {
-              const s = snap.val();
-              setStudentId(sNode); setStudentGrade(String(s.grade ?? "")); setStudentSection(String(s.section ?? ""));
-              return { id: sNode, grade: String(s.grade ?? ""), section: String(s.section ?? "") };
-            }
-          } catch (e) { /* continue to fallback */ }
-        }
-        // fallback to root Students
-        try {
-          const snap2 = await get(ref(database, `Students/${sNode}`));
-          if (snap2.exists()) {
-            const s = snap2.val();
-            setStudentId(sNode); setStudentGrade(String(s.grade ?? "")); setStudentSection(String(s.section ?? ""));
-            return { id: sNode, grade: String(s.grade ?? ""), section: String(s.section ?? "") };
-          }
-        } catch (e) {}
-      }
-
-      // fallback: resolve from userNode
-      const userNode = await AsyncStorage.getItem("userNodeKey");
-      if (userNode) {
-        // use getUserVal to read correct Users node under school (if available)
-        const uVal = await getUserVal(userNode);
-        if (uVal && uVal.studentId) {
-          const sid = uVal.studentId;
-          if (base) {
-            try {
-              const sSnap = await get(ref(database, `${base}/Students/${sid}`));
-              if (sSnap.exists()) {
-                const s = sSnap.val();
-                setStudentId(sid); setStudentGrade(String(s.grade ?? "")); setStudentSection(String(s.section ?? ""));
-                return { id: sid, grade: String(s.grade ?? ""), section: String(s.section ?? "") };
-              }
-            } catch (e) { /* continue */ }
-          }
-          try {
-            const sSnap2 = await get(ref(database, `Students/${sid}`));
-            if (sSnap2.exists()) {
-              const s = sSnap2.val();
-              setStudentId(sid); setStudentGrade(String(s.grade ?? "")); setStudentSection(String(s.section ?? ""));
-              return { id: sid, grade: String(s.grade ?? ""), section: String(s.section ?? "") };
-            }
-          } catch (e) {}
-        }
+      const s = await getMyStudent();
+      if (s) {
+        setStudentId(s.id); setStudentGrade(String(s.grade ?? "")); setStudentSection(String(s.section ?? ""));
+        return { id: s.id, grade: String(s.grade ?? ""), section: String(s.section ?? "") };
       }
     } catch (e) { console.warn("loadStudent error", e); }
     return null;
@@ -290,48 +244,19 @@ export default function ClassMarkScreen() {
       const grade = ctx.grade, section = ctx.section, sid = ctx.id;
 
       try {
-        const schoolKey = await AsyncStorage.getItem("schoolKey");
-        const base = schoolBasePath(schoolKey);
-
-        // Try school-scoped Courses first, then root Courses
-        let snap = null;
-        if (base) {
-          try { snap = await get(ref(database, `${base}/Courses`)); } catch (e) { snap = null; }
-        }
-        if (!snap || !snap.exists()) {
-          try { snap = await get(ref(database, "Courses")); } catch (e) { snap = null; }
-        }
-
-        const list = [];
-        if (snap && snap.exists()) {
-          snap.forEach((child) => {
-            const val = child.val(), key = child.key;
-            if (String(val.grade ?? "") === String(grade) && String(val.section ?? "") === String(section)) {
-              list.push({ key, data: val });
-            }
-          });
-        }
-
-        list.sort((a, b) => (a.data.name || "").localeCompare(b.data.name || ""));
+        const list = await getCoursesForClass(grade, section);
         if (!mounted) return;
         setCourses(list);
 
-        // ClassMarks: try school-scoped path then fallback to root path
         const marks = {};
         await Promise.all(list.map(async (c) => {
           try {
-            let cm = null;
-            if (base) {
-              try { cm = await get(ref(database, `${base}/ClassMarks/${c.key}/${sid}`)); } catch (e) { cm = null; }
-            }
-            if (!cm || !cm.exists()) {
-              try { cm = await get(ref(database, `ClassMarks/${c.key}/${sid}`)); } catch (e) { cm = null; }
-            }
-            marks[c.key] = cm && cm.exists() ? cm.val() : null;
+            marks[c.key] = await getClassMark(c.key, sid);
           } catch (err) { console.warn("classmark fetch", err); marks[c.key] = null; }
         }));
         if (!mounted) return;
         setMarksMap(marks);
+        if (list.length) setMarksPaths(await resolveSchoolPaths(`ClassMarks/${list[0].key}/${sid}`));
       } catch (err) {
         console.warn(err);
         if (mounted) { setCourses([]); setMarksMap({}); }
@@ -371,23 +296,13 @@ export default function ClassMarkScreen() {
     return { s, m, percent: m > 0 ? (s / m) * 100 : null };
   };
 
-  // fetch teacher profile using TeacherAssignments/Teachers under school bucket first, fallback to root.
+  // fetch teacher profile via TeacherAssignments -> Teachers -> Users
   const fetchTeacherProfileForCourse = useCallback(async (courseId) => {
     try {
-      const schoolKey = await AsyncStorage.getItem("schoolKey");
-      const base = schoolBasePath(schoolKey);
-
-      // load TeacherAssignments
-      let taSnap = null;
-      if (base) {
-        try { taSnap = await get(ref(database, `${base}/TeacherAssignments`)); } catch (e) { taSnap = null; }
-      }
-      if (!taSnap || !taSnap.exists()) {
-        try { taSnap = await get(ref(database, "TeacherAssignments")); } catch (e) { taSnap = null; }
-      }
+      const taSnap = await getTeacherAssignmentsSnapshot();
 
       let foundTeacherId = null;
-      if (taSnap && taSnap.exists()) {
+      if (taSnap) {
         taSnap.forEach((child) => {
           const val = child.val();
           if (val && val.courseId === courseId) foundTeacherId = val.teacherId || null;
@@ -395,17 +310,9 @@ export default function ClassMarkScreen() {
       }
       if (!foundTeacherId) return null;
 
-      // load Teachers node
-      let tSnap = null;
-      if (base) {
-        try { tSnap = await get(ref(database, `${base}/Teachers/${foundTeacherId}`)); } catch (e) { tSnap = null; }
-      }
-      if (!tSnap || !tSnap.exists()) {
-        try { tSnap = await get(ref(database, `Teachers/${foundTeacherId}`)); } catch (e) { tSnap = null; }
-      }
-      if (!tSnap || !tSnap.exists()) return null;
+      const tVal = await getTeacher(foundTeacherId);
+      if (!tVal) return null;
 
-      const tVal = tSnap.val();
       const userId = tVal.userId;
       if (!userId) return null;
 
@@ -516,6 +423,7 @@ export default function ClassMarkScreen() {
       <ScrollView contentContainerStyle={{ padding: 12, paddingBottom: 80 }}>
         <Text style={styles.title}>Class Marks</Text>
         <Text style={styles.subtitle}>Tap a card to expand quick details. Open details for a complete breakdown.</Text>
+        <LastUpdatedHint paths={marksPaths} style={{ marginTop: 4 }} />
 
         <FlatList
           data={courses}
@@ -13,11 +13,11 @@ import {
 } from "react-native";
 import { Ionicons, MaterialCommunityIcons } from "@expo/vector-icons";
 import { useRouter } from "expo-router";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import { ref, get } from "firebase/database";
 import { database } from "../../constants/firebaseConfig";
 import { queryUserByUsernameInSchool, queryUserByChildInSchool } from "../lib/userHelpers";
 import { getValue, getSnapshot } from "../lib/dbHelpers";
+import { getSession } from "../lib/session";
 
 const { width: SCREEN_W } = Dimensions.get("window");
 
@@ -74,22 +74,15 @@ function getSubjectVisual(subjectName = "") {
 async function resolveSchoolKeyFast(studentId) {
   if (!studentId) return null;
 
-  try {
-    const cached = await AsyncStorage.getItem("schoolKey");
-    if (cached) return cached;
-  } catch {}
+  const fromSession = (await getSession())?.schoolKey;
+  if (fromSession) return fromSession;
 
   try {
     const schoolsSnap = await getSnapshot([`Platform1/Schools`]);
     const schools = schoolsSnap?.val ? schoolsSnap.val() || {} : {};
     for (const schoolKey of Object.keys(schools)) {
       const sSnap = await get(ref(database, `Platform1/Schools/${schoolKey}/Students/${studentId}`));
-      if (sSnap?.exists()) {
-        try {
-          await AsyncStorage.setItem("schoolKey", schoolKey);
-        } catch {}
-        return schoolKey;
-      }
+      if (sSnap?.exists()) return schoolKey;
     }
   } catch {}
 
@@ -145,13 +138,10 @@ export default function ExamScreen() {
   const fetchAll = useCallback(async () => {
     setLoading(true);
     try {
-      const sid =
-        (await AsyncStorage.getItem("studentNodeKey")) ||
-        (await AsyncStorage.getItem("studentId")) ||
-        (await AsyncStorage.getItem("username")) ||
-        null;
+      const session = await getSession();
+      const sid = session?.examUserId || null;
 
-      const grade = normalizeGrade(await AsyncStorage.getItem("studentGrade"));
+      const grade = normalizeGrade(session?.gradeKey);
       setStudentGrade(grade || null);
 
       const schoolKey = await resolveSchoolKeyFast(sid);
@@ -391,9 +381,15 @@ export default function ExamScreen() {
         }}
       />
 
-      <View style={styles.sectionHeader}>
-        <Text style={styles.sectionTitle}>Gojo Challenges</Text>
-        <Text style={styles.sectionSubtitle}>Curated challenge packs with cleaner, faster access</Text>
+      <View style={styles.sectionHeaderRow}>
+        <View style={{ flex: 1, marginRight: 10 }}>
+          <Text style={styles.sectionTitle}>Gojo Challenges</Text>
+          <Text style={styles.sectionSubtitle}>Curated challenge packs with cleaner, faster access</Text>
+        </View>
+        <TouchableOpacity style={styles.sectionActionBtn} onPress={() => router.push("../mistakes")}>
+          <Ionicons name="refresh-circle-outline" size={15} color="#fff" />
+          <Text style={styles.sectionActionBtnText}>My mistakes</Text>
+        </TouchableOpacity>
       </View>
 
       {packages.length === 0 ? (
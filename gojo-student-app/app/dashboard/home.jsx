@@ -15,7 +15,7 @@ import {
   Pressable,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
-import AsyncStorage from "@react-native-async-storage/async-storage";
+import { useFocusEffect, useRouter } from "expo-router";
 import {
   ref,
   query,
@@ -31,6 +31,10 @@ import {
 } from "firebase/database";
 import { database } from "../../constants/firebaseConfig";
 import { queryUserByUsernameInSchool, queryUserByChildInSchool } from "../lib/userHelpers";
+import { postsRef as schoolPostsRef, postPath, readSchoolValue, schoolRef } from "../lib/schoolRepo";
+import { getSession } from "../lib/session";
+import { updateAccountInfo } from "../lib/accountStorage";
+import { loadDueItems } from "../lib/reviewScheduler";
 
 /**
  * Home feed with pagination ("load more") for older posts.
@@ -62,6 +66,7 @@ function timeAgo(iso) {
 }
 
 export default function HomeScreen() {
+  const router = useRouter();
   const [postsLatest, setPostsLatest] = useState([]);
   const [postsOlder, setPostsOlder] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -69,6 +74,7 @@ export default function HomeScreen() {
   const [loadingMore, setLoadingMore] = useState(false);
   const [hasMore, setHasMore] = useState(true);
   const [userId, setUserId] = useState(null);
+  const [reviewDue, setReviewDue] = useState(0);
 
   // large image viewer state
   const [viewerVisible, setViewerVisible] = useState(false);
@@ -78,38 +84,42 @@ export default function HomeScreen() {
   const postsQueryRef = useRef(null);
 
   const loadUserContext = useCallback(async () => {
-    const uid = await AsyncStorage.getItem("userId");
+    const session = await getSession();
+    const uid = session?.userId || null;
     setUserId(uid);
 
     try {
-      const userNodeKey = await AsyncStorage.getItem("userNodeKey");
-      const schoolKey = await AsyncStorage.getItem("schoolKey");
-      let userSnap = null;
-      if (userNodeKey && schoolKey) {
-        userSnap = await get(ref(database, `Platform1/Schools/${schoolKey}/Users/${userNodeKey}`));
-      }
-      if ((!userSnap || !userSnap.exists()) && userNodeKey) {
-        userSnap = await get(ref(database, `Users/${userNodeKey}`));
-      }
-      if (userSnap && userSnap.exists()) {
-        const u = userSnap.val();
-        if (u.profileImage) {
-          await AsyncStorage.setItem("profileImage", u.profileImage);
-          Image.prefetch(u.profileImage).catch(() => {});
-        }
+      const userNodeKey = session?.userNodeKey;
+      const u = userNodeKey ? await readSchoolValue(`Users/${userNodeKey}`) : null;
+      if (u) {
+        // name and photo for the account switcher
+        await updateAccountInfo(session.accountId, {
+          displayName: u.name || null,
+          profileImage: u.profileImage || null,
+        });
+        if (u.profileImage) Image.prefetch(u.profileImage).catch(() => {});
       }
     } catch {}
 
     return uid;
   }, []);
 
-  const combinedPosts = useMemo(() => [...postsLatest, ...postsOlder], [postsLatest, postsOlder]);
+  // due count of the spaced-repetition queue, fresh each time the tab is shown
+  useFocusEffect(
+    useCallback(() => {
+      let active = true;
+      (async () => {
+        const sid = (await getSession())?.examUserId;
+        const { dueCount } = await loadDueItems(sid, { limit: 0 });
+        if (active) setReviewDue(dueCount);
+      })().catch(() => {});
+      return () => {
+        active = false;
+      };
+    }, [])
+  );
 
-  const postsRefForSchool = async () => {
-    const sk = await AsyncStorage.getItem("schoolKey");
-    if (sk) return ref(database, `Platform1/Schools/${sk}/Posts`);
-    return ref(database, "Posts");
-  };
+  const combinedPosts = useMemo(() => [...postsLatest, ...postsOlder], [postsLatest, postsOlder]);
 
   // helper: targetRole filtering
   const isStudentVisiblePost = (data) => {
@@ -127,7 +137,7 @@ export default function HomeScreen() {
 
     (async () => {
       const currentUserId = await loadUserContext();
-      const postsRef = await postsRefForSchool();
+      const postsRef = await schoolPostsRef();
       const postsQuery = query(postsRef, orderByChild("time"), limitToLast(PAGE_SIZE));
       postsQueryRef.current = postsQuery;
 
@@ -159,7 +169,7 @@ export default function HomeScreen() {
           const filteredTmp = tmp.filter((p) => isStudentVisiblePost(p.data));
 
           const adminIds = Array.from(new Set(filteredTmp.map((p) => p.data.adminId).filter(Boolean)));
-          const schoolKey = await AsyncStorage.getItem("schoolKey");
+          const schoolKey = (await getSession())?.schoolKey;
 
           await Promise.all(
             adminIds.map(async (aid) => {
@@ -222,10 +232,9 @@ export default function HomeScreen() {
             if (currentUserId && !seenNode[currentUserId]) {
               (async () => {
                 try {
-                  const sk = await AsyncStorage.getItem("schoolKey");
-                  const postPath = sk ? `Platform1/Schools/${sk}/Posts/${p.postId}` : `Posts/${p.postId}`;
+                  const path = await postPath(p.postId);
                   const updates = {};
-                  updates[`${postPath}/seenBy/${currentUserId}`] = true;
+                  updates[`${path}/seenBy/${currentUserId}`] = true;
                   update(ref(database), updates).catch(() => {});
                 } catch {}
               })();
@@ -289,7 +298,7 @@ export default function HomeScreen() {
         return;
       }
 
-      const postsRef = await postsRefForSchool();
+      const postsRef = await schoolPostsRef();
       const q = query(postsRef, orderByChild("time"), endAt(oldestTime), limitToLast(PAGE_SIZE + 1));
       const snap = await get(q);
       if (!snap.exists()) {
@@ -322,7 +331,7 @@ export default function HomeScreen() {
       }
 
       const adminIds = Array.from(new Set(filteredByTarget.map((p) => p.data.adminId).filter(Boolean)));
-      const schoolKey = await AsyncStorage.getItem("schoolKey");
+      const schoolKey = (await getSession())?.schoolKey;
 
       await Promise.all(
         adminIds.map(async (aid) => {
@@ -433,8 +442,7 @@ export default function HomeScreen() {
     else setPostsOlder((prev) => prev.map((p) => (p.postId === postId ? optimisticUpdater(p) : p)));
 
     try {
-      const sk = await AsyncStorage.getItem("schoolKey");
-      const postRef = sk ? ref(database, `Platform1/Schools/${sk}/Posts/${postId}`) : ref(database, `Posts/${postId}`);
+      const postRef = await schoolRef(`Posts/${postId}`);
       await runTransaction(postRef, (current) => {
         if (current === null) return current;
         if (!current.likes) current.likes = {};
@@ -452,8 +460,7 @@ export default function HomeScreen() {
     } catch (err) {
       console.warn("runTransaction failed for like:", err);
       try {
-        const sk = await AsyncStorage.getItem("schoolKey");
-        const pRef = sk ? ref(database, `Platform1/Schools/${sk}/Posts/${postId}`) : ref(database, `Posts/${postId}`);
+        const pRef = await schoolRef(`Posts/${postId}`);
         const snap = await get(pRef);
         if (snap.exists()) {
           const val = snap.val();
@@ -549,6 +556,22 @@ export default function HomeScreen() {
     </View>
   );
 
+  const ReviewCard = () =>
+    reviewDue > 0 ? (
+      <TouchableOpacity style={styles.reviewCard} activeOpacity={0.9} onPress={() => router.push("../review")}>
+        <View style={styles.reviewIcon}>
+          <Ionicons name="repeat" size={22} color="#007AFB" />
+        </View>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.reviewTitle}>Review today</Text>
+          <Text style={styles.reviewText}>
+            {reviewDue} item{reviewDue === 1 ? "" : "s"} due · a few minutes keeps them fresh
+          </Text>
+        </View>
+        <Ionicons name="chevron-forward" size={20} color="#8B93B3" />
+      </TouchableOpacity>
+    ) : null;
+
   if (loading) {
     return (
       <View style={styles.center}>
@@ -560,6 +583,9 @@ export default function HomeScreen() {
   if (!combinedPosts || combinedPosts.length === 0) {
     return (
       <View style={{ flex: 1, backgroundColor: "#fff" }}>
+        <View style={{ paddingHorizontal: 12, paddingTop: 12 }}>
+          <ReviewCard />
+        </View>
         <EmptyState />
       </View>
     );
@@ -578,6 +604,7 @@ export default function HomeScreen() {
         keyExtractor={(i) => i.postId}
         renderItem={({ item }) => <PostCard item={item} />}
         contentContainerStyle={styles.list}
+        ListHeaderComponent={<ReviewCard />}
         refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={["#007AFB"]} />}
         onEndReachedThreshold={0.6}
         onEndReached={() => {
@@ -651,6 +678,26 @@ const styles = StyleSheet.create({
   seenText: { color: "#888", fontSize: 12 },
   timeSmall: { color: "#888", fontSize: 12 },
 
+  reviewCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#EEF4FF",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  reviewIcon: {
+    width: 42,
+    height: 42,
+    borderRadius: 21,
+    backgroundColor: "#fff",
+    alignItems: "center",
+    justifyContent: "center",
+    marginRight: 12,
+  },
+  reviewTitle: { fontWeight: "800", color: "#111", fontSize: 15 },
+  reviewText: { color: "#8B93B3", fontSize: 12, marginTop: 2 },
+
   emptyContainer: { flex: 1, backgroundColor: "#fff", alignItems: "center", justifyContent: "center", padding: 28 },
   emptyImage: { width: 220, height: 160, marginBottom: 18 },
   emptyFallbackIcon: { width: 120, height: 120, borderRadius: 60, backgroundColor: "#F6F8FF", alignItems: "center", justifyContent: "center", marginBottom: 12 },
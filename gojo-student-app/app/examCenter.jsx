@@ -10,17 +10,52 @@ import {
   Platform,
   Animated,
   Alert,
+  AppState,
   StatusBar,
   Vibration,
   Modal,
   Easing,
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import { useRouter, useLocalSearchParams } from "expo-router";
-import { ref, get } from "firebase/database";
-import { database } from "../constants/firebaseConfig";
 import { Ionicons } from "@expo/vector-icons";
 import { getValue, pushAndSet, runTransactionSafe, safeUpdate } from "./lib/dbHelpers";
+import { subscribeOutbox } from "./lib/writeQueue";
+import { DEFAULT_MAX_LIVES, DEFAULT_REFILL_INTERVAL_MS } from "./lib/livesHelpers";
+import { useLives } from "../hooks/use-lives";
+import { serverNow, isServerTimeVerified, waitForServerTime } from "./lib/serverTime";
+import { getSession } from "./lib/session";
+import { checkAnswer, gradeAttempt, stripAnswerKeys } from "./lib/examGrader";
+import { integrityPolicy, recordExit, recordPolicy, recordReturn } from "./lib/examIntegrity";
+import { markAchievementsSeen, syncAchievements } from "./lib/achievements";
+import { awardXp } from "./lib/studyStreak";
+import {
+  availableLanguages,
+  DEFAULT_LANGUAGE,
+  getQuestionLanguage,
+  localizeExplanation,
+  localizeQuestion,
+} from "./lib/questionLanguage";
+import {
+  describeAnswer,
+  isAnswered,
+  isSinglePick,
+  isTyped,
+  questionType,
+  questionTypeLabel,
+  shuffleItemOrders,
+  toList,
+} from "./lib/questionTypes";
+import { ExamAnswerInput } from "../components/exam-answer-input";
+import { RichText } from "../components/rich-text";
+import { LanguageToggle } from "../components/language-toggle";
+import { AchievementUnlock } from "../components/achievement-unlock";
+import {
+  findLocalAttempts,
+  getLocalAttempt,
+  removeLocalAttempt,
+  saveLocalAttempt,
+  secondsLeft,
+} from "./lib/examAttemptStore";
 
 const C = {
   primary: "#0B72FF",
@@ -34,9 +69,7 @@ const C = {
   warningBorder: "#FED7AA",
 };
 const HEART_COLOR = "#EF4444";
-const DEFAULT_HEART_REFILL_MS = 20 * 60 * 1000;
-const DEFAULT_MAX_LIVES = 5;
-const WRONGS_PER_LIFE_FALLBACK = 2;
+const FLAG_COLOR = "#F59E0B";
 
 function toMsTs(v) {
   const n = Number(v || 0);
@@ -54,35 +87,16 @@ function normalizeQuestionOrder(qOrder) {
   }
   return [];
 }
-function scoreExam(questions, order, answers) {
-  const qOrder = order.length ? order : questions.map((q) => q.id);
-  const map = {};
-  (questions || []).forEach((q) => { if (q?.id != null) map[String(q.id)] = q; });
-
-  let correct = 0;
-  let total = 0;
-  qOrder.forEach((qId) => {
-    const q = map[String(qId)];
-    if (!q) return;
-    total += 1;
-    if (String(q.correctAnswer ?? "").trim() !== "" && String(answers?.[String(qId)] ?? "").trim() === String(q.correctAnswer ?? "").trim()) correct += 1;
-  });
-  const percent = total ? (correct / total) * 100 : 0;
-  return { correct, total, percent };
-}
-function getBadgeAndPoints(examMeta, percent) {
-  let badge = null;
-  let points = 0;
-  if (examMeta?.scoringEnabled && examMeta?.scoring) {
-    const s = examMeta.scoring;
-    if (percent >= Number(s.platinumPercent || 90)) { badge = "platinum"; points = Number(s.maxPoints || 3); }
-    else if (percent >= Number(s.diamondPercent || 85)) { badge = "diamond"; points = 2; }
-    else if (percent >= Number(s.goldPercent || 75)) { badge = "gold"; points = 1; }
-  }
-  return { badge, points };
+// verified result of a submitted attempt, then drops the device copy; the grader takes any
+// lives the attempt costs (once), and the heart count follows the lives subscription (useLives)
+async function settleSubmittedAttempt(record) {
+  const { studentId, roundId, examId, attemptId } = record;
+  const verified = await gradeAttempt({ studentId, roundId, examId, attemptId });
+  await removeLocalAttempt(attemptId);
+  return verified;
 }
 function inWindow(roundMeta) {
-  const now = Date.now();
+  const now = serverNow();
   const start = toMsTs(roundMeta?.startTimestamp);
   const end = toMsTs(roundMeta?.endTimestamp);
   if (!start && !end) return true;
@@ -110,25 +124,6 @@ function formatMsToMMSS(ms) {
   const ss = Math.floor(s % 60).toString().padStart(2, "0");
   return `${mm}:${ss}`;
 }
-function computeRefillState({ currentLives, maxLives, lastConsumedAt, refillMs, now = Date.now() }) {
-  const current = Number(currentLives ?? 0);
-  const max = Number(maxLives ?? 5);
-  const last = Number(lastConsumedAt ?? 0);
-  const interval = Number(refillMs ?? 0);
-
-  if (!interval || interval <= 0) return { currentLives: current, lastConsumedAt: last, recovered: 0, nextInMs: 0 };
-  if (current >= max) return { currentLives: current, lastConsumedAt: last, recovered: 0, nextInMs: 0 };
-  if (!last) return { currentLives: current, lastConsumedAt: now, recovered: 0, nextInMs: interval };
-
-  const elapsed = Math.max(0, now - last);
-  const recovered = Math.floor(elapsed / interval);
-  const newCurrent = Math.min(max, current + Math.max(0, recovered));
-  const newLast = recovered > 0 ? last + recovered * interval : last;
-  const nextInMs = newCurrent >= max ? 0 : Math.max(0, interval - ((now - newLast) % interval));
-
-  return { currentLives: newCurrent, lastConsumedAt: newLast, recovered, nextInMs };
-}
-
 export default function ExamCenter() {
   const router = useRouter();
   const params = useLocalSearchParams();
@@ -137,6 +132,8 @@ export default function ExamCenter() {
   const examId = params.examId;
   const questionBankIdParam = params.questionBankId;
   const mode = params.mode || "start";
+  // mode "review": the attempt to show (from the history screen), else the latest completed one
+  const reviewAttemptIdParam = params.attemptId || null;
 
   const [loading, setLoading] = useState(true);
   const [stage, setStage] = useState(mode === "review" ? "review" : "rules");
@@ -159,21 +156,37 @@ export default function ExamCenter() {
   const [lastCompletedAttempt, setLastCompletedAttempt] = useState(null);
 
   const [order, setOrder] = useState([]);
+  const [itemOrders, setItemOrders] = useState({});
   const [answers, setAnswers] = useState({});
   const [currentIndex, setCurrentIndex] = useState(0);
-  const [selectedFeedback, setSelectedFeedback] = useState(null);
+  const [feedbackQuestionId, setFeedbackQuestionId] = useState(null);
+  const [flagged, setFlagged] = useState({});
+  const [showNavigator, setShowNavigator] = useState(false);
+  const [showSubmitSummary, setShowSubmitSummary] = useState(false);
+  // instant-mode verdicts from the grader: { [qId]: { correct, correctAnswer, explanation } | { pending } | { error } }
+  const [instantChecks, setInstantChecks] = useState({});
+  // shown language of the questions; grading never depends on it
+  const [questionLang, setQuestionLang] = useState(DEFAULT_LANGUAGE);
+  // typed answers are saved after a short pause instead of on every keystroke
+  const unsavedAnswersRef = useRef({});
+  const answerSaveTimer = useRef(null);
 
   const [timeLeft, setTimeLeft] = useState(0);
   const timerRef = useRef(null);
   const [result, setResult] = useState(null);
-
-  const [globalLives, setGlobalLives] = useState(null);
-  const [globalMaxLives, setGlobalMaxLives] = useState(DEFAULT_MAX_LIVES);
-  const [globalRefillMs, setGlobalRefillMs] = useState(DEFAULT_HEART_REFILL_MS);
-  const [globalLastConsumedAt, setGlobalLastConsumedAt] = useState(null);
+  const [grading, setGrading] = useState({ busy: false, error: null });
+  const submittedAttemptRef = useRef(null);
+  const submitRef = useRef(null);
+  // competitive attempts: app exits so far and the one still open ({ exitNo, leftAt })
+  const integrityRef = useRef({ exitCount: 0, openExit: null, policyApplied: false });
+
+  const lives = useLives(studentId);
+  const globalLives = lives.currentLives;
+  const globalMaxLives = lives.maxLives;
+  const globalRefillMs = lives.refillIntervalMs;
+  const nextHeartInMs = lives.nextInMs;
 
   const [outOfLivesModalVisible, setOutOfLivesModalVisible] = useState(false);
-  const [nextHeartInMs, setNextHeartInMs] = useState(0);
   const outModalAnim = useRef(new Animated.Value(0)).current;
 
   const [showHeartInfoModal, setShowHeartInfoModal] = useState(false);
@@ -184,9 +197,11 @@ export default function ExamCenter() {
   const [showAttemptsExhaustedDetails, setShowAttemptsExhaustedDetails] = useState(true);
 
   const [showPostSubmitReview, setShowPostSubmitReview] = useState(false);
+  const [newAchievements, setNewAchievements] = useState([]);
   const [reviewIndex, setReviewIndex] = useState(0);
 
-  const wrongCountRef = useRef(0);
+  const [unsyncedAnswers, setUnsyncedAnswers] = useState(0);
+  const [clockVerified, setClockVerified] = useState(isServerTimeVerified());
 
   // [v48] add near other useState/useRef declarations inside ExamCenter component:
 const resultPop = useRef(new Animated.Value(0)).current;
@@ -215,8 +230,7 @@ const gradeLabel = useMemo(() => {
     },
     lives: {
       defaultMaxLives: DEFAULT_MAX_LIVES,
-      defaultRefillIntervalMs: DEFAULT_HEART_REFILL_MS,
-      fallbackWrongsPerLife: WRONGS_PER_LIFE_FALLBACK,
+      defaultRefillIntervalMs: DEFAULT_REFILL_INTERVAL_MS,
     },
     ui: {},
   });
@@ -240,7 +254,7 @@ const gradeLabel = useMemo(() => {
 
     let qb = await getValue(direct);
     if (qb?.questions) {
-      setQuestions(Object.entries(qb.questions).map(([id, q]) => ({ id, ...q })));
+      setQuestions(stripAnswerKeys(qb.questions));
       return;
     }
 
@@ -262,7 +276,7 @@ const gradeLabel = useMemo(() => {
       if (node.questionBanks?.questionBanks?.[qbId]?.questions) { qb = node.questionBanks.questionBanks[qbId]; break; }
     }
 
-    if (qb?.questions) setQuestions(Object.entries(qb.questions).map(([id, q]) => ({ id, ...q })));
+    if (qb?.questions) setQuestions(stripAnswerKeys(qb.questions));
     else {
       setQuestions([]);
       setQuestionLoadError(`Question bank not found for ${qbId}`);
@@ -282,90 +296,71 @@ const gradeLabel = useMemo(() => {
     return null;
   }, []);
 
+  // the score, badge and points shown are always the grader's; nothing is scored on the device
+  const loadVerifiedResult = useCallback(async () => {
+    if (!studentId || !examId || !attemptId) {
+      setGrading({ busy: false, error: "Sign in again to get your result." });
+      return;
+    }
+    setGrading({ busy: true, error: null });
+    let verified;
+    try {
+      const record = await getLocalAttempt(attemptId);
+      verified = await settleSubmittedAttempt({ ...record, attemptId, studentId, roundId, examId });
+    } catch (e) {
+      setGrading({ busy: false, error: e?.message || "Could not get your result. Try again." });
+      return;
+    }
+    setGrading({ busy: false, error: null });
+    setResult(verified);
+    setShowPostSubmitReview(!isCompetitive && feedbackMode === "end" && !!verified.review);
+    setReviewIndex(0);
+    // achievements after the XP, so a streak the round extends counts
+    (isCompetitive ? Promise.resolve() : awardXp(studentId, { kind: "practice_round", key: `round__${attemptId}` }))
+      .then(() => syncAchievements(studentId))
+      .then((a) => setNewAchievements(a.unlocked))
+      .catch(() => {});
+  }, [studentId, roundId, examId, attemptId, isCompetitive, feedbackMode]);
+
   const submitExam = useCallback(async () => {
+    // the clock and the Submit button can both get here
+    if (submittedAttemptRef.current && submittedAttemptRef.current === attemptId) return;
+    submittedAttemptRef.current = attemptId;
     clearInterval(timerRef.current);
+    // the submit patch carries every answer; a late per-question save would hit a closed attempt
+    clearTimeout(answerSaveTimer.current);
+    unsavedAnswersRef.current = {};
 
-    const finalOrder = order.length ? order : questions.map((q) => q.id);
-    const computed = scoreExam(questions, finalOrder, answers);
-    const scored = getBadgeAndPoints(examMeta, computed.percent);
-
-    const now = Date.now();
-    const resultVisible = examMeta?.scoringEnabled ? now >= toMsTs(roundMeta?.resultReleaseTimestamp) : true;
-
+    const now = serverNow();
     if (studentId && examId && attemptId) {
+      await saveLocalAttempt(attemptId, { status: "submitted", answers, endTime: now });
+
       const usedBefore = Number(effectiveAttemptsUsed || attemptsUsed || 0);
       const usedAfter = usedBefore + 1;
       const patch = {};
       patch[`Platform1/attempts/company/${studentId}/${examId}/${attemptId}/endTime`] = now;
-      patch[`Platform1/attempts/company/${studentId}/${examId}/${attemptId}/attemptStatus`] = "completed";
+      patch[`Platform1/attempts/company/${studentId}/${examId}/${attemptId}/attemptStatus`] = "submitted";
       patch[`Platform1/attempts/company/${studentId}/${examId}/${attemptId}/answers`] = answers;
-      patch[`Platform1/attempts/company/${studentId}/${examId}/${attemptId}/scorePercent`] = computed.percent;
-      patch[`Platform1/attempts/company/${studentId}/${examId}/${attemptId}/correctCount`] = computed.correct;
-      patch[`Platform1/attempts/company/${studentId}/${examId}/${attemptId}/pointsAwarded`] = scored.points;
-      patch[`Platform1/attempts/company/${studentId}/${examId}/${attemptId}/badge`] = scored.badge;
-      patch[`Platform1/attempts/company/${studentId}/${examId}/${attemptId}/resultVisible`] = resultVisible;
 
-      patch[`Platform1/studentProgress/${studentId}/company/${roundId}/${examId}/status`] = "completed";
       patch[`Platform1/studentProgress/${studentId}/company/${roundId}/${examId}/attemptsUsed`] = usedAfter;
-      patch[`Platform1/studentProgress/${studentId}/company/${roundId}/${examId}/bestScorePercent`] = computed.percent;
       patch[`Platform1/studentProgress/${studentId}/company/${roundId}/${examId}/lastAttemptId`] = attemptId;
       patch[`Platform1/studentProgress/${studentId}/company/${roundId}/${examId}/lastSubmittedAt`] = now;
       patch[`Platform1/studentProgress/${studentId}/company/${roundId}/${examId}/lastAttemptTimestamp`] = now;
-      await safeUpdate(patch).catch(() => {});
+      await safeUpdate(patch, { tag: "exam-submit", meta: { attemptId } }).catch(() => {});
 
       setAttemptsUsed(usedAfter);
       setEffectiveAttemptsUsed(usedAfter);
       setAttemptNo(usedAfter + 1);
     }
 
-    try {
-      const pRaw = examMeta?.passingPercent ?? examMeta?.passPercent ?? examMeta?.passScore ?? null;
-      const passPercent = pRaw != null ? Number(pRaw) : null;
-      const wrongsPerLife = Number(appExamConfig?.lives?.fallbackWrongsPerLife || WRONGS_PER_LIFE_FALLBACK);
-
-      if (!isCompetitive && studentId) {
-        const livesPath = `Platform1/studentLives/${studentId}`;
-        if (passPercent != null && !Number.isNaN(passPercent)) {
-          if (computed.percent < passPercent) {
-            await runTransactionSafe(`${livesPath}/currentLives`, (curr) => Math.max(0, Number(curr ?? 0) - 1));
-            await safeUpdate({ [`${livesPath}/lastConsumedAt`]: Date.now() }).catch(() => {});
-          }
-        } else {
-          const livesToDeduct = Math.floor(Number(wrongCountRef.current || 0) / Math.max(1, wrongsPerLife));
-          if (livesToDeduct > 0) {
-            await runTransactionSafe(`${livesPath}/currentLives`, (curr) => Math.max(0, Number(curr ?? 0) - livesToDeduct));
-            await safeUpdate({ [`${livesPath}/lastConsumedAt`]: Date.now() }).catch(() => {});
-          }
-        }
-
-        const updated = await get(ref(database, livesPath)).catch(() => null);
-        if (updated?.exists()) {
-          const val = updated.val();
-          setGlobalLives(Number(val.currentLives ?? val.current ?? 0));
-          setGlobalLastConsumedAt(toMsTs(val.lastConsumedAt ?? val.lastConsumed ?? 0));
-        }
-      }
-    } catch (e) {
-      console.warn("submitExam: life deduction failed", e);
-    }
-
-    setLastCompletedAttempt({ id: attemptId, endTime: Date.now() });
-    setResult({
-      percent: computed.percent,
-      correct: computed.correct,
-      total: computed.total,
-      badge: scored.badge,
-      points: scored.points,
-      resultVisible,
-    });
-
-    const shouldShowDetailedReview = !isCompetitive && feedbackMode === "end";
-    setShowPostSubmitReview(shouldShowDetailedReview);
-    setReviewIndex(0);
-
-    wrongCountRef.current = 0;
+    setLastCompletedAttempt({ id: attemptId, endTime: serverNow() });
+    setShowNavigator(false);
+    setShowSubmitSummary(false);
+    setResult(null);
+    setShowPostSubmitReview(false);
     setStage("result");
-  }, [order, questions, answers, studentId, examId, attemptId, examMeta, roundMeta, isCompetitive, roundId, appExamConfig, feedbackMode, effectiveAttemptsUsed, attemptsUsed]);
+    await loadVerifiedResult();
+  }, [answers, studentId, examId, attemptId, roundId, effectiveAttemptsUsed, attemptsUsed, loadVerifiedResult]);
 
   useEffect(() => {
     let cancelled = false;
@@ -383,62 +378,10 @@ const gradeLabel = useMemo(() => {
         }));
       }
 
-      const sid =
-        (await AsyncStorage.getItem("studentNodeKey")) ||
-        (await AsyncStorage.getItem("studentId")) ||
-        (await AsyncStorage.getItem("username")) ||
-        null;
+      const sid = (await getSession())?.examUserId || null;
       if (!cancelled) setStudentId(sid);
-
-      if (sid) {
-        const livesNode = await getValue([`Platform1/studentLives/${sid}`, `studentLives/${sid}`]);
-        const defaultRefillMs = Number(cfg?.lives?.defaultRefillIntervalMs || DEFAULT_HEART_REFILL_MS);
-        const defaultMaxLives = Number(cfg?.lives?.defaultMaxLives || DEFAULT_MAX_LIVES);
-
-        if (livesNode) {
-          const raw = livesNode || {};
-          const rawCurrent = Number(raw.currentLives ?? raw.lives ?? 0);
-          const max = Number(raw.maxLives ?? raw.max ?? defaultMaxLives);
-
-          let refillMs = defaultRefillMs;
-          const refillRaw = raw.refillIntervalMs ?? raw.refillInterval ?? null;
-          if (refillRaw != null) {
-            const n = Number(refillRaw);
-            if (Number.isFinite(n)) refillMs = n > 1000 ? n : n * 1000;
-          }
-
-          const lastConsumed = toMsTs(raw.lastConsumedAt ?? raw.lastConsumed ?? 0) || 0;
-          let computedCurrent = Number.isFinite(rawCurrent) ? rawCurrent : 0;
-          let computedLastConsumed = lastConsumed || 0;
-
-          if (refillMs > 0 && lastConsumed && computedCurrent < max) {
-            const elapsed = Math.max(0, Date.now() - lastConsumed);
-            const recovered = Math.floor(elapsed / refillMs);
-            if (recovered > 0) {
-              computedCurrent = Math.min(max, computedCurrent + recovered);
-              computedLastConsumed = lastConsumed + recovered * refillMs;
-              await safeUpdate({
-                [`Platform1/studentLives/${sid}/currentLives`]: computedCurrent,
-                [`Platform1/studentLives/${sid}/lastConsumedAt`]: computedLastConsumed,
-              }).catch(() => {});
-            }
-          }
-
-          if (!cancelled) {
-            setGlobalLives(computedCurrent);
-            setGlobalMaxLives(max || defaultMaxLives);
-            setGlobalRefillMs(refillMs);
-            setGlobalLastConsumedAt(computedLastConsumed || null);
-          }
-        } else {
-          if (!cancelled) {
-            setGlobalLives(null);
-            setGlobalMaxLives(defaultMaxLives);
-            setGlobalRefillMs(defaultRefillMs);
-            setGlobalLastConsumedAt(null);
-          }
-        }
-      }
+      const lang = await getQuestionLanguage();
+      if (!cancelled) setQuestionLang(lang);
 
       const rMeta = await findRoundMetaById(roundId);
       if (!cancelled) setRoundMeta(rMeta || null);
@@ -475,6 +418,8 @@ const gradeLabel = useMemo(() => {
         }
 
         const keys = Object.keys(entries || {});
+        const local = await findLocalAttempts({ studentId: sid, examId });
+        const localIds = new Set(local.map((r) => r.attemptId));
         let completedCount = 0;
         let latestInProgress = null;
         let latestInProgressKey = null;
@@ -484,7 +429,11 @@ const gradeLabel = useMemo(() => {
         for (const k of keys) {
           const a = entries[k] || {};
           const status = String(a.attemptStatus || "").toLowerCase();
-          if (status === "completed") {
+          if (status === "submitted" && k !== "legacy_single_attempt" && !localIds.has(k)) {
+            // submitted while the grader was out of reach; grading is idempotent, so ask again
+            gradeAttempt({ studentId: sid, roundId: a.roundId || roundId, examId, attemptId: k }).catch(() => {});
+          }
+          if (status === "completed" || status === "submitted") {
             completedCount += 1;
             const endT = Number(a.endTime || a.startTime || 0);
             if (!latestCompleted || endT > Number(latestCompleted.endTime || latestCompleted.startTime || 0)) {
@@ -505,29 +454,52 @@ const gradeLabel = useMemo(() => {
           setAttemptNo(completedCount + 1);
         }
 
-        if (latestInProgress && latestInProgressKey && !cancelled) {
-          setInProgressAttempt({ id: latestInProgressKey, ...latestInProgress });
-          setAttemptId(latestInProgressKey);
-          setOrder(normalizeQuestionOrder(latestInProgress.questionOrder || {}));
-          setAnswers(latestInProgress.answers || {});
-          if (latestInProgress.remainingSeconds != null) setTimeLeft(Number(latestInProgress.remainingSeconds));
-          else if (exam?.timeLimit && latestInProgress.startTime) {
-            const elapsed = Math.floor((Date.now() - Number(latestInProgress.startTime || 0)) / 1000);
-            setTimeLeft(Math.max(0, Number(exam.timeLimit || 0) - elapsed));
-          }
+        // device copies: finish attempts submitted before the app was closed, drop ones the
+        // server already closed, and keep an open one even when the server could not be read
+        const closedOnServer = (id) => ["completed", "submitted"].includes(String(entries[id]?.attemptStatus || "").toLowerCase());
+        let openLocal = null;
+        for (const rec of local) {
+          if (rec.status === "submitted") settleSubmittedAttempt(rec).catch(() => {});
+          else if (closedOnServer(rec.attemptId)) removeLocalAttempt(rec.attemptId);
+          else if (!openLocal && rec.status === "in_progress") openLocal = rec;
+        }
+
+        let open = latestInProgress && latestInProgressKey ? { id: latestInProgressKey, ...latestInProgress } : null;
+        if (openLocal && (!open || open.id === openLocal.attemptId)) {
+          open = {
+            ...openLocal,
+            ...(open || {}),
+            id: openLocal.attemptId,
+            // the device saw every change; the server copy can lag behind the outbox
+            answers: { ...(open?.answers || {}), ...(openLocal.answers || {}) },
+            flagged: openLocal.flagged || open?.flagged || {},
+            currentIndex: openLocal.currentIndex ?? open?.currentIndex ?? 0,
+            integrity: openLocal.integrity || open?.integrity,
+          };
+        }
+
+        if (open && !cancelled) {
+          setInProgressAttempt(open);
+          setAttemptId(open.id);
+          setOrder(normalizeQuestionOrder(open.questionOrder || {}));
+          setItemOrders(open.itemOrders || {});
+          setAnswers(open.answers || {});
+          setFlagged(open.flagged || {});
+          if (open.feedbackMode) setFeedbackMode(open.feedbackMode);
+          if (open.startTime) setTimeLeft(secondsLeft(open.startTime, Number(exam?.timeLimit || 600)));
         }
 
         if (latestCompleted && latestCompletedKey && !cancelled) setLastCompletedAttempt({ id: latestCompletedKey, ...latestCompleted });
 
         if ((mode === "review" || mode === "result") && keys.length && !cancelled) {
-          const completedKeys = keys.filter((k) => String(entries[k]?.attemptStatus || "").toLowerCase() === "completed");
+          // only finished attempts can be reviewed; without one the screen falls back to the rules
+          const completedKeys = keys.filter((k) => ["completed", "submitted"].includes(String(entries[k]?.attemptStatus || "").toLowerCase()));
           let latestKey = null;
-          if (completedKeys.length) {
+          if (reviewAttemptIdParam) {
+            latestKey = completedKeys.includes(reviewAttemptIdParam) ? reviewAttemptIdParam : null;
+          } else if (completedKeys.length) {
             completedKeys.sort((a, b) => Number(entries[b]?.endTime || entries[b]?.startTime || 0) - Number(entries[a]?.endTime || entries[a]?.startTime || 0));
             latestKey = completedKeys[0];
-          } else {
-            keys.sort((a, b) => Number(entries[b]?.endTime || entries[b]?.startTime || 0) - Number(entries[a]?.endTime || entries[a]?.startTime || 0));
-            latestKey = keys[0];
           }
           if (latestKey) {
             const raw = entries[latestKey] || {};
@@ -545,7 +517,32 @@ const gradeLabel = useMemo(() => {
     })();
 
     return () => clearInterval(timerRef.current);
-  }, [roundId, examId, questionBankIdParam, mode, findRoundMetaById, loadQuestionBank]);
+  }, [roundId, examId, questionBankIdParam, mode, reviewAttemptIdParam, findRoundMetaById, loadQuestionBank]);
+
+  // mode "review": the grader's stored result of a past attempt, with its answers
+  const loadReviewedAttempt = useCallback(async () => {
+    if (!reviewAttempt || !studentId) return;
+    setOrder(reviewAttempt.questionOrder);
+    setAnswers(reviewAttempt.answers);
+    setResult(null);
+    setStage("result");
+    setGrading({ busy: true, error: null });
+    try {
+      const verified = await gradeAttempt({ studentId, roundId, examId, attemptId: reviewAttempt.id });
+      setGrading({ busy: false, error: null });
+      setResult(verified);
+      setShowPostSubmitReview(!!verified.review);
+      setReviewIndex(0);
+    } catch (e) {
+      setGrading({ busy: false, error: e?.message || "Could not load this attempt. Try again." });
+    }
+  }, [reviewAttempt, studentId, roundId, examId]);
+
+  useEffect(() => {
+    if (mode !== "review" || loading) return;
+    if (reviewAttempt) loadReviewedAttempt();
+    else setStage("rules");
+  }, [mode, loading, reviewAttempt, loadReviewedAttempt]);
 
 // [v49] add this effect below your other effects:
 useEffect(() => {
@@ -594,46 +591,6 @@ useEffect(() => {
     else Animated.timing(heartModalAnim, { toValue: 0, duration: 180, useNativeDriver: true }).start();
   }, [showHeartInfoModal, heartModalAnim]);
 
-  useEffect(() => {
-    let t;
-    let syncing = false;
-
-    async function tickAndSync() {
-      if (globalLives == null) {
-        setNextHeartInMs(0);
-        return;
-      }
-
-      const state = computeRefillState({
-        currentLives: globalLives,
-        maxLives: globalMaxLives,
-        lastConsumedAt: globalLastConsumedAt,
-        refillMs: globalRefillMs,
-      });
-
-      setNextHeartInMs(state.nextInMs);
-
-      if (state.recovered > 0 && studentId && !syncing) {
-        syncing = true;
-        try {
-          await safeUpdate({
-            [`Platform1/studentLives/${studentId}/currentLives`]: state.currentLives,
-            [`Platform1/studentLives/${studentId}/lastConsumedAt`]: state.lastConsumedAt,
-          });
-          setGlobalLives(state.currentLives);
-          setGlobalLastConsumedAt(state.lastConsumedAt);
-        } catch (e) {
-          console.warn("heart refill sync failed", e);
-        } finally {
-          syncing = false;
-        }
-      }
-    }
-
-    tickAndSync();
-    t = setInterval(tickAndSync, 1000);
-    return () => clearInterval(t);
-  }, [studentId, globalLives, globalMaxLives, globalLastConsumedAt, globalRefillMs]);
 
   useEffect(() => {
     let timer;
@@ -666,12 +623,12 @@ useEffect(() => {
         return;
       }
 
-      const elapsed = Math.max(0, Date.now() - lastTs);
+      const elapsed = Math.max(0, serverNow() - lastTs);
       const recovered = Math.floor(elapsed / refillMs);
       const usedNew = Math.max(0, usedRaw - recovered);
 
       const anchor = lastTs + recovered * refillMs;
-      const nextMs = usedNew <= 0 ? 0 : Math.max(0, refillMs - ((Date.now() - anchor) % refillMs));
+      const nextMs = usedNew <= 0 ? 0 : Math.max(0, refillMs - ((serverNow() - anchor) % refillMs));
 
       setEffectiveAttemptsUsed(usedNew);
       setNextAttemptInMs(nextMs);
@@ -691,16 +648,20 @@ useEffect(() => {
     return () => clearInterval(timer);
   }, [studentId, roundId, examId, examMeta, appExamConfig?.attempts, isCompetitive, attemptsUsed]);
 
-  const persistStartAttempt = useCallback(async (qOrder) => {
+  const persistStartAttempt = useCallback(async (qOrder, iOrders, startTime) => {
     if (!studentId || !examId) return null;
 
+    const timeLimit = Number(examMeta?.timeLimit || 600);
     const baseAttempt = {
       roundId,
       attemptNo,
       attemptStatus: "in_progress",
-      startTime: Date.now(),
+      startTime,
+      timeLimit,
       questionOrder: qOrder,
+      itemOrders: iOrders,
       answers: {},
+      currentIndex: 0,
       scorePercent: null,
       pointsAwarded: 0,
       badge: null,
@@ -710,21 +671,50 @@ useEffect(() => {
     };
 
     const newAttemptId = await pushAndSet(`Platform1/attempts/company/${studentId}/${examId}`, baseAttempt);
+    await saveLocalAttempt(newAttemptId, {
+      studentId,
+      roundId,
+      examId,
+      startTime,
+      timeLimit,
+      questionOrder: qOrder,
+      itemOrders: iOrders,
+      answers: {},
+      currentIndex: 0,
+      feedbackMode,
+      status: "in_progress",
+    });
     setInProgressAttempt({ id: newAttemptId, ...baseAttempt });
     setAttemptId(newAttemptId);
 
     try {
       const progressPath = `Platform1/studentProgress/${studentId}/company/${roundId}/${examId}/attemptsUsed`;
       await runTransactionSafe(progressPath, (current = 0) => Number(current || 0) + 1);
-      await safeUpdate({ [`Platform1/studentProgress/${studentId}/company/${roundId}/${examId}/lastAttemptTimestamp`]: Date.now() }).catch(() => {});
+      await safeUpdate({ [`Platform1/studentProgress/${studentId}/company/${roundId}/${examId}/lastAttemptTimestamp`]: serverNow() }).catch(() => {});
       setAttemptsUsed((p) => Number(p || 0) + 1);
       setEffectiveAttemptsUsed((p) => Number(p || 0) + 1);
       setAttemptNo((p) => Number(p || 1) + 1);
     } catch {}
 
-    wrongCountRef.current = 0;
+    setInstantChecks({});
     return newAttemptId;
-  }, [studentId, examId, roundId, attemptNo, feedbackMode]);
+  }, [studentId, examId, roundId, attemptNo, feedbackMode, examMeta]);
+
+  // the countdown is derived from the attempt's startTime, so a relaunch keeps the same deadline
+  const startClock = useCallback((startTime) => {
+    const limit = Number(examMeta?.timeLimit || 600);
+    clearInterval(timerRef.current);
+    const tick = () => {
+      const left = secondsLeft(startTime, limit);
+      setTimeLeft(left);
+      if (left <= 0) {
+        clearInterval(timerRef.current);
+        submitRef.current?.();
+      }
+    };
+    tick();
+    timerRef.current = setInterval(tick, 1000);
+  }, [examMeta]);
 
   const attemptsUsedForUI = Number.isFinite(effectiveAttemptsUsed)
     ? effectiveAttemptsUsed
@@ -751,83 +741,247 @@ useEffect(() => {
     if (inProgressAttempt && attemptId) return Alert.alert("Resume available", "You have an unfinished attempt. Use Resume Test.");
 
     const qOrder = shuffleArray(ids);
+    const iOrders = shuffleItemOrders(questions);
+    const startTime = serverNow();
     setOrder(qOrder);
+    setItemOrders(iOrders);
     setAnswers({});
+    setFlagged({});
     setCurrentIndex(0);
-    setTimeLeft(Number(examMeta?.timeLimit || 600));
+    integrityRef.current = { exitCount: 0, openExit: null, policyApplied: false };
 
-    const aId = await persistStartAttempt(qOrder);
+    const aId = await persistStartAttempt(qOrder, iOrders, startTime);
     setAttemptId(aId);
 
-    clearInterval(timerRef.current);
-    timerRef.current = setInterval(() => {
-      setTimeLeft((t) => {
-        if (t <= 1) {
-          clearInterval(timerRef.current);
-          submitExam();
-          return 0;
-        }
-        return t - 1;
-      });
-    }, 1000);
-
+    startClock(startTime);
     setStage("exam");
-  }, [examMeta, attemptsUsedForUI, inProgressAttempt, questions, questionLoadError, isCompetitive, globalLives, attemptId, persistStartAttempt, submitExam]);
+  }, [examMeta, attemptsUsedForUI, inProgressAttempt, questions, questionLoadError, isCompetitive, globalLives, attemptId, persistStartAttempt, startClock]);
+
+  const exitPolicy = useMemo(() => integrityPolicy(appExamConfig?.integrity), [appExamConfig?.integrity]);
+
+  // closes the open app exit, then warns or applies the exit policy once the limit is reached
+  const returnFromExit = useCallback(() => {
+    const state = integrityRef.current;
+    const exit = state.openExit;
+    if (!exit || !studentId || !examId || !attemptId) return;
+    const attempt = { studentId, examId, attemptId };
+    const limitReached = state.exitCount >= exitPolicy.maxExits && !state.policyApplied;
+    integrityRef.current = { ...state, openExit: null, policyApplied: state.policyApplied || limitReached };
+    saveLocalAttempt(attemptId, { integrity: integrityRef.current });
+    recordReturn(attempt, exit);
+
+    const times = `${state.exitCount} time${state.exitCount === 1 ? "" : "s"}`;
+    if (limitReached) recordPolicy(attempt, exitPolicy.action);
+    if (limitReached && exitPolicy.action === "auto_submit") {
+      Alert.alert("Exam submitted", `You left the app ${times}, so this attempt was submitted.`);
+      submitRef.current?.();
+    } else if (limitReached && exitPolicy.action === "flag") {
+      Alert.alert("Attempt flagged", `You left the app ${times}. This attempt is flagged for the organizers.`);
+    } else {
+      const atLimit = state.policyApplied ? null : { auto_submit: "submitted", flag: "flagged" }[exitPolicy.action];
+      Alert.alert(
+        "You left the exam",
+        `Leaving the app is recorded for the organizers. You left ${times}.` +
+          (atLimit ? ` After ${exitPolicy.maxExits} exits the attempt is ${atLimit}.` : "")
+      );
+    }
+  }, [studentId, examId, attemptId, exitPolicy]);
 
   const resumeExam = useCallback(() => {
     if (!inProgressAttempt || !attemptId) return Alert.alert("No attempt to resume");
 
     const normalizedOrder = normalizeQuestionOrder(inProgressAttempt.questionOrder || {});
     if (!order.length && normalizedOrder.length) setOrder(normalizedOrder);
+    setItemOrders(inProgressAttempt.itemOrders || {});
     if (inProgressAttempt.answers) setAnswers(inProgressAttempt.answers || {});
+    setFlagged(inProgressAttempt.flagged || {});
+    const lastIndex = Math.max(0, (normalizedOrder.length || order.length) - 1);
+    setCurrentIndex(Math.min(Math.max(0, Number(inProgressAttempt.currentIndex || 0)), lastIndex));
+
+    const saved = inProgressAttempt.integrity || {};
+    integrityRef.current = {
+      exitCount: Number(saved.exitCount || 0),
+      openExit: saved.openExit || null,
+      policyApplied: !!(saved.policyApplied || saved.policyAction),
+    };
 
-    if (inProgressAttempt.remainingSeconds != null) setTimeLeft(Number(inProgressAttempt.remainingSeconds));
-    else if (inProgressAttempt.startTime && examMeta?.timeLimit) {
-      const elapsed = Math.floor((Date.now() - Number(inProgressAttempt.startTime || 0)) / 1000);
-      setTimeLeft(Math.max(0, Number(examMeta.timeLimit || 600) - elapsed));
-    } else setTimeLeft(Number(examMeta?.timeLimit || 600));
+    setStage("exam");
+    // time that passed while the app was closed counts; an expired attempt is submitted right away
+    startClock(Number(inProgressAttempt.startTime || serverNow()));
+    // the app was killed while away: that exit ends now
+    if (isCompetitive) returnFromExit();
+  }, [inProgressAttempt, attemptId, order.length, startClock, isCompetitive, returnFromExit]);
+
+  const saveAnswers = useCallback(() => {
+    clearTimeout(answerSaveTimer.current);
+    const pending = unsavedAnswersRef.current;
+    unsavedAnswersRef.current = {};
+    const ids = Object.keys(pending);
+    if (!ids.length || !studentId || !examId || !attemptId) return Promise.resolve();
+
+    const patch = {};
+    ids.forEach((id) => {
+      patch[`Platform1/attempts/company/${studentId}/${examId}/${attemptId}/answers/${id}`] = pending[id];
+    });
+    return safeUpdate(patch, { tag: "exam-answer", meta: { attemptId } }).catch(() => {});
+  }, [studentId, examId, attemptId]);
 
-    clearInterval(timerRef.current);
-    timerRef.current = setInterval(() => {
-      setTimeLeft((t) => {
-        if (t <= 1) { clearInterval(timerRef.current); submitExam(); return 0; }
-        return t - 1;
-      });
-    }, 1000);
+  // leaving the screen mid-typing still saves the last answer
+  useEffect(() => () => { saveAnswers(); }, [saveAnswers]);
 
-    setStage("exam");
-  }, [inProgressAttempt, attemptId, order.length, examMeta, submitExam]);
+  const checkInstant = useCallback(async (qId, value) => {
+    setFeedbackQuestionId(qId);
+    setInstantChecks((p) => ({ ...p, [qId]: { pending: true } }));
+    try {
+      const check = await checkAnswer({ studentId, examId, attemptId, questionId: qId, answer: value });
+      setInstantChecks((p) => ({ ...p, [qId]: check }));
+      Vibration.vibrate(20);
+    } catch (e) {
+      setInstantChecks((p) => ({ ...p, [qId]: { error: e?.message || "Could not check this answer." } }));
+    }
+  }, [studentId, examId, attemptId]);
+
+  // instant mode: a picked option is final, other types once they were checked
+  const isLocked = useCallback((question) => {
+    if (!question || feedbackMode !== "instant") return false;
+    if (isSinglePick(question)) return answers?.[question.id] != null;
+    const check = instantChecks[question.id];
+    return !!check && !check.error;
+  }, [feedbackMode, answers, instantChecks]);
 
-  const setAnswer = useCallback(async (qId, optionKey) => {
+  const setAnswer = useCallback(async (qId, value) => {
     if (stage !== "exam") return;
-    if (feedbackMode === "instant" && answers?.[qId] != null) return;
+    const question = questions.find((x) => x.id === qId);
+    if (isLocked(question)) return;
 
-    setAnswers((p) => ({ ...p, [qId]: optionKey }));
+    setAnswers((p) => ({ ...p, [qId]: value }));
 
-    const q = questions.find((x) => x.id === qId);
-    if (q) {
-      const correct = String(q.correctAnswer || "") === String(optionKey || "");
-      if (!isCompetitive && feedbackMode === "instant") {
-        setSelectedFeedback(correct ? "correct" : "wrong");
-        Vibration.vibrate(20);
-      }
-      if (!isCompetitive && !correct) wrongCountRef.current = Number(wrongCountRef.current || 0) + 1;
+    if (!studentId || !examId || !attemptId) return;
+    unsavedAnswersRef.current[qId] = value;
+    if (isTyped(question)) {
+      clearTimeout(answerSaveTimer.current);
+      answerSaveTimer.current = setTimeout(saveAnswers, 800);
+      return;
     }
 
-    if (!studentId || !examId || !attemptId) return;
-    await safeUpdate({ [`Platform1/attempts/company/${studentId}/${examId}/${attemptId}/answers/${qId}`]: optionKey }).catch(() => {});
-  }, [stage, feedbackMode, answers, questions, isCompetitive, studentId, examId, attemptId]);
+    const saved = saveAnswers();
+    if (!isCompetitive && feedbackMode === "instant" && isSinglePick(question)) await checkInstant(qId, value);
+    await saved;
+  }, [stage, questions, isLocked, isCompetitive, feedbackMode, studentId, examId, attemptId, saveAnswers, checkInstant]);
+
+  const toggleOption = useCallback((qId, optKey) => {
+    const picks = toList(answers?.[qId]).map(String);
+    const next = picks.includes(String(optKey)) ? picks.filter((k) => k !== String(optKey)) : [...picks, String(optKey)];
+    setAnswer(qId, next.length ? next : null);
+  }, [answers, setAnswer]);
+
+  const checkCurrent = useCallback((question) => {
+    if (!question || !isAnswered(question, answers?.[question.id])) return;
+    saveAnswers();
+    checkInstant(question.id, answers[question.id]);
+  }, [answers, saveAnswers, checkInstant]);
+
+  useEffect(() => {
+    submitRef.current = submitExam;
+  }, [submitExam]);
+
+  // competitive attempts log every switch to the background on the attempt
+  useEffect(() => {
+    if (stage !== "exam" || !isCompetitive || !studentId || !examId || !attemptId) return;
+    const sub = AppState.addEventListener("change", (next) => {
+      const state = integrityRef.current;
+      if (next === "background" && !state.openExit) {
+        const exit = { exitNo: state.exitCount + 1, leftAt: serverNow() };
+        integrityRef.current = { ...state, exitCount: exit.exitNo, openExit: exit };
+        saveLocalAttempt(attemptId, { integrity: integrityRef.current });
+        recordExit({ studentId, examId, attemptId }, exit);
+      } else if (next === "active") {
+        returnFromExit();
+      }
+    });
+    return () => sub.remove();
+  }, [stage, isCompetitive, studentId, examId, attemptId, returnFromExit]);
+
+  // device copy of the open attempt, for resuming after the app is killed
+  useEffect(() => {
+    if (stage !== "exam" || !attemptId) return;
+    const t = setTimeout(() => { saveLocalAttempt(attemptId, { answers, currentIndex, flagged }); }, 400);
+    return () => clearTimeout(t);
+  }, [stage, attemptId, answers, currentIndex, flagged]);
+
+  useEffect(() => {
+    if (stage !== "exam" || !studentId || !examId || !attemptId) return;
+    safeUpdate(
+      { [`Platform1/attempts/company/${studentId}/${examId}/${attemptId}/currentIndex`]: currentIndex },
+      { tag: "exam-progress", meta: { attemptId } }
+    ).catch(() => {});
+  }, [stage, studentId, examId, attemptId, currentIndex]);
+
+  // answers still sitting in the offline outbox for this attempt
+  useEffect(() => {
+    if (!attemptId) return;
+    return subscribeOutbox((items) => {
+      const n = items.filter((it) => it.tag === "exam-answer" && it.meta?.attemptId === attemptId).length;
+      setUnsyncedAnswers(n);
+    });
+  }, [attemptId]);
 
   const prevQ = useCallback(() => {
-    setSelectedFeedback(null);
+    setFeedbackQuestionId(null);
+    saveAnswers();
     if (currentIndex > 0) setCurrentIndex((i) => i - 1);
-  }, [currentIndex]);
+  }, [currentIndex, saveAnswers]);
 
   const nextQ = useCallback(() => {
-    setSelectedFeedback(null);
+    setFeedbackQuestionId(null);
+    saveAnswers();
     if (currentIndex < (order.length || questions.length) - 1) setCurrentIndex((i) => i + 1);
-    else submitExam();
-  }, [currentIndex, order.length, questions.length, submitExam]);
+    else setShowSubmitSummary(true);
+  }, [currentIndex, order.length, questions.length, saveAnswers]);
+
+  const jumpToQuestion = useCallback((index) => {
+    setFeedbackQuestionId(null);
+    saveAnswers();
+    setCurrentIndex(index);
+    setShowNavigator(false);
+    setShowSubmitSummary(false);
+  }, [saveAnswers]);
+
+  const toggleFlag = useCallback((qId) => {
+    if (!qId) return;
+    const on = !flagged[qId];
+    setFlagged((p) => {
+      const next = { ...p };
+      if (on) next[qId] = true;
+      else delete next[qId];
+      return next;
+    });
+    if (!studentId || !examId || !attemptId) return;
+    safeUpdate(
+      { [`Platform1/attempts/company/${studentId}/${examId}/${attemptId}/flagged/${qId}`]: on ? true : null },
+      { tag: "exam-progress", meta: { attemptId } }
+    ).catch(() => {});
+  }, [flagged, studentId, examId, attemptId]);
+
+  const confirmSubmit = useCallback(() => {
+    setShowSubmitSummary(false);
+    setShowNavigator(false);
+    submitExam();
+  }, [submitExam]);
+
+  // round windows are only trusted against the server clock
+  useEffect(() => {
+    if (clockVerified) return;
+    let alive = true;
+    const check = () =>
+      waitForServerTime(15000).then((ok) => {
+        if (!alive) return;
+        if (ok) setClockVerified(true);
+        else check();
+      });
+    check();
+    return () => { alive = false; };
+  }, [clockVerified]);
 
   const canStart = useMemo(() => {
     if (!examMeta) return { ok: false, reason: "Exam metadata unavailable." };
@@ -840,23 +994,41 @@ useEffect(() => {
     if (attemptsUsedForUI >= maxAttempts && !inProgressAttempt) return { ok: false, reason: "No attempts left for this exam." };
 
     if (isCompetitive && lastCompletedAttempt && roundMeta?.endTimestamp) {
-      if (Date.now() < toMsTs(roundMeta.endTimestamp)) {
+      if (serverNow() < toMsTs(roundMeta.endTimestamp)) {
         return { ok: false, reason: "You completed this competitive exam. Results will be available after the round ends." };
       }
     }
 
-    if (roundMeta?.startTimestamp && roundMeta?.endTimestamp && !inWindow(roundMeta)) {
-      return { ok: false, reason: "This exam is outside the allowed time window." };
+    if (roundMeta?.startTimestamp && roundMeta?.endTimestamp) {
+      if (!clockVerified && !inProgressAttempt) {
+        return { ok: false, reason: "Checking the time with the server. Connect to the internet to start this exam." };
+      }
+      if (!inWindow(roundMeta)) return { ok: false, reason: "This exam is outside the allowed time window." };
     }
 
     return { ok: true, reason: "" };
-  }, [examMeta, questions, questionLoadError, attemptsUsedForUI, inProgressAttempt, isCompetitive, lastCompletedAttempt, roundMeta]);
+  }, [examMeta, questions, questionLoadError, attemptsUsedForUI, inProgressAttempt, isCompetitive, lastCompletedAttempt, roundMeta, clockVerified]);
 
   const safeAreaPaddingTop = Platform.OS === "android" ? (StatusBar.currentHeight || 0) : 0;
   const qId = order[currentIndex];
-  const q = questions.find((x) => x.id === qId);
+  const q = localizeQuestion(questions.find((x) => x.id === qId), questionLang);
+  const questionLangs = useMemo(() => availableLanguages(questions), [questions]);
+  const qCheck = q ? instantChecks[q.id] : null;
+  const qType = questionType(q);
+  const qLocked = isLocked(q);
 
   const totalQ = Math.max(1, order.length || questions.length || 1);
+
+  const questionStates = useMemo(() => {
+    const ids = order.length ? order : questions.map((x) => x.id);
+    return ids.map((id) => ({
+      id,
+      answered: isAnswered(questions.find((x) => x.id === id), answers?.[id]),
+      flagged: !!flagged[id],
+    }));
+  }, [order, questions, answers, flagged]);
+  const unansweredCount = questionStates.filter((s) => !s.answered).length;
+  const flaggedCount = questionStates.filter((s) => s.flagged).length;
   const examProgressPct = Math.min(100, Math.max(0, ((currentIndex + 1) / totalQ) * 100));
 
   const passingPercent = Number(examMeta?.passingPercent ?? examMeta?.passPercent ?? examMeta?.passScore ?? NaN);
@@ -912,6 +1084,111 @@ useEffect(() => {
         </View>
       </Modal>
 
+      <Modal visible={showNavigator} transparent animationType="slide" onRequestClose={() => setShowNavigator(false)}>
+        <View style={modalStyles.sheetOverlay}>
+          <View style={modalStyles.sheet}>
+            <View style={modalStyles.sheetHeader}>
+              <Text style={modalStyles.title}>Questions</Text>
+              <TouchableOpacity onPress={() => setShowNavigator(false)}>
+                <Ionicons name="close" size={22} color={C.muted} />
+              </TouchableOpacity>
+            </View>
+
+            <View style={modalStyles.legendRow}>
+              <View style={modalStyles.legendItem}><View style={[modalStyles.navCellActive, modalStyles.legendDot]} /><Text style={modalStyles.legendText}>Current</Text></View>
+              <View style={modalStyles.legendItem}><View style={[modalStyles.navCellDone, modalStyles.legendDot]} /><Text style={modalStyles.legendText}>Answered</Text></View>
+              <View style={modalStyles.legendItem}><View style={[modalStyles.navCell, modalStyles.legendDot]} /><Text style={modalStyles.legendText}>Unanswered</Text></View>
+              <View style={modalStyles.legendItem}><Ionicons name="flag" size={12} color={FLAG_COLOR} /><Text style={modalStyles.legendText}>Flagged</Text></View>
+            </View>
+
+            <ScrollView contentContainerStyle={modalStyles.navGrid}>
+              {questionStates.map((s, index) => {
+                const isActive = index === currentIndex;
+                return (
+                  <TouchableOpacity
+                    key={s.id}
+                    style={[modalStyles.navCell, s.answered && modalStyles.navCellDone, isActive && modalStyles.navCellActive]}
+                    onPress={() => jumpToQuestion(index)}
+                  >
+                    <Text style={[modalStyles.navCellText, s.answered && modalStyles.navCellTextDone, isActive && modalStyles.navCellTextActive]}>
+                      {index + 1}
+                    </Text>
+                    {s.flagged ? <Ionicons name="flag" size={11} color={FLAG_COLOR} style={modalStyles.navCellFlag} /> : null}
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+
+            <Text style={[modalStyles.text, { marginTop: 10 }]}>
+              {questionStates.length - unansweredCount} answered · {unansweredCount} unanswered · {flaggedCount} flagged
+            </Text>
+            <TouchableOpacity
+              style={modalStyles.closeBtnPrimary}
+              onPress={() => {
+                setShowNavigator(false);
+                setShowSubmitSummary(true);
+              }}
+            >
+              <Text style={modalStyles.closeBtnTextPrimary}>Review & submit</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      <Modal visible={showSubmitSummary} transparent animationType="fade" onRequestClose={() => setShowSubmitSummary(false)}>
+        <View style={modalStyles.overlay}>
+          <View style={modalStyles.card}>
+            <Text style={modalStyles.title}>Submit exam?</Text>
+            <Text style={modalStyles.text}>
+              {questionStates.length - unansweredCount} of {questionStates.length} questions answered.
+            </Text>
+
+            {unansweredCount > 0 ? (
+              <View style={modalStyles.summaryWarn}>
+                <Ionicons name="alert-circle-outline" size={16} color="#C2410C" />
+                <Text style={modalStyles.summaryWarnText}>
+                  {unansweredCount} unanswered question{unansweredCount === 1 ? "" : "s"} will count as wrong.
+                </Text>
+              </View>
+            ) : null}
+            {flaggedCount > 0 ? (
+              <View style={modalStyles.summaryWarn}>
+                <Ionicons name="flag" size={16} color={FLAG_COLOR} />
+                <Text style={modalStyles.summaryWarnText}>
+                  {flaggedCount} question{flaggedCount === 1 ? " is" : "s are"} still flagged for review.
+                </Text>
+              </View>
+            ) : null}
+
+            {unansweredCount > 0 || flaggedCount > 0 ? (
+              <ScrollView style={{ maxHeight: 120, alignSelf: "stretch" }} contentContainerStyle={modalStyles.navGrid}>
+                {questionStates.map((s, index) =>
+                  !s.answered || s.flagged ? (
+                    <TouchableOpacity
+                      key={s.id}
+                      style={[modalStyles.navCell, s.answered && modalStyles.navCellDone]}
+                      onPress={() => jumpToQuestion(index)}
+                    >
+                      <Text style={[modalStyles.navCellText, s.answered && modalStyles.navCellTextDone]}>{index + 1}</Text>
+                      {s.flagged ? <Ionicons name="flag" size={11} color={FLAG_COLOR} style={modalStyles.navCellFlag} /> : null}
+                    </TouchableOpacity>
+                  ) : null
+                )}
+              </ScrollView>
+            ) : null}
+
+            <View style={{ flexDirection: "row", gap: 10, alignSelf: "stretch" }}>
+              <TouchableOpacity style={[modalStyles.closeBtn, { flex: 1 }]} onPress={() => setShowSubmitSummary(false)}>
+                <Text style={modalStyles.closeBtnText}>Keep working</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[modalStyles.closeBtnPrimary, { flex: 1 }]} onPress={confirmSubmit}>
+                <Text style={modalStyles.closeBtnTextPrimary}>Submit</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
       <View style={styles.root}>
         {stage === "rules" && (
           <View style={styles.panel}>
@@ -987,6 +1264,20 @@ useEffect(() => {
                 </View>
               )}
 
+              {isCompetitive ? (
+                <View style={styles.infoCard}>
+                  <Text style={styles.infoTitle}>Stay in the app</Text>
+                  <Text style={styles.infoText}>
+                    Every time you leave the app during this exam is recorded for the organizers.
+                    {exitPolicy.action === "auto_submit"
+                      ? ` After ${exitPolicy.maxExits} exits your attempt is submitted.`
+                      : exitPolicy.action === "flag"
+                        ? ` After ${exitPolicy.maxExits} exits your attempt is flagged.`
+                        : ""}
+                  </Text>
+                </View>
+              ) : null}
+
               {attemptsLeft <= 0 && !inProgressAttempt ? (
                 <View style={styles.noAttemptsCard}>
                   <TouchableOpacity
@@ -1054,11 +1345,22 @@ useEffect(() => {
               <View style={{ flex: 1 }}>
                 <Text style={styles.title}>{examMeta?.name || "Exam"}</Text>
                 <Text style={styles.subtitle}>Question {Math.min(currentIndex + 1, totalQ)} / {totalQ}</Text>
+                {unsyncedAnswers > 0 ? (
+                  <Text style={styles.syncHint}>
+                    {unsyncedAnswers} answer{unsyncedAnswers === 1 ? "" : "s"} saved on device, will sync when online
+                  </Text>
+                ) : null}
               </View>
               <View style={styles.timerPill}>
                 <Ionicons name="time-outline" size={16} color={C.primary} />
                 <Text style={styles.timer}>{formatTime(timeLeft)}</Text>
               </View>
+              {!isCompetitive ? (
+                <LanguageToggle languages={questionLangs} value={questionLang} onChange={setQuestionLang} />
+              ) : null}
+              <TouchableOpacity style={styles.navBtn} onPress={() => setShowNavigator(true)}>
+                <Ionicons name="grid-outline" size={18} color={C.primary} />
+              </TouchableOpacity>
             </View>
 
             <View style={styles.progressTrack}>
@@ -1071,20 +1373,31 @@ useEffect(() => {
               ) : (
                 <>
                   <View style={styles.qCard}>
-                    <Text style={styles.qText}>{q.question}</Text>
+                    <RichText text={q.question} style={styles.qText} images={q.image} />
+                    <Text style={styles.qTypeLabel}>{questionTypeLabel(q)}</Text>
                   </View>
 
-                  {Object.keys(q.options || {}).map((optKey) => {
-                    const selected = answers?.[q.id] === optKey;
-                    const showInstant = feedbackMode === "instant" && answers?.[q.id] != null;
-                    const isCorrectOpt = String(q.correctAnswer || "") === String(optKey);
+                  {qType !== "mcq" && qType !== "multi_select" ? (
+                    <ExamAnswerInput
+                      question={q}
+                      value={answers?.[q.id]}
+                      onChange={(value) => setAnswer(q.id, value)}
+                      disabled={qLocked}
+                      itemOrder={itemOrders[q.id]}
+                    />
+                  ) : null}
+
+                  {(qType === "mcq" || qType === "multi_select") && Object.keys(q.options || {}).map((optKey) => {
+                    const selected = toList(answers?.[q.id]).map(String).includes(String(optKey));
+                    const showInstant = feedbackMode === "instant" && qCheck?.correctAnswer != null;
+                    const isCorrectOpt = toList(qCheck?.correctAnswer).map(String).includes(String(optKey));
                     const isWrongSel = selected && !isCorrectOpt;
 
                     return (
                       <TouchableOpacity
                         key={optKey}
-                        disabled={showInstant}
-                        onPress={() => setAnswer(q.id, optKey)}
+                        disabled={qLocked}
+                        onPress={() => (qType === "multi_select" ? toggleOption(q.id, optKey) : setAnswer(q.id, optKey))}
                         style={[
                           styles.option,
                           styles.optionDefault,
@@ -1096,21 +1409,49 @@ useEffect(() => {
                         <View style={[styles.optBadge, selected ? styles.optBadgeSel : styles.optBadgeDef]}>
                           <Text style={styles.optLetter}>{optKey}</Text>
                         </View>
-                        <Text style={[styles.optText, selected ? styles.optTextSel : null]}>{q.options[optKey]}</Text>
+                        <RichText
+                          text={q.options[optKey]}
+                          style={[styles.optText, selected ? styles.optTextSel : null]}
+                          images={q.optionImages?.[optKey]}
+                        />
                       </TouchableOpacity>
                     );
                   })}
 
-                  {feedbackMode === "instant" && selectedFeedback ? (
-                    <Text style={{ marginTop: 10, fontWeight: "800", color: selectedFeedback === "correct" ? C.success : C.danger }}>
-                      {selectedFeedback === "correct" ? "Correct ✅" : "Wrong ❌"}
-                    </Text>
+                  {feedbackMode === "instant" && !isCompetitive && !isSinglePick(q) && !qLocked ? (
+                    <TouchableOpacity
+                      style={[styles.checkBtn, !isAnswered(q, answers?.[q.id]) ? { opacity: 0.55 } : null]}
+                      disabled={!isAnswered(q, answers?.[q.id])}
+                      onPress={() => checkCurrent(q)}
+                    >
+                      <Text style={styles.checkBtnText}>Check answer</Text>
+                    </TouchableOpacity>
+                  ) : null}
+
+                  {feedbackMode === "instant" && feedbackQuestionId === q.id && qCheck ? (
+                    qCheck.pending || qCheck.error ? (
+                      <Text style={{ marginTop: 10, fontWeight: "700", color: C.muted }}>
+                        {qCheck.pending ? "Checking…" : qCheck.error}
+                      </Text>
+                    ) : (
+                      <Text style={{ marginTop: 10, fontWeight: "800", color: qCheck.correct ? C.success : C.danger }}>
+                        {qCheck.correct
+                          ? "Correct ✅"
+                          : qCheck.credit > 0
+                            ? `Partly correct (${Math.round(qCheck.credit * 100)}%)`
+                            : "Wrong ❌"}
+                      </Text>
+                    )
                   ) : null}
 
-                  {feedbackMode === "instant" && answers?.[q?.id] != null && q?.explanation ? (
+                  {feedbackMode === "instant" && qCheck && !qCheck.correct && qCheck.correctAnswer != null && qType !== "mcq" && qType !== "multi_select" ? (
+                    <RichText text={`Correct answer: ${describeAnswer(q, qCheck.correctAnswer)}`} style={styles.reviewLine} />
+                  ) : null}
+
+                  {feedbackMode === "instant" && answers?.[q?.id] != null && localizeExplanation(qCheck, questionLang) ? (
                     <View style={styles.explanationCard}>
                       <Text style={styles.explanationTitle}>Explanation</Text>
-                      <Text style={styles.explanationText}>{q.explanation}</Text>
+                      <RichText text={localizeExplanation(qCheck, questionLang)} style={styles.explanationText} />
                     </View>
                   ) : null}
                 </>
@@ -1121,6 +1462,10 @@ useEffect(() => {
               <TouchableOpacity style={styles.ghostBtn} onPress={prevQ} disabled={currentIndex <= 0}>
                 <Text style={styles.ghostTxt}>Previous</Text>
               </TouchableOpacity>
+              <TouchableOpacity style={styles.flagBtn} onPress={() => toggleFlag(q?.id)} disabled={!q}>
+                <Ionicons name={flagged[q?.id] ? "flag" : "flag-outline"} size={18} color={flagged[q?.id] ? FLAG_COLOR : C.muted} />
+                <Text style={[styles.flagTxt, flagged[q?.id] ? { color: FLAG_COLOR } : null]}>{flagged[q?.id] ? "Flagged" : "Flag"}</Text>
+              </TouchableOpacity>
               <TouchableOpacity style={styles.primaryBtnSmall} onPress={nextQ}>
                 <Text style={styles.primaryBtnText}>{currentIndex < totalQ - 1 ? "Next" : "Submit"}</Text>
               </TouchableOpacity>
@@ -1138,27 +1483,46 @@ useEffect(() => {
                 <Text style={styles.title}>Review Answers</Text>
                 <Text style={styles.subtitle}>{reviewIndex + 1} / {totalQ}</Text>
               </View>
+              <LanguageToggle languages={questionLangs} value={questionLang} onChange={setQuestionLang} />
               <Text style={{ fontWeight: "900", color: C.primary }}>{Math.round(Number(result?.percent || 0))}%</Text>
             </View>
 
             {(() => {
               const rqId = order[reviewIndex];
-              const rq = questions.find((x) => x.id === rqId);
+              const rq = localizeQuestion(questions.find((x) => x.id === rqId), questionLang);
               if (!rq) return <Text style={styles.warning}>Review question unavailable.</Text>;
 
               const selected = answers?.[rq.id];
-              const correct = rq.correctAnswer;
-              const isCorrect = String(selected || "") === String(correct || "");
+              const graded = result?.review?.[rq.id] || {};
+              const rqType = questionType(rq);
+              const isOptionType = rqType === "mcq" || rqType === "multi_select";
+              const picks = toList(selected).map(String);
+              const rightKeys = toList(graded.correctAnswer).map(String);
+              const isCorrect = !!graded.correct;
+              const credit = Number(graded.credit ?? (isCorrect ? 1 : 0));
 
               return (
                 <ScrollView contentContainerStyle={styles.examBody}>
                   <View style={styles.qCard}>
-                    <Text style={styles.qText}>{rq.question}</Text>
+                    <RichText text={rq.question} style={styles.qText} images={rq.image} />
+                    <Text style={styles.qTypeLabel}>{questionTypeLabel(rq)}</Text>
                   </View>
 
-                  {Object.keys(rq.options || {}).map((optKey) => {
-                    const isSel = selected === optKey;
-                    const isRight = String(correct) === String(optKey);
+                  {!isOptionType ? (
+                    <View style={styles.reviewAnswers}>
+                      <RichText
+                        text={`Your answer: ${describeAnswer(rq, selected)}`}
+                        style={[styles.reviewLine, { color: isCorrect ? C.success : C.danger }]}
+                      />
+                      {!isCorrect && graded.correctAnswer != null ? (
+                        <RichText text={`Correct answer: ${describeAnswer(rq, graded.correctAnswer)}`} style={styles.reviewLine} />
+                      ) : null}
+                    </View>
+                  ) : null}
+
+                  {isOptionType && Object.keys(rq.options || {}).map((optKey) => {
+                    const isSel = picks.includes(String(optKey));
+                    const isRight = rightKeys.includes(String(optKey));
 
                     return (
                       <View
@@ -1173,20 +1537,25 @@ useEffect(() => {
                         <View style={[styles.optBadge, styles.optBadgeDef]}>
                           <Text style={styles.optLetter}>{optKey}</Text>
                         </View>
-                        <Text style={styles.optText}>
-                          {rq.options[optKey]}
-                          {isSel ? " • your answer" : ""}
-                          {isRight ? " • correct" : ""}
-                        </Text>
+                        <View style={{ flex: 1 }}>
+                          <RichText text={rq.options[optKey]} style={styles.optText} images={rq.optionImages?.[optKey]} />
+                          {isSel || isRight ? (
+                            <Text style={styles.optTags}>
+                              {[isSel ? "your answer" : null, isRight ? "correct" : null].filter(Boolean).join(" • ")}
+                            </Text>
+                          ) : null}
+                        </View>
                       </View>
                     );
                   })}
 
                   <View style={styles.explanationCard}>
                     <Text style={[styles.explanationTitle, { color: isCorrect ? C.success : C.danger }]}>
-                      {isCorrect ? "Correct ✅" : "Incorrect ❌"}
+                      {isCorrect ? "Correct ✅" : credit > 0 ? `Partly correct (${Math.round(credit * 100)}%)` : "Incorrect ❌"}
                     </Text>
-                    {!!rq.explanation && <Text style={styles.explanationText}>{rq.explanation}</Text>}
+                    {!!localizeExplanation(graded, questionLang) && (
+                      <RichText text={localizeExplanation(graded, questionLang)} style={styles.explanationText} />
+                    )}
                   </View>
                 </ScrollView>
               );
@@ -1209,7 +1578,42 @@ useEffect(() => {
           </View>
         )}
 
-{stage === "result" && !showPostSubmitReview && (
+{stage === "result" && !result && (
+  <View style={styles.resultScreen}>
+    <View style={styles.resultCenter}>
+      <View style={styles.resultCard}>
+        {grading.busy ? (
+          <>
+            <ActivityIndicator size="large" color={C.primary} />
+            <Text style={styles.resultTitle}>Grading…</Text>
+            <Text style={styles.resultSub}>Your answers were submitted. Checking them now.</Text>
+          </>
+        ) : (
+          <>
+            <Ionicons name="cloud-upload-outline" size={42} color={C.primary} />
+            <Text style={styles.resultTitle}>Result pending</Text>
+            <Text style={styles.resultSub}>{grading.error || "Your answers were submitted."}</Text>
+          </>
+        )}
+
+        <View style={{ flexDirection: "row", width: "100%", gap: 10, marginTop: 16 }}>
+          <TouchableOpacity style={[styles.ghostBtn, { flex: 1 }]} onPress={() => router.back()}>
+            <Text style={styles.ghostTxt}>Later</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.primaryBtnSmall, { flex: 1 }, grading.busy ? { opacity: 0.55 } : null]}
+            disabled={grading.busy}
+            onPress={mode === "review" ? loadReviewedAttempt : loadVerifiedResult}
+          >
+            <Text style={styles.primaryBtnText}>Check again</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </View>
+  </View>
+)}
+
+{stage === "result" && result && !showPostSubmitReview && (
   <View style={styles.resultScreen}>
     <Animated.View
       style={[
@@ -1275,7 +1679,7 @@ useEffect(() => {
         ) : null}
 
         <View style={{ flexDirection: "row", width: "100%", gap: 10, marginTop: 16 }}>
-          {!isCompetitive && feedbackMode === "end" ? (
+          {!isCompetitive && feedbackMode === "end" && result?.review ? (
             <TouchableOpacity
               style={[styles.ghostBtn, { flex: 1 }]}
               onPress={() => {
@@ -1297,6 +1701,16 @@ useEffect(() => {
 )}
       </View>
 
+      {stage === "result" ? (
+        <AchievementUnlock
+          achievements={newAchievements}
+          onDone={(ids) => {
+            setNewAchievements([]);
+            markAchievementsSeen(studentId, ids);
+          }}
+        />
+      ) : null}
+
       <Modal visible={showHeartInfoModal} transparent animationType="none" onRequestClose={() => setShowHeartInfoModal(false)}>
         <View style={modalStyles.overlay}>
           <Animated.View style={[modalStyles.card, { transform: [{ scale: heartModalAnim.interpolate({ inputRange: [0, 1], outputRange: [0.9, 1] }) }], opacity: heartModalAnim }]}>
@@ -1339,6 +1753,7 @@ const styles = StyleSheet.create({
   backBtn: { width: 40, height: 40, borderRadius: 10, alignItems: "center", justifyContent: "center", backgroundColor: "#F7F9FF" },
   title: { fontSize: 18, fontWeight: "900", color: C.text },
   subtitle: { marginTop: 2, color: C.muted, fontSize: 12 },
+  syncHint: { marginTop: 2, color: "#B45309", fontSize: 11, fontWeight: "700" },
 
   body: { paddingHorizontal: 16, paddingBottom: 24 },
   mainTitle: { fontSize: 24, fontWeight: "900", color: C.text, marginTop: 8, marginBottom: 10 },
@@ -1384,6 +1799,9 @@ const styles = StyleSheet.create({
   primaryBtnText: { color: "#fff", fontWeight: "900" },
 
   examBody: { flexGrow: 1, paddingHorizontal: 16, paddingBottom: 12 },
+  navBtn: { marginLeft: 8, backgroundColor: "#EEF4FF", borderRadius: 12, padding: 7 },
+  flagBtn: { flexDirection: "row", alignItems: "center", paddingVertical: 10, paddingHorizontal: 8 },
+  flagTxt: { marginLeft: 4, color: C.muted, fontWeight: "800" },
   timerPill: { flexDirection: "row", alignItems: "center", backgroundColor: "#EEF4FF", borderRadius: 12, paddingHorizontal: 10, paddingVertical: 6 },
   timer: { marginLeft: 6, color: C.primary, fontWeight: "800" },
 
@@ -1402,6 +1820,12 @@ const styles = StyleSheet.create({
 
   qCard: { marginTop: 12, backgroundColor: "#fff", borderRadius: 14, borderWidth: 1, borderColor: C.border, padding: 12 },
   qText: { fontSize: 18, fontWeight: "900", color: C.text },
+  qTypeLabel: { marginTop: 6, fontSize: 12, fontWeight: "700", color: C.muted },
+
+  checkBtn: { marginTop: 12, alignSelf: "flex-start", borderRadius: 10, paddingVertical: 10, paddingHorizontal: 16, backgroundColor: C.primary },
+  checkBtnText: { color: "#fff", fontWeight: "800" },
+  reviewAnswers: { marginTop: 12 },
+  reviewLine: { marginTop: 8, fontSize: 14, fontWeight: "700", color: C.text },
 
   option: { marginTop: 10, borderRadius: 12, padding: 12, flexDirection: "row", alignItems: "center" },
   optionDefault: { backgroundColor: "#FAFBFF", borderWidth: 1, borderColor: "#EAF0FF" },
@@ -1416,6 +1840,7 @@ const styles = StyleSheet.create({
 
   optText: { flex: 1, color: "#111827", fontSize: 14 },
   optTextSel: { color: "#fff", fontWeight: "800" },
+  optTags: { marginTop: 2, color: C.muted, fontSize: 12, fontWeight: "700" },
 
   explanationCard: {
     marginTop: 12,
@@ -1545,4 +1970,25 @@ const modalStyles = StyleSheet.create({
   modeText: { marginTop: 6, color: C.muted, lineHeight: 20 },
   closeBtnPrimary: { marginTop: 18, backgroundColor: C.primary, paddingVertical: 10, borderRadius: 10, alignItems: "center", width: "100%" },
   closeBtnTextPrimary: { color: "#fff", fontWeight: "900" },
+
+  sheetOverlay: { flex: 1, backgroundColor: "rgba(0,0,0,0.45)", justifyContent: "flex-end" },
+  sheet: { backgroundColor: "#fff", borderTopLeftRadius: 18, borderTopRightRadius: 18, padding: 18, maxHeight: "75%" },
+  sheetHeader: { flexDirection: "row", alignItems: "center", justifyContent: "space-between" },
+  legendRow: { flexDirection: "row", flexWrap: "wrap", marginBottom: 6 },
+  legendItem: { flexDirection: "row", alignItems: "center", marginRight: 14, marginTop: 4 },
+  legendDot: { width: 12, height: 12, borderRadius: 4, marginRight: 0, marginTop: 0, borderWidth: 1 },
+  legendText: { marginLeft: 5, color: C.muted, fontSize: 12, fontWeight: "700" },
+  navGrid: { flexDirection: "row", flexWrap: "wrap", paddingVertical: 8 },
+  navCell: {
+    width: 44, height: 44, borderRadius: 10, marginRight: 8, marginTop: 8,
+    alignItems: "center", justifyContent: "center", borderWidth: 1, borderColor: C.border, backgroundColor: "#FAFBFF",
+  },
+  navCellDone: { backgroundColor: "#EEF4FF", borderColor: "#C7D8FF" },
+  navCellActive: { backgroundColor: C.primary, borderColor: C.primary },
+  navCellText: { color: C.muted, fontWeight: "800" },
+  navCellTextDone: { color: C.primary },
+  navCellTextActive: { color: "#fff" },
+  navCellFlag: { position: "absolute", top: 3, right: 3 },
+  summaryWarn: { flexDirection: "row", alignItems: "center", alignSelf: "stretch", marginTop: 10 },
+  summaryWarnText: { marginLeft: 8, flex: 1, color: C.text, fontWeight: "700" },
 });
\ No newline at end of file
@@ -0,0 +1,232 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Platform,
+  StatusBar,
+} from "react-native";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { getSession } from "./lib/session";
+import { loadAttemptHistory } from "./lib/attemptHistory";
+import { ScoreTrendChart } from "../components/score-trend-chart";
+
+const C = {
+  primary: "#0B72FF",
+  muted: "#6B78A8",
+  bg: "#FFFFFF",
+  text: "#0B2540",
+  border: "#EAF0FF",
+  success: "#16A34A",
+  warning: "#F59E0B",
+  danger: "#EF4444",
+};
+
+const STATUS_LABELS = { pending: "Result pending", in_progress: "In progress" };
+
+function formatDate(ms) {
+  if (!ms) return "—";
+  return new Date(ms).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+}
+
+function formatDuration(ms) {
+  if (ms == null) return "—";
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  return `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, "0")}s`;
+}
+
+function trendText(trend) {
+  if (trend == null) return "Take another attempt to see your trend.";
+  if (trend >= 1) return `Improving by about ${Math.round(trend)} points per attempt`;
+  if (trend <= -1) return `Dropping by about ${Math.round(-trend)} points per attempt`;
+  return "Holding steady across attempts";
+}
+
+export default function ExamHistory() {
+  const router = useRouter();
+  const { roundId, examId } = useLocalSearchParams();
+
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [data, setData] = useState(null);
+
+  const load = useCallback(async () => {
+    const session = await getSession();
+    setData(await loadAttemptHistory({ studentId: session?.examUserId || null, roundId, examId }));
+  }, [roundId, examId]);
+
+  useEffect(() => {
+    load().finally(() => setLoading(false));
+  }, [load]);
+
+  const onRefresh = useCallback(async () => {
+    setRefreshing(true);
+    await load();
+    setRefreshing(false);
+  }, [load]);
+
+  const openReview = useCallback((attempt) => {
+    router.push({ pathname: "/examCenter", params: { roundId, examId, mode: "review", attemptId: attempt.id } });
+  }, [router, roundId, examId]);
+
+  const safeAreaPaddingTop = Platform.OS === "android" ? (StatusBar.currentHeight || 0) : 0;
+
+  if (loading) {
+    return (
+      <SafeAreaView style={[styles.loadingWrap, { paddingTop: safeAreaPaddingTop }]}>
+        <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+        <ActivityIndicator size="large" color={C.primary} />
+      </SafeAreaView>
+    );
+  }
+
+  const attempts = data?.attempts || [];
+
+  return (
+    <SafeAreaView style={[styles.safeRoot, { paddingTop: safeAreaPaddingTop }]}>
+      <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+      <View style={styles.headerBar}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backBtn}>
+          <Ionicons name="chevron-back" size={22} color={C.text} />
+        </TouchableOpacity>
+        <View style={{ flex: 1, marginLeft: 10 }}>
+          <Text style={styles.title} numberOfLines={1}>{data?.examName || "Exam"}</Text>
+          <Text style={styles.subtitle}>Attempt history</Text>
+        </View>
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.body}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} tintColor={C.primary} />}
+      >
+        {!attempts.length ? (
+          <View style={styles.emptyWrap}>
+            <Ionicons name="time-outline" size={36} color={C.muted} />
+            <Text style={styles.emptyTitle}>No attempts yet</Text>
+            <Text style={styles.empty}>Every attempt at this exam shows up here with its score and time.</Text>
+          </View>
+        ) : (
+          <>
+            <View style={styles.statsRow}>
+              <View style={styles.statBox}>
+                <Text style={styles.statLabel}>Best</Text>
+                <Text style={[styles.statValue, { color: C.success }]}>
+                  {data.best == null ? "—" : `${Math.round(data.best)}%`}
+                </Text>
+              </View>
+              <View style={styles.statBox}>
+                <Text style={styles.statLabel}>Average</Text>
+                <Text style={styles.statValue}>{data.average == null ? "—" : `${Math.round(data.average)}%`}</Text>
+              </View>
+              <View style={styles.statBox}>
+                <Text style={styles.statLabel}>Attempts</Text>
+                <Text style={styles.statValue}>{attempts.length}</Text>
+              </View>
+            </View>
+
+            {data.series.length ? (
+              <View style={styles.card}>
+                <ScoreTrendChart points={data.series} targetPercent={data.passPercent} />
+                <Text style={styles.chartCaption}>{trendText(data.trend)}</Text>
+                {data.improvement != null ? (
+                  <Text style={[styles.chartCaption, { color: data.improvement >= 0 ? C.success : C.danger }]}>
+                    {data.improvement >= 0 ? "+" : ""}
+                    {Math.round(data.improvement)} points since your first scored attempt
+                  </Text>
+                ) : null}
+              </View>
+            ) : null}
+
+            <Text style={styles.sectionTitle}>Attempts</Text>
+            {attempts.map((a) => {
+              const done = a.status === "completed";
+              return (
+                <TouchableOpacity
+                  key={a.id}
+                  style={[styles.card, styles.attemptRow, a.isBest ? styles.bestRow : null]}
+                  disabled={!done}
+                  onPress={() => openReview(a)}
+                  activeOpacity={0.85}
+                >
+                  <View style={{ flex: 1 }}>
+                    <View style={styles.attemptHead}>
+                      <Text style={styles.attemptName}>Attempt {a.number}</Text>
+                      {a.isBest ? (
+                        <View style={styles.bestChip}>
+                          <Ionicons name="trophy" size={11} color={C.success} />
+                          <Text style={styles.bestChipText}>Best</Text>
+                        </View>
+                      ) : null}
+                      {a.badge ? (
+                        <View style={styles.badgeChip}>
+                          <Ionicons name="ribbon" size={11} color={C.primary} />
+                          <Text style={styles.badgeChipText}>{String(a.badge).toUpperCase()}</Text>
+                        </View>
+                      ) : null}
+                    </View>
+                    <Text style={styles.attemptMeta}>
+                      {formatDate(a.endedAt || a.startedAt)} · {formatDuration(a.durationMs)}
+                      {done ? ` · ${a.correctCount}/${a.totalCount} correct` : ""}
+                    </Text>
+                  </View>
+                  {done ? (
+                    <>
+                      <Text style={styles.attemptScore}>{Math.round(a.scorePercent)}%</Text>
+                      <Ionicons name="chevron-forward" size={18} color={C.muted} />
+                    </>
+                  ) : (
+                    <Text style={styles.attemptStatus}>{STATUS_LABELS[a.status]}</Text>
+                  )}
+                </TouchableOpacity>
+              );
+            })}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeRoot: { flex: 1, backgroundColor: C.bg },
+  loadingWrap: { flex: 1, backgroundColor: C.bg, justifyContent: "center", alignItems: "center" },
+
+  headerBar: { minHeight: 62, paddingHorizontal: 16, flexDirection: "row", alignItems: "center", backgroundColor: C.bg },
+  backBtn: { width: 40, height: 40, borderRadius: 10, alignItems: "center", justifyContent: "center", backgroundColor: "#F7F9FF" },
+  title: { fontSize: 18, fontWeight: "900", color: C.text },
+  subtitle: { marginTop: 2, color: C.muted, fontSize: 12 },
+
+  body: { flexGrow: 1, paddingHorizontal: 16, paddingBottom: 24 },
+  sectionTitle: { marginTop: 18, marginBottom: 4, fontSize: 16, fontWeight: "900", color: C.text },
+
+  emptyWrap: { alignItems: "center", paddingVertical: 48, paddingHorizontal: 24 },
+  emptyTitle: { marginTop: 10, fontSize: 16, fontWeight: "900", color: C.text },
+  empty: { marginTop: 6, color: C.muted, textAlign: "center", lineHeight: 20 },
+
+  statsRow: { marginTop: 8, flexDirection: "row", gap: 8 },
+  statBox: { flex: 1, borderWidth: 1, borderColor: C.border, backgroundColor: "#F8FAFF", borderRadius: 10, paddingVertical: 10, alignItems: "center" },
+  statLabel: { color: C.muted, fontSize: 11, fontWeight: "700" },
+  statValue: { marginTop: 4, fontSize: 18, fontWeight: "900", color: C.text },
+
+  card: { marginTop: 8, borderWidth: 1, borderColor: C.border, borderRadius: 12, backgroundColor: "#fff", padding: 12 },
+  chartCaption: { marginTop: 6, color: C.muted, fontSize: 12 },
+
+  attemptRow: { flexDirection: "row", alignItems: "center" },
+  bestRow: { borderColor: "#ABEFC6", backgroundColor: "#F6FEF9" },
+  attemptHead: { flexDirection: "row", alignItems: "center", flexWrap: "wrap", gap: 6 },
+  attemptName: { fontWeight: "800", color: C.text },
+  attemptMeta: { marginTop: 4, color: C.muted, fontSize: 12 },
+  attemptScore: { marginHorizontal: 6, fontSize: 18, fontWeight: "900", color: C.primary },
+  attemptStatus: { marginLeft: 6, color: C.warning, fontWeight: "800", fontSize: 12 },
+  bestChip: { flexDirection: "row", alignItems: "center", backgroundColor: "#ECFDF3", borderRadius: 999, paddingHorizontal: 6, paddingVertical: 2 },
+  bestChipText: { marginLeft: 3, color: C.success, fontWeight: "800", fontSize: 11 },
+  badgeChip: { flexDirection: "row", alignItems: "center", backgroundColor: "#EEF4FF", borderRadius: 999, paddingHorizontal: 6, paddingVertical: 2 },
+  badgeChipText: { marginLeft: 3, color: C.primary, fontWeight: "800", fontSize: 11 },
+});
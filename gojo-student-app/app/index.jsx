@@ -1,4 +1,4 @@
-import React, { useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import {
   SafeAreaView,
   ScrollView,
@@ -15,13 +15,28 @@ import {
   Keyboard,
   Linking,
   Alert,
+  Modal,
 } from "react-native";
 import { StatusBar } from "expo-status-bar";
 import { Ionicons } from "@expo/vector-icons";
-import { useRouter } from "expo-router";
-import AsyncStorage from "@react-native-async-storage/async-storage";
-import { ref, query, orderByChild, equalTo, get } from "firebase/database";
+import { useLocalSearchParams } from "expo-router";
+import { ref, get } from "firebase/database";
 import { database } from "../constants/firebaseConfig";
+import { signInStudent, signOutStudent } from "./lib/authHelpers";
+import { getSession, saveSession } from "./lib/session";
+import { listAccounts } from "./lib/accountStorage";
+import { clearLoginFailures, formatWait, getLoginWait, recordLoginFailure } from "./lib/loginThrottle";
+import { serverNow } from "./lib/serverTime";
+import {
+  RESET_STATUS_LABELS,
+  dismissResetRequest,
+  getMyResetRequests,
+  submitPasswordResetRequest,
+} from "./lib/passwordReset";
+
+// failures that count towards throttling; connectivity problems do not, and neither does a
+// throttled answer, which the server did not count either (it only brings retryAfterMs)
+const THROTTLED_CODES = new Set(["unauthenticated", "not-found"]);
 
 export const options = { headerShown: false };
 
@@ -30,13 +45,101 @@ const BACKGROUND = "#FFFFFF";
 const MUTED = "#6B78A8";
 
 export default function LoginScreen() {
-  const router = useRouter();
   const passwordRef = useRef(null);
-  const [username, setUsername] = useState("");
+  const { expired, username: usernameHint } = useLocalSearchParams();
+  const [username, setUsername] = useState(usernameHint ? String(usernameHint) : "");
   const [password, setPassword] = useState("");
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState("");
+  const [error, setError] = useState(expired ? "Your session expired. Please sign in again." : "");
+  const [accounts, setAccounts] = useState([]);
+  const [throttle, setThrottle] = useState(null); // { until, locked } on the server clock
+  const [now, setNow] = useState(() => serverNow());
+  const [resetRequests, setResetRequests] = useState([]);
+  const [resetVisible, setResetVisible] = useState(false);
+  const [resetDob, setResetDob] = useState("");
+  const [resetNote, setResetNote] = useState("");
+  const [resetError, setResetError] = useState("");
+  const [resetSending, setResetSending] = useState(false);
+
+  // students who already signed in on this phone (siblings sharing a device)
+  useEffect(() => {
+    listAccounts().then(setAccounts).catch(() => {});
+  }, []);
+
+  // forgot-password requests filed earlier on this phone, with the school's answer
+  useEffect(() => {
+    getMyResetRequests().then(setResetRequests).catch(() => {});
+  }, []);
+
+  const openReset = () => {
+    setResetError("");
+    setResetDob("");
+    setResetNote("");
+    setResetVisible(true);
+  };
+
+  const submitReset = async () => {
+    setResetError("");
+    setResetSending(true);
+    try {
+      const res = await submitPasswordResetRequest({ username, dateOfBirth: resetDob, note: resetNote });
+      setResetVisible(false);
+      setResetRequests(await getMyResetRequests());
+      Alert.alert(
+        "Request sent",
+        res.existing
+          ? "You already have an open request. The school office will contact you."
+          : res.queued
+            ? "Your request is saved and will be sent when you are back online."
+            : "The school office will check your details and reset your password."
+      );
+    } catch (e) {
+      setResetError(e?.message || "Could not send the request.");
+    } finally {
+      setResetSending(false);
+    }
+  };
+
+  const dismissReset = async (id) => {
+    await dismissResetRequest(id);
+    setResetRequests((list) => list.filter((r) => r.id !== id));
+  };
+
+  useEffect(() => {
+    if (usernameHint) setUsername(String(usernameHint));
+  }, [usernameHint]);
+
+  // show an existing wait as soon as a throttled username is typed or picked
+  useEffect(() => {
+    let alive = true;
+    getLoginWait(username).then(({ waitMs, locked }) => {
+      if (!alive) return;
+      setThrottle(waitMs > 0 ? { until: serverNow() + waitMs, locked } : null);
+    });
+    return () => {
+      alive = false;
+    };
+  }, [username]);
+
+  const waitMs = throttle ? Math.max(0, throttle.until - now) : 0;
+
+  useEffect(() => {
+    if (!throttle) return;
+    const id = setInterval(() => {
+      const t = serverNow();
+      setNow(t);
+      if (t >= throttle.until) setThrottle(null);
+    }, 1000);
+    return () => clearInterval(id);
+  }, [throttle]);
+
+  const pickAccount = (acc) => {
+    setUsername(acc.username || "");
+    setPassword("");
+    setError("");
+    passwordRef.current && passwordRef.current.focus();
+  };
 
   const resolveSchoolKeyFromUsername = async (uname) => {
     if (!uname || uname.length < 3) return null;
@@ -50,32 +153,6 @@ export default function LoginScreen() {
     return null;
   };
 
-  const findUserByUsername = async (uname) => {
-    const schoolKey = await resolveSchoolKeyFromUsername(uname);
-    if (!schoolKey) {
-      return { error: `School code not found for username prefix (${uname.substr(0, 3)})` };
-    }
-
-    try {
-      const usersRef = ref(database, `Platform1/Schools/${schoolKey}/Users`);
-      const q = query(usersRef, orderByChild("username"), equalTo(uname));
-      const snap = await get(q);
-      if (snap.exists()) {
-        let found = null;
-        snap.forEach((child) => {
-          found = { ...child.val(), _nodeKey: child.key, _schoolKey: schoolKey };
-          return true;
-        });
-        return { user: found };
-      } else {
-        return { error: "No account found with that username in the resolved school." };
-      }
-    } catch (err) {
-      console.error("[Login] findUserByUsername", err);
-      return { error: "Lookup failed" };
-    }
-  };
-
   function normalizeAndFormatGrade(val) {
     if (val == null) return null;
     const s = String(val).trim().toLowerCase();
@@ -97,7 +174,7 @@ export default function LoginScreen() {
 
     // fallback to cached schoolKey (if exists)
     if (!schoolKey) {
-      schoolKey = await AsyncStorage.getItem("schoolKey");
+      schoolKey = (await getSession())?.schoolKey || null;
     }
 
     if (!schoolKey) {
@@ -140,40 +217,48 @@ export default function LoginScreen() {
       return;
     }
 
+    const pending = await getLoginWait(uname);
+    if (pending.waitMs > 0) {
+      setNow(serverNow());
+      setThrottle({ until: serverNow() + pending.waitMs, locked: pending.locked });
+      return;
+    }
+
     setLoading(true);
     try {
-      const { user, error: lookupError } = await findUserByUsername(uname);
-      if (lookupError) {
-        setError(lookupError);
-        return;
-      }
-      if (!user) {
-        setError("No account found with that username.");
+      // credentials are checked server-side; legacy plaintext accounts are migrated there
+      let user;
+      try {
+        user = await signInStudent(uname, pwd);
+      } catch (e) {
+        // a server-side lockout is explained by the countdown below
+        setError(e?.code === "resource-exhausted" ? "" : e?.message || "Unable to sign in. Try again.");
+        if (e?.code === "resource-exhausted" && e?.retryAfterMs > 0) {
+          setNow(serverNow());
+          setThrottle({ until: serverNow() + e.retryAfterMs, locked: e.retryAfterMs > 60 * 1000 });
+        } else if (THROTTLED_CODES.has(e?.code)) {
+          const next = await recordLoginFailure(uname, { retryAfterMs: e?.retryAfterMs });
+          if (next.waitMs > 0) {
+            setNow(serverNow());
+            setThrottle({ until: serverNow() + next.waitMs, locked: next.locked });
+          }
+        }
         return;
       }
+      await clearLoginFailures(uname);
 
       if (user.role !== "student") {
+        await signOutStudent();
         setError("This account is not a student account.");
         return;
       }
 
-      const storedPwd = user.password == null ? "" : String(user.password).trim();
-      if (!storedPwd || storedPwd !== pwd) {
-        setError("Incorrect password.");
-        return;
-      }
-
-      if (typeof user.isActive === "boolean" && !user.isActive) {
-        setError("Account is inactive. Contact the administrator.");
-        return;
-      }
-
       const studentNodeKey = user.studentId || "";
 
       let studentGradeFormatted = null;
       try {
-        if (user._schoolKey && studentNodeKey) {
-          const studSnap = await get(ref(database, `Platform1/Schools/${user._schoolKey}/Students/${studentNodeKey}`));
+        if (user.schoolKey && studentNodeKey) {
+          const studSnap = await get(ref(database, `Platform1/Schools/${user.schoolKey}/Students/${studentNodeKey}`));
           if (studSnap && studSnap.exists()) {
             const studVal = studSnap.val() || {};
             const gradeRaw = studVal?.basicStudentInformation?.grade ?? studVal?.grade ?? null;
@@ -185,20 +270,8 @@ export default function LoginScreen() {
         console.warn("[Login] could not read student record for grade:", e);
       }
 
-      const items = [
-        ["userId", user.userId || ""],
-        ["username", user.username || ""],
-        ["userNodeKey", user._nodeKey || ""],
-        ["studentId", user.studentId || ""],
-        ["studentNodeKey", studentNodeKey || ""],
-        ["role", user.role || ""],
-        ["schoolKey", user._schoolKey || ""],
-      ];
-      if (studentGradeFormatted) items.push(["studentGrade", studentGradeFormatted]);
-
-      await AsyncStorage.multiSet(items);
-
-      router.replace("/dashboard/home");
+      // SessionGate in _layout moves on to the dashboard once the session is stored
+      await saveSession({ ...user, grade: studentGradeFormatted });
     } catch (err) {
       console.error("Login error:", err);
       setError("Unable to sign in. Try again.");
@@ -229,6 +302,51 @@ export default function LoginScreen() {
 
             <View style={styles.form}>
               {error ? <Text style={styles.error}>{error}</Text> : null}
+              {waitMs > 0 ? (
+                <Text style={styles.error}>
+                  {throttle?.locked
+                    ? `Too many failed attempts. Sign-in is locked for ${formatWait(waitMs)}.`
+                    : `Too many attempts. Try again in ${formatWait(waitMs)}.`}
+                </Text>
+              ) : null}
+
+              {resetRequests.map((r) => (
+                <View key={r.id} style={styles.resetCard}>
+                  <Ionicons name="key-outline" size={18} color={PRIMARY} style={{ marginRight: 8 }} />
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.resetTitle}>Password reset for {r.username}</Text>
+                    <Text style={styles.resetStatus}>{RESET_STATUS_LABELS[r.status] || r.status}</Text>
+                    {r.responseNote ? <Text style={styles.resetStatus}>{r.responseNote}</Text> : null}
+                  </View>
+                  <TouchableOpacity
+                    onPress={() => dismissReset(r.id)}
+                    hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                    accessibilityLabel="Dismiss request"
+                  >
+                    <Ionicons name="close" size={18} color={MUTED} />
+                  </TouchableOpacity>
+                </View>
+              ))}
+
+              {accounts.length > 0 ? (
+                <View style={styles.accountsRow}>
+                  {accounts.map((acc) => {
+                    const selected = !!acc.username && acc.username === username.trim();
+                    return (
+                      <TouchableOpacity
+                        key={acc.accountId}
+                        style={[styles.accountChip, selected && styles.accountChipSelected]}
+                        onPress={() => pickAccount(acc)}
+                      >
+                        <Ionicons name="person-circle-outline" size={18} color={selected ? "#fff" : PRIMARY} />
+                        <Text style={[styles.accountChipText, selected && { color: "#fff" }]} numberOfLines={1}>
+                          {acc.displayName || acc.username}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              ) : null}
 
               <View style={styles.inputRow}>
                 <Ionicons name="person-outline" size={22} color={MUTED} style={styles.inputIcon} />
@@ -263,8 +381,20 @@ export default function LoginScreen() {
                 </TouchableOpacity>
               </View>
 
-              <TouchableOpacity style={[styles.button, loading && styles.buttonDisabled]} onPress={handleSignIn} disabled={loading}>
-                {loading ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Login</Text>}
+              <TouchableOpacity
+                style={[styles.button, (loading || waitMs > 0) && styles.buttonDisabled]}
+                onPress={handleSignIn}
+                disabled={loading || waitMs > 0}
+              >
+                {loading ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <Text style={styles.buttonText}>{waitMs > 0 ? `Wait ${formatWait(waitMs)}` : "Login"}</Text>
+                )}
+              </TouchableOpacity>
+
+              <TouchableOpacity style={styles.linkRow} onPress={openReset}>
+                <Text style={styles.linkText}>Forgot password?</Text>
               </TouchableOpacity>
 
               <TouchableOpacity style={styles.linkRow} onPress={handleNeedHelp}>
@@ -278,6 +408,57 @@ export default function LoginScreen() {
           </ScrollView>
         </KeyboardAvoidingView>
       </TouchableWithoutFeedback>
+
+      <Modal visible={resetVisible} transparent animationType="fade" onRequestClose={() => setResetVisible(false)}>
+        <View style={styles.modalBg}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Forgot password</Text>
+            <Text style={styles.modalHint}>
+              Your school office checks these details and sets a new password for you.
+            </Text>
+            {resetError ? <Text style={styles.error}>{resetError}</Text> : null}
+
+            <TextInput
+              value={username}
+              onChangeText={setUsername}
+              placeholder="Username"
+              placeholderTextColor="#B8C6FF"
+              autoCapitalize="none"
+              autoCorrect={false}
+              style={styles.modalInput}
+            />
+            <TextInput
+              value={resetDob}
+              onChangeText={setResetDob}
+              placeholder="Date of birth (YYYY-MM-DD)"
+              placeholderTextColor="#B8C6FF"
+              keyboardType="numbers-and-punctuation"
+              style={styles.modalInput}
+            />
+            <TextInput
+              value={resetNote}
+              onChangeText={setResetNote}
+              placeholder="Note for the office (optional)"
+              placeholderTextColor="#B8C6FF"
+              maxLength={300}
+              style={styles.modalInput}
+            />
+
+            <View style={styles.modalActions}>
+              <TouchableOpacity
+                style={[styles.modalBtn, styles.cancelBtn]}
+                onPress={() => setResetVisible(false)}
+                disabled={resetSending}
+              >
+                <Text style={styles.cancelText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.modalBtn, styles.saveBtn]} onPress={submitReset} disabled={resetSending}>
+                {resetSending ? <ActivityIndicator color="#fff" /> : <Text style={styles.saveText}>Send</Text>}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 }
@@ -294,6 +475,21 @@ const styles = StyleSheet.create({
   form: { paddingHorizontal: 28, marginTop: 8 },
   error: { color: "#B00020", marginBottom: 8, textAlign: "center" },
 
+  accountsRow: { flexDirection: "row", flexWrap: "wrap", gap: 8, marginBottom: 4 },
+  accountChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    maxWidth: "100%",
+    paddingHorizontal: 10,
+    height: 34,
+    borderRadius: 17,
+    borderWidth: 1,
+    borderColor: "#E7EDFF",
+    backgroundColor: "#F5F8FF",
+  },
+  accountChipSelected: { backgroundColor: PRIMARY, borderColor: PRIMARY },
+  accountChipText: { marginLeft: 6, color: PRIMARY, fontWeight: "700", maxWidth: 160 },
+
   inputRow: {
     flexDirection: "row",
     alignItems: "center",
@@ -330,6 +526,52 @@ const styles = StyleSheet.create({
   linkRow: { marginTop: 12, alignItems: "center" },
   linkText: { color: PRIMARY, fontWeight: "600" },
 
+  resetCard: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    borderWidth: 1,
+    borderColor: "#E7EDFF",
+    backgroundColor: "#F5F8FF",
+    borderRadius: 12,
+    padding: 10,
+    marginBottom: 8,
+  },
+  resetTitle: { color: "#111", fontWeight: "700" },
+  resetStatus: { color: MUTED, fontSize: 12, marginTop: 2 },
+
+  modalBg: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.35)",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 20,
+  },
+  modalCard: { width: "100%", backgroundColor: "#fff", borderRadius: 14, padding: 14 },
+  modalTitle: { fontSize: 16, fontWeight: "800", color: "#111", marginBottom: 6 },
+  modalHint: { fontSize: 12, color: MUTED, marginBottom: 10 },
+  modalInput: {
+    borderWidth: 1,
+    borderColor: "#E7EDFF",
+    borderRadius: 10,
+    height: 44,
+    paddingHorizontal: 12,
+    marginBottom: 10,
+    color: "#222",
+  },
+  modalActions: { flexDirection: "row", justifyContent: "flex-end", marginTop: 4 },
+  modalBtn: {
+    minWidth: 90,
+    height: 40,
+    borderRadius: 10,
+    alignItems: "center",
+    justifyContent: "center",
+    marginLeft: 8,
+  },
+  cancelBtn: { backgroundColor: "#EFF3FB" },
+  saveBtn: { backgroundColor: PRIMARY },
+  cancelText: { color: "#445A8A", fontWeight: "700" },
+  saveText: { color: "#fff", fontWeight: "700" },
+
   footer: { alignItems: "center", marginTop: 28, paddingBottom: 8 },
   copyright: { color: "#9AA0A6", fontSize: 12 },
 });
\ No newline at end of file
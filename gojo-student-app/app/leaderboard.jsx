@@ -18,11 +18,12 @@ import {
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { useRouter } from "expo-router";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import { ref, get } from "firebase/database";
 import { database } from "../constants/firebaseConfig";
-import { getSnapshot } from "./lib/dbHelpers";
+import { getSnapshot, getValue } from "./lib/dbHelpers";
 import { queryUserByUsernameInSchool, queryUserByChildInSchool } from "./lib/userHelpers";
+import { getSession } from "./lib/session";
+import { LastUpdatedHint } from "../components/last-updated-hint";
 
 const C = {
   primary: "#0B72FF",
@@ -57,8 +58,7 @@ async function resolveUserProfile(userId) {
   if (!userId) return { profile: null, schoolCode: null };
   try {
     const prefix = String(userId).slice(0, 3).toUpperCase();
-    const idx = await get(ref(database, `Platform1/schoolCodeIndex/${prefix}`));
-    const schoolCode = idx?.val() || null;
+    const schoolCode = (await getValue([`Platform1/schoolCodeIndex/${prefix}`])) || null;
     let profile = null;
 
     if (schoolCode) {
@@ -192,6 +192,7 @@ export default function LeaderboardScreen() {
 
   const [countryRows, setCountryRows] = useState([]);
   const [schoolRows, setSchoolRows] = useState([]);
+  const [rankingPaths, setRankingPaths] = useState({ country: [], school: [] });
 
   const [myUserId, setMyUserId] = useState(null);
   const [search, setSearch] = useState("");
@@ -227,18 +228,14 @@ export default function LeaderboardScreen() {
     );
   }, []);
 
-  const load = useCallback(async () => {
+  const load = useCallback(async (options = {}) => {
     setLoading(true);
 
-    const sid =
-      (await AsyncStorage.getItem("studentNodeKey")) ||
-      (await AsyncStorage.getItem("studentId")) ||
-      (await AsyncStorage.getItem("username")) ||
-      null;
+    const session = await getSession();
+    const sid = session?.examUserId || null;
     setMyUserId(sid);
 
-    const gradeRaw = await AsyncStorage.getItem("studentGrade");
-    const g = normalizeGrade(gradeRaw) || "7";
+    const g = normalizeGrade(session?.gradeKey) || "7";
     setGrade(g);
 
     const countrySnap = await getSnapshot([`Platform1/country`, `country`]);
@@ -249,8 +246,7 @@ export default function LeaderboardScreen() {
     if (sid) {
       try {
         const pref = String(sid).slice(0, 3).toUpperCase();
-        const idx = await get(ref(database, `Platform1/schoolCodeIndex/${pref}`));
-        mySchool = idx?.val() || null;
+        mySchool = (await getValue([`Platform1/schoolCodeIndex/${pref}`])) || null;
       } catch {}
     }
     setSchoolCode(mySchool);
@@ -259,13 +255,15 @@ export default function LeaderboardScreen() {
     const countryPath = `Platform1/rankings/country/${c}/${gradeKey}/leaderboard`;
     const schoolPath = mySchool ? `Platform1/rankings/schools/${mySchool}/${gradeKey}/leaderboard` : null;
 
-    const countrySnapLb = await getSnapshot([countryPath]);
+    setRankingPaths({ country: [countryPath], school: schoolPath ? [schoolPath] : [] });
+
+    const countrySnapLb = await getSnapshot([countryPath], options);
     const countryVal = countrySnapLb?.val ? countrySnapLb.val() : null;
     const enrichedCountry = countryVal ? await enrichRows(countryVal) : [];
     setCountryRows(enrichedCountry);
 
     if (schoolPath) {
-      const schoolSnapLb = await getSnapshot([schoolPath]);
+      const schoolSnapLb = await getSnapshot([schoolPath], options);
       const schoolVal = schoolSnapLb?.val ? schoolSnapLb.val() : null;
       const enrichedSchool = schoolVal ? await enrichRows(schoolVal) : [];
       setSchoolRows(enrichedSchool);
@@ -280,7 +278,7 @@ export default function LeaderboardScreen() {
 
   const onRefresh = useCallback(async () => {
     setRefreshing(true);
-    await load();
+    await load({ cache: false });
     setRefreshing(false);
   }, [load]);
 
@@ -511,6 +509,11 @@ export default function LeaderboardScreen() {
         </View>
       ) : null}
 
+      <LastUpdatedHint
+        paths={scope === "school" ? rankingPaths.school : rankingPaths.country}
+        style={styles.lastUpdated}
+      />
+
       <FlatList
         data={filteredRows}
         keyExtractor={(i) => i.userId}
@@ -754,6 +757,7 @@ const styles = StyleSheet.create({
   points: { color: C.muted, marginTop: 2, fontSize: 12 },
 
   emptyWrap: { alignItems: "center", paddingVertical: 30 },
+  lastUpdated: { paddingHorizontal: 16, paddingTop: 6 },
   emptyText: { color: C.muted, fontWeight: "700" },
 
   modalOverlay: {
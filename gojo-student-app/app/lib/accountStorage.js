@@ -0,0 +1,198 @@
+// Per-account storage on a shared device (siblings signing in on one phone).
+//
+// Everything that belongs to one student (drafts, chats cache, outbox, book
+// downloads, settings) lives under that account's namespace:
+//   AsyncStorage  acct:{accountId}:{name}
+//   files         {documentDirectory}accounts/{accountId}/{name}/
+// accountId is the Users node key (userNodeKey, else userId).
+//
+// The device keeps a list of accounts that signed in here ("accounts") and which
+// one is active ("activeAccount"). Switching keeps the namespace; forgetting an
+// account deletes it.
+//
+// Usage:
+//   await setAccountItem("chatsCache", JSON.stringify(list));
+//   const raw = await getAccountItem("chatsCache");
+//   const dir = accountDirectory(session.accountId, "books");
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as FileSystem from "expo-file-system/legacy";
+
+const ACCOUNTS_KEY = "accounts";
+const ACTIVE_KEY = "activeAccount";
+const NAMESPACE = "acct:";
+
+// unscoped keys and files written before accounts had namespaces; adopted by the first account.
+// "writeOutbox" is not one of them: unscoped, it is the signed-out outbox (see writeQueue.js).
+const LEGACY_KEYS = ["chatsCache", "chatsCacheFetchedAt", "downloaded_books_index_v1", "book_settings_v1"];
+const LEGACY_PREFIXES = ["assessmentDraft:"];
+const LEGACY_DIRS = ["books"];
+
+let activeId; // undefined = not loaded yet, null = nobody signed in
+let loadingActive = null;
+
+export function accountKey(accountId, name) {
+  return `${NAMESPACE}${accountId}:${name}`;
+}
+
+/**
+ * Device-level keys that survive sign-out: the account list and every namespace.
+ */
+export function isAccountStorageKey(key) {
+  return key === ACCOUNTS_KEY || key === ACTIVE_KEY || String(key).startsWith(NAMESPACE);
+}
+
+/**
+ * File directory for `name` in an account's namespace (the account root when name is empty).
+ */
+export function accountDirectory(accountId, name) {
+  if (!accountId || !FileSystem.documentDirectory) return null;
+  const root = `${FileSystem.documentDirectory}accounts/${encodeURIComponent(accountId)}/`;
+  return name ? `${root}${name}/` : root;
+}
+
+export async function getActiveAccountId() {
+  if (activeId !== undefined) return activeId;
+  if (!loadingActive) {
+    loadingActive = (async () => {
+      try {
+        activeId = (await AsyncStorage.getItem(ACTIVE_KEY)) || null;
+      } catch {
+        activeId = null;
+      }
+      loadingActive = null;
+      return activeId;
+    })();
+  }
+  return loadingActive;
+}
+
+export async function setActiveAccountId(accountId) {
+  activeId = accountId || null;
+  try {
+    if (activeId) await AsyncStorage.setItem(ACTIVE_KEY, activeId);
+    else await AsyncStorage.removeItem(ACTIVE_KEY);
+  } catch {}
+}
+
+/**
+ * Storage key for `name` in the active account's namespace (plain `name` when signed out).
+ */
+export async function scopedKey(name) {
+  const id = await getActiveAccountId();
+  return id ? accountKey(id, name) : name;
+}
+
+export async function getAccountItem(name) {
+  try {
+    return await AsyncStorage.getItem(await scopedKey(name));
+  } catch {
+    return null;
+  }
+}
+
+export async function setAccountItem(name, value) {
+  await AsyncStorage.setItem(await scopedKey(name), value);
+}
+
+export async function removeAccountItem(name) {
+  try {
+    await AsyncStorage.removeItem(await scopedKey(name));
+  } catch {}
+}
+
+async function readAccounts() {
+  try {
+    const raw = await AsyncStorage.getItem(ACCOUNTS_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Accounts that signed in on this device, most recent first:
+ * [{ accountId, username, displayName, schoolKey, lastUsedAt }]
+ */
+export async function listAccounts() {
+  const all = await readAccounts();
+  return Object.keys(all)
+    .map((id) => ({ ...all[id], accountId: id }))
+    .sort((a, b) => Number(b.lastUsedAt || 0) - Number(a.lastUsedAt || 0));
+}
+
+/**
+ * Add or refresh an account in the device list and make it the active namespace.
+ */
+export async function rememberAccount({ accountId, username, displayName, schoolKey }) {
+  if (!accountId) return;
+  const all = await readAccounts();
+  const first = Object.keys(all).length === 0;
+
+  all[accountId] = {
+    ...(all[accountId] || {}),
+    username: username || all[accountId]?.username || null,
+    displayName: displayName || all[accountId]?.displayName || null,
+    schoolKey: schoolKey || all[accountId]?.schoolKey || null,
+    lastUsedAt: Date.now(),
+  };
+  await AsyncStorage.setItem(ACCOUNTS_KEY, JSON.stringify(all));
+  await setActiveAccountId(accountId);
+  if (first) await adoptLegacyKeys(accountId);
+}
+
+export async function updateAccountInfo(accountId, patch) {
+  if (!accountId) return;
+  const all = await readAccounts();
+  if (!all[accountId]) return;
+  all[accountId] = { ...all[accountId], ...patch };
+  try {
+    await AsyncStorage.setItem(ACCOUNTS_KEY, JSON.stringify(all));
+  } catch {}
+}
+
+// data from the single-account days belongs to whoever signs in first after the upgrade
+async function adoptLegacyKeys(accountId) {
+  try {
+    const keys = (await AsyncStorage.getAllKeys()) || [];
+    const drafts = keys.filter((k) => LEGACY_PREFIXES.some((p) => k.startsWith(p)));
+    const pairs = await AsyncStorage.multiGet([...LEGACY_KEYS, ...drafts]);
+    const found = (pairs || []).filter(([, v]) => v != null);
+    if (found.length) {
+      await AsyncStorage.multiSet(found.map(([k, v]) => [accountKey(accountId, k), v]));
+      await AsyncStorage.multiRemove(found.map(([k]) => k));
+    }
+  } catch {}
+
+  if (!FileSystem.documentDirectory) return;
+  for (const name of LEGACY_DIRS) {
+    try {
+      const from = `${FileSystem.documentDirectory}${name}/`;
+      if (!(await FileSystem.getInfoAsync(from)).exists) continue;
+      await FileSystem.makeDirectoryAsync(accountDirectory(accountId, ""), { intermediates: true });
+      await FileSystem.moveAsync({ from, to: accountDirectory(accountId, name) });
+    } catch {}
+  }
+}
+
+/**
+ * Remove an account from the device: list entry, namespaced keys and files.
+ */
+export async function forgetAccount(accountId) {
+  if (!accountId) return;
+  const all = await readAccounts();
+  delete all[accountId];
+  try {
+    await AsyncStorage.setItem(ACCOUNTS_KEY, JSON.stringify(all));
+    const prefix = accountKey(accountId, "");
+    const keys = await AsyncStorage.getAllKeys();
+    const ours = (keys || []).filter((k) => k.startsWith(prefix));
+    if (ours.length) await AsyncStorage.multiRemove(ours);
+  } catch {}
+
+  const dir = accountDirectory(accountId, "");
+  if (dir) {
+    try { await FileSystem.deleteAsync(dir, { idempotent: true }); } catch {}
+  }
+  if ((await getActiveAccountId()) === accountId) await setActiveAccountId(null);
+}
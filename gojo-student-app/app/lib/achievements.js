@@ -0,0 +1,177 @@
+// Achievements: badge counts per tier and milestone achievements, with when each was earned.
+//
+// Worked out from the student's company exam attempts (Platform1/attempts/company/{studentId}).
+// Scores and badges count only when the student may see them: graded, and either
+// resultVisible or past the round's resultReleaseTimestamp (as in attemptHistory.js).
+//   badges         visible attempts with a badge, per tier (the grader's badgeFor)
+//   rounds         exams with at least one graded attempt
+//   day streak     best study streak (studyStreak.js), or the longest run of calendar days
+//                  with a submitted attempt when that is longer
+//
+// Unlocks are recorded once and never taken back, so the history keeps its dates even if
+// attempts are removed later:
+//   Platform1/studentProgress/{studentId}/achievements/{achievementId}
+//     { earnedAt, seenAt }   earnedAt: when the milestone was reached (the attempt's end time)
+//                            seenAt: set after the unlock animation was shown
+// Achievements are for show only; nothing is granted for them.
+//
+// Usage:
+//   const a = await syncAchievements(studentId);
+//   a.badges      // { platinum, diamond, gold }
+//   a.list        // ACHIEVEMENTS with { earned, earnedAt, progress }
+//   a.unlocked    // earned but not yet shown: play the animation, then
+//   await markAchievementsSeen(studentId, a.unlocked.map((x) => x.id));
+import { getValue, safeUpdate } from "./dbHelpers";
+import { serverNow } from "./serverTime";
+
+export const BADGE_TIERS = [
+  { key: "platinum", label: "Platinum", color: "#6366F1" },
+  { key: "diamond", label: "Diamond", color: "#0EA5E9" },
+  { key: "gold", label: "Gold", color: "#F59E0B" },
+];
+
+// stat: which count the target applies to (see statsFrom)
+export const ACHIEVEMENTS = [
+  { id: "first_badge", title: "First badge", description: "Earn a gold badge or better", icon: "ribbon", stat: "badges", target: 1 },
+  { id: "first_platinum", title: "Platinum finish", description: "Earn a platinum badge", icon: "diamond", stat: "platinum", target: 1 },
+  { id: "first_perfect", title: "Perfect score", description: "Score 100% on an exam", icon: "star", stat: "perfect", target: 1 },
+  { id: "rounds_10", title: "Ten rounds", description: "Complete 10 different rounds", icon: "flag", stat: "rounds", target: 10 },
+  { id: "streak_7", title: "Week streak", description: "Study 7 days in a row", icon: "flame", stat: "streak", target: 7 },
+];
+
+function toMsTs(v) {
+  const n = Number(v || 0);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return n < 1e12 ? n * 1000 : n;
+}
+
+function achievementsPath(studentId) {
+  return `Platform1/studentProgress/${studentId}/achievements`;
+}
+
+// local calendar day as a day number, so consecutive days differ by one
+function dayNumber(ms) {
+  const d = new Date(ms);
+  return Math.round(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / 86400000);
+}
+
+async function releaseByExam() {
+  const pkgs = (await getValue([`Platform1/companyExams/packages`, `companyExams/packages`])) || {};
+  const out = {};
+  Object.values(pkgs).forEach((pkg) =>
+    Object.values(pkg?.subjects || {}).forEach((subject) =>
+      Object.values(subject?.rounds || {}).forEach((round) => {
+        if (round?.examId) out[round.examId] = Math.max(out[round.examId] || 0, toMsTs(round.resultReleaseTimestamp));
+      })
+    )
+  );
+  return out;
+}
+
+/**
+ * Counts behind ACHIEVEMENTS: for each stat, how far the student got and when a given
+ * count was first reached.
+ */
+function statsFrom(attemptsNode, releases, streakNode) {
+  const now = serverNow();
+  const events = { badges: [], platinum: [], diamond: [], gold: [], perfect: [], rounds: [] };
+  const days = new Map();
+
+  Object.entries(attemptsNode || {}).forEach(([examId, node]) => {
+    // attempts written before attempt ids sit directly on the exam node
+    const list = node && (node.attemptStatus || node.startTime) ? [node] : Object.values(node || {});
+    let firstGraded = 0;
+    list.forEach((a) => {
+      const at = toMsTs(a?.endTime) || toMsTs(a?.gradedAt);
+      if (!at) return;
+      const day = dayNumber(at);
+      days.set(day, Math.min(days.get(day) || at, at));
+      if (!a.gradedAt) return;
+      firstGraded = firstGraded ? Math.min(firstGraded, at) : at;
+      const visible = a.scorePercent != null && (a.resultVisible !== false || now >= (releases[examId] || 0));
+      if (!visible) return;
+      if (a.badge && events[a.badge]) {
+        events[a.badge].push(at);
+        events.badges.push(at);
+      }
+      if (Number(a.scorePercent) >= 100) events.perfect.push(at);
+    });
+    if (firstGraded) events.rounds.push(firstGraded);
+  });
+  Object.values(events).forEach((list) => list.sort((x, y) => x - y));
+
+  const stats = {};
+  Object.entries(events).forEach(([key, list]) => {
+    stats[key] = { count: list.length, reachedAt: (n) => list[n - 1] || null };
+  });
+
+  const sortedDays = [...days.keys()].sort((x, y) => x - y);
+  let longest = 0;
+  let run = 0;
+  const runReached = []; // runReached[n - 1]: first time a run of n days was reached
+  sortedDays.forEach((day, i) => {
+    run = i > 0 && day === sortedDays[i - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    if (runReached[run - 1] == null) runReached[run - 1] = days.get(day);
+  });
+  // the streak node keeps only the best run, not when it was reached
+  stats.streak = { count: Math.max(longest, Number(streakNode?.best || 0)), reachedAt: (n) => runReached[n - 1] || null };
+  return stats;
+}
+
+/**
+ * Work out badges and achievements, record new unlocks, and resolve
+ * { badges, list, unlocked } (see the header).
+ */
+export async function syncAchievements(studentId) {
+  const [attemptsNode, releases, stored, streakNode] = studentId
+    ? await Promise.all([
+        getValue([`Platform1/attempts/company/${studentId}`], { cache: false }),
+        releaseByExam(),
+        getValue([achievementsPath(studentId)], { cache: false }),
+        getValue([`Platform1/studentProgress/${studentId}/streak`], { cache: false }),
+      ])
+    : [null, {}, null, null];
+  const stats = statsFrom(attemptsNode, releases, streakNode);
+  const records = stored || {};
+
+  const patch = {};
+  const list = ACHIEVEMENTS.map((def) => {
+    const stat = stats[def.stat];
+    const reachedAt = stat.count >= def.target ? stat.reachedAt(def.target) || serverNow() : null;
+    const record = records[def.id];
+    if (studentId && reachedAt && !record) patch[`${achievementsPath(studentId)}/${def.id}`] = { earnedAt: reachedAt };
+    const earnedAt = toMsTs(record?.earnedAt) || reachedAt;
+    return {
+      ...def,
+      earned: !!earnedAt,
+      earnedAt: earnedAt || null,
+      seen: !!record?.seenAt,
+      progress: earnedAt ? def.target : Math.min(stat.count, def.target),
+    };
+  });
+  if (Object.keys(patch).length) await safeUpdate(patch, { tag: "achievements" }).catch(() => {});
+
+  return {
+    badges: { platinum: stats.platinum.count, diamond: stats.diamond.count, gold: stats.gold.count },
+    list,
+    unlocked: list.filter((a) => a.earned && !a.seen),
+  };
+}
+
+/**
+ * Earned achievements, most recent first: the achievement history.
+ */
+export function achievementHistory(list) {
+  return (list || []).filter((a) => a.earned).sort((a, b) => b.earnedAt - a.earnedAt);
+}
+
+export async function markAchievementsSeen(studentId, ids) {
+  if (!studentId || !ids?.length) return;
+  const now = serverNow();
+  const patch = {};
+  ids.forEach((id) => {
+    patch[`${achievementsPath(studentId)}/${id}/seenAt`] = now;
+  });
+  await safeUpdate(patch, { tag: "achievements" }).catch(() => {});
+}
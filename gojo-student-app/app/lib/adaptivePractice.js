@@ -0,0 +1,146 @@
+// Adaptive practice: an open session over every question bank of a practice subject that
+// moves between difficulty levels as the student answers.
+//
+// Pool: the banks of the subject's rounds (package.subjects[subjectKey].rounds -> exam ->
+// questionBankId). A question's level is its own `difficulty`, else its exam's, else medium.
+// Competitive packages have no adaptive practice.
+//
+// Stepping: the session opens at medium, goes one level up after `stepUpAfter` correct
+// answers in a row and one level down after a miss. When a level has no unused question
+// left, the nearest level that has one is used.
+//
+// Lives follow the practice exam rule: one heart per `wrongsPerLife` misses
+// (appConfig/exams/lives/fallbackWrongsPerLife), taken as the misses happen; the session
+// needs a heart to start and ends when they run out.
+//
+// History is kept apart from exam progress, so rankings and round progress never change:
+//   Platform1/practiceHistory/{studentId}/{sessionId}
+//     client writes: packageId, subjectKey, subjectName, startedAt, status, then the summary
+//                    (endedAt, answered, correct, scorePercent, topLevel, livesLost)
+//     grader writes: answers/{bankId}__{questionId} (checkPracticeAnswer in examGrader.js)
+//
+// Usage:
+//   const pool = await loadSubjectPool({ packageId, subjectKey });
+//   let state = startState();
+//   const q = pickQuestion(pool.questions, state);
+//   state = afterAnswer(state, q, correct, settings);
+import { getValue, pushAndSet, safeUpdate } from "./dbHelpers";
+import { serverNow } from "./serverTime";
+import { stripAnswerKeys } from "./examGrader";
+
+export const LEVELS = ["easy", "medium", "hard"];
+
+const DEFAULT_SETTINGS = { stepUpAfter: 2, sessionLength: 15, wrongsPerLife: 2 };
+
+function historyPath(studentId) {
+  return `Platform1/practiceHistory/${studentId}`;
+}
+
+function levelIndex(difficulty) {
+  const i = LEVELS.indexOf(String(difficulty || "").toLowerCase());
+  return i >= 0 ? i : 1;
+}
+
+/**
+ * Session settings from appConfig/exams (adaptive.stepUpAfter, adaptive.sessionLength,
+ * lives.fallbackWrongsPerLife), with defaults.
+ */
+export async function getAdaptiveSettings() {
+  const cfg = await getValue([`Platform1/appConfig/exams`, `appConfig/exams`]);
+  const pick = (v, fallback) => (Number(v) > 0 ? Math.floor(Number(v)) : fallback);
+  return {
+    stepUpAfter: pick(cfg?.adaptive?.stepUpAfter, DEFAULT_SETTINGS.stepUpAfter),
+    sessionLength: pick(cfg?.adaptive?.sessionLength, DEFAULT_SETTINGS.sessionLength),
+    wrongsPerLife: pick(cfg?.lives?.fallbackWrongsPerLife, DEFAULT_SETTINGS.wrongsPerLife),
+  };
+}
+
+/**
+ * Every question of a practice subject, keys stripped, each with bankId and level.
+ * Resolves { subjectName, questions } or null for a competitive or unknown package.
+ */
+export async function loadSubjectPool({ packageId, subjectKey }) {
+  const pkg = await getValue([`Platform1/companyExams/packages/${packageId}`, `companyExams/packages/${packageId}`]);
+  const subject = pkg?.subjects?.[subjectKey];
+  if (!subject || String(pkg?.type || "").toLowerCase() === "competitive") return null;
+
+  const exams = (await getValue([`Platform1/companyExams/exams`, `companyExams/exams`])) || {};
+  const banks = {};
+  Object.values(subject.rounds || {}).forEach((round) => {
+    const exam = exams[round?.examId];
+    if (exam?.questionBankId && !banks[exam.questionBankId]) banks[exam.questionBankId] = exam.difficulty;
+  });
+
+  const questions = [];
+  await Promise.all(
+    Object.keys(banks).map(async (bankId) => {
+      const raw = await getValue([`Platform1/questionBanks/${bankId}/questions`, `questionBanks/${bankId}/questions`]);
+      stripAnswerKeys(raw).forEach((q) => {
+        questions.push({ ...q, bankId, uid: `${bankId}__${q.id}`, level: LEVELS[levelIndex(q.difficulty || banks[bankId])] });
+      });
+    })
+  );
+  return { subjectName: subject.name || subjectKey, questions };
+}
+
+export function startState() {
+  return { level: 1, streak: 0, used: [], answered: 0, correct: 0, wrongs: 0, topLevel: 1 };
+}
+
+/**
+ * An unused question at the state's level, or at the nearest level that has one.
+ */
+export function pickQuestion(questions, state) {
+  const used = new Set(state.used);
+  const free = (questions || []).filter((q) => !used.has(q.uid));
+  for (let d = 0; d < LEVELS.length; d++) {
+    for (const i of d === 0 ? [state.level] : [state.level + d, state.level - d]) {
+      const atLevel = free.filter((q) => levelIndex(q.level) === i);
+      if (atLevel.length) return atLevel[Math.floor(Math.random() * atLevel.length)];
+    }
+  }
+  return null;
+}
+
+/**
+ * State after an answer: counts, streak and the level for the next question.
+ */
+export function afterAnswer(state, question, correct, { stepUpAfter = DEFAULT_SETTINGS.stepUpAfter } = {}) {
+  const streak = correct ? state.streak + 1 : 0;
+  let level = state.level;
+  if (!correct) level = Math.max(0, level - 1);
+  else if (streak >= stepUpAfter) level = Math.min(LEVELS.length - 1, level + 1);
+  return {
+    level,
+    streak: correct && level !== state.level ? 0 : streak,
+    used: [...state.used, question.uid],
+    answered: state.answered + 1,
+    correct: state.correct + (correct ? 1 : 0),
+    wrongs: state.wrongs + (correct ? 0 : 1),
+    topLevel: Math.max(state.topLevel, level),
+  };
+}
+
+export async function startPracticeSession(studentId, { packageId, subjectKey, subjectName }) {
+  return pushAndSet(historyPath(studentId), {
+    packageId,
+    subjectKey,
+    subjectName: subjectName || subjectKey,
+    startedAt: serverNow(),
+    status: "in_progress",
+  });
+}
+
+export async function finishPracticeSession(studentId, sessionId, state, livesLost = 0) {
+  if (!studentId || !sessionId) return;
+  const base = `${historyPath(studentId)}/${sessionId}`;
+  await safeUpdate({
+    [`${base}/status`]: "completed",
+    [`${base}/endedAt`]: serverNow(),
+    [`${base}/answered`]: state.answered,
+    [`${base}/correct`]: state.correct,
+    [`${base}/scorePercent`]: state.answered ? (state.correct / state.answered) * 100 : 0,
+    [`${base}/topLevel`]: LEVELS[state.topLevel],
+    [`${base}/livesLost`]: livesLost,
+  }).catch(() => {});
+}
@@ -0,0 +1,139 @@
+// Optional app lock with a local PIN, per account (shared family phones).
+//
+// The PIN is kept in the platform keystore (expo-secure-store: Keychain / Android Keystore),
+// under "appLockPin.{accountId}", out of reach of app data backups. The account namespace
+// (accountStorage.js) holds the rest as "appLock":
+//   { secure: true, lockAfterMs, failedCount }
+// The lock is on only while both exist, so a keystore entry left by an uninstall or a
+// forgotten account locks nothing. Locks saved before as { hash, salt, iterations } (hash.js)
+// still open and are moved to the keystore on the next correct PIN.
+// failedCount is persisted, so closing the app does not reset the wrong-entry count;
+// after MAX_PIN_ATTEMPTS wrong entries the caller signs the student out.
+//
+// Lock points: every cold start, and on return from the background once the app
+// has been away for lockAfterMs (0 = immediately).
+//
+// Usage:
+//   await setPin("1234");
+//   const { ok, attemptsLeft } = await verifyPin(entered);
+//   const { enabled, lockAfterMs } = await getLockSettings();
+import * as SecureStore from "expo-secure-store";
+import { getActiveAccountId, getAccountItem, removeAccountItem, setAccountItem } from "./accountStorage";
+import { verifySecret } from "./hash";
+
+const STORAGE_NAME = "appLock";
+
+export const MAX_PIN_ATTEMPTS = 5;
+export const DEFAULT_LOCK_AFTER_MS = 60 * 1000;
+export const LOCK_AFTER_OPTIONS = [
+  { label: "Immediately", ms: 0 },
+  { label: "After 1 minute", ms: 60 * 1000 },
+  { label: "After 5 minutes", ms: 5 * 60 * 1000 },
+  { label: "After 15 minutes", ms: 15 * 60 * 1000 },
+];
+
+async function readLock() {
+  try {
+    const raw = await getAccountItem(STORAGE_NAME);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function writeLock(value) {
+  await setAccountItem(STORAGE_NAME, JSON.stringify(value));
+}
+
+// keystore keys allow letters, digits, ".", "-" and "_"
+async function pinKey() {
+  const accountId = await getActiveAccountId();
+  return accountId ? `appLockPin.${String(accountId).replace(/[^A-Za-z0-9._-]/g, "_")}` : null;
+}
+
+async function readPin() {
+  const key = await pinKey();
+  if (!key) return null;
+  try {
+    return await SecureStore.getItemAsync(key);
+  } catch {
+    return null;
+  }
+}
+
+async function writePin(pin) {
+  const key = await pinKey();
+  if (!key || !(await SecureStore.isAvailableAsync())) throw new Error("App lock is not available on this device.");
+  await SecureStore.setItemAsync(key, pin);
+}
+
+async function isEnabled(lock) {
+  if (lock?.hash) return true;
+  return !!lock?.secure && !!(await readPin());
+}
+
+export function isValidPin(pin) {
+  return /^\d{4,6}$/.test(String(pin || ""));
+}
+
+/**
+ * { enabled, lockAfterMs, failedCount } for the signed-in account.
+ */
+export async function getLockSettings() {
+  const lock = await readLock();
+  return {
+    enabled: await isEnabled(lock),
+    lockAfterMs: Number(lock?.lockAfterMs ?? DEFAULT_LOCK_AFTER_MS),
+    failedCount: Number(lock?.failedCount || 0),
+  };
+}
+
+/**
+ * Turn the lock on or change the PIN (4-6 digits). Keeps the chosen lock delay.
+ */
+export async function setPin(pin) {
+  if (!isValidPin(pin)) throw new Error("PIN must be 4 to 6 digits.");
+  const prev = await readLock();
+  await writePin(String(pin));
+  await writeLock({
+    secure: true,
+    lockAfterMs: Number(prev?.lockAfterMs ?? DEFAULT_LOCK_AFTER_MS),
+    failedCount: 0,
+  });
+}
+
+export async function setLockAfter(ms) {
+  const prev = await readLock();
+  if (!prev) return;
+  await writeLock({ ...prev, lockAfterMs: Math.max(0, Number(ms) || 0) });
+}
+
+export async function clearPin() {
+  await removeAccountItem(STORAGE_NAME);
+  const key = await pinKey();
+  if (key) await SecureStore.deleteItemAsync(key).catch(() => {});
+}
+
+/**
+ * Check an entered PIN. Resolves { ok, attemptsLeft }; attemptsLeft 0 means sign out.
+ */
+export async function verifyPin(pin) {
+  const lock = await readLock();
+  if (!(await isEnabled(lock))) return { ok: true, attemptsLeft: MAX_PIN_ATTEMPTS };
+
+  const entered = String(pin || "");
+  const ok = lock.hash ? verifySecret(entered, lock) : entered === (await readPin());
+  if (ok) {
+    // older lock: move the PIN to the keystore and drop the hash
+    const moved = lock.hash ? await writePin(entered).then(() => true, () => false) : false;
+    if (moved) {
+      const { hash, salt, iterations, ...rest } = lock;
+      await writeLock({ ...rest, secure: true, failedCount: 0 });
+    } else if (lock.failedCount) await writeLock({ ...lock, failedCount: 0 });
+    return { ok: true, attemptsLeft: MAX_PIN_ATTEMPTS };
+  }
+
+  const failedCount = Number(lock.failedCount || 0) + 1;
+  await writeLock({ ...lock, failedCount });
+  return { ok: false, attemptsLeft: Math.max(0, MAX_PIN_ATTEMPTS - failedCount) };
+}
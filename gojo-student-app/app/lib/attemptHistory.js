@@ -0,0 +1,111 @@
+// Attempt history of one company exam: every attempt with its date, score, badge and
+// duration, and the best score, average and improvement trend over them.
+//
+// Built from Platform1/attempts/company/{studentId}/{examId}. A score counts only when
+// the student may see it: graded, and either resultVisible or past the round's
+// resultReleaseTimestamp. Other attempts are listed as "pending" (submitted, or graded
+// but not released) or "in_progress".
+//
+//   best          highest visible score; the grader keeps studentProgress bestScorePercent
+//                 the same way (examGrader.js)
+//   average       mean visible score
+//   trend         least-squares slope of the visible scores in attempt order, in
+//                 percentage points per attempt (null below two scores)
+//   improvement   latest visible score minus the first
+//
+// Usage:
+//   const h = await loadAttemptHistory({ studentId, roundId, examId });
+//   h.attempts   // newest first: [{ id, number, startedAt, endedAt, durationMs, status,
+//                //   scorePercent, correctCount, totalCount, badge, points, isBest }]
+//   h.series     // visible scores oldest first, for the trend chart: [{ at, percent }]
+import { getValue } from "./dbHelpers";
+import { serverNow } from "./serverTime";
+
+function toMsTs(v) {
+  const n = Number(v || 0);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return n < 1e12 ? n * 1000 : n;
+}
+
+function mean(list) {
+  return list.length ? list.reduce((s, n) => s + n, 0) / list.length : null;
+}
+
+function slope(values) {
+  if (values.length < 2) return null;
+  const xMean = (values.length - 1) / 2;
+  const yMean = mean(values);
+  let num = 0;
+  let den = 0;
+  values.forEach((y, x) => {
+    num += (x - xMean) * (y - yMean);
+    den += (x - xMean) ** 2;
+  });
+  return den ? num / den : 0;
+}
+
+async function findRound(roundId) {
+  const pkgs = (await getValue([`Platform1/companyExams/packages`, `companyExams/packages`])) || {};
+  for (const pkg of Object.values(pkgs)) {
+    for (const subject of Object.values(pkg?.subjects || {})) {
+      if (subject?.rounds?.[roundId]) return subject.rounds[roundId];
+    }
+  }
+  return null;
+}
+
+export async function loadAttemptHistory({ studentId, roundId, examId }) {
+  const [round, exam, node] = await Promise.all([
+    findRound(roundId),
+    getValue([`Platform1/companyExams/exams/${examId}`, `companyExams/exams/${examId}`]),
+    studentId ? getValue([`Platform1/attempts/company/${studentId}/${examId}`], { cache: false }) : null,
+  ]);
+  // attempts written before attempt ids sit directly on the exam node
+  const entries = node && (node.attemptStatus || node.startTime || node.scorePercent != null)
+    ? { legacy_single_attempt: node }
+    : node || {};
+  const released = serverNow() >= toMsTs(round?.resultReleaseTimestamp);
+
+  const attempts = Object.entries(entries)
+    .map(([id, a]) => ({ id, ...(a || {}) }))
+    .sort((a, b) => toMsTs(a.startTime) - toMsTs(b.startTime))
+    .map((a, idx) => {
+      const status = String(a.attemptStatus || "").toLowerCase();
+      const visible = !!a.gradedAt && a.scorePercent != null && (a.resultVisible !== false || released);
+      const startedAt = toMsTs(a.startTime);
+      const endedAt = toMsTs(a.endTime);
+      return {
+        id: a.id,
+        number: idx + 1,
+        startedAt,
+        endedAt,
+        durationMs: startedAt && endedAt > startedAt ? endedAt - startedAt : null,
+        status: visible ? "completed" : status === "in_progress" || !status ? "in_progress" : "pending",
+        scorePercent: visible ? Number(a.scorePercent) : null,
+        correctCount: visible ? Number(a.correctCount || 0) : null,
+        totalCount: visible ? Number(a.totalCount || 0) : null,
+        badge: visible ? a.badge || null : null,
+        points: visible ? Number(a.pointsAwarded || 0) : 0,
+        isBest: false,
+      };
+    });
+
+  const scored = attempts.filter((a) => a.scorePercent != null);
+  const scores = scored.map((a) => a.scorePercent);
+  const best = scored.reduce((top, a) => (!top || a.scorePercent > top.scorePercent ? a : top), null);
+  if (best) best.isBest = true;
+  const pass = exam?.passPercent ?? exam?.passingPercent ?? exam?.passScore;
+
+  return {
+    examName: exam?.name || round?.name || "Exam",
+    roundName: round?.name || "",
+    passPercent: pass != null && !Number.isNaN(Number(pass)) ? Number(pass) : null,
+    attempts: attempts.reverse(),
+    scoredCount: scored.length,
+    best: best ? best.scorePercent : null,
+    average: mean(scores),
+    trend: slope(scores),
+    improvement: scores.length > 1 ? scores[scores.length - 1] - scores[0] : null,
+    series: scored.map((a) => ({ at: a.endedAt || a.startedAt, percent: a.scorePercent })),
+  };
+}
@@ -0,0 +1,119 @@
+// Student sign-in on Firebase Auth. The app never reads or compares stored passwords:
+// credentials go to a callable function, which checks them on the server and hands
+// back a custom token for signInWithCustomToken.
+//
+// Server contract (Cloud Functions; source in functions/auth.js at the repo root):
+//   studentSignIn({ username, password })
+//     -> { token, profile: { userId, username, userNodeKey, studentId, role, schoolKey } }
+//     Looks the username up via schoolCodeIndex + Users, verifies `passwordHash`
+//     (salted scrypt). Migration: when an account still has the legacy plaintext
+//     `password` and it matches, the function stores the hash, deletes `password`
+//     and Students/{id}/systemAccountInformation/temporaryPassword, then signs in.
+//     Errors: not-found (no account), permission-denied (inactive / not a student),
+//     unauthenticated (wrong password), failed-precondition (unknown school prefix),
+//     resource-exhausted with details { retryAfterMs } while throttled.
+//     Throttling (functions/loginThrottle.js, same schedule as loginThrottle.js here):
+//     attempts are counted per username under Platform1/Schools/{schoolKey}/loginAttempts
+//     and checked before the password, so a locked account cannot be probed.
+//   changeStudentPassword({ newPassword })      (requires auth)
+//     -> { ok: true }; stores a new hash for the caller's own account only.
+// Database rules should deny client reads of password, passwordHash and temporaryPassword.
+//
+// Usage:
+//   const profile = await signInStudent(username, password);   // throws AuthError
+//   await changePassword(newPassword);
+//   await signOutStudent();
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import {
+  getAuth,
+  initializeAuth,
+  getReactNativePersistence,
+  signInWithCustomToken,
+  signOut,
+} from "firebase/auth";
+import { getFunctions, httpsCallable } from "firebase/functions";
+import { database } from "../../constants/firebaseConfig";
+
+let authInstance = null;
+
+/**
+ * Firebase Auth for the app, persisted in AsyncStorage so sessions survive restarts.
+ */
+export function getAppAuth() {
+  if (authInstance) return authInstance;
+  const app = database.app;
+  try {
+    authInstance = initializeAuth(app, { persistence: getReactNativePersistence(AsyncStorage) });
+  } catch {
+    // already initialized (fast refresh)
+    authInstance = getAuth(app);
+  }
+  return authInstance;
+}
+
+function callable(name) {
+  return httpsCallable(getFunctions(database.app), name);
+}
+
+/**
+ * Error with a user-facing message; code is the callable error code without the prefix.
+ */
+export class AuthError extends Error {
+  constructor(code, message, retryAfterMs = 0) {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const SIGN_IN_MESSAGES = {
+  "not-found": "No account found with that username.",
+  "permission-denied": "This account cannot sign in here. Contact the administrator.",
+  unauthenticated: "Incorrect password.",
+  "failed-precondition": "School code not found for this username.",
+  "resource-exhausted": "Too many attempts. Please wait and try again.",
+  unavailable: "No connection. Check your internet and try again.",
+};
+
+function toAuthError(err, messages) {
+  const code = String(err?.code || "").replace(/^functions\//, "");
+  const retryAfterMs = Number(err?.details?.retryAfterMs || 0);
+  return new AuthError(code || "unknown", messages[code] || messages.unknown, retryAfterMs);
+}
+
+/**
+ * Verify credentials on the server and sign in. Resolves to the account profile.
+ */
+export async function signInStudent(username, password) {
+  let data;
+  try {
+    const res = await callable("studentSignIn")({ username, password });
+    data = res?.data || {};
+  } catch (err) {
+    throw toAuthError(err, { ...SIGN_IN_MESSAGES, unknown: "Unable to sign in. Try again." });
+  }
+
+  if (!data.token || !data.profile) throw new AuthError("unknown", "Unable to sign in. Try again.");
+  await signInWithCustomToken(getAppAuth(), data.token);
+  return data.profile;
+}
+
+export async function changePassword(newPassword) {
+  try {
+    await callable("changeStudentPassword")({ newPassword });
+  } catch (err) {
+    throw toAuthError(err, {
+      unauthenticated: "Your session expired. Sign in again to change the password.",
+      "invalid-argument": "Password does not meet the requirements.",
+      unavailable: SIGN_IN_MESSAGES.unavailable,
+      unknown: "Could not update password.",
+    });
+  }
+}
+
+export async function signOutStudent() {
+  try {
+    await signOut(getAppAuth());
+  } catch {}
+}
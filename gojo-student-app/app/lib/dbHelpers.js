@@ -4,39 +4,78 @@
 //   const val = await getValue(['Platform1/studentLives/abc']);
 //   const snap = await getSnapshot(['Platform1/companyExams/packages']);
 //   const newKey = await pushAndSet('Platform1/attempts/company/uid/examId', attemptObj);
+//   await safeSet('Platform1/Schools/sk/StudentBookNotes/...', note);
 //   await runTransactionSafe('Platform1/studentProgress/uid/company/rid/examId/attemptsUsed', curr => Number(curr||0)+1);
 //
 // Keeps consistent semantics: getValue returns plain object or null, getSnapshot returns snapshot or null.
-import { get, ref, runTransaction, push, set, update } from "firebase/database";
+// Reads go through the offline cache in readCache.js (per-path TTLs, stale-while-revalidate).
+// Writes go through the durable outbox in writeQueue.js and resolve { id, queued } when offline.
+import { get, ref, runTransaction, push } from "firebase/database";
 import { database } from "../../constants/firebaseConfig";
+import { ttlForPath, readCacheEntry, writeCacheEntry, isFresh, refreshOnce, cachedSnapshot } from "./readCache";
+import { enqueueWrite } from "./writeQueue";
+
+/**
+ * Read one path through the persistent cache (see readCache.js).
+ * Resolves to { value, snap } where snap is a real snapshot when it came from the
+ * network and a cached stand-in otherwise. value is null when the path is empty.
+ */
+async function readPath(path, options) {
+  const useCache = options?.cache !== false && ttlForPath(path) > 0;
+
+  const fetchLive = async () => {
+    const snap = await get(ref(database, path));
+    const value = snap && snap.exists() ? snap.val() : null;
+    if (useCache) await writeCacheEntry(path, value);
+    return { value, snap };
+  };
+
+  if (!useCache) {
+    try {
+      return await fetchLive();
+    } catch {
+      return { value: null, snap: null };
+    }
+  }
+
+  const entry = await readCacheEntry(path);
+  if (entry && isFresh(entry, path)) {
+    return { value: entry.value, snap: cachedSnapshot(path, entry.value) };
+  }
+  if (entry) {
+    // stale: serve now, refresh quietly
+    refreshOnce(path, fetchLive).catch(() => {});
+    return { value: entry.value, snap: cachedSnapshot(path, entry.value) };
+  }
+
+  try {
+    return await refreshOnce(path, fetchLive);
+  } catch {
+    return { value: null, snap: null };
+  }
+}
 
 /**
  * Return the plain JS value for the first existing path.
  * Returns null when not found.
+ * Pass { cache: false } to force a network read for cacheable paths.
  */
-export async function getValue(paths) {
+export async function getValue(paths, options = {}) {
   for (const p of paths) {
-    try {
-      const snap = await get(ref(database, p));
-      if (snap && snap.exists()) return snap.val();
-    } catch (e) {
-      // ignore and continue
-    }
+    const { value } = await readPath(p, options);
+    if (value != null) return value;
   }
   return null;
 }
 
 /**
  * Return the snapshot for the first existing path (or null).
+ * Cached results are snapshot-like (exists / val / forEach / child / key).
  */
-export async function getSnapshot(paths) {
+export async function getSnapshot(paths, options = {}) {
   for (const p of paths) {
-    try {
-      const snap = await get(ref(database, p));
-      if (snap && snap.exists()) return snap;
-    } catch (e) {
-      // ignore
-    }
+    const { value, snap } = await readPath(p, options);
+    if (value != null && snap) return snap;
   }
   return null;
 }
@@ -58,17 +97,25 @@ export async function runTransactionSafe(path, updater) {
 
 /**
  * Push and set helper that returns key.
+ * The key is generated on the device, so this works offline (the value is queued).
  */
-export async function pushAndSet(basePath, value) {
-  const newRef = push(ref(database, basePath));
-  const newKey = newRef.key;
-  await set(ref(database, `${basePath}/${newKey}`), value);
+export async function pushAndSet(basePath, value, options = {}) {
+  const newKey = push(ref(database, basePath)).key;
+  await enqueueWrite({ [`${basePath}/${newKey}`]: value }, options);
   return newKey;
 }
 
 /**
- * Atomic update map
+ * Replace the value at one path (queued when offline).
+ */
+export async function safeSet(path, value, options = {}) {
+  return enqueueWrite({ [path]: value }, options);
+}
+
+/**
+ * Atomic update map (queued when offline).
+ * options: { tag, meta } are stored on the outbox item for UI status.
  */
-export async function safeUpdate(patch) {
-  return update(ref(database), patch);
+export async function safeUpdate(patch, options = {}) {
+  return enqueueWrite(patch, options);
 }
\ No newline at end of file
@@ -0,0 +1,94 @@
+// Device copy of company exam attempts, so an attempt survives the app being killed.
+//
+// Stored in the account namespace (accountStorage.js) as "examAttempts":
+//   { [attemptId]: { attemptId, studentId, roundId, examId, startTime, timeLimit,
+//                    questionOrder, itemOrders, answers, currentIndex, feedbackMode, status, savedAt } }
+// status is "in_progress" while the exam is open and "submitted" until the verified
+// result is back; then the record is removed. Lives lost on the attempt are taken by the
+// grader (examGrader.js), so there is nothing left to settle on the device.
+//
+// itemOrders holds the shuffled starting order of each ordering question's items
+// (questionTypes.js shuffleItemOrders), so a resumed attempt shows them as before.
+//
+// The attempt node in the database carries the same state (startTime, questionOrder,
+// itemOrders, answers, currentIndex). Its startTime, taken from the server clock, decides the
+// remaining time; the device copy is what makes resuming work offline.
+//
+// Usage:
+//   await saveLocalAttempt(attemptId, { answers, currentIndex });
+//   const open = await findLocalAttempts({ examId, status: "in_progress" });
+//   const left = secondsLeft(attempt.startTime, attempt.timeLimit);
+import { getAccountItem, setAccountItem } from "./accountStorage";
+import { serverNow } from "./serverTime";
+
+const STORAGE_NAME = "examAttempts";
+
+// read-modify-write of one item; keep saves in order
+let chain = Promise.resolve();
+
+function serialize(fn) {
+  const run = chain.then(fn, fn);
+  chain = run.catch(() => {});
+  return run;
+}
+
+async function readAll() {
+  try {
+    const raw = await getAccountItem(STORAGE_NAME);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+async function writeAll(all) {
+  try {
+    await setAccountItem(STORAGE_NAME, JSON.stringify(all));
+  } catch {}
+}
+
+export async function getLocalAttempt(attemptId) {
+  if (!attemptId) return null;
+  return (await readAll())[attemptId] || null;
+}
+
+/**
+ * Records matching every given field, newest first.
+ */
+export async function findLocalAttempts(match = {}) {
+  const all = await readAll();
+  return Object.values(all)
+    .filter((rec) => Object.keys(match).every((k) => rec?.[k] === match[k]))
+    .sort((a, b) => Number(b.startTime || 0) - Number(a.startTime || 0));
+}
+
+/**
+ * Merge a patch into an attempt's record (created when missing).
+ */
+export function saveLocalAttempt(attemptId, patch) {
+  if (!attemptId) return Promise.resolve();
+  return serialize(async () => {
+    const all = await readAll();
+    all[attemptId] = { ...(all[attemptId] || { attemptId }), ...patch, savedAt: Date.now() };
+    await writeAll(all);
+  });
+}
+
+export function removeLocalAttempt(attemptId) {
+  if (!attemptId) return Promise.resolve();
+  return serialize(async () => {
+    const all = await readAll();
+    if (!all[attemptId]) return;
+    delete all[attemptId];
+    await writeAll(all);
+  });
+}
+
+/**
+ * Whole seconds left of a timed attempt, by the server clock (0 when time is up).
+ */
+export function secondsLeft(startTime, timeLimit) {
+  const deadline = Number(startTime || 0) + Number(timeLimit || 0) * 1000;
+  return Math.max(0, Math.ceil((deadline - serverNow()) / 1000));
+}
@@ -0,0 +1,463 @@
+// Grading for company exams. The device never holds answer keys: scores, badges and
+// points are computed by a trusted grader, and the app only reads the verified result.
+//
+// Data layout:
+//   Platform1/questionBanks/{bankId}/questions/{questionId}   question + options, no keys
+//   Platform1/questionBankKeys/{bankId}/{questionId}          { correctAnswer, explanation,
+//                                                               explanationTranslations } (questionLanguage.js)
+//   Platform1/attempts/company/{studentId}/{examId}/{attemptId}
+//     client writes: startTime, timeLimit, questionOrder, itemOrders, answers, currentIndex (examAttemptStore.js),
+//                    integrity (app exits, examIntegrity.js), then endTime and attemptStatus "submitted"
+//     grader writes: attemptStatus "completed", scorePercent, correctCount, totalCount,
+//                    pointsAwarded, badge, resultVisible, gradedAt, livesSettled { count, at },
+//                    checked/{questionId} (instant feedback)
+//   Platform1/studentProgress/{studentId}/company/{roundId}/{examId}
+//     grader writes: status, lastScorePercent, and bestScorePercent with bestAttemptId when
+//                    the attempt beats the best so far (never lowered)
+//   Platform1/studentProgress/{studentId}/mistakes/{bankId}__{questionId}
+//     grader writes: the mistake notebook (mistakeNotebook.js), once the review is visible;
+//                    the attempt then gets mistakesRecordedAt
+//   Platform1/studentProgress/{studentId}/reviewQueue/q__{bankId}__{questionId}
+//     grader writes: new question items of the review queue (reviewScheduler.js), at the same time
+//   Platform1/studentLives/{studentId}
+//     grader takes the lives a failed attempt costs (livesHelpers.js node): none in competitive
+//     packages; with a pass mark on the exam (passingPercent / passPercent / passScore) one below
+//     it; otherwise one per appConfig/exams/lives fallbackWrongsPerLife (default 2) questions
+//     without full credit. livesSettled is claimed in a transaction first, so it happens once.
+// Database rules deny client reads of questionBankKeys, client writes to the grader
+// fields, and any client write to an attempt that is no longer "in_progress".
+//
+// Server contract (Cloud Functions; source in functions/grading.js at the repo root; the caller
+// must be signed in and is the student graded):
+//   gradeExamAttempt({ roundId, examId, attemptId })
+//     -> { scorePercent, correctCount, totalCount, pointsAwarded, badge, resultVisible, review }
+//     Grades the stored answers over the attempt's questionOrder with the partial-credit
+//     rules of questionTypes.js: scorePercent is the summed credit over all questions,
+//     correctCount the questions with full credit. Writes the fields above once (later
+//     calls return the stored result) and settles lives; pointsAwarded is left for the job
+//     that builds Platform1/rankings.
+//     review is { [questionId]: { correct, credit, correctAnswer, explanation,
+//     explanationTranslations } } for practice packages, or for competitive ones after
+//     resultReleaseTimestamp; otherwise null.
+//     With the review, each question without full credit goes into the mistake notebook
+//     (wrongCount + 1, correctStreak 0) and a correct one moves its entry's streak on.
+//     Questions not yet in the review queue are added with firstSchedule(correct).
+//     Errors: failed-precondition (attempt not "submitted" or "completed" yet, e.g. the
+//     submit is still in the outbox), not-found, permission-denied.
+//   checkExamAnswer({ examId, attemptId, questionId, answer })
+//     -> { correct, credit, correctAnswer, explanation, explanationTranslations }
+//     Instant feedback, only for attempts started with feedbackMode "instant" outside
+//     competitive packages. Stores the answer and refuses a second check of the same
+//     question, so keys cannot be probed option by option.
+//   checkPracticeAnswer({ packageId, subjectKey, sessionId, bankId, questionId, answer, level })
+//     -> { correct, credit, correctAnswer, explanation, explanationTranslations }
+//     Adaptive practice (adaptivePractice.js). Only for banks of a non-competitive package's
+//     subject, once per question and session; stores { level, credit, answeredAt } under
+//     Platform1/practiceHistory/{studentId}/{sessionId}/answers/{bankId}__{questionId}.
+//
+// For development, a local stand-in grader does the same work on the device against an
+// emulator whose rules allow it. It runs only in dev builds with EXPO_PUBLIC_LOCAL_GRADER=1.
+//
+// Usage:
+//   const result = await gradeAttempt({ studentId, roundId, examId, attemptId });   // throws GradingError
+//   const { correct, correctAnswer } = await checkAnswer({ studentId, examId, attemptId, questionId, answer });
+//   const verdict = await checkPracticeAnswer({ studentId, packageId, subjectKey, sessionId, bankId, questionId, answer, level });
+//   setQuestions(stripAnswerKeys(bank.questions));
+import { getFunctions, httpsCallable } from "firebase/functions";
+import { database } from "../../constants/firebaseConfig";
+import { getValue, runTransactionSafe, safeUpdate } from "./dbHelpers";
+import { flushOutbox, getOutboxItems } from "./writeQueue";
+import { serverNow } from "./serverTime";
+import { questionType, scoreAnswer, toList } from "./questionTypes";
+import { firstSchedule, questionItemId } from "./reviewScheduler";
+import { deductLives, getLivesConfig } from "./livesHelpers";
+
+const WRONGS_PER_LIFE_FALLBACK = 2;
+
+const USE_LOCAL_GRADER = __DEV__ && process.env.EXPO_PUBLIC_LOCAL_GRADER === "1";
+
+/**
+ * Error with a user-facing message; code is the callable error code without the prefix.
+ * "unavailable" means the answers are safe and grading can be retried later.
+ */
+export class GradingError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "GradingError";
+    this.code = code;
+  }
+}
+
+const GRADE_MESSAGES = {
+  unavailable: "Your answers are saved. The result appears once you are back online.",
+  "failed-precondition": "Your answers are still reaching the server. Try again in a moment.",
+  "not-found": "This attempt was not found.",
+  "permission-denied": "This attempt cannot be graded from this account.",
+  unauthenticated: "Sign in again to get your result.",
+  unknown: "Could not get your result. Try again.",
+};
+
+const CHECK_MESSAGES = {
+  unavailable: "Answer saved. Feedback needs a connection.",
+  "failed-precondition": "Instant feedback is not available for this attempt.",
+  "already-exists": "This question was already checked.",
+  unknown: "Could not check this answer.",
+};
+
+const PRACTICE_CHECK_MESSAGES = {
+  unavailable: "Checking needs a connection.",
+  "failed-precondition": "This question is not part of the practice set.",
+  "already-exists": "This question was already answered in this session.",
+  unknown: "Could not check this answer.",
+};
+
+function callable(name) {
+  return httpsCallable(getFunctions(database.app), name);
+}
+
+function toGradingError(err, messages) {
+  if (err instanceof GradingError) return err;
+  const code = String(err?.code || "").replace(/^functions\//, "") || "unknown";
+  return new GradingError(code, messages[code] || messages.unknown);
+}
+
+/**
+ * Questions as the exam screen may hold them: anything key-like is dropped, even if an
+ * old bank or a cached copy still carries it. Accepts a { id: question } map or a list.
+ */
+export function stripAnswerKeys(questions) {
+  const list = Array.isArray(questions)
+    ? questions
+    : Object.entries(questions || {}).map(([id, q]) => ({ id, ...q }));
+  return list.map(({ correctAnswer, explanation, explanationTranslations, tolerance, ...rest }) => rest);
+}
+
+function toResult(data) {
+  return {
+    percent: Number(data?.scorePercent || 0),
+    correct: Number(data?.correctCount || 0),
+    total: Number(data?.totalCount || 0),
+    badge: data?.badge || null,
+    points: Number(data?.pointsAwarded || 0),
+    resultVisible: data?.resultVisible !== false,
+    review: data?.review || null,
+  };
+}
+
+// the grader reads answers from the server, so nothing for this attempt may still be queued
+async function ensureAnswersSent(attemptId) {
+  await flushOutbox().catch(() => {});
+  const items = await getOutboxItems();
+  const waiting = items.some((it) => it.meta?.attemptId === attemptId && it.status === "pending");
+  if (waiting) throw new GradingError("unavailable", GRADE_MESSAGES.unavailable);
+}
+
+/**
+ * Have the attempt graded and resolve the verified result:
+ * { percent, correct, total, badge, points, resultVisible, review }.
+ * Safe to call again for an attempt that is already graded.
+ */
+export async function gradeAttempt({ studentId, roundId, examId, attemptId }) {
+  await ensureAnswersSent(attemptId);
+  try {
+    if (USE_LOCAL_GRADER) return toResult(await gradeLocally({ studentId, roundId, examId, attemptId }));
+    const res = await callable("gradeExamAttempt")({ roundId, examId, attemptId });
+    return toResult(res?.data);
+  } catch (err) {
+    throw toGradingError(err, GRADE_MESSAGES);
+  }
+}
+
+/**
+ * Instant feedback for one answer of an instant-mode attempt.
+ * Resolves { correct, credit, correctAnswer, explanation, explanationTranslations }.
+ */
+export async function checkAnswer({ studentId, examId, attemptId, questionId, answer }) {
+  try {
+    if (USE_LOCAL_GRADER) return await checkLocally({ studentId, examId, attemptId, questionId, answer });
+    const res = await callable("checkExamAnswer")({ examId, attemptId, questionId, answer });
+    const data = res?.data || {};
+    return {
+      correct: !!data.correct,
+      credit: Number(data.credit ?? (data.correct ? 1 : 0)),
+      correctAnswer: data.correctAnswer ?? null,
+      explanation: data.explanation || "",
+      explanationTranslations: data.explanationTranslations || null,
+    };
+  } catch (err) {
+    throw toGradingError(err, CHECK_MESSAGES);
+  }
+}
+
+/**
+ * Verdict for one adaptive-practice answer, recorded in the session's practice history.
+ * Resolves { correct, credit, correctAnswer, explanation, explanationTranslations }.
+ */
+export async function checkPracticeAnswer({ studentId, packageId, subjectKey, sessionId, bankId, questionId, answer, level }) {
+  try {
+    if (USE_LOCAL_GRADER) {
+      return await checkPracticeLocally({ studentId, packageId, subjectKey, sessionId, bankId, questionId, answer, level });
+    }
+    const res = await callable("checkPracticeAnswer")({ packageId, subjectKey, sessionId, bankId, questionId, answer, level });
+    const data = res?.data || {};
+    return {
+      correct: !!data.correct,
+      credit: Number(data.credit ?? (data.correct ? 1 : 0)),
+      correctAnswer: data.correctAnswer ?? null,
+      explanation: data.explanation || "",
+      explanationTranslations: data.explanationTranslations || null,
+    };
+  } catch (err) {
+    throw toGradingError(err, PRACTICE_CHECK_MESSAGES);
+  }
+}
+
+// ---- local stand-in grader (development only) -------------------------------------------
+
+function toMsTs(v) {
+  const n = Number(v || 0);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return n < 1e12 ? n * 1000 : n;
+}
+
+function badgeFor(exam, percent) {
+  if (!exam?.scoringEnabled || !exam?.scoring) return { badge: null, points: 0 };
+  const s = exam.scoring;
+  if (percent >= Number(s.platinumPercent || 90)) return { badge: "platinum", points: Number(s.maxPoints || 3) };
+  if (percent >= Number(s.diamondPercent || 85)) return { badge: "diamond", points: 2 };
+  if (percent >= Number(s.goldPercent || 75)) return { badge: "gold", points: 1 };
+  return { badge: null, points: 0 };
+}
+
+async function loadExamKeys(examId) {
+  const exam = await getValue([`Platform1/companyExams/exams/${examId}`, `companyExams/exams/${examId}`]);
+  const bankId = exam?.questionBankId;
+  if (!bankId) throw new GradingError("not-found", GRADE_MESSAGES["not-found"]);
+  const [keys, questions] = await Promise.all([
+    getValue([`Platform1/questionBankKeys/${bankId}`], { cache: false }),
+    getValue([`Platform1/questionBanks/${bankId}/questions`, `questionBanks/${bankId}/questions`]),
+  ]);
+  return { exam, bankId, keys: keys || {}, questions: questions || {} };
+}
+
+async function loadRound(roundId) {
+  const pkgs = (await getValue([`Platform1/companyExams/packages`, `companyExams/packages`])) || {};
+  for (const [packageId, pkg] of Object.entries(pkgs)) {
+    for (const [subjectKey, subject] of Object.entries(pkg?.subjects || {})) {
+      const round = subject?.rounds?.[roundId];
+      if (round) {
+        return {
+          round,
+          competitive: String(pkg?.type || "").toLowerCase() === "competitive",
+          source: { packageId, subjectKey, subjectName: subject.name || subjectKey, chapter: round.chapter || "" },
+        };
+      }
+    }
+  }
+  return { round: null, competitive: false, source: {} };
+}
+
+function verdict(question, key, answer) {
+  const credit = scoreAnswer(questionType(question), key, answer);
+  return {
+    correct: credit >= 1,
+    credit,
+    correctAnswer: key?.correctAnswer ?? null,
+    explanation: key?.explanation || "",
+    explanationTranslations: key?.explanationTranslations || null,
+  };
+}
+
+// notebook entries for a graded attempt, as an update patch (see mistakeNotebook.js)
+async function mistakesPatch({ studentId, examId, roundId, bankId, source, ids, keys, review }) {
+  const base = `Platform1/studentProgress/${studentId}/mistakes`;
+  const [existing, cfg] = await Promise.all([
+    getValue([base], { cache: false }),
+    getValue([`Platform1/appConfig/exams`, `appConfig/exams`]),
+  ]);
+  const clearAfter = Number(cfg?.mistakes?.clearAfterStreak || 0) || 3;
+  const patch = {};
+
+  ids.forEach((qId) => {
+    const key = `${bankId}__${qId}`;
+    const entry = existing?.[key];
+    const v = review[qId];
+    if (v.correct) {
+      if (!entry) return;
+      const streak = Number(entry.correctStreak || 0) + 1;
+      if (streak >= clearAfter) patch[`${base}/${key}`] = null;
+      else patch[`${base}/${key}/correctStreak`] = streak;
+      return;
+    }
+    const k = keys[String(qId)] || {};
+    patch[`${base}/${key}`] = {
+      bankId,
+      questionId: String(qId),
+      examId,
+      roundId,
+      ...source,
+      correctAnswer: k.correctAnswer ?? null,
+      tolerance: k.tolerance ?? null,
+      explanation: k.explanation || "",
+      explanationTranslations: k.explanationTranslations || null,
+      wrongCount: Number(entry?.wrongCount || 0) + 1,
+      correctStreak: 0,
+      lastWrongAt: serverNow(),
+    };
+  });
+  return patch;
+}
+
+// review-queue items for questions of the attempt that are not queued yet
+async function reviewQueuePatch({ studentId, bankId, source, ids, keys, review }) {
+  const base = `Platform1/studentProgress/${studentId}/reviewQueue`;
+  const queue = (await getValue([base], { cache: false })) || {};
+  const now = serverNow();
+  const patch = {};
+  ids.forEach((qId) => {
+    const itemId = questionItemId(bankId, qId);
+    if (queue[itemId]) return;
+    const k = keys[String(qId)] || {};
+    patch[`${base}/${itemId}`] = {
+      kind: "question",
+      bankId,
+      questionId: String(qId),
+      subjectKey: source.subjectKey || "",
+      subjectName: source.subjectName || "",
+      chapter: source.chapter || "",
+      correctAnswer: k.correctAnswer ?? null,
+      tolerance: k.tolerance ?? null,
+      explanation: k.explanation || "",
+      explanationTranslations: k.explanationTranslations || null,
+      ...firstSchedule(review[qId].correct, now),
+    };
+  });
+  return patch;
+}
+
+// lives for a graded attempt, claimed on the attempt so they are only ever taken once
+async function settleLives({ studentId, attemptPath, exam, competitive, graded }) {
+  let count = 0;
+  if (!competitive) {
+    const pass = exam?.passingPercent ?? exam?.passPercent ?? exam?.passScore ?? null;
+    if (pass != null && !Number.isNaN(Number(pass))) {
+      count = Number(graded.scorePercent) < Number(pass) ? 1 : 0;
+    } else {
+      const config = await getLivesConfig();
+      const wrong = Math.max(0, Number(graded.totalCount || 0) - Number(graded.correctCount || 0));
+      count = Math.floor(wrong / Math.max(1, Number(config.fallbackWrongsPerLife || WRONGS_PER_LIFE_FALLBACK)));
+    }
+  }
+  const claim = await runTransactionSafe(`${attemptPath}/livesSettled`, (current) =>
+    current ? undefined : { count, at: serverNow() }
+  );
+  if (claim?.committed && count > 0) await deductLives(studentId, count);
+}
+
+async function gradeLocally({ studentId, roundId, examId, attemptId }) {
+  const attemptPath = `Platform1/attempts/company/${studentId}/${examId}/${attemptId}`;
+  const attempt = await getValue([attemptPath], { cache: false });
+  if (!attempt) throw new GradingError("not-found", GRADE_MESSAGES["not-found"]);
+  if (!["submitted", "completed"].includes(String(attempt.attemptStatus || "").toLowerCase())) {
+    throw new GradingError("failed-precondition", GRADE_MESSAGES["failed-precondition"]);
+  }
+
+  const [{ exam, bankId, keys, questions }, { round, competitive, source }] = await Promise.all([
+    loadExamKeys(examId),
+    loadRound(roundId),
+  ]);
+  const order = toList(attempt.questionOrder);
+  const ids = order.length ? order : Object.keys(keys);
+  const answers = attempt.answers || {};
+
+  const review = {};
+  let correctCount = 0;
+  let credits = 0;
+  ids.forEach((qId) => {
+    const v = verdict(questions[String(qId)], keys[String(qId)], answers[String(qId)]);
+    if (v.correct) correctCount += 1;
+    credits += v.credit;
+    review[qId] = v;
+  });
+
+  const resultVisible = exam?.scoringEnabled ? serverNow() >= toMsTs(round?.resultReleaseTimestamp) : true;
+  const showReview = !competitive || resultVisible;
+
+  const patch = {};
+  if (showReview && !attempt.mistakesRecordedAt) {
+    Object.assign(
+      patch,
+      await mistakesPatch({ studentId, examId, roundId, bankId, source, ids, keys, review }),
+      await reviewQueuePatch({ studentId, bankId, source, ids, keys, review })
+    );
+    patch[`${attemptPath}/mistakesRecordedAt`] = serverNow();
+  }
+
+  // already graded: hand back the stored result (recording mistakes once it is released)
+  if (attempt.gradedAt) {
+    if (Object.keys(patch).length) await safeUpdate(patch);
+    if (!attempt.livesSettled) await settleLives({ studentId, attemptPath, exam, competitive, graded: attempt });
+    return { ...attempt, review: showReview ? review : null };
+  }
+
+  const totalCount = ids.length;
+  const scorePercent = totalCount ? (credits / totalCount) * 100 : 0;
+  const { badge, points } = badgeFor(exam, scorePercent);
+  const graded = {
+    attemptStatus: "completed",
+    scorePercent,
+    correctCount,
+    totalCount,
+    pointsAwarded: points,
+    badge,
+    resultVisible,
+    gradedAt: serverNow(),
+  };
+
+  Object.keys(graded).forEach((k) => { patch[`${attemptPath}/${k}`] = graded[k]; });
+  const progressPath = `Platform1/studentProgress/${studentId}/company/${roundId}/${examId}`;
+  const progress = await getValue([progressPath], { cache: false });
+  patch[`${progressPath}/status`] = "completed";
+  patch[`${progressPath}/lastScorePercent`] = scorePercent;
+  if (progress?.bestScorePercent == null || scorePercent > Number(progress.bestScorePercent)) {
+    patch[`${progressPath}/bestScorePercent`] = scorePercent;
+    patch[`${progressPath}/bestAttemptId`] = attemptId;
+  }
+  await safeUpdate(patch);
+  await settleLives({ studentId, attemptPath, exam, competitive, graded });
+
+  return { ...graded, review: showReview ? review : null };
+}
+
+async function checkLocally({ studentId, examId, attemptId, questionId, answer }) {
+  const attemptPath = `Platform1/attempts/company/${studentId}/${examId}/${attemptId}`;
+  const attempt = await getValue([attemptPath], { cache: false });
+  if (attempt?.feedbackMode !== "instant" || attempt?.attemptStatus !== "in_progress") {
+    throw new GradingError("failed-precondition", CHECK_MESSAGES["failed-precondition"]);
+  }
+  const claim = await runTransactionSafe(`${attemptPath}/checked/${questionId}`, (current) => (current ? undefined : serverNow()));
+  if (!claim?.committed) throw new GradingError("already-exists", CHECK_MESSAGES["already-exists"]);
+  const { keys, questions } = await loadExamKeys(examId);
+  await safeUpdate({ [`${attemptPath}/answers/${questionId}`]: answer });
+  return verdict(questions[String(questionId)], keys[String(questionId)], answer);
+}
+
+async function checkPracticeLocally({ studentId, packageId, subjectKey, sessionId, bankId, questionId, answer, level }) {
+  const pkg = await getValue([`Platform1/companyExams/packages/${packageId}`, `companyExams/packages/${packageId}`]);
+  const exams = (await getValue([`Platform1/companyExams/exams`, `companyExams/exams`])) || {};
+  const banks = Object.values(pkg?.subjects?.[subjectKey]?.rounds || {}).map((r) => exams[r?.examId]?.questionBankId);
+  if (String(pkg?.type || "").toLowerCase() === "competitive" || !banks.includes(bankId)) {
+    throw new GradingError("failed-precondition", PRACTICE_CHECK_MESSAGES["failed-precondition"]);
+  }
+  const recordPath = `Platform1/practiceHistory/${studentId}/${sessionId}/answers/${bankId}__${questionId}`;
+  if (await getValue([recordPath], { cache: false })) {
+    throw new GradingError("already-exists", PRACTICE_CHECK_MESSAGES["already-exists"]);
+  }
+  const [key, question] = await Promise.all([
+    getValue([`Platform1/questionBankKeys/${bankId}/${questionId}`], { cache: false }),
+    getValue([`Platform1/questionBanks/${bankId}/questions/${questionId}`, `questionBanks/${bankId}/questions/${questionId}`]),
+  ]);
+  const v = verdict(question, key, answer);
+  await safeUpdate({ [recordPath]: { level: level || "", credit: v.credit, answeredAt: serverNow() } });
+  return v;
+}
@@ -0,0 +1,74 @@
+// Integrity log for competitive exams: every time the app goes to the background during an
+// attempt is recorded on the attempt, and a policy applies after too many exits.
+//
+// On the attempt node (Platform1/attempts/company/{studentId}/{examId}/{attemptId}):
+//   integrity: {
+//     exitCount,
+//     exits: { exit_{n}: { leftAt, returnedAt, awayMs } },   // returnedAt missing while away
+//     flagged, policyAction, policyAppliedAt                 // once the policy applied
+//   }
+// The exit is written as the app leaves, so it is kept when the app is killed in the
+// background; the return closes it (on resume, when the app was killed). Organizers read
+// the log with the attempt.
+//
+// Policy, from appConfig/exams/integrity:
+//   maxExits   exits that trigger the action (default 3)
+//   action     "warn"         keep warning only
+//              "flag"         mark the attempt for organizers (default)
+//              "auto_submit"  mark it and submit the attempt
+//
+// Usage:
+//   const policy = integrityPolicy(appExamConfig.integrity);
+//   await recordExit(attempt, { exitNo, leftAt });
+//   await recordReturn(attempt, { exitNo, leftAt });
+//   if (exitNo >= policy.maxExits) await recordPolicy(attempt, policy.action);
+import { safeUpdate } from "./dbHelpers";
+import { serverNow } from "./serverTime";
+
+export const INTEGRITY_ACTIONS = ["warn", "flag", "auto_submit"];
+
+const DEFAULT_POLICY = { maxExits: 3, action: "flag" };
+
+function integrityPath({ studentId, examId, attemptId }) {
+  return `Platform1/attempts/company/${studentId}/${examId}/${attemptId}/integrity`;
+}
+
+function write(attempt, patch) {
+  return safeUpdate(patch, { tag: "exam-progress", meta: { attemptId: attempt.attemptId } }).catch(() => {});
+}
+
+export function integrityPolicy(cfg) {
+  const maxExits = Number(cfg?.maxExits);
+  return {
+    maxExits: maxExits > 0 ? Math.floor(maxExits) : DEFAULT_POLICY.maxExits,
+    action: INTEGRITY_ACTIONS.includes(cfg?.action) ? cfg.action : DEFAULT_POLICY.action,
+  };
+}
+
+/**
+ * Log the app leaving during an attempt; exitNo counts from 1.
+ */
+export function recordExit(attempt, { exitNo, leftAt = serverNow() }) {
+  const base = integrityPath(attempt);
+  return write(attempt, {
+    [`${base}/exitCount`]: exitNo,
+    [`${base}/exits/exit_${exitNo}/leftAt`]: leftAt,
+  });
+}
+
+export function recordReturn(attempt, { exitNo, leftAt, returnedAt = serverNow() }) {
+  const base = `${integrityPath(attempt)}/exits/exit_${exitNo}`;
+  return write(attempt, {
+    [`${base}/returnedAt`]: returnedAt,
+    [`${base}/awayMs`]: Math.max(0, returnedAt - Number(leftAt || returnedAt)),
+  });
+}
+
+export function recordPolicy(attempt, action) {
+  const base = integrityPath(attempt);
+  return write(attempt, {
+    [`${base}/flagged`]: action !== "warn",
+    [`${base}/policyAction`]: action,
+    [`${base}/policyAppliedAt`]: serverNow(),
+  });
+}
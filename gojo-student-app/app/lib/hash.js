@@ -0,0 +1,65 @@
+// Small hashing helpers with no native dependency.
+//
+// sha1 works on code units, so callers pass ASCII (URLs, digits, hex salts).
+//
+// Usage:
+//   const name = `${sha1(url)}.pdf`;
+//   const { hash, salt } = hashSecret("1234");
+//   verifySecret("1234", { hash, salt }); // true
+
+export function sha1(msg) {
+  function rotl(n, s) { return (n << s) | (n >>> (32 - s)); }
+  function tohex(i) { return ("00000000" + i.toString(16)).slice(-8); }
+  let H0 = 0x67452301, H1 = 0xEFCDAB89, H2 = 0x98BADCFE, H3 = 0x10325476, H4 = 0xC3D2E1F0;
+  const ml = msg.length;
+  const wa = [];
+  for (let i = 0; i < ml; i++) wa[i >> 2] |= msg.charCodeAt(i) << (24 - (i % 4) * 8);
+  const l = ((ml + 8) >> 6) + 1;
+  const words = new Array(l * 16).fill(0);
+  for (let i = 0; i < wa.length; i++) words[i] = wa[i];
+  words[ml >> 2] |= 0x80 << (24 - (ml % 4) * 8);
+  words[words.length - 1] = ml * 8;
+
+  for (let i = 0; i < words.length; i += 16) {
+    const w = words.slice(i, i + 16);
+    let a = H0, b = H1, c = H2, d = H3, e = H4;
+    for (let t = 0; t < 80; t++) {
+      let wt;
+      if (t < 16) wt = w[t];
+      else {
+        const x = w[t - 3] ^ w[t - 8] ^ w[t - 14] ^ w[t - 16];
+        wt = rotl(x, 1); w[t] = wt;
+      }
+      let f, k;
+      if (t < 20) { f = (b & c) | (~b & d); k = 0x5A827999; }
+      else if (t < 40) { f = b ^ c ^ d; k = 0x6ED9EBA1; }
+      else if (t < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8F1BBCDC; }
+      else { f = b ^ c ^ d; k = 0xCA62C1D6; }
+      const temp = (rotl(a, 5) + f + e + k + (wt >>> 0)) >>> 0;
+      e = d; d = c; c = rotl(b, 30) >>> 0; b = a; a = temp;
+    }
+    H0 = (H0 + a) >>> 0; H1 = (H1 + b) >>> 0; H2 = (H2 + c) >>> 0; H3 = (H3 + d) >>> 0; H4 = (H4 + e) >>> 0;
+  }
+  return tohex(H0) + tohex(H1) + tohex(H2) + tohex(H3) + tohex(H4);
+}
+
+// salts only need to be unique per device, not unpredictable
+function makeSalt() {
+  let out = "";
+  for (let i = 0; i < 4; i++) out += Math.floor(Math.random() * 0x100000000).toString(16).padStart(8, "0");
+  return out;
+}
+
+/**
+ * Salted, iterated sha1 of a short secret such as a PIN. Returns { hash, salt, iterations }.
+ */
+export function hashSecret(secret, salt = makeSalt(), iterations = 2000) {
+  let h = sha1(`${salt}:${secret}`);
+  for (let i = 1; i < iterations; i++) h = sha1(`${salt}${h}`);
+  return { hash: h, salt, iterations };
+}
+
+export function verifySecret(secret, stored) {
+  if (!stored?.hash || !stored?.salt) return false;
+  return hashSecret(String(secret), stored.salt, Number(stored.iterations || 2000)).hash === stored.hash;
+}
@@ -1,69 +1,334 @@
-// Helper for global student lives (POC + transactional consume)
+// Global student lives (hearts): the one place that knows how they refill.
+//
+// Node: Platform1/studentLives/{studentId} = { currentLives, maxLives, refillIntervalMs, lastConsumedAt }
+// Older nodes may use lives / current, max, refillInterval (seconds) and lastConsumed (seconds);
+// those are read through normalizeLives and written back in the canonical shape.
+// Defaults come from appConfig/exams/lives (defaultMaxLives, defaultRefillIntervalMs).
+// levelBonusLives ({ [xpLevel]: extraLives }, e.g. { 5: 1, 10: 2 }) raises a student's cap as
+// their XP level (studyStreak.js) goes up; a raised cap is never lowered.
+//
+// Refill model: one heart per refillIntervalMs, counted from lastConsumedAt. lastConsumedAt is
+// moved forward by whole intervals as hearts come back, so the countdown never resets.
+// All times are on the server clock (serverTime.js), so changing the phone clock refills nothing.
+//
 // Usage:
-//  const lives = await getStudentLives(studentId)
-//  const updated = await consumeLife(studentId)  // throws if not enough lives
-import { ref, get, runTransaction } from "firebase/database";
+//  const unsub = subscribeLives(studentId, (s) => setLives(s));  // { currentLives, maxLives, nextInMs, ... }
+//  await consumeLife(studentId);        // throws "Not enough lives" at 0
+//  await deductLives(studentId, 2);     // clamps at 0
+//  await raiseMaxLives(studentId, bonusLivesForLevel(config, level));
+import { ref, get, onValue, runTransaction } from "firebase/database";
 import { database } from "../../constants/firebaseConfig";
+import { getValue } from "./dbHelpers";
+import { serverNow } from "./serverTime";
+
+export const DEFAULT_MAX_LIVES = 5;
+export const DEFAULT_REFILL_INTERVAL_MS = 20 * 60 * 1000;
+
+const livesPath = (studentId) => `Platform1/studentLives/${studentId}`;
+const legacyLivesPath = (studentId) => `studentLives/${studentId}`;
+
+function toMsTs(v) {
+  const n = Number(v || 0);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return n < 1e12 ? n * 1000 : n;
+}
+
+function toIntervalMs(v, fallback) {
+  if (v == null) return fallback;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return n > 1000 ? n : n * 1000; // small numbers are seconds
+}
+
+/**
+ * Lives config from appConfig/exams/lives, with app defaults filled in.
+ */
+export async function getLivesConfig() {
+  const cfg = await getValue([`Platform1/appConfig/exams/lives`, `appConfig/exams/lives`]);
+  return {
+    ...(cfg || {}),
+    defaultMaxLives: Number(cfg?.defaultMaxLives || DEFAULT_MAX_LIVES),
+    defaultRefillIntervalMs: Number(cfg?.defaultRefillIntervalMs || DEFAULT_REFILL_INTERVAL_MS),
+  };
+}
+
+/**
+ * Extra lives on top of defaultMaxLives for an XP level (levelBonusLives in the config).
+ */
+export function bonusLivesForLevel(config, level) {
+  return Object.entries(config?.levelBonusLives || {}).reduce(
+    (bonus, [atLevel, extra]) => (Number(level) >= Number(atLevel) ? Math.max(bonus, Number(extra) || 0) : bonus),
+    0
+  );
+}
+
+/**
+ * Canonical lives object from a raw node (any field aliases) and the lives config.
+ * currentLives is null when the node does not exist yet.
+ */
+export function normalizeLives(raw, config = {}) {
+  const max = Number(raw?.maxLives ?? raw?.max ?? config.defaultMaxLives ?? DEFAULT_MAX_LIVES);
+  const current = raw ? Number(raw.currentLives ?? raw.lives ?? raw.current ?? max) : null;
+  return {
+    currentLives: current != null && Number.isFinite(current) ? current : null,
+    maxLives: Number.isFinite(max) && max > 0 ? max : DEFAULT_MAX_LIVES,
+    refillIntervalMs: toIntervalMs(
+      raw?.refillIntervalMs ?? raw?.refillInterval,
+      Number(config.defaultRefillIntervalMs || DEFAULT_REFILL_INTERVAL_MS)
+    ),
+    lastConsumedAt: toMsTs(raw?.lastConsumedAt ?? raw?.lastConsumed) || null,
+  };
+}
+
+/**
+ * Pure refill step. Returns the lives after recovery plus how many came back and
+ * the time until the next one (0 when full).
+ */
+export function computeRefillState({ currentLives, maxLives, lastConsumedAt, refillMs, now = serverNow() }) {
+  const current = Number(currentLives ?? 0);
+  const max = Number(maxLives ?? DEFAULT_MAX_LIVES);
+  const last = Number(lastConsumedAt ?? 0);
+  const interval = Number(refillMs ?? 0);
+
+  if (!interval || interval <= 0) return { currentLives: current, lastConsumedAt: last, recovered: 0, nextInMs: 0 };
+  if (current >= max) return { currentLives: current, lastConsumedAt: last, recovered: 0, nextInMs: 0 };
+  if (!last) return { currentLives: current, lastConsumedAt: now, recovered: 0, nextInMs: interval };
+
+  const elapsed = Math.max(0, now - last);
+  const recovered = Math.floor(elapsed / interval);
+  const newCurrent = Math.min(max, current + Math.max(0, recovered));
+  const newLast = recovered > 0 ? last + recovered * interval : last;
+  const nextInMs = newCurrent >= max ? 0 : Math.max(0, interval - ((now - newLast) % interval));
+
+  return { currentLives: newCurrent, lastConsumedAt: newLast, recovered, nextInMs };
+}
+
+// canonical node after refill; drops the legacy alias fields
+function refilledNode(curr, config, now) {
+  const lives = normalizeLives(curr, config);
+  const state = computeRefillState({
+    currentLives: lives.currentLives ?? lives.maxLives,
+    maxLives: lives.maxLives,
+    lastConsumedAt: lives.lastConsumedAt,
+    refillMs: lives.refillIntervalMs,
+    now,
+  });
+  return {
+    ...(curr || {}),
+    lives: null,
+    current: null,
+    max: null,
+    refillInterval: null,
+    lastConsumed: null,
+    currentLives: state.currentLives,
+    maxLives: lives.maxLives,
+    refillIntervalMs: lives.refillIntervalMs,
+    lastConsumedAt: state.lastConsumedAt || null,
+  };
+}
+
+// transaction on the scoped node, seeded from the legacy root copy when the scoped one is missing
+async function livesTransaction(studentId, step) {
+  if (!studentId) throw new Error("studentId required");
+  const config = await getLivesConfig();
+  const legacy = await getValue([legacyLivesPath(studentId)], { cache: false });
+
+  const result = await runTransaction(ref(database, livesPath(studentId)), (curr) => {
+    const node = refilledNode(curr || legacy, config, serverNow());
+    return step(node);
+  });
+  return result;
+}
+
+/**
+ * Persist any hearts that came back since lastConsumedAt. Returns the canonical lives.
+ */
+export async function refillLives(studentId) {
+  const result = await livesTransaction(studentId, (node) => node);
+  return normalizeLives(result.snapshot.val());
+}
+
+/**
+ * Atomically consume one life. Returns the updated lives or throws when none are left.
+ */
+export async function consumeLife(studentId) {
+  const result = await livesTransaction(studentId, (node) => {
+    if (node.currentLives <= 0) return; // abort
+    return takeLives(node, 1);
+  });
+  if (!result.committed) throw new Error("Not enough lives");
+  return normalizeLives(result.snapshot.val());
+}
+
+/**
+ * Atomically remove up to `count` lives (never below 0). Returns the updated lives.
+ */
+export async function deductLives(studentId, count = 1) {
+  const n = Math.max(0, Math.floor(Number(count) || 0));
+  const result = await livesTransaction(studentId, (node) => (n > 0 ? takeLives(node, n) : node));
+  return normalizeLives(result.snapshot.val());
+}
+
+/**
+ * Raise the cap to defaultMaxLives + bonus; the added hearts come filled. Never lowers a cap.
+ * Returns the updated lives.
+ */
+export async function raiseMaxLives(studentId, bonus) {
+  const config = await getLivesConfig();
+  const target = config.defaultMaxLives + Math.max(0, Math.floor(Number(bonus) || 0));
+  const result = await livesTransaction(studentId, (node) =>
+    node.maxLives >= target
+      ? node
+      : { ...node, maxLives: target, currentLives: node.currentLives + (target - node.maxLives) }
+  );
+  return normalizeLives(result.snapshot.val());
+}
+
+// the refill timer starts when the first heart goes missing and keeps running after that
+function takeLives(node, n) {
+  const wasFull = node.currentLives >= node.maxLives;
+  return {
+    ...node,
+    currentLives: Math.max(0, node.currentLives - n),
+    lastConsumedAt: wasFull || !node.lastConsumedAt ? serverNow() : node.lastConsumedAt,
+  };
+}
 
 export async function getStudentLives(studentId) {
   if (!studentId) return null;
   try {
-    const snap = await get(ref(database, `Platform1/studentLives/${studentId}`));
-    if (snap && snap.exists()) return snap.val();
-    const snap2 = await get(ref(database, `studentLives/${studentId}`));
-    if (snap2 && snap2.exists()) return snap2.val();
-    return null;
+    const config = await getLivesConfig();
+    const snap = await get(ref(database, livesPath(studentId)));
+    const raw = snap && snap.exists() ? snap.val() : await getValue([legacyLivesPath(studentId)]);
+    return raw ? normalizeLives(raw, config) : null;
   } catch (e) {
     console.warn("getStudentLives error", e && e.message);
     return null;
   }
 }
 
-// Atomically consume a life. Returns the updated node value or throws when insufficient lives.
-// Note: This runTransaction will create a default node if none exists (maxLives=5).
-export async function consumeLife(studentId) {
-  if (!studentId) throw new Error("studentId required");
-  const nodeRef = ref(database, `Platform1/studentLives/${studentId}`);
-  try {
-    const result = await runTransaction(nodeRef, (curr) => {
-      const now = Date.now();
-      const defaultMax = 5;
-      const refillIntervalMs = 20 * 60 * 1000;
-
-      if (!curr) {
-        // create default with one consumed
-        return {
-          maxLives: defaultMax,
-          currentLives: Math.max(0, defaultMax - 1),
-          lastConsumedAt: now,
-          refillIntervalMs,
-        };
-      }
-
-      const max = Number(curr.maxLives || defaultMax);
-      const refill = Number(curr.refillIntervalMs || refillIntervalMs);
-      const last = Number(curr.lastConsumedAt || now);
-      // compute recovered since last
-      const recovered = Math.floor((now - last) / refill);
-      let current = Number(curr.currentLives ?? max);
-      current = Math.min(max, current + recovered);
-
-      if (current <= 0) {
-        // abort transaction by returning undefined
-        return;
-      }
-      current = Math.max(0, current - 1);
-      return {
-        ...curr,
-        currentLives: current,
-        lastConsumedAt: now,
-      };
+/* ---------------- shared subscription ---------------- */
+
+// one live listener + 1s ticker per student, shared by every screen
+const stores = new Map();
+
+function emptyState(config) {
+  return {
+    loaded: false,
+    currentLives: null,
+    maxLives: Number(config?.defaultMaxLives || DEFAULT_MAX_LIVES),
+    refillIntervalMs: Number(config?.defaultRefillIntervalMs || DEFAULT_REFILL_INTERVAL_MS),
+    lastConsumedAt: null,
+    nextInMs: 0,
+  };
+}
+
+function emit(store) {
+  const lives = store.raw ? normalizeLives(store.raw, store.config || {}) : null;
+  let state = emptyState(store.config);
+
+  if (lives) {
+    const refill = computeRefillState({
+      currentLives: lives.currentLives,
+      maxLives: lives.maxLives,
+      lastConsumedAt: lives.lastConsumedAt,
+      refillMs: lives.refillIntervalMs,
     });
+    state = {
+      loaded: true,
+      currentLives: refill.currentLives,
+      maxLives: lives.maxLives,
+      refillIntervalMs: lives.refillIntervalMs,
+      lastConsumedAt: refill.lastConsumedAt || null,
+      nextInMs: refill.nextInMs,
+    };
 
-    if (!result.committed) throw new Error("Not enough lives");
-    return result.snapshot.val();
-  } catch (err) {
-    // Rethrow for caller
-    throw err;
+    // a heart came back: write it so other devices / screens agree
+    if (refill.recovered > 0 && !store.syncing) {
+      store.syncing = true;
+      refillLives(store.studentId)
+        .catch((e) => console.warn("lives refill sync failed", e))
+        .finally(() => { store.syncing = false; });
+    }
+  } else if (store.loaded) {
+    state = { ...state, loaded: true };
   }
-}
\ No newline at end of file
+
+  store.state = state;
+  store.listeners.forEach((fn) => {
+    try { fn(state); } catch {}
+  });
+}
+
+function startStore(studentId) {
+  const store = {
+    studentId,
+    listeners: new Set(),
+    raw: null,
+    config: null,
+    loaded: false,
+    syncing: false,
+    state: emptyState(null),
+    stop: null,
+  };
+
+  let alive = true;
+  let unsubscribe = null;
+
+  getLivesConfig().then(async (config) => {
+    if (!alive) return;
+    store.config = config;
+    const legacy = await getValue([legacyLivesPath(studentId)]);
+    if (!alive) return;
+
+    unsubscribe = onValue(
+      ref(database, livesPath(studentId)),
+      (snap) => {
+        store.raw = snap.exists() ? snap.val() : legacy;
+        store.loaded = true;
+        emit(store);
+      },
+      (e) => console.warn("lives listener error", e && e.message)
+    );
+  });
+
+  // only the countdown moves between database events
+  const ticker = setInterval(() => {
+    if (store.raw && store.state.nextInMs > 0) emit(store);
+  }, 1000);
+
+  store.stop = () => {
+    alive = false;
+    clearInterval(ticker);
+    if (unsubscribe) unsubscribe();
+  };
+  return store;
+}
+
+/**
+ * Live lives state for a student. listener receives
+ * { loaded, currentLives, maxLives, refillIntervalMs, lastConsumedAt, nextInMs } right away
+ * and then every second while hearts are refilling. Returns an unsubscribe function.
+ */
+export function subscribeLives(studentId, listener) {
+  if (!studentId) {
+    listener(emptyState(null));
+    return () => {};
+  }
+
+  let store = stores.get(studentId);
+  if (!store) {
+    store = startStore(studentId);
+    stores.set(studentId, store);
+  }
+  store.listeners.add(listener);
+  listener(store.state);
+
+  return () => {
+    store.listeners.delete(listener);
+    if (!store.listeners.size) {
+      store.stop();
+      stores.delete(studentId);
+    }
+  };
+}
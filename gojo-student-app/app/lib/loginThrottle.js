@@ -0,0 +1,114 @@
+// Sign-in throttling: progressive delays, then a temporary lockout, per username.
+//
+// The server is the authority: studentSignIn (functions/loginThrottle.js at the repo root)
+// applies the same schedule, counts every attempt under
+//   Platform1/Schools/{schoolKey}/loginAttempts/{username} = { failedCount, lastFailedAt, lockedUntil }
+// before it checks the password, and answers "resource-exhausted" with details.retryAfterMs.
+// This module mirrors the schedule on the device so the wait is shown before a
+// request is even sent, and keeps it across app restarts.
+//
+// Schedule (failures within FAILURE_WINDOW_MS):
+//   1-2 -> no wait, 3 -> 5s, 4 -> 15s, 5 -> 30s, 6+ -> locked for LOCKOUT_MS
+//
+// Usage:
+//   const { waitMs } = await getLoginWait(username);
+//   await recordLoginFailure(username, { retryAfterMs });
+//   await clearLoginFailures(username);
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { serverNow } from "./serverTime";
+
+const STORAGE_KEY = "loginThrottle";
+export const LOCKOUT_AFTER = 6;
+export const LOCKOUT_MS = 15 * 60 * 1000;
+export const FAILURE_WINDOW_MS = 30 * 60 * 1000;
+
+const DELAYS_MS = [0, 0, 5 * 1000, 15 * 1000, 30 * 1000];
+
+function keyFor(username) {
+  return String(username || "").trim().toLowerCase();
+}
+
+async function readAll() {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+async function writeAll(all) {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch {}
+}
+
+/**
+ * Wait (ms) after `failedCount` failures in a row.
+ */
+export function delayForFailures(failedCount) {
+  const n = Number(failedCount || 0);
+  if (n <= 0) return 0;
+  if (n >= LOCKOUT_AFTER) return LOCKOUT_MS;
+  return DELAYS_MS[n - 1] || 0;
+}
+
+/**
+ * { waitMs, locked, failedCount } for a username; waitMs is 0 when a try is allowed.
+ */
+export async function getLoginWait(username) {
+  const k = keyFor(username);
+  if (!k) return { waitMs: 0, locked: false, failedCount: 0 };
+
+  const entry = (await readAll())[k];
+  const now = serverNow();
+  if (!entry || now - Number(entry.lastFailedAt || 0) > FAILURE_WINDOW_MS) {
+    return { waitMs: 0, locked: false, failedCount: 0 };
+  }
+  const waitMs = Math.max(0, Number(entry.blockedUntil || 0) - now);
+  return {
+    waitMs,
+    locked: waitMs > 0 && Number(entry.failedCount || 0) >= LOCKOUT_AFTER,
+    failedCount: Number(entry.failedCount || 0),
+  };
+}
+
+/**
+ * Count a failed sign-in. retryAfterMs from the server wins when it is longer.
+ * Resolves to the new getLoginWait result.
+ */
+export async function recordLoginFailure(username, { retryAfterMs } = {}) {
+  const k = keyFor(username);
+  if (!k) return { waitMs: 0, locked: false, failedCount: 0 };
+
+  const all = await readAll();
+  const now = serverNow();
+  const prev = all[k];
+  const fresh = !prev || now - Number(prev.lastFailedAt || 0) > FAILURE_WINDOW_MS;
+  const failedCount = (fresh ? 0 : Number(prev.failedCount || 0)) + 1;
+  const waitMs = Math.max(delayForFailures(failedCount), Number(retryAfterMs || 0));
+
+  all[k] = { failedCount, lastFailedAt: now, blockedUntil: now + waitMs };
+  await writeAll(all);
+  return { waitMs, locked: failedCount >= LOCKOUT_AFTER, failedCount };
+}
+
+export async function clearLoginFailures(username) {
+  const k = keyFor(username);
+  const all = await readAll();
+  if (!all[k]) return;
+  delete all[k];
+  await writeAll(all);
+}
+
+/**
+ * "45s" / "4:05" for a wait message.
+ */
+export function formatWait(ms) {
+  const total = Math.max(1, Math.ceil(Number(ms || 0) / 1000));
+  if (total < 60) return `${total}s`;
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return `${m}:${String(s).padStart(2, "0")}`;
+}
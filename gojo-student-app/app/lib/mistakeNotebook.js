@@ -0,0 +1,120 @@
+// "My mistakes": every company exam question a student got wrong, kept for retrying.
+//
+// Stored per student, one entry per question:
+//   Platform1/studentProgress/{studentId}/mistakes/{bankId}__{questionId}
+//     { bankId, questionId, examId, roundId, packageId, subjectKey, subjectName, chapter,
+//       correctAnswer, tolerance, explanation, explanationTranslations, wrongCount,
+//       correctStreak, lastWrongAt }
+// The grader (examGrader.js) writes an entry for each question without full credit, but
+// only once its review is visible to the student, so an entry never reveals a key the
+// result screen would not. A later wrong answer, in an exam or a retry, adds to wrongCount
+// and resets correctStreak. A correct answer adds to correctStreak, and the entry is
+// removed once the streak reaches appConfig/exams/mistakes/clearAfterStreak.
+//
+// Usage:
+//   const entries = await loadMistakes(studentId);
+//   const subjects = groupMistakes(entries);
+//   const withQuestions = await attachQuestions(subjects[0].chapters[0].items);
+//   const { correct, cleared } = await recordRetry(studentId, entry, answer, clearAfter);
+import { getValue, safeUpdate } from "./dbHelpers";
+import { serverNow } from "./serverTime";
+import { questionType, scoreAnswer } from "./questionTypes";
+import { stripAnswerKeys } from "./examGrader";
+
+export const DEFAULT_CLEAR_AFTER_STREAK = 3;
+
+const NO_CHAPTER = "Other questions";
+
+function mistakesPath(studentId) {
+  return `Platform1/studentProgress/${studentId}/mistakes`;
+}
+
+export async function getClearAfterStreak() {
+  const cfg = await getValue([`Platform1/appConfig/exams`, `appConfig/exams`]);
+  const n = Number(cfg?.mistakes?.clearAfterStreak || 0);
+  return n > 0 ? Math.floor(n) : DEFAULT_CLEAR_AFTER_STREAK;
+}
+
+/**
+ * All notebook entries, most recently missed first. Each carries its storage `key`.
+ */
+export async function loadMistakes(studentId) {
+  if (!studentId) return [];
+  const node = (await getValue([mistakesPath(studentId)], { cache: false })) || {};
+  return Object.keys(node)
+    .filter((key) => node[key]?.questionId != null)
+    .map((key) => ({ key, ...node[key] }))
+    .sort((a, b) => Number(b.lastWrongAt || 0) - Number(a.lastWrongAt || 0));
+}
+
+/**
+ * Entries grouped by subject, then chapter:
+ * [{ subjectKey, subjectName, count, chapters: [{ chapter, items }] }], largest subject first.
+ */
+export function groupMistakes(entries) {
+  const subjects = {};
+  (entries || []).forEach((entry) => {
+    const subjectKey = entry.subjectKey || entry.subjectName || "general";
+    const subject = subjects[subjectKey] || (subjects[subjectKey] = {
+      subjectKey,
+      subjectName: entry.subjectName || subjectKey,
+      count: 0,
+      byChapter: {},
+    });
+    const chapter = entry.chapter || NO_CHAPTER;
+    (subject.byChapter[chapter] = subject.byChapter[chapter] || []).push(entry);
+    subject.count += 1;
+  });
+
+  return Object.values(subjects)
+    .sort((a, b) => b.count - a.count)
+    .map(({ byChapter, ...subject }) => ({
+      ...subject,
+      chapters: Object.keys(byChapter)
+        .sort((a, b) => (a === NO_CHAPTER) - (b === NO_CHAPTER) || a.localeCompare(b))
+        .map((chapter) => ({ chapter, items: byChapter[chapter] })),
+    }));
+}
+
+/**
+ * Entries with their question (as the exam screen shows it) under `question`.
+ * Entries whose question is no longer in its bank are left out.
+ */
+export async function attachQuestions(entries) {
+  const banks = {};
+  await Promise.all(
+    [...new Set((entries || []).map((e) => e.bankId))].map(async (bankId) => {
+      const questions = await getValue([`Platform1/questionBanks/${bankId}/questions`, `questionBanks/${bankId}/questions`]);
+      banks[bankId] = {};
+      stripAnswerKeys(questions).forEach((q) => { banks[bankId][String(q.id)] = q; });
+    })
+  );
+  return (entries || [])
+    .map((entry) => ({ ...entry, question: banks[entry.bankId]?.[String(entry.questionId)] || null }))
+    .filter((entry) => entry.question);
+}
+
+/**
+ * Check a retry against the entry's stored answer and update the notebook.
+ * Resolves { correct, credit, streak, cleared }.
+ */
+export async function recordRetry(studentId, entry, answer, clearAfter = DEFAULT_CLEAR_AFTER_STREAK) {
+  const credit = scoreAnswer(questionType(entry.question), entry, answer);
+  const correct = credit >= 1;
+  const streak = correct ? Number(entry.correctStreak || 0) + 1 : 0;
+  const cleared = correct && streak >= clearAfter;
+  const path = `${mistakesPath(studentId)}/${entry.key}`;
+
+  const patch = cleared
+    ? { [path]: null }
+    : correct
+      ? { [`${path}/correctStreak`]: streak }
+      : {
+          [`${path}/correctStreak`]: 0,
+          [`${path}/wrongCount`]: Number(entry.wrongCount || 0) + 1,
+          [`${path}/lastWrongAt`]: serverNow(),
+        };
+  await safeUpdate(patch, { tag: "mistake-retry" }).catch(() => {});
+
+  return { correct, credit, streak, cleared };
+}
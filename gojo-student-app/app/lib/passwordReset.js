@@ -0,0 +1,177 @@
+// Forgot-password requests, handled by the school office.
+//
+// A signed-out student files a request with their username and date of birth. It is
+// queued at Platform1/Schools/{schoolKey}/PasswordResetRequests/{requestId}:
+//   { username, dateOfBirth, note, status: "pending", createdAt, source: "student-app" }
+// Admins compare dateOfBirth with Students/{id}/basicStudentInformation.dob, reset the
+// password from the admin app and set status to "completed" or "rejected", with an
+// optional responseNote and handledAt. The app never reads the student record here.
+//
+// Database rules: unauthenticated clients may create a request with exactly these
+// fields and status "pending", and read a single request by id; they cannot list or
+// change requests.
+//
+// The request goes through the durable outbox (writeQueue.js), so it survives the app
+// closing before it is sent. The device remembers the requests it filed
+// ("passwordResetRequests", kept across sign-out), so the login screen can show their
+// status on the next launch. A request that is neither on the server nor waiting in the
+// outbox after the send window (lost, or rejected by the server) is marked "failed": the
+// student can send a new one or dismiss it.
+//
+// Usage:
+//   const { id } = await submitPasswordResetRequest({ username, dateOfBirth, note });
+//   const list = await getMyResetRequests();   // [{ id, username, status, responseNote, ... }]
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { push, ref, get, serverTimestamp } from "firebase/database";
+import { database } from "../../constants/firebaseConfig";
+import { getValue, safeSet } from "./dbHelpers";
+import { discardWrite, getOutboxItems } from "./writeQueue";
+
+const STORAGE_KEY = "passwordResetRequests";
+// the outbox waits this long for the server before it reports a write as queued
+const SEND_WINDOW_MS = 10 * 1000;
+// finished requests stay visible this long, then drop off the login screen
+const KEEP_HANDLED_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const RESET_STATUS_LABELS = {
+  pending: "Waiting for the school office",
+  in_progress: "The school office is working on it",
+  completed: "Done. Get your new password from the school office.",
+  rejected: "Not approved. Please visit the school office.",
+  failed: "Not sent. Send a new request or dismiss this one.",
+};
+
+function requestsPath(schoolKey) {
+  return `Platform1/Schools/${schoolKey}/PasswordResetRequests`;
+}
+
+async function readLocal() {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+async function writeLocal(list) {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch {}
+}
+
+/**
+ * "2012-03-09" when the input is a real calendar date (YYYY-MM-DD or DD/MM/YYYY), else null.
+ */
+export function normalizeDateOfBirth(input) {
+  const s = String(input || "").trim();
+  let y, m, d;
+  let match = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) [, y, m, d] = match;
+  else {
+    match = s.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+    if (!match) return null;
+    [, d, m, y] = match;
+  }
+  const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  if (date.getUTCMonth() !== Number(m) - 1 || date.getUTCDate() !== Number(d)) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * File a reset request. Resolves { id, existing, queued }: existing is true when a request
+ * for this username is still open and was returned instead of a duplicate; queued is true
+ * when the server has not confirmed it yet (Firebase sends it once the connection is back).
+ */
+export async function submitPasswordResetRequest({ username, dateOfBirth, note }) {
+  const uname = String(username || "").trim();
+  const dob = normalizeDateOfBirth(dateOfBirth);
+  if (!uname) throw new Error("Enter your username.");
+  if (!dob) throw new Error("Enter your date of birth as YYYY-MM-DD.");
+
+  const local = await readLocal();
+  const open = local.find(
+    (r) => r.username.toLowerCase() === uname.toLowerCase() && ["pending", "in_progress"].includes(r.status)
+  );
+  if (open) return { id: open.id, existing: true, queued: false };
+
+  const schoolKey = uname.length >= 3
+    ? await getValue([`Platform1/schoolCodeIndex/${uname.slice(0, 3).toUpperCase()}`])
+    : null;
+  if (!schoolKey) throw new Error("School code not found for this username.");
+
+  // the key is made on the device; nothing is written until the outbox sends it
+  const id = push(ref(database, requestsPath(schoolKey))).key;
+  let sent;
+  try {
+    sent = await safeSet(
+      `${requestsPath(schoolKey)}/${id}`,
+      {
+        username: uname,
+        dateOfBirth: dob,
+        note: String(note || "").trim().slice(0, 300),
+        status: "pending",
+        createdAt: serverTimestamp(),
+        source: "student-app",
+      },
+      { tag: "password-reset", meta: { requestId: id } }
+    );
+  } catch {
+    throw new Error("Could not send the request. Try again or call your school.");
+  }
+  await writeLocal([
+    { id, schoolKey, writeId: sent.id, username: uname, status: "pending", createdAt: Date.now() },
+    ...local,
+  ]);
+  return { id, existing: false, queued: sent.queued };
+}
+
+/**
+ * Requests filed on this device with their latest status from the school.
+ * Works offline with the last known status.
+ */
+export async function getMyResetRequests() {
+  const local = await readLocal();
+  if (!local.length) return [];
+  const outbox = await getOutboxItems().catch(() => []);
+
+  const fresh = await Promise.all(
+    local.map(async (r) => {
+      try {
+        const snap = await get(ref(database, `${requestsPath(r.schoolKey)}/${r.id}`));
+        if (!snap.exists()) {
+          const waiting = outbox.some((it) => it.id === r.writeId && it.status === "pending");
+          const settled = Date.now() - Number(r.createdAt || 0) > SEND_WINDOW_MS;
+          return r.status === "pending" && !waiting && settled ? { ...r, status: "failed" } : r;
+        }
+        const v = snap.val() || {};
+        const status = v.status || r.status;
+        const handled = status === "completed" || status === "rejected";
+        return {
+          ...r,
+          status,
+          responseNote: v.responseNote || null,
+          handledAt: Number(v.handledAt || 0) || r.handledAt || (handled ? Date.now() : null),
+        };
+      } catch {
+        return r;
+      }
+    })
+  );
+
+  const now = Date.now();
+  const kept = fresh.filter((r) => !r.handledAt || now - r.handledAt < KEEP_HANDLED_MS);
+  await writeLocal(kept);
+  return kept;
+}
+
+/**
+ * Forget a request on this device; one still waiting in the outbox is not sent.
+ */
+export async function dismissResetRequest(id) {
+  const local = await readLocal();
+  const request = local.find((r) => r.id === id);
+  if (request?.writeId) await discardWrite(request.writeId).catch(() => {});
+  await writeLocal(local.filter((r) => r.id !== id));
+}
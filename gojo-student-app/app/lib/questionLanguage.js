@@ -0,0 +1,102 @@
+// Question translations and the student's question language.
+//
+// A question's own text is in its `language` (default "en"); translations sit next to it:
+//   Platform1/questionBanks/{bankId}/questions/{questionId}
+//     translations: { am: { question, options: { A: .. }, left, right, items, unit }, om: {..} }
+//   Platform1/questionBankKeys/{bankId}/{questionId}
+//     explanationTranslations: { am: "..", om: ".." }   // with the key, hidden until graded
+// Only the shown text changes: ids, option keys and answers are the same in every
+// language, so grading does not depend on it. A missing field falls back to the
+// question's own text, and a fill_blank translation with a different number of blanks
+// is ignored.
+//
+// The default language is a per-account setting ("questionLanguage", accountStorage.js)
+// chosen on the profile screen; practice screens can switch it while a session runs.
+//
+// Usage:
+//   const lang = await getQuestionLanguage();
+//   const shown = localizeQuestion(q, lang);
+//   const text = localizeExplanation(verdict, lang);
+//   const codes = availableLanguages(questions);   // for the toggle
+import { getAccountItem, setAccountItem } from "./accountStorage";
+import { splitBlanks } from "./questionTypes";
+
+const STORAGE_NAME = "questionLanguage";
+
+export const QUESTION_LANGUAGES = [
+  { code: "en", label: "English" },
+  { code: "am", label: "አማርኛ" },
+  { code: "om", label: "Afaan Oromoo" },
+];
+
+export const DEFAULT_LANGUAGE = "en";
+
+const CODES = QUESTION_LANGUAGES.map((l) => l.code);
+
+export function languageLabel(code) {
+  return QUESTION_LANGUAGES.find((l) => l.code === code)?.label || String(code || "").toUpperCase();
+}
+
+export async function getQuestionLanguage() {
+  try {
+    const code = await getAccountItem(STORAGE_NAME);
+    return CODES.includes(code) ? code : DEFAULT_LANGUAGE;
+  } catch {
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+export async function setQuestionLanguage(code) {
+  if (!CODES.includes(code)) return;
+  await setAccountItem(STORAGE_NAME, code);
+}
+
+function mergeLabels(base, translated) {
+  if (!base || !translated) return base;
+  const out = {};
+  Object.keys(base).forEach((k) => {
+    out[k] = translated[k] || base[k];
+  });
+  return out;
+}
+
+/**
+ * The question as shown in `lang`; the question itself when it has no such translation.
+ */
+export function localizeQuestion(q, lang) {
+  const t = q?.translations?.[lang];
+  if (!t || (q.language || DEFAULT_LANGUAGE) === lang) return q;
+
+  let question = t.question || q.question;
+  if (question !== q.question && splitBlanks(question).length !== splitBlanks(q.question).length) question = q.question;
+
+  return {
+    ...q,
+    question,
+    options: mergeLabels(q.options, t.options),
+    left: mergeLabels(q.left, t.left),
+    right: mergeLabels(q.right, t.right),
+    items: mergeLabels(q.items, t.items),
+    unit: t.unit || q.unit,
+  };
+}
+
+/**
+ * A verdict's or notebook entry's explanation in `lang`, else the original.
+ */
+export function localizeExplanation(source, lang) {
+  return source?.explanationTranslations?.[lang] || source?.explanation || "";
+}
+
+/**
+ * Languages the questions can be shown in, in QUESTION_LANGUAGES order.
+ */
+export function availableLanguages(questions) {
+  const found = new Set();
+  (questions || []).forEach((q) => {
+    if (!q) return;
+    found.add(q.language || DEFAULT_LANGUAGE);
+    Object.keys(q.translations || {}).forEach((code) => found.add(code));
+  });
+  return CODES.filter((code) => found.has(code));
+}
@@ -0,0 +1,222 @@
+// Question types of company exams, their answer shapes and partial-credit rules.
+// The exam screen uses the shapes; the grader (examGrader.js, and functions/grading.js,
+// which runs a copy of this file) uses scoreAnswer, so keep it free of imports.
+//
+//   type           public fields          answer (attempt)        key (questionBankKeys)
+//   mcq (default)  options                "B"                     correctAnswer "B"
+//   multi_select   options                ["A", "C"]              correctAnswer ["A", "C"]
+//   numeric        unit                   "12.5" (as typed)       correctAnswer 12.5, tolerance 0.1
+//   matching       left, right            { a: "y", b: "x" }      correctAnswer { a: "y", b: "x" }
+//   ordering       items                  ["b", "a", "c"]         correctAnswer ["b", "a", "c"]
+//   fill_blank     question with ___      ["Nile", "Egypt"]       correctAnswer ["Nile", ["Egypt", "Misr"]]
+//
+// Credit per question is 0..1:
+//   multi_select  (right picks - wrong picks) / right options, never below 0
+//   matching      pairs matched correctly / pairs
+//   ordering      items in their correct position / items
+//   fill_blank    blanks filled correctly / blanks (case and spacing ignored; a blank may
+//                 accept several spellings)
+//   mcq, numeric  all or nothing (numeric within the key's tolerance)
+//
+// Usage:
+//   const type = questionType(q);
+//   if (isAnswered(q, answers[q.id])) ...
+//   const credit = scoreAnswer(type, key, answers[q.id]);
+//   const itemOrders = shuffleItemOrders(questions);   // once per attempt, saved with it
+
+export const QUESTION_TYPES = ["mcq", "multi_select", "numeric", "matching", "ordering", "fill_blank"];
+
+const TYPE_LABELS = {
+  mcq: "Choose one",
+  multi_select: "Choose all that apply",
+  numeric: "Enter a number",
+  matching: "Match the pairs",
+  ordering: "Put in order",
+  fill_blank: "Fill in the blanks",
+};
+
+const BLANK_PATTERN = /_{3,}/g;
+
+export function questionType(q) {
+  const t = String(q?.type || "mcq");
+  return QUESTION_TYPES.includes(t) ? t : "mcq";
+}
+
+export function questionTypeLabel(q) {
+  return TYPE_LABELS[questionType(q)];
+}
+
+/**
+ * Types whose answer is final as soon as it is picked (instant feedback right away).
+ * The others are built up and checked with an explicit button.
+ */
+export function isSinglePick(q) {
+  return questionType(q) === "mcq";
+}
+
+/**
+ * Types with free text, saved after a pause rather than on every keystroke.
+ */
+export function isTyped(q) {
+  const t = questionType(q);
+  return t === "numeric" || t === "fill_blank";
+}
+
+/**
+ * Arrays come back from the database as arrays or as { 0: .., 1: .. } objects.
+ */
+export function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (value == null) return [];
+  if (typeof value !== "object") return [value];
+  return Object.keys(value).sort((a, b) => Number(a) - Number(b)).map((k) => value[k]);
+}
+
+export function blankCount(q) {
+  const n = (String(q?.question || "").match(BLANK_PATTERN) || []).length;
+  return Math.max(1, Number(q?.blanks || 0) || n);
+}
+
+/**
+ * Question text split around its blanks, for rendering inputs in between.
+ */
+export function splitBlanks(text) {
+  return String(text || "").split(BLANK_PATTERN);
+}
+
+export function isAnswered(q, answer) {
+  switch (questionType(q)) {
+    case "multi_select":
+    case "ordering":
+      return toList(answer).length > 0;
+    case "matching":
+      return !!answer && Object.keys(answer).some((k) => answer[k] != null && answer[k] !== "");
+    case "fill_blank":
+      return toList(answer).some((v) => String(v ?? "").trim() !== "");
+    default:
+      return String(answer ?? "").trim() !== "";
+  }
+}
+
+function normText(v) {
+  return String(v ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function parseNumber(v) {
+  const s = String(v ?? "").trim().replace(",", ".");
+  if (!s) return NaN;
+  return Number(s);
+}
+
+/**
+ * Starting order of an ordering question's items, shuffled so that it is not the stored
+ * order (which is often the right one). Null for other types.
+ */
+export function shuffleItems(q) {
+  if (questionType(q) !== "ordering") return null;
+  const keys = Object.keys(q?.items || {});
+  if (keys.length < 2) return keys;
+  let out = keys;
+  while (out.every((k, i) => k === keys[i])) {
+    out = keys.slice();
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+  }
+  return out;
+}
+
+/**
+ * { [questionId]: item keys } with a shuffled starting order for each ordering question.
+ */
+export function shuffleItemOrders(questions) {
+  const out = {};
+  (questions || []).forEach((q) => {
+    const keys = shuffleItems(q);
+    if (keys) out[q.id] = keys;
+  });
+  return out;
+}
+
+/**
+ * Credit 0..1 for one answer against its key ({ correctAnswer, tolerance }).
+ */
+export function scoreAnswer(type, key, answer) {
+  const expected = key?.correctAnswer;
+  if (expected == null || expected === "") return 0;
+
+  switch (type) {
+    case "multi_select": {
+      const right = new Set(toList(expected).map(String));
+      if (!right.size) return 0;
+      const picks = new Set(toList(answer).map(String));
+      let hits = 0;
+      let wrong = 0;
+      picks.forEach((p) => { if (right.has(p)) hits += 1; else wrong += 1; });
+      return Math.max(0, (hits - wrong) / right.size);
+    }
+    case "numeric": {
+      const value = parseNumber(answer);
+      const target = Number(expected);
+      if (!Number.isFinite(value) || !Number.isFinite(target)) return 0;
+      const tolerance = Math.abs(Number(key?.tolerance || 0));
+      return Math.abs(value - target) <= tolerance + 1e-9 ? 1 : 0;
+    }
+    case "matching": {
+      const pairs = Object.keys(expected || {});
+      if (!pairs.length) return 0;
+      const given = answer || {};
+      const hits = pairs.filter((k) => String(given[k] ?? "") === String(expected[k])).length;
+      return hits / pairs.length;
+    }
+    case "ordering": {
+      const right = toList(expected).map(String);
+      if (!right.length) return 0;
+      const given = toList(answer).map(String);
+      const hits = right.filter((id, i) => given[i] === id).length;
+      return hits / right.length;
+    }
+    case "fill_blank": {
+      const blanks = toList(expected);
+      if (!blanks.length) return 0;
+      const given = toList(answer);
+      const hits = blanks.filter((accepted, i) => {
+        const typed = normText(given[i]);
+        return typed !== "" && toList(accepted).some((a) => normText(a) === typed);
+      }).length;
+      return hits / blanks.length;
+    }
+    default:
+      return String(answer ?? "").trim() === String(expected).trim() ? 1 : 0;
+  }
+}
+
+// typed answers are plain text: a "$" in them must not open math in RichText
+function escapeMarkup(v) {
+  return String(v ?? "").replace(/\$/g, "\\$");
+}
+
+/**
+ * An answer (or key) as one line for the review screen, in the markup of richText.js
+ * (option, pair and item labels keep theirs), so draw it with RichText.
+ */
+export function describeAnswer(q, value) {
+  if (!isAnswered(q, value)) return "—";
+  switch (questionType(q)) {
+    case "multi_select":
+      return toList(value).map((k) => `${k}. ${q?.options?.[k] ?? ""}`.trim()).join(", ");
+    case "numeric":
+      return `${escapeMarkup(value)}${q?.unit ? ` ${q.unit}` : ""}`;
+    case "matching":
+      return Object.keys(q?.left || value || {})
+        .map((k) => `${q?.left?.[k] ?? k} → ${value?.[k] != null ? q?.right?.[value[k]] ?? value[k] : "—"}`)
+        .join("; ");
+    case "ordering":
+      return toList(value).map((k, i) => `${i + 1}. ${q?.items?.[k] ?? k}`).join("  ");
+    case "fill_blank":
+      return toList(value).map((v) => toList(v).map(escapeMarkup).join(" / ") || "—").join(", ");
+    default:
+      return `${value}. ${q?.options?.[value] ?? ""}`.trim();
+  }
+}
@@ -0,0 +1,170 @@
+// Persistent read cache used under getValue/getSnapshot (dbHelpers).
+//
+// Entries live in AsyncStorage as `dbCache:{path}` -> { value, fetchedAt } and are
+// mirrored in memory. Each path gets a TTL from TTL_RULES; paths without a rule
+// (lives, attempts, progress, chats ...) are never cached because they must be live.
+//
+//   fresh entry  -> served from cache, no network
+//   stale entry  -> served from cache immediately, refreshed in the background
+//   no entry     -> network; result is stored
+//   network fail -> last cached value (any age) when we have one
+//
+// Usage:
+//   const ts = await getCachedAt(["Platform1/TextBooks/grade7"]);
+//   const unsub = subscribeCache((path, fetchedAt) => { ... });
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+const STORAGE_PREFIX = "dbCache:";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// first match wins; matched against "/"-separated path segments
+const TTL_RULES = [
+  { segment: "TextBooks", ttlMs: 24 * HOUR },
+  { segment: "schoolCodeIndex", ttlMs: 24 * HOUR },
+  { segment: "schoolInfo", ttlMs: 6 * HOUR },
+  { segment: "Courses", ttlMs: 6 * HOUR },
+  { segment: "TeacherAssignments", ttlMs: 6 * HOUR },
+  { segment: "Teachers", ttlMs: 6 * HOUR },
+  { segment: "Students", ttlMs: HOUR },
+  { segment: "CalendarEvents", ttlMs: HOUR },
+  { segment: "country", ttlMs: 6 * HOUR },
+  { segment: "questionBanks", ttlMs: 30 * MINUTE },
+  { segment: "companyExams", ttlMs: 30 * MINUTE },
+  { segment: "appConfig", ttlMs: 30 * MINUTE },
+  { segment: "ClassMarks", ttlMs: 15 * MINUTE },
+  { segment: "rankings", ttlMs: 5 * MINUTE },
+];
+
+const memory = new Map();
+const inflight = new Map();
+const listeners = new Set();
+
+/**
+ * TTL in ms for a path, or 0 when the path must not be cached.
+ */
+export function ttlForPath(path) {
+  const segments = String(path || "").split("/");
+  for (const rule of TTL_RULES) {
+    if (segments.includes(rule.segment)) return rule.ttlMs;
+  }
+  return 0;
+}
+
+export async function readCacheEntry(path) {
+  if (memory.has(path)) return memory.get(path);
+  try {
+    const raw = await AsyncStorage.getItem(`${STORAGE_PREFIX}${path}`);
+    if (!raw) return null;
+    const entry = JSON.parse(raw);
+    if (!entry || typeof entry.fetchedAt !== "number") return null;
+    memory.set(path, entry);
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+export async function writeCacheEntry(path, value) {
+  const entry = { value: value === undefined ? null : value, fetchedAt: Date.now() };
+  memory.set(path, entry);
+  try {
+    await AsyncStorage.setItem(`${STORAGE_PREFIX}${path}`, JSON.stringify(entry));
+  } catch {
+    // storage full / unavailable: the memory copy still serves this session
+  }
+  listeners.forEach((fn) => {
+    try { fn(path, entry.fetchedAt); } catch {}
+  });
+  return entry;
+}
+
+/**
+ * Run fetcher() for a path at most once at a time; later callers share the promise.
+ */
+export function refreshOnce(path, fetcher) {
+  if (inflight.has(path)) return inflight.get(path);
+  const p = Promise.resolve()
+    .then(fetcher)
+    .finally(() => inflight.delete(path));
+  inflight.set(path, p);
+  return p;
+}
+
+export function isFresh(entry, path) {
+  if (!entry) return false;
+  return Date.now() - entry.fetchedAt < ttlForPath(path);
+}
+
+/**
+ * fetchedAt of the first cached entry among paths (same order as getValue), or null.
+ */
+export async function getCachedAt(paths) {
+  for (const p of paths || []) {
+    const entry = await readCacheEntry(p);
+    if (entry && entry.value != null) return entry.fetchedAt;
+  }
+  return null;
+}
+
+/**
+ * Subscribe to cache writes. Returns an unsubscribe function.
+ */
+export function subscribeCache(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Drop every cached entry (used on sign-out).
+ */
+export async function clearReadCache() {
+  memory.clear();
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    const ours = (keys || []).filter((k) => k.startsWith(STORAGE_PREFIX));
+    if (ours.length) await AsyncStorage.multiRemove(ours);
+  } catch {}
+}
+
+/**
+ * Snapshot-like wrapper around a cached value so getSnapshot callers
+ * (exists / val / forEach / child / key) work the same offline.
+ */
+export function cachedSnapshot(path, value) {
+  const segments = String(path).split("/");
+  const key = segments[segments.length - 1] || null;
+  const isObj = value != null && typeof value === "object";
+
+  return {
+    key,
+    fromCache: true,
+    exists: () => value != null,
+    val: () => value,
+    hasChildren: () => isObj && Object.keys(value).length > 0,
+    get size() {
+      return isObj ? Object.keys(value).length : 0;
+    },
+    child: (name) => cachedSnapshot(`${path}/${name}`, isObj ? (value[name] ?? null) : null),
+    forEach: (cb) => {
+      if (!isObj) return false;
+      for (const k of Object.keys(value)) {
+        if (cb(cachedSnapshot(`${path}/${k}`, value[k])) === true) return true;
+      }
+      return false;
+    },
+  };
+}
+
+/**
+ * Short human hint for a cache timestamp: "just now", "5 min ago", "3 h ago", "2 d ago".
+ */
+export function formatLastUpdated(ts) {
+  if (!ts) return "";
+  const diff = Math.max(0, Date.now() - Number(ts));
+  if (diff < MINUTE) return "just now";
+  if (diff < HOUR) return `${Math.floor(diff / MINUTE)} min ago`;
+  if (diff < 24 * HOUR) return `${Math.floor(diff / HOUR)} h ago`;
+  return `${Math.floor(diff / (24 * HOUR))} d ago`;
+}
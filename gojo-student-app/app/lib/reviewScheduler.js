@@ -0,0 +1,182 @@
+// Spaced-repetition review queue (SM-2): question-bank items and flashcards from chapter notes.
+//
+// Stored per student, one item per card:
+//   Platform1/studentProgress/{studentId}/reviewQueue/{itemId}
+//     question   q__{bankId}__{questionId}
+//       { kind: "question", bankId, questionId, subjectKey, subjectName, chapter,
+//         correctAnswer, tolerance, explanation, explanationTranslations, ...schedule }
+//     flashcard  f__{deckId}__{sha1 of the front}
+//       { kind: "flashcard", deckId, front, back, subjectName, chapter, ...schedule }
+//   schedule: { ef, reps, interval (days), due (ms), lastReviewedAt }
+//
+// Question items are added by the grader (examGrader.js) with the mistake notebook, once an
+// attempt's review is visible: every question of the attempt, due now when it was missed and
+// tomorrow when it was right. Flashcards come from chapter notes: each line written as
+// "front :: back" is a card, and the deck follows the note as it is edited.
+//
+// A review grades recall 0..5 (questions from their credit, flashcards by the student's own
+// rating); below 3 the card starts over, otherwise its interval grows by its ease factor.
+//
+// Usage:
+//   const due = await loadDueItems(studentId, { limit: 10 });
+//   await recordReview(studentId, item, qualityForCredit(credit));
+//   await syncNoteFlashcards(studentId, { deckId, subjectName, chapter }, noteText);
+import { getValue, safeUpdate } from "./dbHelpers";
+import { serverNow } from "./serverTime";
+import { sha1 } from "./hash";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START_EASE = 2.5;
+const MIN_EASE = 1.3;
+const CARD_LINE = /^\s*(.+?)\s*::\s*(.+?)\s*$/;
+
+export const DEFAULT_SESSION_SIZE = 10;
+
+// flashcard self-ratings and the recall quality each stands for
+export const FLASHCARD_RATINGS = [
+  { label: "Again", quality: 1 },
+  { label: "Hard", quality: 3 },
+  { label: "Good", quality: 4 },
+  { label: "Easy", quality: 5 },
+];
+
+function queuePath(studentId) {
+  return `Platform1/studentProgress/${studentId}/reviewQueue`;
+}
+
+export function questionItemId(bankId, questionId) {
+  return `q__${bankId}__${questionId}`;
+}
+
+/**
+ * Recall quality of a question answer: full credit 4, half or more 2, otherwise 1.
+ */
+export function qualityForCredit(credit) {
+  if (credit >= 1) return 4;
+  if (credit >= 0.5) return 2;
+  return 1;
+}
+
+/**
+ * Next schedule after a review of the given quality (0..5), SM-2.
+ */
+export function nextSchedule(item, quality, now = serverNow()) {
+  const q = Math.max(0, Math.min(5, Math.round(quality)));
+  const prevEase = Number(item?.ef || START_EASE);
+  const ef = Math.max(MIN_EASE, prevEase + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+  let reps = Number(item?.reps || 0);
+  let interval;
+  if (q < 3) {
+    reps = 0;
+    interval = 1;
+  } else {
+    reps += 1;
+    interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(Number(item?.interval || 1) * ef);
+  }
+  return { ef, reps, interval, due: now + interval * DAY_MS, lastReviewedAt: now };
+}
+
+/**
+ * Schedule of a question added after an exam: due now if missed, tomorrow if answered right.
+ */
+export function firstSchedule(correct, now = serverNow()) {
+  return correct
+    ? { ef: START_EASE, reps: 1, interval: 1, due: now + DAY_MS, lastReviewedAt: now }
+    : { ef: START_EASE, reps: 0, interval: 0, due: now, lastReviewedAt: now };
+}
+
+export async function getSessionSize() {
+  const cfg = await getValue([`Platform1/appConfig/exams`, `appConfig/exams`]);
+  const n = Number(cfg?.review?.sessionSize || 0);
+  return n > 0 ? Math.floor(n) : DEFAULT_SESSION_SIZE;
+}
+
+async function loadQueue(studentId) {
+  if (!studentId) return {};
+  return (await getValue([queuePath(studentId)], { cache: false })) || {};
+}
+
+/**
+ * Items due by now, most overdue first, each with its storage `key`.
+ * Resolves { items, dueCount } where items holds at most `limit` of the dueCount.
+ */
+export async function loadDueItems(studentId, { limit = DEFAULT_SESSION_SIZE } = {}) {
+  const queue = await loadQueue(studentId);
+  const now = serverNow();
+  const due = Object.keys(queue)
+    .map((key) => ({ key, ...queue[key] }))
+    .filter((item) => item.kind && Number(item.due || 0) <= now)
+    .sort((a, b) => Number(a.due || 0) - Number(b.due || 0));
+  return { items: due.slice(0, limit), dueCount: due.length };
+}
+
+/**
+ * Store the outcome of one review. Resolves the new schedule.
+ */
+export async function recordReview(studentId, item, quality) {
+  const schedule = nextSchedule(item, quality);
+  const path = `${queuePath(studentId)}/${item.key}`;
+  const patch = {};
+  Object.keys(schedule).forEach((k) => { patch[`${path}/${k}`] = schedule[k]; });
+  await safeUpdate(patch, { tag: "review" }).catch(() => {});
+  return schedule;
+}
+
+/**
+ * Cards written in a note as "front :: back", one per line.
+ */
+export function parseFlashcards(text) {
+  const seen = new Set();
+  return String(text || "")
+    .split("\n")
+    .map((line) => line.match(CARD_LINE))
+    .filter(Boolean)
+    .map(([, front, back]) => ({ front, back }))
+    .filter((card) => {
+      if (seen.has(card.front)) return false;
+      seen.add(card.front);
+      return true;
+    });
+}
+
+function flashcardId(deckId, front) {
+  return `f__${deckId}__${sha1(encodeURIComponent(front)).slice(0, 16)}`;
+}
+
+/**
+ * Make the deck of one note match its text: new cards are due now, edited backs keep
+ * their schedule, and cards no longer in the note leave the queue.
+ */
+export async function syncNoteFlashcards(studentId, { deckId, subjectName, chapter }, text) {
+  if (!studentId || !deckId) return;
+  const queue = await loadQueue(studentId);
+  const base = queuePath(studentId);
+  const now = serverNow();
+  const patch = {};
+
+  const wanted = {};
+  parseFlashcards(text).forEach((card) => { wanted[flashcardId(deckId, card.front)] = card; });
+
+  Object.keys(queue).forEach((key) => {
+    if (queue[key]?.kind === "flashcard" && queue[key].deckId === deckId && !wanted[key]) patch[`${base}/${key}`] = null;
+  });
+  Object.keys(wanted).forEach((key) => {
+    const { front, back } = wanted[key];
+    if (queue[key]) {
+      if (queue[key].back !== back) patch[`${base}/${key}/back`] = back;
+      return;
+    }
+    patch[`${base}/${key}`] = {
+      kind: "flashcard",
+      deckId,
+      front,
+      back,
+      subjectName: subjectName || "",
+      chapter: chapter || "",
+      ...firstSchedule(false, now),
+    };
+  });
+
+  if (Object.keys(patch).length) await safeUpdate(patch, { tag: "review" }).catch(() => {});
+}
@@ -0,0 +1,241 @@
+// Rich text for questions, options and explanations: the markup question banks author
+// math, images and tables with. Parsed here, drawn by components/rich-text.tsx.
+//
+//   $...$          inline math                    Solve $x^2 - 4 = 0$
+//   $$...$$        block math, on its own line(s)
+//   ![alt](url)    image, on its own line
+//   | a | b |      table: consecutive lines starting with "|"; a |---|---| line after the
+//   |---|---|      first row makes that row the header
+//   \$             a dollar sign
+//
+// Math is a LaTeX subset: ^ and _ (one character or a {group}), \frac{a}{b}, \sqrt{x},
+// \sqrt[n]{x}, \text{..} and \mathrm{..}, \left and \right (dropped), spacing (\, \; \quad)
+// and the Greek letters, operators and arrows in SYMBOLS. Other commands stay as typed.
+//   H_2SO_4   \frac{3}{4}   90^\circ   \Delta H < 0   2H_2 + O_2 \rightarrow 2H_2O
+//
+// Questions may also carry images outside the text:
+//   image          stem image: url, or a list of urls
+//   optionImages   { [optionKey]: url }
+//
+// Usage:
+//   const blocks = parseRichText(q.question);
+//   // paragraph { parts: [{ type: "text", value } | { type: "math", nodes }] }
+//   // math { nodes }, image { url, alt }, table { header: cells | null, rows: [cells] }
+//   // math nodes: text { value }, sup/sub { nodes }, frac { num, den }, sqrt { index, nodes }
+
+const SYMBOLS = {
+  alpha: "α", beta: "β", gamma: "γ", delta: "δ", epsilon: "ε", varepsilon: "ε", zeta: "ζ",
+  eta: "η", theta: "θ", kappa: "κ", lambda: "λ", mu: "μ", nu: "ν", xi: "ξ", pi: "π",
+  rho: "ρ", sigma: "σ", tau: "τ", phi: "φ", varphi: "φ", chi: "χ", psi: "ψ", omega: "ω",
+  Gamma: "Γ", Delta: "Δ", Theta: "Θ", Lambda: "Λ", Xi: "Ξ", Pi: "Π", Sigma: "Σ", Phi: "Φ",
+  Psi: "Ψ", Omega: "Ω",
+  times: "×", div: "÷", pm: "±", mp: "∓", cdot: "·", ast: "∗", le: "≤", leq: "≤", ge: "≥",
+  geq: "≥", ne: "≠", neq: "≠", approx: "≈", sim: "∼", equiv: "≡", propto: "∝", infty: "∞",
+  to: "→", rightarrow: "→", leftarrow: "←", Rightarrow: "⇒", Leftarrow: "⇐",
+  leftrightarrow: "↔", Leftrightarrow: "⇔", rightleftharpoons: "⇌", uparrow: "↑",
+  downarrow: "↓", circ: "°", degree: "°", angle: "∠", triangle: "△", perp: "⊥",
+  parallel: "∥", sum: "∑", prod: "∏", int: "∫", partial: "∂", nabla: "∇", in: "∈",
+  notin: "∉", subset: "⊂", subseteq: "⊆", cup: "∪", cap: "∩", emptyset: "∅", forall: "∀",
+  exists: "∃", therefore: "∴", because: "∵", ldots: "…", cdots: "⋯", prime: "′",
+  sin: "sin", cos: "cos", tan: "tan", log: "log", ln: "ln", lim: "lim",
+};
+
+const SPACES = { ",": " ", ";": " ", ":": " ", " ": " ", "!": "", quad: "  ", qquad: "    " };
+
+const TEXT_COMMANDS = ["text", "mathrm", "textrm", "mathbf", "textbf", "mathit", "operatorname"];
+
+const TABLE_SEPARATOR = /^\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?$/;
+const IMAGE_LINE = /^!\[([^\]]*)\]\((\S+?)\)$/;
+
+/**
+ * Math source (without the dollar signs) as a list of nodes.
+ */
+export function parseMath(source) {
+  const s = String(source ?? "").replace(/\s+/g, " ").trim();
+  let i = 0;
+
+  const pushText = (nodes, value) => {
+    const last = nodes[nodes.length - 1];
+    if (last?.type === "text") last.value += value;
+    else nodes.push({ type: "text", value });
+  };
+
+  // one character, a {group} or a command
+  const parseArg = () => {
+    while (s[i] === " ") i++;
+    if (s[i] === "{") {
+      i++;
+      return parseList("}");
+    }
+    const nodes = [];
+    if (s[i] === "\\") parseCommand(nodes);
+    else if (i < s.length) pushText(nodes, s[i++]);
+    return nodes;
+  };
+
+  const pushAll = (nodes, list) => list.forEach((n) => (n.type === "text" ? pushText(nodes, n.value) : nodes.push(n)));
+
+  const parseCommand = (nodes) => {
+    i++;
+    let name = "";
+    if (/[a-zA-Z]/.test(s[i] || "")) {
+      while (/[a-zA-Z]/.test(s[i] || "")) name += s[i++];
+      if (s[i] === " ") i++;
+    } else {
+      name = s[i++] || "";
+    }
+
+    if (name === "frac" || name === "dfrac" || name === "tfrac") {
+      nodes.push({ type: "frac", num: parseArg(), den: parseArg() });
+    } else if (name === "sqrt") {
+      let index = null;
+      if (s[i] === "[") {
+        i++;
+        index = parseList("]");
+      }
+      nodes.push({ type: "sqrt", index, nodes: parseArg() });
+    } else if (TEXT_COMMANDS.includes(name)) {
+      pushAll(nodes, parseArg());
+    } else if (name === "left" || name === "right") {
+      if (s[i] === ".") i++;
+    } else if (SPACES[name] != null) {
+      if (SPACES[name]) pushText(nodes, SPACES[name]);
+    } else if (SYMBOLS[name]) {
+      pushText(nodes, SYMBOLS[name]);
+    } else if (name.length === 1 && !/[a-zA-Z]/.test(name)) {
+      pushText(nodes, name);
+    } else {
+      pushText(nodes, `\\${name}`);
+    }
+  };
+
+  const parseList = (stop) => {
+    const nodes = [];
+    while (i < s.length) {
+      const ch = s[i];
+      if (ch === stop) {
+        i++;
+        return nodes;
+      }
+      if (ch === "{") {
+        i++;
+        pushAll(nodes, parseList("}"));
+      } else if (ch === "^" || ch === "_") {
+        i++;
+        nodes.push({ type: ch === "^" ? "sup" : "sub", nodes: parseArg() });
+      } else if (ch === "\\") {
+        parseCommand(nodes);
+      } else {
+        pushText(nodes, ch);
+        i++;
+      }
+    }
+    return nodes;
+  };
+
+  return parseList(null);
+}
+
+/**
+ * Text split into plain and inline math parts.
+ */
+export function parseInline(text) {
+  const s = String(text ?? "");
+  const parts = [];
+  let buf = "";
+  let i = 0;
+  while (i < s.length) {
+    if (s[i] === "\\" && s[i + 1] === "$") {
+      buf += "$";
+      i += 2;
+      continue;
+    }
+    if (s[i] === "$") {
+      let end = i + 1;
+      while (end < s.length && !(s[end] === "$" && s[end - 1] !== "\\")) end++;
+      if (end < s.length && end > i + 1) {
+        if (buf) parts.push({ type: "text", value: buf });
+        buf = "";
+        parts.push({ type: "math", nodes: parseMath(s.slice(i + 1, end)) });
+        i = end + 1;
+        continue;
+      }
+    }
+    buf += s[i++];
+  }
+  if (buf) parts.push({ type: "text", value: buf });
+  return parts;
+}
+
+function tableCells(line) {
+  return line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/\|$/, "")
+    .split("|")
+    .map((cell) => parseInline(cell.trim()));
+}
+
+/**
+ * Text as a list of blocks (see the header). Plain text is one paragraph.
+ */
+export function parseRichText(text) {
+  const lines = String(text ?? "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    while (paragraph.length && !paragraph[0].trim()) paragraph.shift();
+    while (paragraph.length && !paragraph[paragraph.length - 1].trim()) paragraph.pop();
+    if (paragraph.length) blocks.push({ type: "paragraph", parts: parseInline(paragraph.join("\n")) });
+    paragraph = [];
+  };
+
+  for (let n = 0; n < lines.length; n++) {
+    const line = lines[n].trim();
+
+    if (line.startsWith("$$")) {
+      let source = line.slice(2);
+      while (!source.includes("$$") && n + 1 < lines.length) source += `\n${lines[++n]}`;
+      const end = source.indexOf("$$");
+      flush();
+      blocks.push({ type: "math", nodes: parseMath(end >= 0 ? source.slice(0, end) : source) });
+      const rest = end >= 0 ? source.slice(end + 2).trim() : "";
+      if (rest) paragraph.push(rest);
+      continue;
+    }
+
+    const image = line.match(IMAGE_LINE);
+    if (image) {
+      flush();
+      blocks.push({ type: "image", alt: image[1], url: image[2] });
+      continue;
+    }
+
+    if (line.startsWith("|")) {
+      const rows = [];
+      while (n < lines.length && lines[n].trim().startsWith("|")) rows.push(lines[n++].trim());
+      n--;
+      flush();
+      const hasHeader = rows.length > 1 && TABLE_SEPARATOR.test(rows[1]);
+      blocks.push({
+        type: "table",
+        header: hasHeader ? tableCells(rows[0]) : null,
+        rows: rows.filter((r, idx) => !(hasHeader && idx <= 1) && !TABLE_SEPARATOR.test(r)).map(tableCells),
+      });
+      continue;
+    }
+
+    paragraph.push(lines[n]);
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * Image urls from a question's `image` field (a url or a list).
+ */
+export function imageList(value) {
+  const list = Array.isArray(value) ? value : value ? [value] : [];
+  return list.filter((url) => typeof url === "string" && url.trim());
+}
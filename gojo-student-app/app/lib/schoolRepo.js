@@ -0,0 +1,243 @@
+// School-scoped data access. Screens ask for "my student record" or "the courses
+// of my class" and this module decides where that lives in the database.
+//
+// Usage:
+//   const me = await getMyStudent();                 // { id, ...studentRecord } or null
+//   const courses = await getCoursesForClass(me.grade, me.section);
+//   const mark = await getClassMark(courseKey, me.id);
+//   const chatsRef = await schoolRef("Chats");
+//
+// Layout rules (kept in one place on purpose):
+//   - Current data lives under Platform1/Schools/{schoolKey}/...
+//   - Older installs still have root-level copies (Students/, Courses, ClassMarks/,
+//     SchoolExams/ ...). Reads for those collections try the scoped path first and
+//     then the root path.
+//   - Chats, Posts and CalendarEvents are never read from the root when a school is
+//     known, because writes go to the scoped node and mixing them would split
+//     conversations / likes between two places.
+import { ref } from "firebase/database";
+import { database } from "../../constants/firebaseConfig";
+import { getValue, getSnapshot } from "./dbHelpers";
+import { getUserVal } from "./userHelpers";
+import { getSession } from "./session";
+
+// collections that are only ever read from the resolved location (no legacy fallback)
+const SCOPED_ONLY = new Set(["Chats", "Posts", "CalendarEvents"]);
+
+export async function getSchoolKey() {
+  return (await getSession())?.schoolKey || null;
+}
+
+/**
+ * Path prefix for the given school: "Platform1/Schools/{schoolKey}/" or "" (root).
+ */
+export function schoolPrefix(schoolKey) {
+  return schoolKey ? `Platform1/Schools/${schoolKey}/` : "";
+}
+
+/**
+ * Candidate paths for a school sub path, in read order.
+ * Scoped first, then the legacy root copy (unless the collection is scoped-only).
+ */
+export function schoolPathCandidates(subPath, schoolKey) {
+  if (!schoolKey) return [subPath];
+  const top = String(subPath).split("/")[0];
+  const scoped = `${schoolPrefix(schoolKey)}${subPath}`;
+  return SCOPED_ONLY.has(top) ? [scoped] : [scoped, subPath];
+}
+
+/**
+ * Resolved write path for a school sub path (scoped when a school is known).
+ * Useful for building multi-path update maps.
+ */
+export async function schoolPath(subPath, explicitSchoolKey = null) {
+  const sk = explicitSchoolKey || (await getSchoolKey());
+  return `${schoolPrefix(sk)}${subPath}`;
+}
+
+/**
+ * Database Reference for a school sub path (scoped when a school is known).
+ */
+export async function schoolRef(subPath, explicitSchoolKey = null) {
+  return ref(database, await schoolPath(subPath, explicitSchoolKey));
+}
+
+/**
+ * Read-order candidates for a sub path using the saved school (for cache hints).
+ */
+export async function resolveSchoolPaths(subPath, explicitSchoolKey = null) {
+  const sk = explicitSchoolKey || (await getSchoolKey());
+  return schoolPathCandidates(subPath, sk);
+}
+
+// options are passed through to getValue/getSnapshot (e.g. { cache: false } on pull-to-refresh)
+export async function readSchoolValue(subPath, explicitSchoolKey = null, options = {}) {
+  const sk = explicitSchoolKey || (await getSchoolKey());
+  return getValue(schoolPathCandidates(subPath, sk), options);
+}
+
+export async function readSchoolSnapshot(subPath, explicitSchoolKey = null, options = {}) {
+  const sk = explicitSchoolKey || (await getSchoolKey());
+  return getSnapshot(schoolPathCandidates(subPath, sk), options);
+}
+
+/* ---------------- students ---------------- */
+
+async function getStoredStudentId() {
+  return (await getSession())?.studentId || null;
+}
+
+async function getStudentIdFromUser() {
+  const userNode = (await getSession())?.userNodeKey;
+  if (!userNode) return null;
+  const u = await getUserVal(userNode);
+  return u?.studentId || null;
+}
+
+/**
+ * Student node key of the signed-in user.
+ * Order: session studentId (studentNodeKey -> studentId) -> Users/{userNodeKey}.studentId
+ */
+export async function getMyStudentId() {
+  return (await getStoredStudentId()) || (await getStudentIdFromUser());
+}
+
+export async function getStudent(studentId, explicitSchoolKey = null) {
+  if (!studentId) return null;
+  return readSchoolValue(`Students/${studentId}`, explicitSchoolKey);
+}
+
+/**
+ * The signed-in student's record as { id, ...record }, or null.
+ * A stale stored key falls through to the studentId on the Users record.
+ */
+export async function getMyStudent() {
+  const stored = await getStoredStudentId();
+  if (stored) {
+    const s = await getStudent(stored);
+    if (s) return { ...s, id: stored };
+  }
+
+  const fromUser = await getStudentIdFromUser();
+  if (!fromUser || fromUser === stored) return null;
+  const s = await getStudent(fromUser);
+  return s ? { ...s, id: fromUser } : null;
+}
+
+/**
+ * Find the school that holds a student record: the session's school, else the school
+ * whose code (schoolCodeIndex) the id starts with, if it has that student.
+ */
+export async function resolveSchoolKeyForStudent(studentId) {
+  if (!studentId) return null;
+
+  const fromSession = await getSchoolKey();
+  if (fromSession) return fromSession;
+
+  try {
+    const prefix = String(studentId).slice(0, 3).toUpperCase();
+    const key = await getValue([`Platform1/schoolCodeIndex/${prefix}`]);
+    if (key && (await getValue([`Platform1/Schools/${key}/Students/${studentId}`]))) return key;
+  } catch {}
+
+  return null;
+}
+
+/* ---------------- courses / class marks / teachers ---------------- */
+
+export async function getCoursesSnapshot() {
+  return readSchoolSnapshot("Courses");
+}
+
+/**
+ * Courses for a grade/section as [{ key, data }], sorted by name.
+ */
+export async function getCoursesForClass(grade, section) {
+  const snap = await getCoursesSnapshot();
+  const list = [];
+  if (snap) {
+    snap.forEach((child) => {
+      const val = child.val() || {};
+      if (String(val.grade ?? "") === String(grade) && String(val.section ?? "") === String(section)) {
+        list.push({ key: child.key, data: val });
+      }
+    });
+  }
+  list.sort((a, b) => (a.data.name || "").localeCompare(b.data.name || ""));
+  return list;
+}
+
+export async function getClassMark(courseId, studentId) {
+  if (!courseId || !studentId) return null;
+  return readSchoolValue(`ClassMarks/${courseId}/${studentId}`);
+}
+
+export async function getTeacherAssignmentsSnapshot() {
+  return readSchoolSnapshot("TeacherAssignments");
+}
+
+export async function getTeachersSnapshot() {
+  return readSchoolSnapshot("Teachers");
+}
+
+export async function getTeacher(teacherId) {
+  if (!teacherId) return null;
+  return readSchoolValue(`Teachers/${teacherId}`);
+}
+
+/**
+ * Staff lists used for chat contacts (School_Admins, Registerers, Finances).
+ */
+export async function getStaffSnapshot(nodeName) {
+  return readSchoolSnapshot(nodeName);
+}
+
+/* ---------------- chats / posts / calendar ---------------- */
+
+export async function getChatsSnapshot() {
+  return readSchoolSnapshot("Chats");
+}
+
+export async function getChat(chatId) {
+  if (!chatId) return null;
+  return readSchoolValue(`Chats/${chatId}`);
+}
+
+export async function postsRef() {
+  return schoolRef("Posts");
+}
+
+export async function postPath(postId) {
+  return schoolPath(`Posts/${postId}`);
+}
+
+export async function getCalendarEventsSnapshot(options = {}) {
+  return readSchoolSnapshot("CalendarEvents", null, options);
+}
+
+/* ---------------- school assessments ---------------- */
+
+export async function getAssessments(schoolKey = null) {
+  return readSchoolValue("SchoolExams/Assessments", schoolKey);
+}
+
+export async function getAssessment(assessmentId, schoolKey = null) {
+  if (!assessmentId) return null;
+  return readSchoolValue(`SchoolExams/Assessments/${assessmentId}`, schoolKey);
+}
+
+export async function getSubmissionIndex(assessmentId, studentId, schoolKey = null) {
+  if (!assessmentId || !studentId) return null;
+  return readSchoolValue(`SchoolExams/SubmissionIndex/${assessmentId}/${studentId}`, schoolKey);
+}
+
+/**
+ * Both copies of the school question bank: questions can be referenced from either,
+ * so callers merge them (scoped wins).
+ */
+export async function getSchoolQuestionBanks(schoolKey = null) {
+  const sk = schoolKey || (await getSchoolKey());
+  const scoped = sk ? await getValue([`${schoolPrefix(sk)}SchoolExams/QuestionBank`]) : null;
+  const legacy = await getValue([`SchoolExams/QuestionBank`]);
+  return { scoped, legacy };
+}
@@ -0,0 +1,93 @@
+// Server clock for countdowns and eligibility checks (round windows, due dates,
+// attempt and heart refills). Changing the phone clock must not reopen a round.
+//
+// Firebase reports the device/server skew at `.info/serverTimeOffset`; serverNow()
+// is Date.now() corrected by that offset. The last offset is kept in AsyncStorage,
+// so a later offline session still uses a corrected clock.
+//
+// getServerTimeStatus().source tells callers how much to trust serverNow():
+//   "server"  -> offset received from Firebase in this session
+//   "cached"  -> offset from an earlier session (device clock may have moved since)
+//   "device"  -> no offset ever seen; serverNow() === Date.now()
+//
+// Usage:
+//   const now = serverNow();
+//   if (!isServerTimeVerified()) { ...warn or refuse... }
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { onValue, ref } from "firebase/database";
+import { database } from "../../constants/firebaseConfig";
+
+const STORAGE_KEY = "serverTimeOffset";
+
+let offsetMs = 0;
+let source = "device";
+let started = false;
+const waiters = new Set();
+
+function start() {
+  if (started) return;
+  started = true;
+
+  AsyncStorage.getItem(STORAGE_KEY)
+    .then((raw) => {
+      const n = Number(raw);
+      if (source === "device" && raw != null && Number.isFinite(n)) {
+        offsetMs = n;
+        source = "cached";
+      }
+    })
+    .catch(() => {});
+
+  try {
+    onValue(ref(database, ".info/serverTimeOffset"), (snap) => {
+      const n = Number(snap.val());
+      if (!Number.isFinite(n)) return;
+      offsetMs = n;
+      source = "server";
+      AsyncStorage.setItem(STORAGE_KEY, String(n)).catch(() => {});
+      waiters.forEach((fn) => fn());
+      waiters.clear();
+    });
+  } catch {}
+}
+
+/**
+ * Current time on the server clock (ms). Falls back to the device clock when no
+ * offset is known (see getServerTimeStatus).
+ */
+export function serverNow() {
+  start();
+  return Date.now() + offsetMs;
+}
+
+export function getServerTimeStatus() {
+  start();
+  return { source, offsetMs };
+}
+
+/**
+ * True once Firebase has reported the offset in this session.
+ */
+export function isServerTimeVerified() {
+  start();
+  return source === "server";
+}
+
+/**
+ * Resolve true when the server offset arrives, or false after timeoutMs.
+ */
+export function waitForServerTime(timeoutMs = 5000) {
+  start();
+  if (source === "server") return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    const timer = setTimeout(() => {
+      waiters.delete(done);
+      resolve(false);
+    }, timeoutMs);
+    waiters.add(done);
+  });
+}
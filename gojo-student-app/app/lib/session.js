@@ -0,0 +1,174 @@
+// Signed-in session: the one place that knows which AsyncStorage keys hold it and
+// in which order the id fallbacks apply. Screens use useSession() (components/session-provider)
+// or, outside React, `await getSession()`.
+//
+// Several students may share one device: each sign-in is remembered in the device
+// account list and gets its own storage namespace (accountStorage.js).
+//
+// Session shape:
+//   accountId   storage namespace (userNodeKey, else userId)
+//   userId, username, userNodeKey, role, schoolKey
+//   studentId   school student record key (studentNodeKey -> studentId)
+//   examUserId  key for Platform1 exams / lives / progress / rankings
+//               (studentId, or username for accounts without a student record)
+//   grade       "7", gradeKey "grade7" (null when unknown)
+//
+// Usage:
+//   const s = await getSession();       // null when signed out
+//   await saveSession({ ...profile, grade: "grade7" });
+//   await endSession();                       // sign out and forget this account on the device
+//   await endSession({ keepAccount: true });  // switch: sign out, keep its data for later
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import {
+  forgetAccount,
+  getActiveAccountId,
+  isAccountStorageKey,
+  rememberAccount,
+  setActiveAccountId,
+} from "./accountStorage";
+import { signOutStudent } from "./authHelpers";
+import { clearReadCache } from "./readCache";
+import { flushOutbox, resetWriteQueue } from "./writeQueue";
+
+const KEYS = ["userId", "username", "userNodeKey", "studentId", "studentNodeKey", "role", "schoolKey", "studentGrade", "grade"];
+
+// survive sign-out: device facts, not account data
+const DEVICE_KEYS = new Set(["serverTimeOffset", "loginThrottle", "passwordResetRequests", "writeOutbox"]);
+
+let current; // undefined = not loaded yet, null = signed out
+let loading = null;
+const listeners = new Set();
+
+export function normalizeGradeKey(v) {
+  if (v == null || v === "") return null;
+  const m = String(v).toLowerCase().match(/(\d{1,2})/);
+  return m ? `grade${m[1]}` : null;
+}
+
+function fromStorage(map) {
+  const get = (k) => (map[k] ? String(map[k]) : null);
+  const userNodeKey = get("userNodeKey");
+  const userId = get("userId");
+  if (!userNodeKey && !userId) return null;
+
+  const studentId = get("studentNodeKey") || get("studentId");
+  const gradeKey = normalizeGradeKey(get("studentGrade") || get("grade"));
+  return {
+    accountId: userNodeKey || userId,
+    userId,
+    username: get("username"),
+    userNodeKey,
+    role: get("role"),
+    schoolKey: get("schoolKey"),
+    studentId,
+    examUserId: studentId || get("username"),
+    gradeKey,
+    grade: gradeKey ? gradeKey.replace("grade", "") : null,
+  };
+}
+
+function notify() {
+  listeners.forEach((fn) => {
+    try { fn(current); } catch {}
+  });
+}
+
+/**
+ * Current session or null. Reads storage once; later calls are served from memory.
+ */
+export async function getSession() {
+  if (current !== undefined) return current;
+  if (!loading) {
+    loading = (async () => {
+      try {
+        const pairs = await AsyncStorage.multiGet(KEYS);
+        const stored = fromStorage(Object.fromEntries(pairs || []));
+        // sessions from before the account list existed get their namespace here
+        if (stored && (await getActiveAccountId()) !== stored.accountId) {
+          await rememberAccount({ accountId: stored.accountId, username: stored.username, schoolKey: stored.schoolKey });
+          await resetWriteQueue(); // reload the outbox from the namespace
+        }
+        current = stored;
+      } catch {
+        current = null;
+      }
+      loading = null;
+      return current;
+    })();
+  }
+  return loading;
+}
+
+/**
+ * Store the profile returned by sign-in. grade may be "7" or "grade7".
+ */
+export async function saveSession({ userId, username, userNodeKey, studentId, role, schoolKey, grade }) {
+  const items = [
+    ["userId", userId || ""],
+    ["username", username || ""],
+    ["userNodeKey", userNodeKey || ""],
+    ["studentId", studentId || ""],
+    ["studentNodeKey", studentId || ""],
+    ["role", role || ""],
+    ["schoolKey", schoolKey || ""],
+  ];
+  const gradeKey = normalizeGradeKey(grade);
+  if (gradeKey) items.push(["studentGrade", gradeKey]);
+
+  await AsyncStorage.multiSet(items);
+  const next = fromStorage(Object.fromEntries(items));
+  // namespace first, so screens reacting to the new session read this account's data
+  await rememberAccount({ accountId: next?.accountId, username, schoolKey });
+  await resetWriteQueue(); // an outbox loaded while signed out must not follow into this namespace
+  current = next;
+  notify();
+  flushOutbox().catch(() => {});
+  return current;
+}
+
+/**
+ * Remember a grade learned after sign-in (e.g. from the student record).
+ */
+export async function setSessionGrade(grade) {
+  const gradeKey = normalizeGradeKey(grade);
+  if (!gradeKey) return;
+  try { await AsyncStorage.setItem("studentGrade", gradeKey); } catch {}
+  if (current) {
+    current = { ...current, gradeKey, grade: gradeKey.replace("grade", "") };
+    notify();
+  }
+}
+
+/**
+ * Sign out: give pending writes a moment to land, then drop auth, caches and the
+ * session keys. The account's namespace is deleted unless keepAccount is set.
+ */
+export async function endSession({ keepAccount = false } = {}) {
+  const accountId = (await getSession())?.accountId || null;
+  try {
+    await Promise.race([flushOutbox(), new Promise((r) => setTimeout(r, 3000))]);
+  } catch {}
+
+  // listeners see the sign-out before auth drops, so it is not mistaken for expiry
+  current = null;
+  notify();
+
+  await signOutStudent();
+  await clearReadCache();
+  await resetWriteQueue();
+  if (!keepAccount) await forgetAccount(accountId);
+  await setActiveAccountId(null);
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    const drop = (keys || []).filter((k) => !DEVICE_KEYS.has(k) && !isAccountStorageKey(k));
+    if (drop.length) await AsyncStorage.multiRemove(drop);
+  } catch {}
+}
+
+/**
+ * Subscribe to session changes (sign-in, grade update, sign-out). Returns an unsubscribe function.
+ */
+export function subscribeSession(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
@@ -0,0 +1,230 @@
+// Daily study streak and XP.
+//
+// Node: Platform1/studentProgress/{studentId}/streak
+//   { current, best, lastActiveDay, freezes, xp, level, readingDay, readingXp, updatedAt }
+//   lastActiveDay   "YYYY-MM-DD" of the last day with XP, on the phone's calendar and the
+//                   server clock (serverTime.js)
+//   freezes         grace days in hand: each missed day uses one and keeps the streak alive.
+//                   One is earned every freezeEveryDays days of streak, up to maxFreezes.
+// Awards: Platform1/studentProgress/{studentId}/xpLog/{key} = { kind, xp, at }, so one
+// activity (an attempt, an assessment, a note on a given day) is counted once. The log entry
+// is claimed in a transaction before the XP is added, so two devices (or two screens) racing
+// on the same key cannot both award it.
+//
+// Config: appConfig/exams/streak
+//   { freezeEveryDays: 7, maxFreezes: 2, levelStepXp: 100,
+//     xp: { practice_round: 20, assessment: 30, note: 5, reading_minute: 1, readingDailyCap: 30,
+//           readingSessionCapMinutes: 30 } }
+// Reading minutes are foreground time measured by the reader, at most readingSessionCapMinutes
+// per reader session, and their XP at most readingDailyCap per day.
+// Level n needs levelStepXp * n * (n - 1) / 2 XP (100, 300, 600, ... by default). Levels can
+// raise the lives cap: see levelBonusLives in livesHelpers.js.
+//
+// Usage:
+//   await awardXp(studentId, { kind: "practice_round", key: `round__${attemptId}` });
+//   await awardReadingXp(studentId, minutes);
+//   const unsub = subscribeStreak(studentId, (s) => setStreak(s));   // streakStatus shape
+import { ref, onValue } from "firebase/database";
+import { database } from "../../constants/firebaseConfig";
+import { getValue, runTransactionSafe } from "./dbHelpers";
+import { serverNow } from "./serverTime";
+import { bonusLivesForLevel, getLivesConfig, raiseMaxLives } from "./livesHelpers";
+
+export const XP_KINDS = ["practice_round", "assessment", "note", "reading_minute"];
+
+const DEFAULT_XP = {
+  practice_round: 20,
+  assessment: 30,
+  note: 5,
+  reading_minute: 1,
+  readingDailyCap: 30,
+  readingSessionCapMinutes: 30,
+};
+const DEFAULT_FREEZE_EVERY_DAYS = 7;
+const DEFAULT_MAX_FREEZES = 2;
+const DEFAULT_LEVEL_STEP_XP = 100;
+
+const streakPath = (studentId) => `Platform1/studentProgress/${studentId}/streak`;
+const xpLogPath = (studentId, key) => `Platform1/studentProgress/${studentId}/xpLog/${key}`;
+
+/**
+ * Streak config from appConfig/exams/streak, with app defaults filled in.
+ */
+export async function getStreakConfig() {
+  const cfg = await getValue([`Platform1/appConfig/exams/streak`, `appConfig/exams/streak`]);
+  return {
+    freezeEveryDays: Number(cfg?.freezeEveryDays || DEFAULT_FREEZE_EVERY_DAYS),
+    maxFreezes: Number(cfg?.maxFreezes ?? DEFAULT_MAX_FREEZES),
+    levelStepXp: Number(cfg?.levelStepXp || DEFAULT_LEVEL_STEP_XP),
+    xp: { ...DEFAULT_XP, ...(cfg?.xp || {}) },
+  };
+}
+
+export function dayKey(ms = serverNow()) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// days from a to b ("YYYY-MM-DD"), whatever the daylight saving shifts in between
+function daysBetween(a, b) {
+  const [ay, am, ad] = a.split("-").map(Number);
+  const [by, bm, bd] = b.split("-").map(Number);
+  return Math.round((Date.UTC(by, bm - 1, bd) - Date.UTC(ay, am - 1, ad)) / 86400000);
+}
+
+/**
+ * XP needed to reach `level`.
+ */
+export function levelThreshold(level, stepXp = DEFAULT_LEVEL_STEP_XP) {
+  return (stepXp * level * (level - 1)) / 2;
+}
+
+export function levelForXp(xp, stepXp = DEFAULT_LEVEL_STEP_XP) {
+  let level = 1;
+  while (xp >= levelThreshold(level + 1, stepXp)) level += 1;
+  return level;
+}
+
+/**
+ * Pure step: the streak node after `xp` is earned on `today`.
+ */
+export function applyActivity(node, { today, xp, config }) {
+  const prev = node || {};
+  let current = Number(prev.current || 0);
+  let freezes = Number(prev.freezes || 0);
+
+  if (prev.lastActiveDay !== today) {
+    const missed = prev.lastActiveDay ? daysBetween(prev.lastActiveDay, today) - 1 : null;
+    if (missed === 0) current += 1;
+    else if (missed != null && missed > 0 && missed <= freezes) {
+      freezes -= missed;
+      current += 1;
+    } else current = 1;
+    if (current % config.freezeEveryDays === 0) freezes = Math.min(config.maxFreezes, freezes + 1);
+  }
+
+  const total = Number(prev.xp || 0) + xp;
+  return {
+    ...prev,
+    current,
+    best: Math.max(Number(prev.best || 0), current),
+    lastActiveDay: today,
+    freezes,
+    xp: total,
+    level: levelForXp(total, config.levelStepXp),
+    updatedAt: serverNow(),
+  };
+}
+
+/**
+ * What to show for a streak node today: { current, best, activeToday, freezes, xp, level,
+ * levelXp, nextLevelXp }. current is 0 once more days were missed than freezes cover.
+ */
+export function streakStatus(node, config = {}, now = serverNow()) {
+  const stepXp = config.levelStepXp || DEFAULT_LEVEL_STEP_XP;
+  const xp = Number(node?.xp || 0);
+  const level = levelForXp(xp, stepXp);
+  const freezes = Number(node?.freezes || 0);
+  const missed = node?.lastActiveDay ? daysBetween(node.lastActiveDay, dayKey(now)) - 1 : null;
+  return {
+    current: missed != null && missed <= freezes ? Number(node.current || 0) : 0,
+    best: Number(node?.best || 0),
+    activeToday: missed === -1,
+    freezes,
+    xp,
+    level,
+    levelXp: xp - levelThreshold(level, stepXp),
+    nextLevelXp: levelThreshold(level + 1, stepXp) - levelThreshold(level, stepXp),
+  };
+}
+
+// earn(node, today, config) -> { xp, fields }: the XP to add and extra fields for the node
+async function addXp(studentId, earn) {
+  const config = await getStreakConfig();
+  const today = dayKey();
+  const before = { level: 1 };
+  const result = await runTransactionSafe(streakPath(studentId), (node) => {
+    before.level = levelForXp(Number(node?.xp || 0), config.levelStepXp);
+    const { xp, fields } = earn(node, today, config);
+    return { ...applyActivity(node, { today, xp, config }), ...(fields || {}) };
+  });
+  const after = result?.snapshot?.val();
+  if (after && after.level > before.level) {
+    const livesConfig = await getLivesConfig();
+    const bonus = bonusLivesForLevel(livesConfig, after.level);
+    if (bonus > bonusLivesForLevel(livesConfig, before.level)) await raiseMaxLives(studentId, bonus).catch(() => {});
+  }
+  return after ? streakStatus(after, config) : null;
+}
+
+/**
+ * Give the XP for one activity and move the streak on. `key` makes it count once.
+ * Resolves the new streakStatus, or null when it was already counted or is unknown.
+ */
+export async function awardXp(studentId, { kind, key }) {
+  if (!studentId || !key || !XP_KINDS.includes(kind)) return null;
+  try {
+    const config = await getStreakConfig();
+    const xp = Number(config.xp[kind] || 0);
+    if (xp <= 0) return null;
+    // returning undefined aborts: the key was claimed already
+    const claim = await runTransactionSafe(xpLogPath(studentId, key), (current) =>
+      current ? undefined : { kind, xp, at: serverNow() }
+    );
+    if (!claim?.committed) return null;
+    return await addXp(studentId, () => ({ xp }));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * XP for one reader session, up to readingSessionCapMinutes of it and readingDailyCap a day.
+ * Resolves the new streakStatus or null.
+ */
+export async function awardReadingXp(studentId, minutes) {
+  const whole = Math.floor(Number(minutes) || 0);
+  if (!studentId || whole <= 0) return null;
+  try {
+    return await addXp(studentId, (node, today, config) => {
+      const usedToday = node?.readingDay === today ? Number(node.readingXp || 0) : 0;
+      const cap = Number(config.xp.readingDailyCap || 0);
+      const counted = Math.min(whole, Number(config.xp.readingSessionCapMinutes || 0));
+      const xp = Math.max(0, Math.min(counted * Number(config.xp.reading_minute || 0), cap - usedToday));
+      return { xp, fields: { readingDay: today, readingXp: usedToday + xp } };
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Live streakStatus for a student. Returns an unsubscribe function.
+ */
+export function subscribeStreak(studentId, listener) {
+  if (!studentId) {
+    listener(streakStatus(null));
+    return () => {};
+  }
+  let config = {};
+  let last = null;
+  let alive = true;
+  getStreakConfig()
+    .then((c) => {
+      config = c;
+      if (alive) listener(streakStatus(last, config));
+    })
+    .catch(() => {});
+  const unsubscribe = onValue(
+    ref(database, streakPath(studentId)),
+    (snap) => {
+      last = snap.exists() ? snap.val() : null;
+      listener(streakStatus(last, config));
+    },
+    (e) => console.warn("streak listener error", e && e.message)
+  );
+  return () => {
+    alive = false;
+    unsubscribe();
+  };
+}
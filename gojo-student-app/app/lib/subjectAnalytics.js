@@ -0,0 +1,151 @@
+// Per-subject exam analytics: chapter mastery, score trend, pace and the weakest chapters.
+//
+// Built from a package subject's rounds (each with a `chapter`) and the student's graded
+// attempts at Platform1/attempts/company/{studentId}/{examId}. Only attempts whose result
+// the student may see count: graded, and either resultVisible or past the round's
+// resultReleaseTimestamp.
+//
+//   round mastery     mean score of the round's last RECENT_ATTEMPTS graded attempts
+//   chapter mastery   mean round mastery over the chapter's attempted rounds
+//   pace              (endTime - startTime) summed over attempts / questions answered
+//   weakest           attempted chapters below MASTERED_PERCENT, lowest first
+//
+// Each chapter is matched to a textbook unit (Platform1/TextBooks/{gradeKey}) so the screen
+// can link straight to it: a round's `unitKey` wins, then a unit titled like the chapter,
+// then the unit whose number the chapter name carries ("Unit 3", "Chapter 3").
+//
+// Usage:
+//   const a = await loadSubjectAnalytics({ studentId, packageId, subjectKey, gradeKey });
+//   a.chapters  // [{ chapter, mastery, attemptedRounds, totalRounds, attempts, unit }]
+//   a.trend     // [{ at, percent, roundName }] oldest first
+import { getValue } from "./dbHelpers";
+import { serverNow } from "./serverTime";
+
+const RECENT_ATTEMPTS = 3;
+export const MASTERED_PERCENT = 80;
+const WEAKEST_COUNT = 3;
+const NO_CHAPTER = "Other rounds";
+
+function toMsTs(v) {
+  const n = Number(v || 0);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return n < 1e12 ? n * 1000 : n;
+}
+
+function norm(s) {
+  return String(s || "").toLowerCase().replace(/[_\s]+/g, " ").trim();
+}
+
+function mean(list) {
+  return list.length ? list.reduce((s, n) => s + n, 0) / list.length : null;
+}
+
+function visibleAttempts(node, round) {
+  const released = serverNow() >= toMsTs(round?.resultReleaseTimestamp);
+  return Object.values(node || {})
+    .filter((a) => a?.gradedAt && a.scorePercent != null && (a.resultVisible !== false || released))
+    .sort((a, b) => toMsTs(a.endTime || a.gradedAt) - toMsTs(b.endTime || b.gradedAt));
+}
+
+function findBook(books, subjectKey, subjectName) {
+  const keys = Object.keys(books || {});
+  const wanted = [norm(subjectKey), norm(subjectName)].filter(Boolean);
+  return (
+    keys.find((k) => wanted.includes(norm(k)) || wanted.includes(norm(books[k]?.title))) ||
+    keys.find((k) => wanted.some((w) => norm(k).includes(w) || w.includes(norm(k)))) ||
+    null
+  );
+}
+
+/**
+ * Textbook unit for a chapter: { subjectKey, unitKey, title } or null.
+ */
+export function matchTextbookUnit(books, bookKey, chapter, unitKeyHint) {
+  const units = books?.[bookKey]?.units || {};
+  const entries = Object.keys(units).map((unitKey, idx) => ({
+    unitKey,
+    title: units[unitKey]?.title || unitKey,
+    order: Number(String(unitKey).replace(/\D/g, "")) || idx + 1,
+  }));
+  const ch = norm(chapter);
+  const number = Number((ch.match(/(?:unit|chapter|ch\.?)\s*(\d+)/) || [])[1] || 0);
+
+  const hit =
+    (unitKeyHint && entries.find((u) => u.unitKey === unitKeyHint)) ||
+    (ch && entries.find((u) => norm(u.title) === ch)) ||
+    (ch && entries.find((u) => norm(u.title).includes(ch) || ch.includes(norm(u.title)))) ||
+    (number && entries.find((u) => u.order === number)) ||
+    null;
+  return hit ? { subjectKey: bookKey, unitKey: hit.unitKey, title: hit.title } : null;
+}
+
+export async function loadSubjectAnalytics({ studentId, packageId, subjectKey, gradeKey }) {
+  const pkg = await getValue([`Platform1/companyExams/packages/${packageId}`, `companyExams/packages/${packageId}`]);
+  const subject = pkg?.subjects?.[subjectKey];
+  if (!subject) return null;
+  const subjectName = subject.name || subjectKey;
+
+  const [exams, books] = await Promise.all([
+    getValue([`Platform1/companyExams/exams`, `companyExams/exams`]),
+    gradeKey ? getValue([`Platform1/TextBooks/${gradeKey}`]) : null,
+  ]);
+  const bookKey = findBook(books, subjectKey, subjectName);
+
+  const rounds = await Promise.all(
+    Object.keys(subject.rounds || {}).map(async (roundId) => {
+      const round = subject.rounds[roundId] || {};
+      const node = studentId && round.examId
+        ? await getValue([`Platform1/attempts/company/${studentId}/${round.examId}`], { cache: false })
+        : null;
+      return { roundId, round, name: round.name || exams?.[round.examId]?.name || roundId, attempts: visibleAttempts(node, round) };
+    })
+  );
+
+  const byChapter = {};
+  const trend = [];
+  let seconds = 0;
+  let questions = 0;
+
+  rounds.forEach(({ round, name, attempts }) => {
+    const chapter = round.chapter || NO_CHAPTER;
+    const entry = byChapter[chapter] || (byChapter[chapter] = { chapter, roundScores: [], totalRounds: 0, attempts: 0, unitKeyHint: null });
+    entry.totalRounds += 1;
+    entry.attempts += attempts.length;
+    entry.unitKeyHint = entry.unitKeyHint || round.unitKey || null;
+    if (attempts.length) entry.roundScores.push(mean(attempts.slice(-RECENT_ATTEMPTS).map((a) => Number(a.scorePercent))));
+
+    attempts.forEach((a) => {
+      trend.push({ at: toMsTs(a.endTime || a.gradedAt), percent: Number(a.scorePercent), roundName: name });
+      const start = toMsTs(a.startTime);
+      const end = toMsTs(a.endTime);
+      const count = Number(a.totalCount || 0);
+      if (start && end > start && count) {
+        seconds += (end - start) / 1000;
+        questions += count;
+      }
+    });
+  });
+
+  const chapters = Object.values(byChapter)
+    .map(({ roundScores, unitKeyHint, ...c }) => ({
+      ...c,
+      mastery: mean(roundScores),
+      attemptedRounds: roundScores.length,
+      unit: bookKey ? matchTextbookUnit(books, bookKey, c.chapter, unitKeyHint) : null,
+    }))
+    .sort((a, b) => (a.chapter === NO_CHAPTER) - (b.chapter === NO_CHAPTER) || a.chapter.localeCompare(b.chapter));
+
+  const weakest = chapters
+    .filter((c) => c.mastery != null && c.mastery < MASTERED_PERCENT)
+    .sort((a, b) => a.mastery - b.mastery)
+    .slice(0, WEAKEST_COUNT);
+
+  return {
+    subjectName,
+    chapters,
+    weakest,
+    trend: trend.sort((a, b) => a.at - b.at),
+    avgSecondsPerQuestion: questions ? seconds / questions : null,
+    overall: mean(chapters.filter((c) => c.mastery != null).map((c) => c.mastery)),
+  };
+}
@@ -0,0 +1,308 @@
+// Durable outbox behind safeUpdate / pushAndSet / safeSet (dbHelpers).
+//
+// Every write is stored in AsyncStorage before it is sent, so an answer, note or
+// chat message survives a dead connection or an app restart. Items are replayed
+// strictly in the order they were queued whenever `.info/connected` turns true.
+//
+//   online  -> write is sent right away; the caller waits for the server (up to SEND_TIMEOUT_MS)
+//   offline -> write is kept as "pending" and the caller resolves immediately with { queued: true }
+//   server rejects (e.g. permission denied) -> item becomes "failed" and stays visible until
+//   retryWrite / discardWrite
+//
+// Conflicts: last writer wins, by timestamp. A queued value that carries a numeric
+// `updatedAt` is dropped when the server copy already has a newer `updatedAt`
+// (another device saved later). Values without `updatedAt` are applied in queue
+// order, so the most recent local write wins.
+//
+// The outbox is stored per account (accountStorage.js): writes still queued when a
+// sibling switches accounts wait in that account's namespace until it signs in again.
+// Signed out, it is the device key "writeOutbox" (password reset requests): kept across
+// sign-out (session.js) and never handed to an account, so those writes are only sent
+// while nobody is signed in.
+//
+// Usage:
+//   const { id, queued } = await enqueueWrite({ [`Platform1/x/y`]: 1 }, { tag: "exam-answer" });
+//   const unsub = subscribeOutbox((items) => { ... });   // [{ id, status, tag, meta, ... }]
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { get, onValue, ref, update } from "firebase/database";
+import { database } from "../../constants/firebaseConfig";
+import { scopedKey } from "./accountStorage";
+
+const STORAGE_NAME = "writeOutbox";
+const SEND_TIMEOUT_MS = 10 * 1000;
+const MAX_FAILED = 50;
+
+let items = null; // loaded lazily from storage
+let loading = null;
+let storageKey = null; // namespaced key the items were loaded from
+let generation = 0; // bumped on sign-out; stale loads and flushes stop touching items
+let connected = null; // null until .info/connected reports
+let flushing = false;
+let flushAgain = false;
+let started = false;
+
+const listeners = new Set();
+const waiters = new Map(); // id -> [{ resolve, reject }]
+const recentlySent = new Set();
+
+function makeId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("timeout")), ms);
+    promise.then(
+      (v) => { clearTimeout(timer); resolve(v); },
+      (e) => { clearTimeout(timer); reject(e); }
+    );
+  });
+}
+
+// firebase reports rules/validation problems with a code; anything else is treated as connectivity
+function isPermanentError(err) {
+  const code = String(err?.code || err?.message || "").toLowerCase();
+  return code.includes("permission") || code.includes("invalid") || code.includes("validation");
+}
+
+async function loadItems() {
+  if (items) return items;
+  if (!loading) {
+    const gen = generation;
+    loading = (async () => {
+      let loaded = [];
+      const key = await scopedKey(STORAGE_NAME);
+      try {
+        const raw = await AsyncStorage.getItem(key);
+        const parsed = raw ? JSON.parse(raw) : [];
+        loaded = Array.isArray(parsed) ? parsed : [];
+      } catch {}
+      if (gen === generation) {
+        items = loaded;
+        storageKey = key;
+      }
+      return items || [];
+    })();
+  }
+  return loading;
+}
+
+async function persist() {
+  if (!items || !storageKey) return;
+  try {
+    await AsyncStorage.setItem(storageKey, JSON.stringify(items));
+  } catch {}
+}
+
+function notify() {
+  const snapshot = (items || []).map((it) => ({ ...it }));
+  listeners.forEach((fn) => {
+    try { fn(snapshot); } catch {}
+  });
+}
+
+function settle(id, err) {
+  const list = waiters.get(id);
+  if (!list) return;
+  waiters.delete(id);
+  list.forEach(({ resolve, reject }) => (err ? reject(err) : resolve()));
+}
+
+/**
+ * Drop entries that lost a last-writer-wins check against the server.
+ */
+async function applyConflictRule(patch) {
+  const out = {};
+  for (const path of Object.keys(patch)) {
+    const value = patch[path];
+    const localTs = value && typeof value === "object" ? Number(value.updatedAt) : NaN;
+    if (!Number.isFinite(localTs)) {
+      out[path] = value;
+      continue;
+    }
+    const remote = await get(ref(database, `${path}/updatedAt`));
+    const remoteTs = Number(remote?.exists() ? remote.val() : 0);
+    if (!(remoteTs > localTs)) out[path] = value;
+  }
+  return out;
+}
+
+async function sendItem(item) {
+  const patch = await applyConflictRule(item.patch);
+  if (Object.keys(patch).length) {
+    await withTimeout(update(ref(database), patch), SEND_TIMEOUT_MS);
+  }
+}
+
+/**
+ * Replay pending items in order. Stops at the first connectivity problem so later
+ * writes never land before earlier ones.
+ */
+export async function flushOutbox() {
+  if (flushing) {
+    flushAgain = true;
+    return;
+  }
+  flushing = true;
+  flushAgain = false;
+  const gen = generation;
+  try {
+    await loadItems();
+    while (gen === generation && items) {
+      const item = items.find((it) => it.status === "pending");
+      if (!item) break;
+      if (connected === false) break;
+
+      try {
+        await sendItem(item);
+        if (gen !== generation) break;
+        items = items.filter((it) => it.id !== item.id);
+        recentlySent.add(item.id);
+        await persist();
+        notify();
+        settle(item.id);
+      } catch (err) {
+        if (gen !== generation) break;
+        item.attempts = Number(item.attempts || 0) + 1;
+        item.lastError = String(err?.code || err?.message || err);
+        if (!isPermanentError(err)) {
+          await persist();
+          notify();
+          break;
+        }
+        item.status = "failed";
+        trimFailed();
+        await persist();
+        notify();
+        settle(item.id, err);
+      }
+    }
+  } finally {
+    flushing = false;
+  }
+  if (flushAgain && connected !== false) await flushOutbox();
+}
+
+function trimFailed() {
+  const failed = items.filter((it) => it.status === "failed");
+  if (failed.length <= MAX_FAILED) return;
+  const drop = new Set(failed.slice(0, failed.length - MAX_FAILED).map((it) => it.id));
+  items = items.filter((it) => !drop.has(it.id));
+}
+
+/**
+ * Start watching connectivity and replay anything left from a previous session.
+ * Safe to call more than once.
+ */
+export function startWriteQueue() {
+  if (started) return;
+  started = true;
+  try {
+    onValue(ref(database, ".info/connected"), (snap) => {
+      connected = !!snap.val();
+      if (connected) flushOutbox().catch(() => {});
+    });
+  } catch {}
+  flushOutbox().catch(() => {});
+}
+
+export function isOnline() {
+  return connected !== false;
+}
+
+/**
+ * Queue a multi-path update map and try to send it.
+ * Resolves { id, queued } — queued is true when the write is still waiting for a connection.
+ * Rejects only when the server refused the write.
+ */
+export async function enqueueWrite(patch, options = {}) {
+  startWriteQueue();
+  await loadItems();
+
+  const item = {
+    id: makeId(),
+    patch,
+    tag: options.tag || null,
+    meta: options.meta || null,
+    status: "pending",
+    attempts: 0,
+    lastError: null,
+    queuedAt: Date.now(),
+  };
+  items = [...items, item];
+  await persist();
+  notify();
+
+  if (connected === false) return { id: item.id, queued: true };
+
+  const done = new Promise((resolve, reject) => {
+    const list = waiters.get(item.id) || [];
+    list.push({ resolve, reject });
+    waiters.set(item.id, list);
+  });
+  flushOutbox().catch(() => {});
+
+  try {
+    await withTimeout(done, SEND_TIMEOUT_MS);
+    return { id: item.id, queued: false };
+  } catch (err) {
+    if (String(err?.message) === "timeout") return { id: item.id, queued: true };
+    throw err;
+  }
+}
+
+/**
+ * "pending" | "failed" | "sent" | null (unknown id).
+ */
+export function getWriteStatus(id) {
+  const item = (items || []).find((it) => it.id === id);
+  if (item) return item.status;
+  return recentlySent.has(id) ? "sent" : null;
+}
+
+export async function getOutboxItems() {
+  await loadItems();
+  return (items || []).map((it) => ({ ...it }));
+}
+
+/**
+ * Subscribe to outbox changes. fn receives the full item list. Returns an unsubscribe function.
+ */
+export function subscribeOutbox(fn) {
+  listeners.add(fn);
+  loadItems().then(() => {
+    if (listeners.has(fn)) fn((items || []).map((it) => ({ ...it })));
+  });
+  return () => listeners.delete(fn);
+}
+
+export async function retryWrite(id) {
+  await loadItems();
+  const item = items.find((it) => it.id === id);
+  if (!item) return;
+  item.status = "pending";
+  await persist();
+  notify();
+  flushOutbox().catch(() => {});
+}
+
+export async function discardWrite(id) {
+  await loadItems();
+  items = items.filter((it) => it.id !== id);
+  await persist();
+  notify();
+}
+
+/**
+ * Unload the outbox on sign-out. Anything still queued stays in the signed-out
+ * account's namespace, so the next account never replays it.
+ */
+export async function resetWriteQueue() {
+  generation += 1;
+  items = null;
+  loading = null;
+  storageKey = null;
+  waiters.forEach((list, id) => settle(id, new Error("signed out")));
+  recentlySent.clear();
+  notify();
+}
@@ -15,10 +15,9 @@ import {
   Keyboard,
   Modal,
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import { useRouter } from "expo-router";
 import { Ionicons } from "@expo/vector-icons";
-import { ref, push, update, get, onValue, off } from "firebase/database";
+import { ref, push, update, get, onValue, off, increment } from "firebase/database";
 import { getStorage, ref as storageRef, uploadBytes, getDownloadURL } from "firebase/storage";
 import * as ImagePicker from "expo-image-picker";
 import { database } from "../constants/firebaseConfig";
@@ -26,6 +25,11 @@ import { getOpenedChat, clearOpenedChat } from "./lib/chatStore";
 import { useSafeAreaInsets, SafeAreaView } from "react-native-safe-area-context";
 // school-aware helpers
 import { getUserVal } from "./lib/userHelpers";
+import { getSchoolKey, schoolPrefix, schoolRef } from "./lib/schoolRepo";
+import { safeUpdate } from "./lib/dbHelpers";
+import { subscribeOutbox, retryWrite } from "./lib/writeQueue";
+import { getSession } from "./lib/session";
+import { getAccountItem, setAccountItem } from "./lib/accountStorage";
 
 /**
  * app/messages.jsx
@@ -33,7 +37,7 @@ import { getUserVal } from "./lib/userHelpers";
  *     Platform1/Schools/{schoolKey}/Users/{nodeKey}
  *   (and falls back to root /Users if no schoolKey saved).
  *
- * - Uses school-aware Chats path when schoolKey is present:
+ * - Uses school-aware Chats path (lib/schoolRepo) when schoolKey is present:
  *     Platform1/Schools/{schoolKey}/Chats/{chatId}
  *
  * Notes:
@@ -77,16 +81,9 @@ function dateLabelForTs(ts) {
   return date.toLocaleDateString();
 }
 
-// return prefix path (empty or "Platform1/Schools/{schoolKey}/")
+// return prefix path (empty or "Platform1/Schools/{schoolKey}/"); refs come from schoolRef
 async function getPathPrefix() {
-  const sk = (await AsyncStorage.getItem("schoolKey")) || null;
-  return sk ? `Platform1/Schools/${sk}/` : "";
-}
-
-// return a ref for a subpath (school-aware)
-async function getDbRef(subPath) {
-  const prefix = await getPathPrefix();
-  return ref(database, `${prefix}${subPath}`);
+  return schoolPrefix(await getSchoolKey());
 }
 
 export default function MessagesScreen(props) {
@@ -119,6 +116,7 @@ export default function MessagesScreen(props) {
   const [sending, setSending] = useState(false);
   const [text, setText] = useState("");
   const [lastMessageMeta, setLastMessageMeta] = useState(null);
+  const [outboxMessages, setOutboxMessages] = useState([]); // [{ outboxId, status, message }]
 
   const [keyboardHeight, setKeyboardHeight] = useState(0);
   const [keyboardVisible, setKeyboardVisible] = useState(false);
@@ -139,12 +137,9 @@ export default function MessagesScreen(props) {
   useEffect(() => {
     let mounted = true;
     (async () => {
-      let uId = await AsyncStorage.getItem("userId");
-      const nodeKey =
-        (await AsyncStorage.getItem("userNodeKey")) ||
-        (await AsyncStorage.getItem("studentNodeKey")) ||
-        (await AsyncStorage.getItem("studentId")) ||
-        null;
+      const session = await getSession();
+      let uId = session?.userId || null;
+      const nodeKey = session?.userNodeKey || session?.studentId || null;
 
       if (!uId && nodeKey) {
         try {
@@ -196,10 +191,10 @@ export default function MessagesScreen(props) {
     const c1 = makeDeterministicChatId(userA, userB);
     const c2 = makeDeterministicChatId(userB, userA);
     try {
-      const r1 = await getDbRef(`Chats/${c1}`);
+      const r1 = await schoolRef(`Chats/${c1}`);
       const s1 = await get(r1);
       if (s1.exists()) return c1;
-      const r2 = await getDbRef(`Chats/${c2}`);
+      const r2 = await schoolRef(`Chats/${c2}`);
       const s2 = await get(r2);
       if (s2.exists()) return c2;
       if (!createIfMissing) return null;
@@ -232,7 +227,7 @@ export default function MessagesScreen(props) {
         return;
       }
       setLoading(true);
-      const msgsRef = await getDbRef(`Chats/${chatId}/messages`);
+      const msgsRef = await schoolRef(`Chats/${chatId}/messages`);
       messagesRefRef.current = msgsRef;
 
       const listener = onValue(msgsRef, (snap) => {
@@ -303,7 +298,7 @@ export default function MessagesScreen(props) {
       return;
     }
     (async () => {
-      const lastRef = await getDbRef(`Chats/${chatId}/lastMessage`);
+      const lastRef = await schoolRef(`Chats/${chatId}/lastMessage`);
       lastMessageRefRef.current = lastRef;
       const unsub = onValue(lastRef, (snap) => {
         if (snap.exists()) setLastMessageMeta(snap.val());
@@ -350,9 +345,9 @@ export default function MessagesScreen(props) {
 
   const getResolvedUserId = async () => {
     if (currentUserId) return currentUserId;
-    let uId = await AsyncStorage.getItem("userId");
-    if (uId) return uId;
-    const nodeKey = await AsyncStorage.getItem("userNodeKey") || await AsyncStorage.getItem("studentNodeKey") || await AsyncStorage.getItem("studentId") || null;
+    const session = await getSession();
+    if (session?.userId) return session.userId;
+    const nodeKey = session?.userNodeKey || session?.studentId || null;
     if (!nodeKey) return null;
     try {
       const v = await getUserVal(nodeKey);
@@ -364,7 +359,7 @@ export default function MessagesScreen(props) {
   // helper: update chatsCache in AsyncStorage so Chats shows optimistic lastMessage instantly
   async function updateChatsCacheWithLastMessage({ contactKeyLocal, contactUserIdLocal, lastMessageText, timeStamp, lastSenderId = null, lastSeen = false }) {
     try {
-      const raw = await AsyncStorage.getItem("chatsCache");
+      const raw = await getAccountItem("chatsCache");
       const cache = raw ? JSON.parse(raw) : [];
       let updated = false;
       const tsNum = Number(timeStamp || Date.now());
@@ -406,8 +401,8 @@ export default function MessagesScreen(props) {
         updated = true;
       }
       if (updated) {
-        await AsyncStorage.setItem("chatsCache", JSON.stringify(cache));
-        await AsyncStorage.setItem("chatsCacheFetchedAt", String(Date.now()));
+        await setAccountItem("chatsCache", JSON.stringify(cache));
+        await setAccountItem("chatsCacheFetchedAt", String(Date.now()));
       }
     } catch (e) {
       // ignore cache update errors
@@ -471,7 +466,7 @@ export default function MessagesScreen(props) {
         setChatId(chatKeyLocal);
       }
 
-      const messageId = push(await getDbRef(`Chats/${chatKeyLocal}/messages`)).key;
+      const messageId = push(await schoolRef(`Chats/${chatKeyLocal}/messages`)).key;
       const now = Date.now();
 
       const localMessage = {
@@ -537,7 +532,7 @@ export default function MessagesScreen(props) {
       // resync
       setTimeout(async () => {
         try {
-          const snap = await get(await getDbRef(`Chats/${chatKeyLocal}/messages`));
+          const snap = await get(await schoolRef(`Chats/${chatKeyLocal}/messages`));
           if (snap.exists()) {
             const arr = [];
             snap.forEach((c) => {
@@ -572,7 +567,7 @@ export default function MessagesScreen(props) {
     }
 
     const now = Date.now();
-    const messageId = push(await getDbRef(`Chats/${chatKeyLocal}/messages`)).key;
+    const messageId = push(await schoolRef(`Chats/${chatKeyLocal}/messages`)).key;
     const messageObj = {
       messageId,
       senderId: cu,
@@ -615,7 +610,7 @@ export default function MessagesScreen(props) {
 
       setTimeout(async () => {
         try {
-          const snap = await get(await getDbRef(`Chats/${chatKeyLocal}/messages`));
+          const snap = await get(await schoolRef(`Chats/${chatKeyLocal}/messages`));
           if (snap.exists()) {
             const arr = [];
             snap.forEach((c) => {
@@ -658,7 +653,7 @@ export default function MessagesScreen(props) {
         setChatId(chatKeyLocal);
       }
 
-      const messageId = push(await getDbRef(`Chats/${chatKeyLocal}/messages`)).key;
+      const messageId = push(await schoolRef(`Chats/${chatKeyLocal}/messages`)).key;
       const messageObj = {
         messageId,
         senderId: cu,
@@ -671,24 +666,22 @@ export default function MessagesScreen(props) {
         deleted: false,
       };
 
-      // read chat snapshot under school-aware path
-      const chatSnap = await get(await getDbRef(`Chats/${chatKeyLocal}`));
-      let unreadObj = {};
-      if (chatSnap.exists()) unreadObj = chatSnap.child("unread").val() || {};
+      // read chat snapshot under school-aware path (unreachable offline: fall back to the two of us)
+      let chatSnap = null;
+      try {
+        chatSnap = await get(await schoolRef(`Chats/${chatKeyLocal}`));
+      } catch {}
 
+      // increment() instead of read+1 so a message replayed from the outbox still counts correctly
       const unreadUpdates = {};
       const prefix = await getPathPrefix();
-      if (chatSnap.exists()) {
+      if (chatSnap?.exists()) {
         const parts = chatSnap.child("participants").val() || {};
         Object.keys(parts).forEach((p) => {
-          if (p === cu) unreadUpdates[`${prefix}Chats/${chatKeyLocal}/unread/${p}`] = 0;
-          else {
-            const prev = typeof unreadObj[p] === "number" ? unreadObj[p] : 0;
-            unreadUpdates[`${prefix}Chats/${chatKeyLocal}/unread/${p}`] = prev + 1;
-          }
+          unreadUpdates[`${prefix}Chats/${chatKeyLocal}/unread/${p}`] = p === cu ? 0 : increment(1);
         });
       } else {
-        unreadUpdates[`${prefix}Chats/${chatKeyLocal}/unread/${contactUserId}`] = (unreadObj[contactUserId] || 0) + 1;
+        unreadUpdates[`${prefix}Chats/${chatKeyLocal}/unread/${contactUserId}`] = increment(1);
         unreadUpdates[`${prefix}Chats/${chatKeyLocal}/unread/${cu}`] = 0;
       }
 
@@ -718,13 +711,18 @@ export default function MessagesScreen(props) {
         lastSeen: false,
       }).catch(() => {});
 
-      // write to server
-      await update(ref(database), updates);
+      // write to server (kept in the outbox when offline)
+      const { queued } = await safeUpdate(updates, {
+        tag: "chat-message",
+        meta: { chatId: chatKeyLocal, messageId },
+      });
+      setText("");
+      if (queued) return;
 
       // re-sync after short delay
       setTimeout(async () => {
         try {
-          const snap = await get(await getDbRef(`Chats/${chatKeyLocal}/messages`));
+          const snap = await get(await schoolRef(`Chats/${chatKeyLocal}/messages`));
           if (snap.exists()) {
             const arr = [];
             snap.forEach((c) => {
@@ -738,8 +736,6 @@ export default function MessagesScreen(props) {
           console.warn("[Messages:send] resync error", e);
         }
       }, 900);
-
-      setText("");
     } catch (err) {
       console.warn("[Messages:send] error", err);
       Alert.alert("Send failed", "Could not send message — try again.");
@@ -781,11 +777,37 @@ export default function MessagesScreen(props) {
     setViewerVisible(true);
   }
 
+  // messages of this chat still waiting in the offline outbox
+  useEffect(() => {
+    if (!chatId) return;
+    return subscribeOutbox((items) => {
+      const mine = items
+        .filter((it) => it.tag === "chat-message" && it.meta?.chatId === chatId)
+        .map((it) => {
+          const key = Object.keys(it.patch || {}).find((k) => k.endsWith(`/messages/${it.meta.messageId}`));
+          return { outboxId: it.id, status: it.status, message: key ? it.patch[key] : null };
+        })
+        .filter((x) => x.message);
+      setOutboxMessages(mine);
+    });
+  }, [chatId]);
+
+  const outboxByMessageId = useMemo(() => {
+    const map = {};
+    outboxMessages.forEach((o) => { map[o.message.messageId] = o; });
+    return map;
+  }, [outboxMessages]);
+
   // Build display items with date separators
   const displayItems = useMemo(() => {
     const items = [];
     let lastDateLabel = null;
-    messages.forEach((m) => {
+    const known = new Set(messages.map((m) => m.messageId));
+    const merged = [
+      ...messages,
+      ...outboxMessages.filter((o) => !known.has(o.message.messageId)).map((o) => o.message),
+    ].sort((a, b) => Number(a.timeStamp || 0) - Number(b.timeStamp || 0));
+    merged.forEach((m) => {
       const label = dateLabelForTs(m.timeStamp);
       if (label !== lastDateLabel) {
         items.push({ type: "date", id: `date-${m.timeStamp}`, label });
@@ -794,7 +816,7 @@ export default function MessagesScreen(props) {
       items.push({ type: "message", ...m });
     });
     return items;
-  }, [messages]);
+  }, [messages, outboxMessages]);
 
   const renderDateSeparator = (label) => (
     <View style={styles.dateSeparator}>
@@ -818,6 +840,7 @@ export default function MessagesScreen(props) {
     const isLastMessage =
       lastMessageMeta && m.messageId && lastMessageMeta.timeStamp && Number(lastMessageMeta.timeStamp) === Number(m.timeStamp);
     const seenFlag = !!m.seen || (isLastMessage && !!lastMessageMeta?.seen);
+    const outbox = outboxByMessageId[m.messageId] || null;
 
     // image message
     if (m.type === "image") {
@@ -875,7 +898,13 @@ export default function MessagesScreen(props) {
             <Text style={[styles.bubbleText, isMe ? styles.bubbleTextRight : styles.bubbleTextLeft]}>{m.deleted ? "Message deleted" : m.text}</Text>
             <View style={styles.bubbleMetaRow}>
               <Text style={[styles.bubbleTime, isMe ? styles.bubbleTimeRight : styles.bubbleTimeLeft]}>{fmtTime12(m.timeStamp)}</Text>
-              {isMe && (
+              {isMe && outbox?.status === "failed" ? (
+                <TouchableOpacity onPress={() => retryWrite(outbox.outboxId)} hitSlop={8}>
+                  <Ionicons name="alert-circle" size={14} color="#FFD2D2" style={{ marginLeft: 8 }} />
+                </TouchableOpacity>
+              ) : isMe && outbox ? (
+                <Ionicons name="time-outline" size={14} color="rgba(255,255,255,0.75)" style={{ marginLeft: 8 }} />
+              ) : isMe && (
                 <Ionicons
                   name={seenFlag ? "checkmark-done" : "checkmark"}
                   size={14}
@@ -0,0 +1,356 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Platform,
+  StatusBar,
+} from "react-native";
+import { useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { getSession } from "./lib/session";
+import {
+  attachQuestions,
+  DEFAULT_CLEAR_AFTER_STREAK,
+  getClearAfterStreak,
+  groupMistakes,
+  loadMistakes,
+  recordRetry,
+} from "./lib/mistakeNotebook";
+import { isAnswered } from "./lib/questionTypes";
+import { availableLanguages, DEFAULT_LANGUAGE, getQuestionLanguage } from "./lib/questionLanguage";
+import { PracticeQuestion } from "../components/practice-question";
+import { LanguageToggle } from "../components/language-toggle";
+
+const C = {
+  primary: "#0B72FF",
+  muted: "#6B78A8",
+  bg: "#FFFFFF",
+  text: "#0B2540",
+  border: "#EAF0FF",
+  success: "#16A34A",
+};
+
+function shuffle(list) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+export default function MistakesScreen() {
+  const router = useRouter();
+
+  const [studentId, setStudentId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [clearAfter, setClearAfter] = useState(DEFAULT_CLEAR_AFTER_STREAK);
+  const [expanded, setExpanded] = useState(null);
+
+  // practice session: stage "list" | "loading" | "practice" | "done"
+  const [stage, setStage] = useState("list");
+  const [queue, setQueue] = useState([]);
+  const [index, setIndex] = useState(0);
+  const [answer, setAnswer] = useState(null);
+  const [outcome, setOutcome] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [tally, setTally] = useState({ correct: 0, cleared: 0 });
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+
+  const load = useCallback(async () => {
+    const session = await getSession();
+    const sid = session?.examUserId || null;
+    setStudentId(sid);
+    const [list, streak, lang] = await Promise.all([loadMistakes(sid), getClearAfterStreak(), getQuestionLanguage()]);
+    setEntries(list);
+    setClearAfter(streak);
+    setLanguage(lang);
+  }, []);
+
+  useEffect(() => {
+    load().finally(() => setLoading(false));
+  }, [load]);
+
+  const onRefresh = useCallback(async () => {
+    setRefreshing(true);
+    await load();
+    setRefreshing(false);
+  }, [load]);
+
+  const subjects = useMemo(() => groupMistakes(entries), [entries]);
+
+  const startPractice = useCallback(async (items) => {
+    setStage("loading");
+    const withQuestions = await attachQuestions(items);
+    if (!withQuestions.length) {
+      setStage("list");
+      return;
+    }
+    setQueue(shuffle(withQuestions));
+    setIndex(0);
+    setAnswer(null);
+    setOutcome(null);
+    setTally({ correct: 0, cleared: 0 });
+    setStage("practice");
+  }, []);
+
+  const current = queue[index] || null;
+  const q = current?.question || null;
+
+  const check = async () => {
+    if (!current || checking || !isAnswered(q, answer)) return;
+    setChecking(true);
+    try {
+      const res = await recordRetry(studentId, current, answer, clearAfter);
+      setOutcome(res);
+      setTally((t) => ({ correct: t.correct + (res.correct ? 1 : 0), cleared: t.cleared + (res.cleared ? 1 : 0) }));
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const next = () => {
+    if (index >= queue.length - 1) {
+      setStage("done");
+      return;
+    }
+    setIndex((i) => i + 1);
+    setAnswer(null);
+    setOutcome(null);
+  };
+
+  const finish = async () => {
+    setStage("list");
+    setLoading(true);
+    await load();
+    setLoading(false);
+  };
+
+  const safeAreaPaddingTop = Platform.OS === "android" ? (StatusBar.currentHeight || 0) : 0;
+
+  if (loading || stage === "loading") {
+    return (
+      <SafeAreaView style={[styles.loadingWrap, { paddingTop: safeAreaPaddingTop }]}>
+        <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+        <ActivityIndicator size="large" color={C.primary} />
+      </SafeAreaView>
+    );
+  }
+
+  if (stage === "practice" && current) {
+    return (
+      <SafeAreaView style={[styles.safeRoot, { paddingTop: safeAreaPaddingTop }]}>
+        <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+        <View style={styles.headerBar}>
+          <TouchableOpacity onPress={finish} style={styles.backBtn}>
+            <Ionicons name="close" size={22} color={C.text} />
+          </TouchableOpacity>
+          <View style={{ flex: 1, marginLeft: 10 }}>
+            <Text style={styles.title}>Practice mistakes</Text>
+            <Text style={styles.subtitle}>
+              Question {index + 1} / {queue.length} · {current.subjectName}
+              {current.chapter ? ` · ${current.chapter}` : ""}
+            </Text>
+          </View>
+          <LanguageToggle languages={availableLanguages(queue.map((e) => e.question))} value={language} onChange={setLanguage} />
+        </View>
+
+        <View style={styles.progressTrack}>
+          <View style={[styles.progressFill, { width: `${((index + (outcome ? 1 : 0)) / queue.length) * 100}%` }]} />
+        </View>
+
+        <ScrollView contentContainerStyle={styles.body}>
+          <PracticeQuestion
+            question={q}
+            language={language}
+            value={answer}
+            onChange={setAnswer}
+            feedback={
+              outcome
+                ? {
+                    correct: outcome.correct,
+                    text: outcome.correct
+                      ? outcome.cleared
+                        ? "Correct ✅ Removed from your mistakes"
+                        : `Correct ✅ ${outcome.streak} / ${clearAfter} in a row`
+                      : outcome.credit > 0
+                        ? `Partly correct (${Math.round(outcome.credit * 100)}%)`
+                        : "Wrong ❌",
+                    correctAnswer: current.correctAnswer,
+                    explanation: current.explanation,
+                    explanationTranslations: current.explanationTranslations,
+                  }
+                : null
+            }
+          />
+        </ScrollView>
+
+        <View style={styles.footer}>
+          {outcome ? (
+            <TouchableOpacity style={styles.primaryBtn} onPress={next}>
+              <Text style={styles.primaryBtnText}>{index >= queue.length - 1 ? "Finish" : "Next"}</Text>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              style={[styles.primaryBtn, !isAnswered(q, answer) || checking ? { opacity: 0.55 } : null]}
+              disabled={!isAnswered(q, answer) || checking}
+              onPress={check}
+            >
+              <Text style={styles.primaryBtnText}>{checking ? "Checking…" : "Check answer"}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (stage === "done") {
+    return (
+      <SafeAreaView style={[styles.safeRoot, { paddingTop: safeAreaPaddingTop }]}>
+        <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+        <View style={styles.doneWrap}>
+          <Ionicons name="checkmark-done-circle" size={64} color={C.primary} />
+          <Text style={styles.doneTitle}>Practice complete</Text>
+          <Text style={styles.doneText}>
+            {tally.correct} of {queue.length} correct
+            {tally.cleared ? ` · ${tally.cleared} cleared from your mistakes` : ""}
+          </Text>
+          <TouchableOpacity style={[styles.primaryBtn, { alignSelf: "stretch", marginTop: 24 }]} onPress={finish}>
+            <Text style={styles.primaryBtnText}>Back to my mistakes</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={[styles.safeRoot, { paddingTop: safeAreaPaddingTop }]}>
+      <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+      <View style={styles.headerBar}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backBtn}>
+          <Ionicons name="chevron-back" size={22} color={C.text} />
+        </TouchableOpacity>
+        <View style={{ flex: 1, marginLeft: 10 }}>
+          <Text style={styles.title}>My mistakes</Text>
+          <Text style={styles.subtitle}>
+            {entries.length} question{entries.length === 1 ? "" : "s"} · answer {clearAfter} times in a row to clear
+          </Text>
+        </View>
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.body}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} tintColor={C.primary} />}
+      >
+        {subjects.length === 0 ? (
+          <View style={styles.emptyWrap}>
+            <Ionicons name="sparkles-outline" size={36} color={C.muted} />
+            <Text style={styles.emptyTitle}>No mistakes to practice</Text>
+            <Text style={styles.emptyText}>Questions you miss in challenges show up here once their review is available.</Text>
+          </View>
+        ) : (
+          <>
+            <TouchableOpacity style={styles.primaryBtn} onPress={() => startPractice(entries)}>
+              <Text style={styles.primaryBtnText}>Practice all ({entries.length})</Text>
+            </TouchableOpacity>
+
+            {subjects.map((subject) => {
+              const open = expanded === subject.subjectKey;
+              return (
+                <View key={subject.subjectKey} style={styles.subjectCard}>
+                  <TouchableOpacity
+                    style={styles.subjectHead}
+                    onPress={() => setExpanded(open ? null : subject.subjectKey)}
+                  >
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.subjectName}>{subject.subjectName}</Text>
+                      <Text style={styles.subjectMeta}>
+                        {subject.count} question{subject.count === 1 ? "" : "s"} · {subject.chapters.length} chapter
+                        {subject.chapters.length === 1 ? "" : "s"}
+                      </Text>
+                    </View>
+                    <Ionicons name={open ? "chevron-up" : "chevron-down"} size={18} color={C.muted} />
+                  </TouchableOpacity>
+
+                  {open
+                    ? subject.chapters.map((ch) => {
+                        const wrongs = ch.items.reduce((sum, e) => sum + Number(e.wrongCount || 1), 0);
+                        const streaks = ch.items.reduce((sum, e) => sum + Math.min(clearAfter, Number(e.correctStreak || 0)), 0);
+                        return (
+                          <View key={ch.chapter} style={styles.chapterRow}>
+                            <View style={{ flex: 1 }}>
+                              <Text style={styles.chapterName}>{ch.chapter}</Text>
+                              <Text style={styles.chapterMeta}>
+                                {ch.items.length} question{ch.items.length === 1 ? "" : "s"} · missed {wrongs} time
+                                {wrongs === 1 ? "" : "s"}
+                              </Text>
+                              <View style={styles.streakTrack}>
+                                <View
+                                  style={[styles.streakFill, { width: `${(streaks / (ch.items.length * clearAfter)) * 100}%` }]}
+                                />
+                              </View>
+                            </View>
+                            <TouchableOpacity style={styles.practiceBtn} onPress={() => startPractice(ch.items)}>
+                              <Text style={styles.practiceBtnText}>Practice</Text>
+                            </TouchableOpacity>
+                          </View>
+                        );
+                      })
+                    : null}
+                </View>
+              );
+            })}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeRoot: { flex: 1, backgroundColor: C.bg },
+  loadingWrap: { flex: 1, backgroundColor: C.bg, justifyContent: "center", alignItems: "center" },
+
+  headerBar: { minHeight: 62, paddingHorizontal: 16, flexDirection: "row", alignItems: "center", backgroundColor: C.bg },
+  backBtn: { width: 40, height: 40, borderRadius: 10, alignItems: "center", justifyContent: "center", backgroundColor: "#F7F9FF" },
+  title: { fontSize: 18, fontWeight: "900", color: C.text },
+  subtitle: { marginTop: 2, color: C.muted, fontSize: 12 },
+
+  body: { flexGrow: 1, paddingHorizontal: 16, paddingBottom: 24 },
+
+  emptyWrap: { alignItems: "center", paddingVertical: 48, paddingHorizontal: 24 },
+  emptyTitle: { marginTop: 10, fontSize: 16, fontWeight: "900", color: C.text },
+  emptyText: { marginTop: 6, color: C.muted, textAlign: "center", lineHeight: 20 },
+
+  subjectCard: { marginTop: 12, borderWidth: 1, borderColor: C.border, borderRadius: 14, backgroundColor: "#fff", overflow: "hidden" },
+  subjectHead: { flexDirection: "row", alignItems: "center", padding: 14 },
+  subjectName: { fontSize: 16, fontWeight: "900", color: C.text },
+  subjectMeta: { marginTop: 2, color: C.muted, fontSize: 12, fontWeight: "700" },
+
+  chapterRow: { flexDirection: "row", alignItems: "center", borderTopWidth: 1, borderTopColor: C.border, padding: 14 },
+  chapterName: { fontWeight: "800", color: C.text },
+  chapterMeta: { marginTop: 2, color: C.muted, fontSize: 12 },
+  streakTrack: { marginTop: 8, height: 6, borderRadius: 999, backgroundColor: C.border, overflow: "hidden" },
+  streakFill: { height: 6, backgroundColor: C.success },
+  practiceBtn: { marginLeft: 12, backgroundColor: "#EEF4FF", borderRadius: 10, paddingVertical: 8, paddingHorizontal: 14 },
+  practiceBtnText: { color: C.primary, fontWeight: "800" },
+
+  progressTrack: { marginHorizontal: 16, marginTop: 8, height: 8, borderRadius: 999, backgroundColor: C.border, overflow: "hidden" },
+  progressFill: { height: 8, backgroundColor: C.primary },
+
+  footer: { marginHorizontal: 16, marginBottom: 12 },
+  primaryBtn: { marginTop: 12, backgroundColor: C.primary, borderRadius: 12, alignItems: "center", paddingVertical: 14 },
+  primaryBtnText: { color: "#fff", fontWeight: "900" },
+
+  doneWrap: { flex: 1, alignItems: "center", justifyContent: "center", paddingHorizontal: 24 },
+  doneTitle: { marginTop: 12, fontSize: 22, fontWeight: "900", color: C.text },
+  doneText: { marginTop: 8, color: C.muted, fontWeight: "700", textAlign: "center" },
+});
@@ -15,9 +15,12 @@ import {
   Animated,
 } from "react-native";
 import { useLocalSearchParams, useRouter } from "expo-router";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import { Ionicons, MaterialCommunityIcons } from "@expo/vector-icons";
 import { getValue, safeUpdate } from "./lib/dbHelpers";
+import { DEFAULT_MAX_LIVES, DEFAULT_REFILL_INTERVAL_MS } from "./lib/livesHelpers";
+import { useLives } from "../hooks/use-lives";
+import { serverNow } from "./lib/serverTime";
+import { getSession, setSessionGrade } from "./lib/session";
 
 if (Platform.OS === "android" && UIManager.setLayoutAnimationEnabledExperimental) {
   UIManager.setLayoutAnimationEnabledExperimental(true);
@@ -27,8 +30,6 @@ const PRIMARY = "#0B72FF";
 const BG = "#FFFFFF";
 const TEXT = "#0B2540";
 const MUTED = "#6B78A8";
-const HEART_REFILL_MS = 20 * 60 * 1000;
-const DEFAULT_GLOBAL_MAX_LIVES = 5;
 const HEART_COLOR = "#EF4444";
 
 function normalizeGrade(g) {
@@ -61,25 +62,6 @@ function getSubjectVisual(subjectKey, subjectName) {
   if (k.includes("geography")) return { icon: "earth", bg: "#ECFDF5", color: "#16A34A" };
   return { icon: "book-education-outline", bg: "#EEF4FF", color: PRIMARY };
 }
-function computeRefillState({ currentLives, maxLives, lastConsumedAt, refillMs, now = Date.now() }) {
-  const current = Number(currentLives ?? 0);
-  const max = Number(maxLives ?? 5);
-  const last = Number(lastConsumedAt ?? 0);
-  const interval = Number(refillMs ?? 0);
-
-  if (!interval || interval <= 0) return { currentLives: current, lastConsumedAt: last, recovered: 0, nextInMs: 0 };
-  if (current >= max) return { currentLives: current, lastConsumedAt: last, recovered: 0, nextInMs: 0 };
-  if (!last) return { currentLives: current, lastConsumedAt: now, recovered: 0, nextInMs: interval };
-
-  const elapsed = Math.max(0, now - last);
-  const recovered = Math.floor(elapsed / interval);
-  const newCurrent = Math.min(max, current + Math.max(0, recovered));
-  const newLast = recovered > 0 ? last + recovered * interval : last;
-  const nextInMs = newCurrent >= max ? 0 : Math.max(0, interval - ((now - newLast) % interval));
-
-  return { currentLives: newCurrent, lastConsumedAt: newLast, recovered, nextInMs };
-}
-
 export default function PackageSubjects() {
   const router = useRouter();
   const params = useLocalSearchParams();
@@ -93,14 +75,15 @@ export default function PackageSubjects() {
   const [expandedId, setExpandedId] = useState(null);
   const [packageType, setPackageType] = useState(null);
 
-  const [globalLives, setGlobalLives] = useState(null);
-  const [globalMaxLives, setGlobalMaxLives] = useState(DEFAULT_GLOBAL_MAX_LIVES);
-  const [globalRefillMs, setGlobalRefillMs] = useState(HEART_REFILL_MS);
-  const [globalLastConsumedAt, setGlobalLastConsumedAt] = useState(null);
+  const [studentId, setStudentId] = useState(null);
+  const lives = useLives(studentId);
+  const globalLives = lives.currentLives;
+  const globalMaxLives = lives.maxLives;
+  const globalRefillMs = lives.refillIntervalMs;
+  const nextHeartInMs = lives.nextInMs;
 
   const [showHeartInfoModal, setShowHeartInfoModal] = useState(false);
   const heartModalAnim = useRef(new Animated.Value(0)).current;
-  const [nextHeartInMs, setNextHeartInMs] = useState(0);
 
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
@@ -111,8 +94,8 @@ export default function PackageSubjects() {
 
   const [appExamConfig, setAppExamConfig] = useState({
     lives: {
-      defaultMaxLives: DEFAULT_GLOBAL_MAX_LIVES,
-      defaultRefillIntervalMs: HEART_REFILL_MS,
+      defaultMaxLives: DEFAULT_MAX_LIVES,
+      defaultRefillIntervalMs: DEFAULT_REFILL_INTERVAL_MS,
     },
     attempts: {
       practiceRefillEnabled: true,
@@ -121,9 +104,9 @@ export default function PackageSubjects() {
     },
   });
 
-  const [nowTs, setNowTs] = useState(Date.now());
+  const [nowTs, setNowTs] = useState(serverNow());
   useEffect(() => {
-    const t = setInterval(() => setNowTs(Date.now()), 1000);
+    const t = setInterval(() => setNowTs(serverNow()), 1000);
     return () => clearInterval(t);
   }, []);
 
@@ -151,24 +134,16 @@ export default function PackageSubjects() {
   }, []);
 
   const getStudentIdentity = useCallback(async () => {
-    const sid =
-      (await AsyncStorage.getItem("studentNodeKey")) ||
-      (await AsyncStorage.getItem("studentId")) ||
-      (await AsyncStorage.getItem("username")) ||
-      null;
+    const session = await getSession();
+    const sid = session?.examUserId || null;
 
     if (!sid) return { sid: null, gradeKey: null };
-
-    const fromStorage =
-      (await AsyncStorage.getItem("studentGrade")) ||
-      (await AsyncStorage.getItem("grade")) ||
-      "";
-    const normalized = String(fromStorage).toLowerCase().replace("grade", "").trim();
-    if (normalized) return { sid, gradeKey: `grade${normalized}` };
+    if (session.gradeKey) return { sid, gradeKey: session.gradeKey };
 
     const schoolCode = await getValue([`Platform1/schoolCodeIndex/${String(sid).slice(0, 3)}`]);
     const student = schoolCode ? await getValue([`Platform1/Schools/${schoolCode}/Students/${sid}`]) : null;
     const rawGrade = String(student?.basicStudentInformation?.grade || student?.grade || "").trim();
+    if (rawGrade) await setSessionGrade(rawGrade);
     return { sid, gradeKey: rawGrade ? `grade${rawGrade}` : null };
   }, []);
 
@@ -229,7 +204,7 @@ export default function PackageSubjects() {
   }, [getStudentIdentity, loadNotifications]);
 
   const buildWhatsNew = useCallback((subjectList) => {
-    const now = Date.now();
+    const now = serverNow();
     const DAY = 24 * 60 * 60 * 1000;
     const items = [];
 
@@ -275,13 +250,11 @@ export default function PackageSubjects() {
       }));
     }
 
-    const sid =
-      (await AsyncStorage.getItem("studentNodeKey")) ||
-      (await AsyncStorage.getItem("studentId")) ||
-      (await AsyncStorage.getItem("username")) ||
-      null;
+    const session = await getSession();
+    const sid = session?.examUserId || null;
+    setStudentId(sid);
 
-    const gradeStored = normalizeGrade(await AsyncStorage.getItem("studentGrade"));
+    const gradeStored = normalizeGrade(session?.gradeKey);
     const grade = normalizeGrade(incomingGrade) || gradeStored;
 
     const pkg = await getValue([
@@ -297,40 +270,6 @@ export default function PackageSubjects() {
     }
     setPackageType(pkg.type || null);
 
-    const defaultRefill = Number(cfg?.lives?.defaultRefillIntervalMs || HEART_REFILL_MS);
-    const defaultMax = Number(cfg?.lives?.defaultMaxLives || DEFAULT_GLOBAL_MAX_LIVES);
-
-    if (sid) {
-      const livesNode = await getValue([`Platform1/studentLives/${sid}`, `studentLives/${sid}`]);
-      if (livesNode) {
-        const raw = livesNode;
-        const lives = Number(raw?.currentLives ?? raw?.lives ?? null);
-        const max = Number(raw?.maxLives ?? defaultMax);
-        let refillRaw = raw?.refillIntervalMs ?? raw?.refillInterval ?? null;
-        let refillMs = defaultRefill;
-        if (refillRaw != null) {
-          const num = Number(refillRaw);
-          if (Number.isFinite(num)) refillMs = num > 1000 ? num : num * 1000;
-        }
-        const last = toMsTs(raw?.lastConsumedAt ?? raw?.lastConsumed ?? 0) || null;
-
-        setGlobalLives(Number.isFinite(lives) ? lives : null);
-        setGlobalMaxLives(Number.isFinite(max) ? max : defaultMax);
-        setGlobalRefillMs(refillMs);
-        setGlobalLastConsumedAt(last);
-      } else {
-        setGlobalLives(null);
-        setGlobalMaxLives(defaultMax);
-        setGlobalRefillMs(defaultRefill);
-        setGlobalLastConsumedAt(null);
-      }
-    } else {
-      setGlobalLives(null);
-      setGlobalMaxLives(defaultMax);
-      setGlobalRefillMs(defaultRefill);
-      setGlobalLastConsumedAt(null);
-    }
-
     if (grade && pkg.grade && normalizeGrade(pkg.grade) && normalizeGrade(pkg.grade) !== String(grade)) {
       setSubjects([]);
       setLoading(false);
@@ -415,52 +354,6 @@ export default function PackageSubjects() {
     }
   }, [showHeartInfoModal, heartModalAnim]);
 
-  useEffect(() => {
-    let timer;
-    let syncing = false;
-
-    async function tickHeart() {
-      if (globalLives == null) {
-        setNextHeartInMs(0);
-        return;
-      }
-
-      const state = computeRefillState({
-        currentLives: globalLives,
-        maxLives: globalMaxLives,
-        lastConsumedAt: globalLastConsumedAt,
-        refillMs: globalRefillMs,
-      });
-
-      setNextHeartInMs(state.nextInMs);
-
-      const sid =
-        (await AsyncStorage.getItem("studentNodeKey")) ||
-        (await AsyncStorage.getItem("studentId")) ||
-        (await AsyncStorage.getItem("username")) ||
-        null;
-
-      if (state.recovered > 0 && sid && !syncing) {
-        syncing = true;
-        try {
-          await safeUpdate({
-            [`Platform1/studentLives/${sid}/currentLives`]: state.currentLives,
-            [`Platform1/studentLives/${sid}/lastConsumedAt`]: state.lastConsumedAt,
-          });
-          setGlobalLives(state.currentLives);
-          setGlobalLastConsumedAt(state.lastConsumedAt);
-        } catch (e) {
-          console.warn("packageSubjects: heart refill sync failed", e);
-        } finally {
-          syncing = false;
-        }
-      }
-    }
-
-    tickHeart();
-    timer = setInterval(tickHeart, 1000);
-    return () => clearInterval(timer);
-  }, [globalLives, globalMaxLives, globalLastConsumedAt, globalRefillMs]);
 
   const deriveAttemptState = useCallback((round, now) => {
     const maxAttempts = Number(round.maxAttempts || 1);
@@ -494,12 +387,12 @@ export default function PackageSubjects() {
   const applyAttemptRefillIfNeeded = useCallback(async (sid, round) => {
     if (!sid || !round?.examId || !round?.roundId) return;
 
-    const st = deriveAttemptState(round, Date.now());
+    const st = deriveAttemptState(round, serverNow());
     if (!st.refill || st.recovered <= 0) return;
 
     const maxAttempts = Number(round.maxAttempts || 1);
     const usedNew = Math.max(0, Math.min(maxAttempts, st.usedEffective));
-    const anchorTs = Number(st.anchor || Date.now());
+    const anchorTs = Number(st.anchor || serverNow());
 
     await safeUpdate({
       [`Platform1/studentProgress/${sid}/company/${round.roundId}/${round.examId}/attemptsUsed`]: usedNew,
@@ -510,11 +403,7 @@ export default function PackageSubjects() {
   useEffect(() => {
     let timer;
     (async () => {
-      const sid =
-        (await AsyncStorage.getItem("studentNodeKey")) ||
-        (await AsyncStorage.getItem("studentId")) ||
-        (await AsyncStorage.getItem("username")) ||
-        null;
+      const sid = (await getSession())?.examUserId || null;
 
       async function tick() {
         if (!sid || String(packageType || "").toLowerCase() === "competitive") return;
@@ -634,6 +523,39 @@ export default function PackageSubjects() {
 
               {expanded && (
                 <View style={styles.expandArea}>
+                  {(item.rounds || []).length ? (
+                    <TouchableOpacity
+                      style={styles.adaptiveRow}
+                      onPress={() =>
+                        router.push({ pathname: "/subjectAnalytics", params: { packageId, subjectKey: item.keyName } })
+                      }
+                    >
+                      <Ionicons name="analytics-outline" size={20} color={PRIMARY} />
+                      <View style={{ flex: 1, marginLeft: 10 }}>
+                        <Text style={styles.roundName}>Chapter mastery</Text>
+                        <Text style={styles.roundMeta}>Scores by chapter, trend and weak spots</Text>
+                      </View>
+                      <Ionicons name="chevron-forward" size={18} color={PRIMARY} />
+                    </TouchableOpacity>
+                  ) : null}
+
+                  {isPractice && (item.rounds || []).length ? (
+                    <TouchableOpacity
+                      style={styles.adaptiveRow}
+                      disabled={globalLives === 0}
+                      onPress={() =>
+                        router.push({ pathname: "/adaptivePractice", params: { packageId, subjectKey: item.keyName } })
+                      }
+                    >
+                      <MaterialCommunityIcons name="stairs-up" size={20} color={PRIMARY} />
+                      <View style={{ flex: 1, marginLeft: 10 }}>
+                        <Text style={styles.roundName}>Adaptive practice</Text>
+                        <Text style={styles.roundMeta}>All rounds • gets harder as you get them right</Text>
+                      </View>
+                      <Ionicons name="chevron-forward" size={18} color={globalLives === 0 ? "#C9D3EA" : PRIMARY} />
+                    </TouchableOpacity>
+                  ) : null}
+
                   {(item.rounds || []).map((r) => {
                     const attemptState = deriveAttemptState(r, nowTs);
                     const disabledByAttempts = attemptState.left <= 0;
@@ -650,6 +572,14 @@ export default function PackageSubjects() {
                             </Text>
                           </View>
 
+                          <TouchableOpacity
+                            style={styles.historyBtn}
+                            accessibilityLabel="Attempt history"
+                            onPress={() => router.push({ pathname: "/examHistory", params: { roundId: r.roundId, examId: r.examId } })}
+                          >
+                            <Ionicons name="time-outline" size={18} color={PRIMARY} />
+                          </TouchableOpacity>
+
                           <TouchableOpacity
                             disabled={disabled}
                             style={[styles.startBtn, disabled ? styles.startBtnDisabled : null]}
@@ -866,6 +796,15 @@ const styles = StyleSheet.create({
     flexDirection: "row",
     alignItems: "center",
   },
+  adaptiveRow: {
+    backgroundColor: "#EEF4FF",
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 10,
+    marginBottom: 10,
+    flexDirection: "row",
+    alignItems: "center",
+  },
   roundName: { color: TEXT, fontWeight: "800", fontSize: 14 },
   roundMeta: { marginTop: 3, color: MUTED, fontSize: 12 },
 
@@ -876,6 +815,15 @@ const styles = StyleSheet.create({
     borderRadius: 10,
   },
   startBtnDisabled: { backgroundColor: "#DDE8FF" },
+  historyBtn: {
+    width: 34,
+    height: 34,
+    marginRight: 8,
+    borderRadius: 10,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#F1F6FF",
+  },
   startBtnText: { color: "#fff", fontWeight: "800", fontSize: 12 },
 
   lockInfo: {
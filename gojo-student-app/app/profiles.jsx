@@ -16,11 +16,26 @@ import {
 } from "react-native";
 import { SafeAreaView, useSafeAreaInsets } from "react-native-safe-area-context";
 import { Ionicons, MaterialCommunityIcons } from "@expo/vector-icons";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import { useRouter } from "expo-router";
 import * as ImagePicker from "expo-image-picker";
 import { database } from "../constants/firebaseConfig";
 import { ref, get, update } from "firebase/database";
+import { changePassword } from "./lib/authHelpers";
+import { getSession } from "./lib/session";
+import { forgetAccount, listAccounts } from "./lib/accountStorage";
+import {
+  LOCK_AFTER_OPTIONS,
+  clearPin,
+  getLockSettings,
+  isValidPin,
+  setLockAfter,
+  setPin,
+  verifyPin,
+} from "./lib/appLock";
+import { getQuestionLanguage, languageLabel, QUESTION_LANGUAGES, setQuestionLanguage } from "./lib/questionLanguage";
+import { BADGE_TIERS, markAchievementsSeen, syncAchievements } from "./lib/achievements";
+import { useSession } from "../components/session-provider";
+import { AchievementUnlock } from "../components/achievement-unlock";
 
 const { width: SCREEN_WIDTH } = Dimensions.get("window");
 
@@ -119,6 +134,7 @@ function sortPeriods(entries) {
 
 export default function ProfileScreen() {
   const router = useRouter();
+  const { session, signOut, switchAccount } = useSession();
   const insets = useSafeAreaInsets();
   const scrollY = useRef(new Animated.Value(0)).current;
   const sheetAnim = useRef(new Animated.Value(0)).current;
@@ -140,6 +156,16 @@ export default function ProfileScreen() {
     studentId: "",
   });
 
+  const [accounts, setAccounts] = useState([]);
+  const [lockSettings, setLockSettings] = useState({ enabled: false, lockAfterMs: 0 });
+  const [questionLanguage, setQuestionLanguageState] = useState(null);
+  const [achievements, setAchievements] = useState(null);
+  const [unlockedAchievements, setUnlockedAchievements] = useState([]);
+  const [pinModal, setPinModal] = useState(null); // "set" | "change" | "off"
+  const [currentPin, setCurrentPin] = useState("");
+  const [newPin, setNewPin] = useState("");
+  const [confirmPin, setConfirmPin] = useState("");
+  const [savingPin, setSavingPin] = useState(false);
   const [calendarEvents, setCalendarEvents] = useState([]);
   const [scheduleMap, setScheduleMap] = useState({});
   const [scheduleVisible, setScheduleVisible] = useState(false);
@@ -152,12 +178,10 @@ export default function ProfileScreen() {
   const fetchAll = useCallback(async () => {
     setLoading(true);
     try {
-      const sk = await AsyncStorage.getItem("schoolKey");
-      const uKey = (await AsyncStorage.getItem("userNodeKey")) || null;
-      const sKey =
-        (await AsyncStorage.getItem("studentNodeKey")) ||
-        (await AsyncStorage.getItem("studentId")) ||
-        null;
+      const session = await getSession();
+      const sk = session?.schoolKey || null;
+      const uKey = session?.userNodeKey || null;
+      const sKey = session?.studentId || null;
 
       setSchoolKey(sk);
       setUserNodeKey(uKey);
@@ -317,18 +341,8 @@ export default function ProfileScreen() {
 
     try {
       setSavingPwd(true);
-      if (!schoolKey || !userNodeKey) throw new Error("Missing user info");
-
-      await update(ref(database, `Platform1/Schools/${schoolKey}/Users/${userNodeKey}`), {
-        password: newPwd,
-      });
-
-      if (studentNodeKey) {
-        await update(
-          ref(database, `Platform1/Schools/${schoolKey}/Students/${studentNodeKey}/systemAccountInformation`),
-          { temporaryPassword: newPwd }
-        );
-      }
+      // hashed and stored by the server; the app never writes passwords
+      await changePassword(newPwd);
 
       setPwdModal(false);
       setNewPwd("");
@@ -336,28 +350,155 @@ export default function ProfileScreen() {
       Alert.alert("Success", "Password updated.");
     } catch (e) {
       console.warn("savePassword error:", e);
-      Alert.alert("Error", "Could not update password.");
+      Alert.alert("Error", e?.message || "Could not update password.");
     } finally {
       setSavingPwd(false);
     }
-  }, [newPwd, confirmPwd, schoolKey, userNodeKey, studentNodeKey]);
+  }, [newPwd, confirmPwd]);
+
+  const loadAccounts = useCallback(async () => {
+    setAccounts(await listAccounts());
+  }, []);
+
+  useEffect(() => {
+    loadAccounts();
+  }, [loadAccounts]);
+
+  const loadLockSettings = useCallback(async () => {
+    setLockSettings(await getLockSettings());
+  }, []);
+
+  useEffect(() => {
+    loadLockSettings();
+  }, [loadLockSettings]);
+
+  useEffect(() => {
+    getQuestionLanguage().then(setQuestionLanguageState);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const next = await syncAchievements((await getSession())?.examUserId || null).catch(() => null);
+      if (cancelled || !next) return;
+      setAchievements(next);
+      setUnlockedAchievements(next.unlocked);
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const onUnlockDone = useCallback(async (ids) => {
+    setUnlockedAchievements([]);
+    markAchievementsSeen((await getSession())?.examUserId || null, ids);
+  }, []);
+
+  const cycleQuestionLanguage = useCallback(async () => {
+    const idx = QUESTION_LANGUAGES.findIndex((l) => l.code === questionLanguage);
+    const next = QUESTION_LANGUAGES[(idx + 1) % QUESTION_LANGUAGES.length].code;
+    await setQuestionLanguage(next);
+    setQuestionLanguageState(next);
+  }, [questionLanguage]);
+
+  const openPinModal = useCallback((mode) => {
+    setCurrentPin("");
+    setNewPin("");
+    setConfirmPin("");
+    setPinModal(mode);
+  }, []);
+
+  const savePin = useCallback(async () => {
+    const mode = pinModal;
+    if (mode !== "off" && !isValidPin(newPin)) return Alert.alert("Invalid PIN", "Use 4 to 6 digits.");
+    if (mode !== "off" && newPin !== confirmPin) return Alert.alert("Mismatch", "PINs do not match.");
+
+    setSavingPin(true);
+    try {
+      if (mode !== "set") {
+        const { ok, attemptsLeft } = await verifyPin(currentPin);
+        if (!ok) {
+          if (attemptsLeft <= 0) {
+            setPinModal(null);
+            await signOut();
+            return;
+          }
+          return Alert.alert("Wrong PIN", `${attemptsLeft} ${attemptsLeft === 1 ? "try" : "tries"} left.`);
+        }
+      }
+      if (mode === "off") await clearPin();
+      else await setPin(newPin);
+      setPinModal(null);
+      await loadLockSettings();
+    } catch (e) {
+      Alert.alert("Error", e?.message || "Could not save the PIN.");
+    } finally {
+      setSavingPin(false);
+    }
+  }, [pinModal, currentPin, newPin, confirmPin, signOut, loadLockSettings]);
+
+  const cycleLockAfter = useCallback(async () => {
+    const idx = LOCK_AFTER_OPTIONS.findIndex((o) => o.ms === lockSettings.lockAfterMs);
+    const next = LOCK_AFTER_OPTIONS[(idx + 1) % LOCK_AFTER_OPTIONS.length];
+    await setLockAfter(next.ms);
+    await loadLockSettings();
+  }, [lockSettings.lockAfterMs, loadLockSettings]);
+
+  const lockAfterLabel =
+    LOCK_AFTER_OPTIONS.find((o) => o.ms === lockSettings.lockAfterMs)?.label || "After 1 minute";
+
+  const onSwitchAccount = useCallback((acc) => {
+    const label = acc ? acc.displayName || acc.username : "another student";
+    Alert.alert(
+      "Switch account",
+      `Sign in as ${label}? Your drafts and downloads stay on this phone for next time.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Switch",
+          onPress: async () => {
+            try {
+              await switchAccount(acc?.username || null);
+            } catch {}
+          },
+        },
+      ]
+    );
+  }, [switchAccount]);
+
+  const onRemoveAccount = useCallback((acc) => {
+    Alert.alert(
+      "Remove account",
+      `Remove ${acc.displayName || acc.username} from this phone? Their drafts and downloaded books will be deleted.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Remove",
+          style: "destructive",
+          onPress: async () => {
+            await forgetAccount(acc.accountId);
+            await loadAccounts();
+          },
+        },
+      ]
+    );
+  }, [loadAccounts]);
 
   const logout = useCallback(async () => {
-    Alert.alert("Logout", "Are you sure you want to logout?", [
+    Alert.alert("Logout", "Are you sure you want to logout? Your drafts and downloads will be removed from this phone.", [
       { text: "Cancel", style: "cancel" },
       {
         text: "Logout",
         style: "destructive",
         onPress: async () => {
+          // the session gate in _layout takes the user back to sign-in
           try {
-            const keys = await AsyncStorage.getAllKeys();
-            if (keys?.length) await AsyncStorage.multiRemove(keys);
+            await signOut();
           } catch {}
-          router.replace("/");
         },
       },
     ]);
-  }, [router]);
+  }, [signOut]);
 
   const openExternal = useCallback(async (url, label) => {
     try {
@@ -529,6 +670,92 @@ export default function ProfileScreen() {
           )}
         </View>
 
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Accounts on this phone</Text>
+          {accounts.map((acc) => (
+            <React.Fragment key={acc.accountId}>
+              <AccountRow
+                account={acc}
+                current={acc.accountId === session?.accountId}
+                onPress={() => onSwitchAccount(acc)}
+                onRemove={() => onRemoveAccount(acc)}
+              />
+              <Divider />
+            </React.Fragment>
+          ))}
+          <ActionRow
+            icon="person-add-outline"
+            title="Add another student"
+            subtitle="Siblings can share this phone"
+            onPress={() => onSwitchAccount(null)}
+          />
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>App lock</Text>
+          {lockSettings.enabled ? (
+            <>
+              <ActionRow
+                icon="time-outline"
+                title="Ask for PIN"
+                subtitle={`${lockAfterLabel} in the background, and at every start`}
+                onPress={cycleLockAfter}
+              />
+              <Divider />
+              <ActionRow icon="keypad-outline" title="Change PIN" subtitle="Pick a new 4 to 6 digit PIN" onPress={() => openPinModal("change")} />
+              <Divider />
+              <ActionRow icon="lock-open-outline" title="Turn off PIN" subtitle="Open the app without a PIN" onPress={() => openPinModal("off")} />
+            </>
+          ) : (
+            <ActionRow
+              icon="lock-closed-outline"
+              title="Set a PIN"
+              subtitle="Keep chats, marks and notes private on a shared phone"
+              onPress={() => openPinModal("set")}
+            />
+          )}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Trophy shelf</Text>
+          <View style={styles.badgeRow}>
+            {BADGE_TIERS.map((tier) => (
+              <View key={tier.key} style={styles.badgeTile}>
+                <Ionicons name="ribbon" size={18} color={tier.color} />
+                <Text style={styles.badgeCount}>{achievements?.badges?.[tier.key] ?? "—"}</Text>
+                <Text style={styles.badgeLabel}>{tier.label}</Text>
+              </View>
+            ))}
+          </View>
+          <View style={styles.trophyRow}>
+            {(achievements?.list || []).map((a) => (
+              <View key={a.id} style={[styles.trophy, a.earned ? styles.trophyEarned : null]} accessibilityLabel={a.title}>
+                <Ionicons name={a.earned ? a.icon : "lock-closed"} size={16} color={a.earned ? "#fff" : MUTED} />
+              </View>
+            ))}
+          </View>
+          <ActionRow
+            icon="trophy-outline"
+            title="All achievements"
+            subtitle={
+              achievements
+                ? `${achievements.list.filter((a) => a.earned).length} of ${achievements.list.length} earned · progress and history`
+                : "Progress and history"
+            }
+            onPress={() => router.push("/achievements")}
+          />
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Exams and practice</Text>
+          <ActionRow
+            icon="language-outline"
+            title="Question language"
+            subtitle={`${questionLanguage ? languageLabel(questionLanguage) : "…"} · when a question is translated`}
+            onPress={cycleQuestionLanguage}
+          />
+        </View>
+
         <View style={styles.card}>
           <Text style={styles.sectionTitle}>Account</Text>
           <ActionRow icon="key-outline" title="Change Password" subtitle="Update your account password" onPress={() => setPwdModal(true)} />
@@ -601,6 +828,59 @@ export default function ProfileScreen() {
         </View>
       </Modal>
 
+      <Modal visible={!!pinModal} transparent animationType="fade" onRequestClose={() => setPinModal(null)}>
+        <View style={styles.modalBg}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>
+              {pinModal === "set" ? "Set a PIN" : pinModal === "change" ? "Change PIN" : "Turn off PIN"}
+            </Text>
+
+            {pinModal !== "set" ? (
+              <TextInput
+                value={currentPin}
+                onChangeText={setCurrentPin}
+                placeholder="Current PIN"
+                keyboardType="number-pad"
+                maxLength={6}
+                secureTextEntry
+                style={styles.input}
+              />
+            ) : null}
+            {pinModal !== "off" ? (
+              <>
+                <TextInput
+                  value={newPin}
+                  onChangeText={setNewPin}
+                  placeholder="New PIN (4-6 digits)"
+                  keyboardType="number-pad"
+                  maxLength={6}
+                  secureTextEntry
+                  style={styles.input}
+                />
+                <TextInput
+                  value={confirmPin}
+                  onChangeText={setConfirmPin}
+                  placeholder="Confirm PIN"
+                  keyboardType="number-pad"
+                  maxLength={6}
+                  secureTextEntry
+                  style={styles.input}
+                />
+              </>
+            ) : null}
+
+            <View style={styles.modalActions}>
+              <TouchableOpacity style={[styles.modalBtn, styles.cancelBtn]} onPress={() => setPinModal(null)} disabled={savingPin}>
+                <Text style={styles.cancelText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.modalBtn, styles.saveBtn]} onPress={savePin} disabled={savingPin}>
+                {savingPin ? <ActivityIndicator color="#fff" /> : <Text style={styles.saveText}>Save</Text>}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
       <Modal visible={scheduleVisible} transparent animationType="none" onRequestClose={closeScheduleSheet}>
         <View style={styles.sheetOverlay}>
           <TouchableOpacity style={styles.sheetBackdrop} activeOpacity={1} onPress={closeScheduleSheet} />
@@ -668,6 +948,8 @@ export default function ProfileScreen() {
           </Animated.View>
         </View>
       </Modal>
+
+      <AchievementUnlock achievements={unlockedAchievements} onDone={onUnlockDone} />
     </SafeAreaView>
   );
 }
@@ -696,6 +978,32 @@ function ActionRow({ icon, title, subtitle, onPress }) {
   );
 }
 
+function AccountRow({ account, current, onPress, onRemove }) {
+  const name = account.displayName || account.username || "Student";
+  return (
+    <TouchableOpacity style={styles.actionRow} onPress={current ? undefined : onPress} activeOpacity={current ? 1 : 0.8}>
+      {account.profileImage ? (
+        <Image source={{ uri: account.profileImage }} style={styles.accountAvatar} />
+      ) : (
+        <View style={styles.iconWrap}>
+          <Text style={styles.accountInitial}>{name.charAt(0).toUpperCase()}</Text>
+        </View>
+      )}
+      <View style={{ flex: 1 }}>
+        <Text style={styles.actionTitle}>{name}</Text>
+        <Text style={styles.actionSub}>{current ? "Signed in" : account.username || "Tap to switch"}</Text>
+      </View>
+      {current ? (
+        <Ionicons name="checkmark-circle" size={20} color={PRIMARY} />
+      ) : (
+        <TouchableOpacity onPress={onRemove} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+          <Ionicons name="trash-outline" size={18} color={MUTED} />
+        </TouchableOpacity>
+      )}
+    </TouchableOpacity>
+  );
+}
+
 function Divider() {
   return <View style={styles.divider} />;
 }
@@ -864,6 +1172,8 @@ const styles = StyleSheet.create({
   },
   actionTitle: { fontSize: 14, fontWeight: "700", color: TEXT },
   actionSub: { fontSize: 12, color: MUTED, marginTop: 2 },
+  accountAvatar: { width: 34, height: 34, borderRadius: 10, marginRight: 10 },
+  accountInitial: { fontSize: 15, fontWeight: "800", color: PRIMARY },
   divider: { height: 1, backgroundColor: "#EEF2FA", marginLeft: 44 },
 
   eventRow: { flexDirection: "row", alignItems: "flex-start", paddingVertical: 9 },
@@ -888,6 +1198,14 @@ const styles = StyleSheet.create({
   eventNotes: { marginTop: 3, fontSize: 12, color: "#445A8A" },
   emptyText: { color: MUTED, fontSize: 13, paddingVertical: 4 },
 
+  badgeRow: { flexDirection: "row", gap: 8 },
+  badgeTile: { flex: 1, alignItems: "center", paddingVertical: 10, borderRadius: 12, backgroundColor: SOFT },
+  badgeCount: { marginTop: 4, fontSize: 18, fontWeight: "900", color: TEXT },
+  badgeLabel: { color: MUTED, fontSize: 11, fontWeight: "700" },
+  trophyRow: { marginTop: 12, marginBottom: 4, flexDirection: "row", flexWrap: "wrap", gap: 8 },
+  trophy: { width: 34, height: 34, borderRadius: 17, alignItems: "center", justifyContent: "center", backgroundColor: "#EEF2FA" },
+  trophyEarned: { backgroundColor: "#F59E0B" },
+
   logoutBtn: {
     marginTop: 4,
     backgroundColor: DANGER,
@@ -0,0 +1,270 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Platform,
+  StatusBar,
+} from "react-native";
+import { useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { getSession } from "./lib/session";
+import { attachQuestions } from "./lib/mistakeNotebook";
+import { FLASHCARD_RATINGS, getSessionSize, loadDueItems, qualityForCredit, recordReview } from "./lib/reviewScheduler";
+import { isAnswered, questionType, scoreAnswer } from "./lib/questionTypes";
+import { availableLanguages, DEFAULT_LANGUAGE, getQuestionLanguage } from "./lib/questionLanguage";
+import { PracticeQuestion } from "../components/practice-question";
+import { LanguageToggle } from "../components/language-toggle";
+import { RichText } from "../components/rich-text";
+
+const C = {
+  primary: "#0B72FF",
+  muted: "#6B78A8",
+  bg: "#FFFFFF",
+  text: "#0B2540",
+  border: "#EAF0FF",
+};
+
+function shuffle(list) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function nextReviewText(schedule) {
+  const days = Number(schedule?.interval || 0);
+  return days <= 1 ? "next review tomorrow" : `next review in ${days} days`;
+}
+
+export default function ReviewScreen() {
+  const router = useRouter();
+
+  const [studentId, setStudentId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [items, setItems] = useState([]);
+  const [index, setIndex] = useState(0);
+  const [answer, setAnswer] = useState(null);
+  const [outcome, setOutcome] = useState(null);
+  const [showBack, setShowBack] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [tally, setTally] = useState({ remembered: 0 });
+  const [done, setDone] = useState(false);
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+
+  const load = useCallback(async () => {
+    const session = await getSession();
+    const sid = session?.examUserId || null;
+    setStudentId(sid);
+    const [limit, lang] = await Promise.all([getSessionSize(), getQuestionLanguage()]);
+    setLanguage(lang);
+    const { items: due } = await loadDueItems(sid, { limit });
+    const questions = await attachQuestions(due.filter((it) => it.kind === "question"));
+    const cards = due.filter((it) => it.kind === "flashcard");
+    setItems(shuffle([...questions, ...cards]));
+  }, []);
+
+  useEffect(() => {
+    load().finally(() => setLoading(false));
+  }, [load]);
+
+  const current = items[index] || null;
+
+  const advance = () => {
+    if (index >= items.length - 1) {
+      setDone(true);
+      return;
+    }
+    setIndex((i) => i + 1);
+    setAnswer(null);
+    setOutcome(null);
+    setShowBack(false);
+  };
+
+  const checkQuestion = async () => {
+    if (!current || saving || !isAnswered(current.question, answer)) return;
+    setSaving(true);
+    try {
+      const credit = scoreAnswer(questionType(current.question), current, answer);
+      const schedule = await recordReview(studentId, current, qualityForCredit(credit));
+      setOutcome({ credit, correct: credit >= 1, schedule });
+      if (credit >= 1) setTally((t) => ({ remembered: t.remembered + 1 }));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const rateCard = async (quality) => {
+    if (!current || saving) return;
+    setSaving(true);
+    try {
+      await recordReview(studentId, current, quality);
+      if (quality >= 3) setTally((t) => ({ remembered: t.remembered + 1 }));
+    } finally {
+      setSaving(false);
+    }
+    advance();
+  };
+
+  const safeAreaPaddingTop = Platform.OS === "android" ? (StatusBar.currentHeight || 0) : 0;
+
+  if (loading) {
+    return (
+      <SafeAreaView style={[styles.loadingWrap, { paddingTop: safeAreaPaddingTop }]}>
+        <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+        <ActivityIndicator size="large" color={C.primary} />
+      </SafeAreaView>
+    );
+  }
+
+  if (done || !current) {
+    return (
+      <SafeAreaView style={[styles.safeRoot, { paddingTop: safeAreaPaddingTop }]}>
+        <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+        <View style={styles.doneWrap}>
+          <Ionicons name={done ? "checkmark-done-circle" : "calendar-outline"} size={64} color={C.primary} />
+          <Text style={styles.doneTitle}>{done ? "Review complete" : "Nothing to review today"}</Text>
+          <Text style={styles.doneText}>
+            {done
+              ? `You remembered ${tally.remembered} of ${items.length}.`
+              : "Questions from your challenges and flashcards from your chapter notes come back here when they are due."}
+          </Text>
+          <TouchableOpacity style={[styles.primaryBtn, { alignSelf: "stretch", marginTop: 24 }]} onPress={() => router.back()}>
+            <Text style={styles.primaryBtnText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const isCard = current.kind === "flashcard";
+
+  return (
+    <SafeAreaView style={[styles.safeRoot, { paddingTop: safeAreaPaddingTop }]}>
+      <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+      <View style={styles.headerBar}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backBtn}>
+          <Ionicons name="close" size={22} color={C.text} />
+        </TouchableOpacity>
+        <View style={{ flex: 1, marginLeft: 10 }}>
+          <Text style={styles.title}>Review today</Text>
+          <Text style={styles.subtitle}>
+            {index + 1} / {items.length}
+            {current.subjectName ? ` · ${current.subjectName}` : ""}
+            {current.chapter ? ` · ${current.chapter}` : ""}
+          </Text>
+        </View>
+        <LanguageToggle languages={availableLanguages(items.map((it) => it.question))} value={language} onChange={setLanguage} />
+      </View>
+
+      <View style={styles.progressTrack}>
+        <View style={[styles.progressFill, { width: `${(index / items.length) * 100}%` }]} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.body}>
+        {isCard ? (
+          <View style={styles.card}>
+            <Text style={styles.cardLabel}>Flashcard</Text>
+            <RichText text={current.front} style={styles.cardFront} />
+            {showBack ? (
+              <>
+                <View style={styles.cardDivider} />
+                <RichText text={current.back} style={styles.cardBack} />
+              </>
+            ) : null}
+          </View>
+        ) : (
+          <PracticeQuestion
+            question={current.question}
+            language={language}
+            value={answer}
+            onChange={setAnswer}
+            feedback={
+              outcome
+                ? {
+                    correct: outcome.correct,
+                    text: outcome.correct
+                      ? `Correct ✅ ${nextReviewText(outcome.schedule)}`
+                      : outcome.credit > 0
+                        ? `Partly correct (${Math.round(outcome.credit * 100)}%) · ${nextReviewText(outcome.schedule)}`
+                        : `Wrong ❌ ${nextReviewText(outcome.schedule)}`,
+                    correctAnswer: current.correctAnswer,
+                    explanation: current.explanation,
+                    explanationTranslations: current.explanationTranslations,
+                  }
+                : null
+            }
+          />
+        )}
+      </ScrollView>
+
+      <View style={styles.footer}>
+        {isCard ? (
+          showBack ? (
+            <View style={styles.ratingRow}>
+              {FLASHCARD_RATINGS.map((r) => (
+                <TouchableOpacity key={r.label} style={styles.ratingBtn} disabled={saving} onPress={() => rateCard(r.quality)}>
+                  <Text style={styles.ratingText}>{r.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ) : (
+            <TouchableOpacity style={styles.primaryBtn} onPress={() => setShowBack(true)}>
+              <Text style={styles.primaryBtnText}>Show answer</Text>
+            </TouchableOpacity>
+          )
+        ) : outcome ? (
+          <TouchableOpacity style={styles.primaryBtn} onPress={advance}>
+            <Text style={styles.primaryBtnText}>{index >= items.length - 1 ? "Finish" : "Next"}</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={[styles.primaryBtn, !isAnswered(current.question, answer) || saving ? { opacity: 0.55 } : null]}
+            disabled={!isAnswered(current.question, answer) || saving}
+            onPress={checkQuestion}
+          >
+            <Text style={styles.primaryBtnText}>{saving ? "Checking…" : "Check answer"}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeRoot: { flex: 1, backgroundColor: C.bg },
+  loadingWrap: { flex: 1, backgroundColor: C.bg, justifyContent: "center", alignItems: "center" },
+
+  headerBar: { minHeight: 62, paddingHorizontal: 16, flexDirection: "row", alignItems: "center", backgroundColor: C.bg },
+  backBtn: { width: 40, height: 40, borderRadius: 10, alignItems: "center", justifyContent: "center", backgroundColor: "#F7F9FF" },
+  title: { fontSize: 18, fontWeight: "900", color: C.text },
+  subtitle: { marginTop: 2, color: C.muted, fontSize: 12 },
+
+  progressTrack: { marginHorizontal: 16, marginTop: 8, height: 8, borderRadius: 999, backgroundColor: C.border, overflow: "hidden" },
+  progressFill: { height: 8, backgroundColor: C.primary },
+
+  body: { flexGrow: 1, paddingHorizontal: 16, paddingBottom: 24 },
+
+  card: { marginTop: 12, borderWidth: 1, borderColor: C.border, borderRadius: 14, backgroundColor: "#F8FAFF", padding: 18, minHeight: 180 },
+  cardLabel: { color: C.muted, fontSize: 12, fontWeight: "700" },
+  cardFront: { marginTop: 10, fontSize: 20, fontWeight: "900", color: C.text },
+  cardDivider: { height: 1, backgroundColor: C.border, marginVertical: 14 },
+  cardBack: { fontSize: 16, color: C.text, lineHeight: 22 },
+
+  footer: { marginHorizontal: 16, marginBottom: 12 },
+  primaryBtn: { marginTop: 12, backgroundColor: C.primary, borderRadius: 12, alignItems: "center", paddingVertical: 14 },
+  primaryBtnText: { color: "#fff", fontWeight: "900" },
+  ratingRow: { flexDirection: "row", marginTop: 12, gap: 8 },
+  ratingBtn: { flex: 1, borderWidth: 1, borderColor: C.border, backgroundColor: "#EEF4FF", borderRadius: 12, alignItems: "center", paddingVertical: 12 },
+  ratingText: { color: C.primary, fontWeight: "800" },
+
+  doneWrap: { flex: 1, alignItems: "center", justifyContent: "center", paddingHorizontal: 24 },
+  doneTitle: { marginTop: 12, fontSize: 22, fontWeight: "900", color: C.text },
+  doneText: { marginTop: 8, color: C.muted, fontWeight: "700", textAlign: "center", lineHeight: 20 },
+});
@@ -0,0 +1,227 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Platform,
+  StatusBar,
+} from "react-native";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { getSession } from "./lib/session";
+import { loadSubjectAnalytics, MASTERED_PERCENT } from "./lib/subjectAnalytics";
+import { ScoreTrendChart } from "../components/score-trend-chart";
+
+const C = {
+  primary: "#0B72FF",
+  muted: "#6B78A8",
+  bg: "#FFFFFF",
+  text: "#0B2540",
+  border: "#EAF0FF",
+  success: "#16A34A",
+  warning: "#F59E0B",
+  danger: "#EF4444",
+};
+
+function masteryColor(pct) {
+  if (pct == null) return "#C9D3EA";
+  if (pct >= MASTERED_PERCENT) return C.success;
+  if (pct >= 50) return C.warning;
+  return C.danger;
+}
+
+function formatPace(sec) {
+  if (sec == null) return "—";
+  if (sec < 60) return `${Math.round(sec)}s`;
+  return `${Math.floor(sec / 60)}m ${Math.round(sec % 60)}s`;
+}
+
+export default function SubjectAnalytics() {
+  const router = useRouter();
+  const { packageId, subjectKey } = useLocalSearchParams();
+
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [data, setData] = useState(null);
+
+  const load = useCallback(async () => {
+    const session = await getSession();
+    const result = await loadSubjectAnalytics({
+      studentId: session?.examUserId || null,
+      packageId,
+      subjectKey,
+      gradeKey: session?.gradeKey || null,
+    });
+    setData(result);
+  }, [packageId, subjectKey]);
+
+  useEffect(() => {
+    load().finally(() => setLoading(false));
+  }, [load]);
+
+  const onRefresh = useCallback(async () => {
+    setRefreshing(true);
+    await load();
+    setRefreshing(false);
+  }, [load]);
+
+  const openUnit = useCallback((unit) => {
+    router.push({ pathname: "/dashboard/book", params: { subjectKey: unit.subjectKey, unitKey: unit.unitKey } });
+  }, [router]);
+
+  const safeAreaPaddingTop = Platform.OS === "android" ? (StatusBar.currentHeight || 0) : 0;
+
+  if (loading) {
+    return (
+      <SafeAreaView style={[styles.loadingWrap, { paddingTop: safeAreaPaddingTop }]}>
+        <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+        <ActivityIndicator size="large" color={C.primary} />
+      </SafeAreaView>
+    );
+  }
+
+  const attempted = (data?.trend || []).length;
+
+  return (
+    <SafeAreaView style={[styles.safeRoot, { paddingTop: safeAreaPaddingTop }]}>
+      <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
+      <View style={styles.headerBar}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backBtn}>
+          <Ionicons name="chevron-back" size={22} color={C.text} />
+        </TouchableOpacity>
+        <View style={{ flex: 1, marginLeft: 10 }}>
+          <Text style={styles.title}>{data?.subjectName || "Subject"} analytics</Text>
+          <Text style={styles.subtitle}>Mastery by chapter across all rounds</Text>
+        </View>
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.body}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} tintColor={C.primary} />}
+      >
+        {!data ? (
+          <Text style={styles.empty}>This subject is not available.</Text>
+        ) : !attempted ? (
+          <View style={styles.emptyWrap}>
+            <Ionicons name="analytics-outline" size={36} color={C.muted} />
+            <Text style={styles.emptyTitle}>No results yet</Text>
+            <Text style={styles.empty}>Your chapter mastery appears here once you have a graded round in this subject.</Text>
+          </View>
+        ) : (
+          <>
+            <View style={styles.statsRow}>
+              <View style={styles.statBox}>
+                <Text style={styles.statLabel}>Mastery</Text>
+                <Text style={[styles.statValue, { color: masteryColor(data.overall) }]}>
+                  {data.overall == null ? "—" : `${Math.round(data.overall)}%`}
+                </Text>
+              </View>
+              <View style={styles.statBox}>
+                <Text style={styles.statLabel}>Attempts</Text>
+                <Text style={styles.statValue}>{attempted}</Text>
+              </View>
+              <View style={styles.statBox}>
+                <Text style={styles.statLabel}>Per question</Text>
+                <Text style={styles.statValue}>{formatPace(data.avgSecondsPerQuestion)}</Text>
+              </View>
+            </View>
+
+            <Text style={styles.sectionTitle}>Score trend</Text>
+            <View style={styles.card}>
+              <ScoreTrendChart points={data.trend} targetPercent={MASTERED_PERCENT} />
+              <Text style={styles.chartCaption}>
+                Latest {Math.round(data.trend[data.trend.length - 1].percent)}% · dashed line is {MASTERED_PERCENT}%
+              </Text>
+            </View>
+
+            {data.weakest.length ? (
+              <>
+                <Text style={styles.sectionTitle}>Focus next</Text>
+                {data.weakest.map((c) => (
+                  <View key={c.chapter} style={[styles.card, styles.weakRow]}>
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.chapterName}>{c.chapter}</Text>
+                      <Text style={styles.chapterMeta}>{Math.round(c.mastery)}% mastery</Text>
+                    </View>
+                    {c.unit ? (
+                      <TouchableOpacity style={styles.unitBtn} onPress={() => openUnit(c.unit)}>
+                        <Ionicons name="book-outline" size={15} color={C.primary} />
+                        <Text style={styles.unitBtnText} numberOfLines={1}>Read {c.unit.title}</Text>
+                      </TouchableOpacity>
+                    ) : null}
+                  </View>
+                ))}
+              </>
+            ) : null}
+
+            <Text style={styles.sectionTitle}>Chapters</Text>
+            {data.chapters.map((c) => (
+              <View key={c.chapter} style={styles.card}>
+                <View style={styles.chapterHead}>
+                  <Text style={[styles.chapterName, { flex: 1 }]}>{c.chapter}</Text>
+                  <Text style={[styles.chapterPct, { color: masteryColor(c.mastery) }]}>
+                    {c.mastery == null ? "Not started" : `${Math.round(c.mastery)}%`}
+                  </Text>
+                </View>
+                <View style={styles.barTrack}>
+                  <View style={[styles.barFill, { width: `${c.mastery || 0}%`, backgroundColor: masteryColor(c.mastery) }]} />
+                </View>
+                <Text style={styles.chapterMeta}>
+                  {c.attemptedRounds} of {c.totalRounds} round{c.totalRounds === 1 ? "" : "s"} attempted · {c.attempts} attempt
+                  {c.attempts === 1 ? "" : "s"}
+                </Text>
+                {c.unit ? (
+                  <TouchableOpacity onPress={() => openUnit(c.unit)}>
+                    <Text style={styles.unitLink}>Textbook: {c.unit.title}</Text>
+                  </TouchableOpacity>
+                ) : null}
+              </View>
+            ))}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeRoot: { flex: 1, backgroundColor: C.bg },
+  loadingWrap: { flex: 1, backgroundColor: C.bg, justifyContent: "center", alignItems: "center" },
+
+  headerBar: { minHeight: 62, paddingHorizontal: 16, flexDirection: "row", alignItems: "center", backgroundColor: C.bg },
+  backBtn: { width: 40, height: 40, borderRadius: 10, alignItems: "center", justifyContent: "center", backgroundColor: "#F7F9FF" },
+  title: { fontSize: 18, fontWeight: "900", color: C.text },
+  subtitle: { marginTop: 2, color: C.muted, fontSize: 12 },
+
+  body: { flexGrow: 1, paddingHorizontal: 16, paddingBottom: 24 },
+  sectionTitle: { marginTop: 18, marginBottom: 4, fontSize: 16, fontWeight: "900", color: C.text },
+
+  emptyWrap: { alignItems: "center", paddingVertical: 48, paddingHorizontal: 24 },
+  emptyTitle: { marginTop: 10, fontSize: 16, fontWeight: "900", color: C.text },
+  empty: { marginTop: 6, color: C.muted, textAlign: "center", lineHeight: 20 },
+
+  statsRow: { marginTop: 8, flexDirection: "row", gap: 8 },
+  statBox: { flex: 1, borderWidth: 1, borderColor: C.border, backgroundColor: "#F8FAFF", borderRadius: 10, paddingVertical: 10, alignItems: "center" },
+  statLabel: { color: C.muted, fontSize: 11, fontWeight: "700" },
+  statValue: { marginTop: 4, fontSize: 18, fontWeight: "900", color: C.text },
+
+  card: { marginTop: 8, borderWidth: 1, borderColor: C.border, borderRadius: 12, backgroundColor: "#fff", padding: 12 },
+  chartCaption: { marginTop: 6, color: C.muted, fontSize: 12 },
+
+  weakRow: { flexDirection: "row", alignItems: "center" },
+  unitBtn: { flexDirection: "row", alignItems: "center", maxWidth: 170, marginLeft: 10, backgroundColor: "#EEF4FF", borderRadius: 10, paddingVertical: 8, paddingHorizontal: 10 },
+  unitBtnText: { marginLeft: 6, color: C.primary, fontWeight: "800", fontSize: 12 },
+
+  chapterHead: { flexDirection: "row", alignItems: "center" },
+  chapterName: { fontWeight: "800", color: C.text },
+  chapterPct: { fontWeight: "900" },
+  chapterMeta: { marginTop: 6, color: C.muted, fontSize: 12 },
+  barTrack: { marginTop: 8, height: 8, borderRadius: 999, backgroundColor: C.border, overflow: "hidden" },
+  barFill: { height: 8 },
+  unitLink: { marginTop: 6, color: C.primary, fontWeight: "700", fontSize: 12 },
+});
@@ -12,10 +12,9 @@ import {
 import { Ionicons, MaterialCommunityIcons } from "@expo/vector-icons";
 import { useLocalSearchParams, useRouter } from "expo-router";
 import { useSafeAreaInsets } from "react-native-safe-area-context";
-import AsyncStorage from "@react-native-async-storage/async-storage";
-import { ref, get } from "firebase/database";
-import { database } from "../constants/firebaseConfig";
-import { getSnapshot } from "./lib/dbHelpers";
+import { resolveSchoolKeyForStudent, getAssessments, getSubmissionIndex } from "./lib/schoolRepo";
+import { serverNow } from "./lib/serverTime";
+import { getSession } from "./lib/session";
 
 const PRIMARY = "#0B72FF";
 const MUTED = "#6B78A8";
@@ -77,7 +76,7 @@ function getAssessmentStatus({ submitted, finalScore, dueDate }) {
   }
 
   const normalizedDueDate = normalizeUnixTimestamp(dueDate);
-  if (normalizedDueDate && Date.now() > normalizedDueDate) {
+  if (normalizedDueDate && serverNow() > normalizedDueDate) {
     return { label: "Overdue", color: DANGER, icon: "alert-circle-outline" };
   }
 
@@ -95,29 +94,6 @@ function getTypeMeta(type = "") {
   return { label: type || "Assessment", icon: "reader-outline" };
 }
 
-async function resolveSchoolKeyFast(studentId) {
-  if (!studentId) return null;
-
-  try {
-    const cached = await AsyncStorage.getItem("schoolKey");
-    if (cached) return cached;
-  } catch {}
-
-  try {
-    const schoolsSnap = await getSnapshot([`Platform1/Schools`]);
-    const schools = schoolsSnap?.val ? schoolsSnap.val() || {} : {};
-    for (const schoolKey of Object.keys(schools)) {
-      const s = await get(ref(database, `Platform1/Schools/${schoolKey}/Students/${studentId}`));
-      if (s.exists()) {
-        try { await AsyncStorage.setItem("schoolKey", schoolKey); } catch {}
-        return schoolKey;
-      }
-    }
-  } catch {}
-
-  return null;
-}
-
 export default function SubjectAssessmentsScreen() {
   const router = useRouter();
   const insets = useSafeAreaInsets();
@@ -130,24 +106,11 @@ export default function SubjectAssessmentsScreen() {
   const loadData = useCallback(async () => {
     setLoading(true);
     try {
-      const sid =
-        (await AsyncStorage.getItem("studentNodeKey")) ||
-        (await AsyncStorage.getItem("studentId")) ||
-        (await AsyncStorage.getItem("username")) ||
-        null;
-
-      const sk = await resolveSchoolKeyFast(sid);
+      const sid = (await getSession())?.examUserId || null;
 
-      let assessmentsObj = {};
-      if (sk) {
-        const scoped = await get(ref(database, `Platform1/Schools/${sk}/SchoolExams/Assessments`));
-        if (scoped.exists()) assessmentsObj = scoped.val() || {};
-      }
+      const sk = await resolveSchoolKeyForStudent(sid);
 
-      if (!Object.keys(assessmentsObj).length) {
-        const global = await get(ref(database, `SchoolExams/Assessments`));
-        if (global.exists()) assessmentsObj = global.val() || {};
-      }
+      const assessmentsObj = (await getAssessments(sk)) || {};
 
       const list = Object.keys(assessmentsObj)
         .map((aid) => ({ assessmentId: aid, ...assessmentsObj[aid] }))
@@ -157,19 +120,7 @@ export default function SubjectAssessmentsScreen() {
 
       const enriched = await Promise.all(
         list.map(async (a) => {
-          let idx = null;
-
-          if (sk && sid) {
-            const scoped = await get(
-              ref(database, `Platform1/Schools/${sk}/SchoolExams/SubmissionIndex/${a.assessmentId}/${sid}`)
-            );
-            if (scoped.exists()) idx = scoped.val() || {};
-          }
-
-          if (!idx && sid) {
-            const global = await get(ref(database, `SchoolExams/SubmissionIndex/${a.assessmentId}/${sid}`));
-            if (global.exists()) idx = global.val() || {};
-          }
+          const idx = await getSubmissionIndex(a.assessmentId, sid, sk);
 
           return {
             ...a,
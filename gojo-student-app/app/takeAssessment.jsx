@@ -14,12 +14,23 @@ import {
 import { Ionicons, MaterialCommunityIcons } from "@expo/vector-icons";
 import { useLocalSearchParams, useRouter } from "expo-router";
 import { useSafeAreaInsets } from "react-native-safe-area-context";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import * as ImagePicker from "expo-image-picker";
 
-import { ref as dbRef, get, set } from "firebase/database";
+import { ref as dbRef, set } from "firebase/database";
 import { ref as stRef, uploadBytes, getDownloadURL } from "firebase/storage";
 import { database, storage } from "../constants/firebaseConfig";
+import {
+  resolveSchoolKeyForStudent,
+  getAssessment,
+  getSubmissionIndex,
+  getSchoolQuestionBanks,
+  schoolPath,
+} from "./lib/schoolRepo";
+import { serverNow } from "./lib/serverTime";
+import { getSession } from "./lib/session";
+import { getAccountItem, removeAccountItem, setAccountItem } from "./lib/accountStorage";
+import { awardXp } from "./lib/studyStreak";
+import { RichText } from "../components/rich-text";
 
 const PRIMARY = "#0B72FF";
 const MUTED = "#6B78A8";
@@ -61,14 +72,11 @@ export default function TakeAssessment() {
   useEffect(() => {
     (async () => {
       try {
-        const sid =
-          (await AsyncStorage.getItem("studentNodeKey")) ||
-          (await AsyncStorage.getItem("studentId")) ||
-          (await AsyncStorage.getItem("username"));
+        const sid = (await getSession())?.examUserId;
 
         setStudentId(sid || null);
 
-        const sKey = await resolveSchoolKeyFast(sid);
+        const sKey = await resolveSchoolKeyForStudent(sid);
         setSchoolKey(sKey);
 
         const submitted = await hasStudentSubmitted({
@@ -78,7 +86,7 @@ export default function TakeAssessment() {
         });
         setAlreadySubmitted(submitted);
 
-        const a = await loadAssessment(sKey, assessmentId);
+        const a = await getAssessment(assessmentId, sKey);
         setAssessment(a);
 
         const qs = await resolveQuestionsDynamic({
@@ -88,7 +96,7 @@ export default function TakeAssessment() {
         setQuestions(qs);
 
         if (!submitted && sid && assessmentId) {
-          const raw = await AsyncStorage.getItem(`assessmentDraft:${assessmentId}:${sid}`);
+          const raw = await getAccountItem(`assessmentDraft:${assessmentId}:${sid}`);
           if (raw) {
             try {
               const parsed = JSON.parse(raw);
@@ -111,7 +119,7 @@ export default function TakeAssessment() {
     if (!dueTs || dueTs <= 0) return;
 
     const tick = () => {
-      const left = dueTs - Date.now();
+      const left = dueTs - serverNow();
       setTimeLeftMs(left);
 
       if (left <= 0 && !autoSubmittedRef.current && !submitting && !alreadySubmitted) {
@@ -129,7 +137,7 @@ export default function TakeAssessment() {
     if (!draftKey || alreadySubmitted) return;
     const id = setTimeout(async () => {
       try {
-        await AsyncStorage.setItem(draftKey, JSON.stringify({ savedAt: Date.now(), answers }));
+        await setAccountItem(draftKey, JSON.stringify({ savedAt: Date.now(), answers }));
       } catch {}
     }, 300);
     return () => clearTimeout(id);
@@ -300,7 +308,7 @@ export default function TakeAssessment() {
         }
       }
 
-      const now = Date.now();
+      const now = serverNow();
       const payload = {
         answers: packedAnswers,
         autoScore,
@@ -310,9 +318,7 @@ export default function TakeAssessment() {
         submittedAt: now,
       };
 
-      const base = schoolKey
-        ? `Platform1/Schools/${schoolKey}/SchoolExams`
-        : `SchoolExams`;
+      const base = await schoolPath("SchoolExams", schoolKey);
 
       await set(dbRef(database, `${base}/AssessmentSubmissions/${assessmentId}/${studentId}`), payload);
       await set(dbRef(database, `${base}/SubmissionIndex/${assessmentId}/${studentId}`), {
@@ -321,8 +327,9 @@ export default function TakeAssessment() {
         status: "submitted",
       });
 
-      if (draftKey) await AsyncStorage.removeItem(draftKey);
+      if (draftKey) await removeAccountItem(draftKey);
       setAlreadySubmitted(true);
+      awardXp(studentId, { kind: "assessment", key: `assessment__${assessmentId}` });
 
       Alert.alert(
         isAuto ? "Time up" : "Submitted",
@@ -473,7 +480,7 @@ export default function TakeAssessment() {
                 <Text style={styles.qPoints}>{q.points || 0} pts</Text>
               </View>
 
-              <Text style={styles.qTitle}>{q.question}</Text>
+              <RichText text={q.question} style={styles.qTitle} images={q.image} />
               <Text style={styles.qMeta}>{String(q.type || "").replace("_", " ")}</Text>
 
               {q.type === "mcq" && (
@@ -487,7 +494,10 @@ export default function TakeAssessment() {
                         onPress={() => setMcq(q.id, k)}
                         disabled={readOnly}
                       >
-                        <Text style={styles.optText}>{k}. {q.options[k]}</Text>
+                        <View style={{ flexDirection: "row" }}>
+                          <Text style={styles.optText}>{k}. </Text>
+                          <RichText text={q.options[k]} style={[styles.optText, { flex: 1 }]} images={q.optionImages?.[k]} />
+                        </View>
                       </TouchableOpacity>
                     );
                   })}
@@ -616,85 +626,18 @@ function formatDueDate(dueDate) {
   });
 }
 
-async function resolveSchoolKeyFast(studentId) {
-  if (!studentId) return null;
-
-  try {
-    const cached = await AsyncStorage.getItem("schoolKey");
-    if (cached) return cached;
-  } catch {}
-
-  try {
-    const schoolsSnap = await get(dbRef(database, `Platform1/Schools`));
-    if (!schoolsSnap.exists()) return null;
-    const schools = schoolsSnap.val() || {};
-    for (const key of Object.keys(schools)) {
-      const s = await get(dbRef(database, `Platform1/Schools/${key}/Students/${studentId}`));
-      if (s.exists()) {
-        try { await AsyncStorage.setItem("schoolKey", key); } catch {}
-        return key;
-      }
-    }
-  } catch {}
-
-  return null;
-}
-
 async function hasStudentSubmitted({ schoolKey, assessmentId, studentId }) {
   if (!assessmentId || !studentId) return false;
-
-  try {
-    if (schoolKey) {
-      const scoped = await get(
-        dbRef(database, `Platform1/Schools/${schoolKey}/SchoolExams/SubmissionIndex/${assessmentId}/${studentId}`)
-      );
-      if (scoped.exists()) return true;
-    }
-  } catch {}
-
-  try {
-    const global = await get(dbRef(database, `SchoolExams/SubmissionIndex/${assessmentId}/${studentId}`));
-    if (global.exists()) return true;
-  } catch {}
-
-  return false;
-}
-
-async function loadAssessment(schoolKey, assessmentId) {
-  if (!assessmentId) return null;
-
-  if (schoolKey) {
-    const snap = await get(dbRef(database, `Platform1/Schools/${schoolKey}/SchoolExams/Assessments/${assessmentId}`));
-    if (snap.exists()) return snap.val();
-  }
-
-  const snap2 = await get(dbRef(database, `SchoolExams/Assessments/${assessmentId}`));
-  if (snap2.exists()) return snap2.val();
-
-  return null;
+  return !!(await getSubmissionIndex(assessmentId, studentId, schoolKey));
 }
 
 async function resolveQuestionsDynamic({ questionRefs, schoolKey }) {
   const ids = Object.values(questionRefs || {});
   if (!ids.length) return [];
 
-  let scopedQB = null;
-  let globalQB = null;
-
-  if (schoolKey) {
-    try {
-      const s = await get(dbRef(database, `Platform1/Schools/${schoolKey}/SchoolExams/QuestionBank`));
-      if (s.exists()) scopedQB = s.val() || {};
-    } catch {}
-  }
-
-  try {
-    const g = await get(dbRef(database, `SchoolExams/QuestionBank`));
-    if (g.exists()) globalQB = g.val() || {};
-  } catch {}
-
-  const mapScoped = flattenQuestionBank(scopedQB);
-  const mapGlobal = flattenQuestionBank(globalQB);
+  const { scoped, legacy } = await getSchoolQuestionBanks(schoolKey);
+  const mapScoped = flattenQuestionBank(scoped);
+  const mapGlobal = flattenQuestionBank(legacy);
 
   return ids
     .map((qid) => mapScoped[qid] || mapGlobal[qid] || null)
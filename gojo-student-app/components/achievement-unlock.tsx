@@ -0,0 +1,100 @@
+import { useEffect, useRef, useState } from 'react';
+import { Animated, Easing, Modal, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+
+const PRIMARY = '#0B72FF';
+const TEXT = '#0B2540';
+const MUTED = '#6B78A8';
+const GOLD = '#F59E0B';
+
+type Unlocked = { id: string; title: string; description: string; icon: string };
+
+type Props = {
+  /** Newly earned achievements (`unlocked` from syncAchievements); nothing shows when empty. */
+  achievements: Unlocked[];
+  /** Called with every shown id once the last one is dismissed. */
+  onDone: (ids: string[]) => void;
+};
+
+/**
+ * Unlock celebration: each new achievement pops in one after the other.
+ */
+export function AchievementUnlock({ achievements, onDone }: Props) {
+  const [index, setIndex] = useState(0);
+  const pop = useRef(new Animated.Value(0)).current;
+  const spin = useRef(new Animated.Value(0)).current;
+  const current = achievements[index];
+
+  useEffect(() => {
+    setIndex(0);
+  }, [achievements]);
+
+  useEffect(() => {
+    if (!current) return;
+    pop.setValue(0);
+    spin.setValue(0);
+    Animated.parallel([
+      Animated.spring(pop, { toValue: 1, friction: 5, tension: 80, useNativeDriver: true }),
+      Animated.timing(spin, { toValue: 1, duration: 700, easing: Easing.out(Easing.back(2)), useNativeDriver: true }),
+    ]).start();
+    if (process.env.EXPO_OS !== 'web') Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success).catch(() => {});
+  }, [current, pop, spin]);
+
+  if (!current) return null;
+
+  const next = () => {
+    if (index + 1 < achievements.length) setIndex(index + 1);
+    else onDone(achievements.map((a) => a.id));
+  };
+
+  return (
+    <Modal transparent visible animationType="fade" onRequestClose={next}>
+      <View style={styles.backdrop}>
+        <Animated.View style={[styles.card, { opacity: pop, transform: [{ scale: pop.interpolate({ inputRange: [0, 1], outputRange: [0.7, 1] }) }] }]}>
+          <Text style={styles.kicker}>Achievement unlocked</Text>
+          <Animated.View
+            style={[
+              styles.medal,
+              { transform: [{ rotate: spin.interpolate({ inputRange: [0, 1], outputRange: ['-180deg', '0deg'] }) }, { scale: pop }] },
+            ]}
+          >
+            <Ionicons name={current.icon as keyof typeof Ionicons.glyphMap} size={44} color="#fff" />
+          </Animated.View>
+          <Text style={styles.title}>{current.title}</Text>
+          <Text style={styles.description}>{current.description}</Text>
+          <TouchableOpacity style={styles.button} onPress={next}>
+            <Text style={styles.buttonText}>{index + 1 < achievements.length ? 'Next' : 'Nice!'}</Text>
+          </TouchableOpacity>
+          {achievements.length > 1 ? (
+            <Text style={styles.count}>
+              {index + 1} of {achievements.length}
+            </Text>
+          ) : null}
+        </Animated.View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: { flex: 1, backgroundColor: 'rgba(11,37,64,0.55)', alignItems: 'center', justifyContent: 'center', padding: 24 },
+  card: { width: '100%', maxWidth: 340, borderRadius: 20, backgroundColor: '#fff', padding: 22, alignItems: 'center' },
+  kicker: { color: GOLD, fontWeight: '900', fontSize: 12, letterSpacing: 1, textTransform: 'uppercase' },
+  medal: {
+    marginTop: 16,
+    width: 92,
+    height: 92,
+    borderRadius: 46,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: GOLD,
+    borderWidth: 5,
+    borderColor: '#FDE68A',
+  },
+  title: { marginTop: 14, fontSize: 20, fontWeight: '900', color: TEXT, textAlign: 'center' },
+  description: { marginTop: 6, color: MUTED, textAlign: 'center', lineHeight: 20 },
+  button: { marginTop: 18, alignSelf: 'stretch', borderRadius: 12, paddingVertical: 12, alignItems: 'center', backgroundColor: PRIMARY },
+  buttonText: { color: '#fff', fontWeight: '800' },
+  count: { marginTop: 8, color: MUTED, fontSize: 12 },
+});
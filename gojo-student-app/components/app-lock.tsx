@@ -0,0 +1,180 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Alert, AppState, Modal, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { getLockSettings, verifyPin } from '@/app/lib/appLock';
+import { useSession } from '@/components/session-provider';
+
+const PRIMARY = '#007AFB';
+const MUTED = '#6B78A8';
+const MAX_DIGITS = 6;
+const KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'back', '0', 'ok'];
+
+/**
+ * Covers the app with a PIN pad when the signed-in account has an app lock: at cold
+ * start and when the app comes back after the account's lock delay. A fresh sign-in
+ * with the password does not ask again. Drawn in its own Modal, so screens' modals
+ * (the PDF viewer, sheets) stay underneath it.
+ */
+export function AppLockGate() {
+  const { status, session, signOut } = useSession();
+  const [locked, setLocked] = useState(false);
+  const [pin, setPin] = useState('');
+  const [message, setMessage] = useState('');
+  const [checking, setChecking] = useState(false);
+  // blank cover until the cold-start check is done, so the app never flashes unlocked
+  const [coldCheck, setColdCheck] = useState(true);
+  const prevStatus = useRef(status);
+  const backgroundAt = useRef<{ wall: number; mono: number } | null>(null);
+
+  const lockIfEnabled = useCallback(async (elapsedMs: number | null) => {
+    const settings = await getLockSettings();
+    if (!settings.enabled) return;
+    if (elapsedMs != null && elapsedMs < settings.lockAfterMs) return;
+    setPin('');
+    setMessage('');
+    setLocked(true);
+  }, []);
+
+  // cold start: the session came from storage, not from the login form
+  useEffect(() => {
+    const prev = prevStatus.current;
+    prevStatus.current = status;
+    if (status === 'loading') return;
+    if (status !== 'signedIn') {
+      setLocked(false);
+      setColdCheck(false);
+      return;
+    }
+    if (prev === 'loading') lockIfEnabled(null).finally(() => setColdCheck(false));
+    else setColdCheck(false);
+  }, [status, session?.accountId, lockIfEnabled]);
+
+  useEffect(() => {
+    const sub = AppState.addEventListener('change', (next) => {
+      if (next === 'background') {
+        backgroundAt.current = { wall: Date.now(), mono: performance.now() };
+      } else if (next === 'active' && backgroundAt.current != null) {
+        // the longer of the two gaps: setting the clock back cannot shorten the monotonic one,
+        // and time the phone slept (which the monotonic clock may skip) is on the wall clock
+        const since = backgroundAt.current;
+        const away = Math.max(performance.now() - since.mono, Date.now() - since.wall);
+        backgroundAt.current = null;
+        if (status === 'signedIn') lockIfEnabled(away);
+      }
+    });
+    return () => sub.remove();
+  }, [status, lockIfEnabled]);
+
+  const submit = useCallback(async (entered: string) => {
+    if (checking || entered.length < 4) return;
+    setChecking(true);
+    try {
+      const { ok, attemptsLeft } = await verifyPin(entered);
+      if (ok) {
+        setLocked(false);
+        setPin('');
+        setMessage('');
+        return;
+      }
+      setPin('');
+      if (attemptsLeft <= 0) {
+        await signOut();
+        Alert.alert('Signed out', 'Too many wrong PIN entries. Sign in again with your password.');
+        return;
+      }
+      setMessage(`Wrong PIN. ${attemptsLeft} ${attemptsLeft === 1 ? 'try' : 'tries'} left.`);
+    } finally {
+      setChecking(false);
+    }
+  }, [checking, signOut]);
+
+  const onKey = useCallback((key: string) => {
+    if (key === 'back') return setPin((p) => p.slice(0, -1));
+    if (key === 'ok') return submit(pin);
+    setPin((p) => (p.length >= MAX_DIGITS ? p : p + key));
+  }, [pin, submit]);
+
+  const forgotPin = useCallback(() => {
+    Alert.alert('Forgot PIN', 'Sign out and sign in again with your password? The PIN will be removed.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Sign out', style: 'destructive', onPress: () => signOut() },
+    ]);
+  }, [signOut]);
+
+  if (status !== 'signedIn' || (!locked && !coldCheck)) return null;
+
+  // blank while the cold-start check runs; the back button does not close it
+  return (
+    <Modal visible animationType="none" statusBarTranslucent onRequestClose={() => {}}>
+      {!locked ? (
+        <View style={styles.overlay} />
+      ) : (
+        <View style={styles.overlay}>
+          <Ionicons name="lock-closed" size={36} color={PRIMARY} />
+          <Text style={styles.title}>Enter your PIN</Text>
+          <Text style={styles.subtitle}>{session?.username || ''}</Text>
+
+          <View style={styles.dots}>
+            {Array.from({ length: Math.max(4, pin.length) }).map((_, i) => (
+              <View key={i} style={[styles.dot, i < pin.length && styles.dotFilled]} />
+            ))}
+          </View>
+          <Text style={styles.message}>{message}</Text>
+
+          <View style={styles.pad}>
+            {KEYS.map((key) => (
+              <TouchableOpacity
+                key={key}
+                style={styles.key}
+                onPress={() => onKey(key)}
+                disabled={checking || (key === 'ok' && pin.length < 4)}
+                activeOpacity={0.7}
+              >
+                {key === 'back' ? (
+                  <Ionicons name="backspace-outline" size={24} color="#0B2540" />
+                ) : key === 'ok' ? (
+                  <Ionicons name="checkmark" size={26} color={pin.length >= 4 ? PRIMARY : '#C9D3EA'} />
+                ) : (
+                  <Text style={styles.keyText}>{key}</Text>
+                )}
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity onPress={forgotPin} style={styles.forgot}>
+            <Text style={styles.forgotText}>Forgot PIN?</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: '#fff',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  title: { marginTop: 12, fontSize: 20, fontWeight: '800', color: '#0B2540' },
+  subtitle: { marginTop: 4, fontSize: 13, color: MUTED },
+  dots: { flexDirection: 'row', marginTop: 22 },
+  dot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    borderWidth: 2,
+    borderColor: PRIMARY,
+    marginHorizontal: 7,
+  },
+  dotFilled: { backgroundColor: PRIMARY },
+  message: { minHeight: 18, marginTop: 12, color: '#B00020', fontSize: 13 },
+  pad: { flexDirection: 'row', flexWrap: 'wrap', width: 264, marginTop: 8 },
+  key: { width: 88, height: 64, alignItems: 'center', justifyContent: 'center' },
+  keyText: { fontSize: 26, fontWeight: '600', color: '#0B2540' },
+  forgot: { marginTop: 16 },
+  forgotText: { color: PRIMARY, fontWeight: '600' },
+});
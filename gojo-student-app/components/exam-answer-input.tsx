@@ -0,0 +1,228 @@
+import { StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { blankCount, questionType, splitBlanks, toList } from '@/app/lib/questionTypes';
+import { RichText } from '@/components/rich-text';
+
+const PRIMARY = '#0B72FF';
+const MUTED = '#6B78A8';
+const TEXT = '#0B2540';
+const BORDER = '#EAF0FF';
+
+type Labels = Record<string, string>;
+
+export type ExamQuestion = {
+  id: string;
+  type?: string;
+  question?: string;
+  options?: Labels;
+  left?: Labels;
+  right?: Labels;
+  items?: Labels;
+  unit?: string;
+  blanks?: number;
+  /** Stem image url(s) and per-option images (see richText.js). */
+  image?: string | string[];
+  optionImages?: Labels;
+  /** Language of the text and its translations (see questionLanguage.js). */
+  language?: string;
+  translations?: Record<string, any>;
+};
+
+type Props = {
+  question: ExamQuestion;
+  value: any;
+  onChange: (value: any) => void;
+  /** Locked after an instant-feedback check. */
+  disabled?: boolean;
+  /** Starting order of an ordering question's items (shuffleItems); the stored order when unset. */
+  itemOrder?: string[];
+};
+
+/**
+ * Answer input for the exam types that are not a plain option list:
+ * numeric, matching, ordering and fill_blank (see questionTypes.js for the shapes).
+ */
+export function ExamAnswerInput({ question, value, onChange, disabled, itemOrder }: Props) {
+  switch (questionType(question)) {
+    case 'numeric':
+      return <NumericInput question={question} value={value} onChange={onChange} disabled={disabled} />;
+    case 'matching':
+      return <MatchingInput question={question} value={value} onChange={onChange} disabled={disabled} />;
+    case 'ordering':
+      return (
+        <OrderingInput question={question} value={value} onChange={onChange} disabled={disabled} itemOrder={itemOrder} />
+      );
+    case 'fill_blank':
+      return <FillBlankInput question={question} value={value} onChange={onChange} disabled={disabled} />;
+    default:
+      return null;
+  }
+}
+
+function NumericInput({ question, value, onChange, disabled }: Props) {
+  return (
+    <View style={styles.numericRow}>
+      <TextInput
+        style={[styles.input, { flex: 1 }]}
+        value={value == null ? '' : String(value)}
+        onChangeText={(t) => onChange(t.replace(/[^0-9.,\-]/g, ''))}
+        keyboardType="decimal-pad"
+        placeholder="Your answer"
+        placeholderTextColor="#9AA6D1"
+        editable={!disabled}
+      />
+      {question.unit ? <Text style={styles.unit}>{question.unit}</Text> : null}
+    </View>
+  );
+}
+
+function MatchingInput({ question, value, onChange, disabled }: Props) {
+  const picked: Labels = value || {};
+  const rightKeys = Object.keys(question.right || {});
+
+  return (
+    <View>
+      {Object.keys(question.left || {}).map((leftKey) => (
+        <View key={leftKey} style={styles.block}>
+          <RichText text={question.left?.[leftKey]} style={styles.blockTitle} />
+          <View style={styles.chips}>
+            {rightKeys.map((rightKey) => {
+              const selected = picked[leftKey] === rightKey;
+              return (
+                <TouchableOpacity
+                  key={rightKey}
+                  disabled={disabled}
+                  style={[styles.chip, selected && styles.chipSelected]}
+                  onPress={() => onChange({ ...picked, [leftKey]: selected ? null : rightKey })}
+                >
+                  <RichText text={question.right?.[rightKey]} style={[styles.chipText, selected && styles.chipTextSelected]} />
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+function OrderingInput({ question, value, onChange, disabled, itemOrder }: Props) {
+  const given = toList(value).map(String);
+  const start = toList(itemOrder).map(String);
+  const order = given.length ? given : start.length ? start : Object.keys(question.items || {});
+
+  const move = (index: number, delta: number) => {
+    const next = order.slice();
+    const target = index + delta;
+    if (target < 0 || target >= next.length) return;
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <View>
+      {order.map((itemKey, index) => (
+        <View key={itemKey} style={[styles.block, styles.orderRow]}>
+          <Text style={styles.orderIndex}>{index + 1}</Text>
+          <RichText text={question.items?.[itemKey] ?? itemKey} style={styles.orderText} />
+          <TouchableOpacity disabled={disabled || index === 0} onPress={() => move(index, -1)} style={styles.orderBtn}>
+            <Ionicons name="chevron-up" size={18} color={disabled || index === 0 ? '#C9D3EA' : PRIMARY} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            disabled={disabled || index === order.length - 1}
+            onPress={() => move(index, 1)}
+            style={styles.orderBtn}
+          >
+            <Ionicons name="chevron-down" size={18} color={disabled || index === order.length - 1 ? '#C9D3EA' : PRIMARY} />
+          </TouchableOpacity>
+        </View>
+      ))}
+      {!given.length && !disabled ? (
+        <TouchableOpacity style={styles.keepOrder} onPress={() => onChange(order)}>
+          <Text style={styles.keepOrderText}>Keep this order</Text>
+        </TouchableOpacity>
+      ) : null}
+    </View>
+  );
+}
+
+function FillBlankInput({ question, value, onChange, disabled }: Props) {
+  const count = blankCount(question);
+  const filled = toList(value).map((v) => (v == null ? '' : String(v)));
+  const parts = splitBlanks(question.question);
+
+  const setBlank = (index: number, text: string) => {
+    const next = Array.from({ length: count }, (_, i) => filled[i] || '');
+    next[index] = text;
+    onChange(next);
+  };
+
+  return (
+    <View>
+      {Array.from({ length: count }).map((_, index) => (
+        <View key={index} style={styles.block}>
+          <Text style={styles.blankLabel}>
+            Blank {index + 1}
+            {parts[index] ? ` · after "…${parts[index].trim().slice(-24)}"` : ''}
+          </Text>
+          <TextInput
+            style={styles.input}
+            value={filled[index] || ''}
+            onChangeText={(t) => setBlank(index, t)}
+            placeholder="Type your answer"
+            placeholderTextColor="#9AA6D1"
+            autoCapitalize="none"
+            editable={!disabled}
+          />
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  input: {
+    borderWidth: 1,
+    borderColor: BORDER,
+    borderRadius: 12,
+    backgroundColor: '#FAFBFF',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: TEXT,
+  },
+  numericRow: { marginTop: 12, flexDirection: 'row', alignItems: 'center' },
+  unit: { marginLeft: 10, color: MUTED, fontWeight: '800' },
+  block: { marginTop: 12 },
+  blockTitle: { color: TEXT, fontWeight: '800', marginBottom: 6 },
+  chips: { flexDirection: 'row', flexWrap: 'wrap' },
+  chip: {
+    borderWidth: 1,
+    borderColor: BORDER,
+    backgroundColor: '#FAFBFF',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: { backgroundColor: PRIMARY, borderColor: PRIMARY },
+  chipText: { color: '#111827', fontSize: 13 },
+  chipTextSelected: { color: '#fff', fontWeight: '800' },
+  orderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: BORDER,
+    backgroundColor: '#FAFBFF',
+    borderRadius: 12,
+    padding: 10,
+  },
+  orderIndex: { width: 24, color: PRIMARY, fontWeight: '900' },
+  orderText: { flex: 1, color: '#111827', fontSize: 14 },
+  orderBtn: { paddingHorizontal: 6, paddingVertical: 4 },
+  keepOrder: { marginTop: 10, alignSelf: 'flex-start' },
+  keepOrderText: { color: PRIMARY, fontWeight: '800' },
+  blankLabel: { color: MUTED, fontSize: 12, fontWeight: '700', marginBottom: 6 },
+});
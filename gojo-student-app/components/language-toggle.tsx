@@ -0,0 +1,49 @@
+import { StyleSheet, Text, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { languageLabel } from '@/app/lib/questionLanguage';
+
+const PRIMARY = '#0B72FF';
+
+type Props = {
+  /** Language codes the questions have (availableLanguages in questionLanguage.js). */
+  languages: string[];
+  value: string;
+  onChange: (code: string) => void;
+};
+
+/**
+ * Header pill that switches the question language for the running session.
+ * Hidden when the questions come in one language only.
+ */
+export function LanguageToggle({ languages, value, onChange }: Props) {
+  if (languages.length < 2) return null;
+  const next = languages[(languages.indexOf(value) + 1) % languages.length];
+
+  return (
+    <TouchableOpacity
+      style={styles.pill}
+      onPress={() => onChange(next)}
+      accessibilityLabel={`Question language ${languageLabel(value)}, switch to ${languageLabel(next)}`}
+    >
+      <Ionicons name="language-outline" size={15} color={PRIMARY} />
+      <Text style={styles.label} numberOfLines={1}>
+        {languages.includes(value) ? languageLabel(value) : languageLabel(languages[0])}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  pill: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    maxWidth: 130,
+    marginLeft: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 999,
+    backgroundColor: '#EEF4FF',
+  },
+  label: { marginLeft: 5, color: PRIMARY, fontWeight: '800', fontSize: 12 },
+});
@@ -0,0 +1,50 @@
+import { useEffect, useState } from 'react';
+import { StyleSheet, Text, type StyleProp, type TextStyle } from 'react-native';
+
+import { formatLastUpdated, getCachedAt, subscribeCache } from '@/app/lib/readCache';
+
+type Props = {
+  /** Database paths the screen reads, in the same order as its getValue/getSnapshot call. */
+  paths: string[];
+  /** Hide the hint while the data is younger than this. */
+  minAgeMs?: number;
+  style?: StyleProp<TextStyle>;
+};
+
+export function LastUpdatedHint({ paths, minAgeMs = 60 * 1000, style }: Props) {
+  const [fetchedAt, setFetchedAt] = useState<number | null>(null);
+  const [, setTick] = useState(0);
+  const pathsKey = paths.join('|');
+
+  useEffect(() => {
+    let alive = true;
+    const list = pathsKey ? pathsKey.split('|') : [];
+
+    getCachedAt(list).then((ts: number | null) => {
+      if (alive) setFetchedAt(ts);
+    });
+
+    const unsub = subscribeCache((path: string, ts: number) => {
+      if (alive && list.includes(path)) setFetchedAt(ts);
+    });
+    const timer = setInterval(() => setTick((t) => t + 1), 30 * 1000);
+
+    return () => {
+      alive = false;
+      unsub();
+      clearInterval(timer);
+    };
+  }, [pathsKey]);
+
+  if (!fetchedAt || Date.now() - fetchedAt < minAgeMs) return null;
+
+  return <Text style={[styles.hint, style]}>Last updated {formatLastUpdated(fetchedAt)}</Text>;
+}
+
+const styles = StyleSheet.create({
+  hint: {
+    color: '#6B78A8',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,141 @@
+import { useMemo } from 'react';
+import { StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import { localizeExplanation, localizeQuestion } from '@/app/lib/questionLanguage';
+import { describeAnswer, questionType, questionTypeLabel, shuffleItems, toList } from '@/app/lib/questionTypes';
+import { ExamAnswerInput, type ExamQuestion } from '@/components/exam-answer-input';
+import { RichText } from '@/components/rich-text';
+
+const PRIMARY = '#0B72FF';
+const MUTED = '#6B78A8';
+const TEXT = '#0B2540';
+const BORDER = '#EAF0FF';
+const SUCCESS = '#16A34A';
+const DANGER = '#EF4444';
+
+export type PracticeFeedback = {
+  correct: boolean;
+  /** Verdict line, e.g. "Correct ✅". */
+  text: string;
+  correctAnswer: any;
+  explanation?: string;
+  explanationTranslations?: Record<string, string> | null;
+};
+
+type Props = {
+  question: ExamQuestion;
+  value: any;
+  onChange: (value: any) => void;
+  /** Set once the answer is checked; locks the input and marks the right options. */
+  feedback?: PracticeFeedback | null;
+  /** Question language (questionLanguage.js); the question's own text when unset. */
+  language?: string;
+};
+
+/**
+ * One question of a practice session (mistakes, review) drawn the way the exam screen
+ * draws it, with the verdict, correct answer and explanation once it is checked.
+ */
+export function PracticeQuestion({ question: source, value, onChange, feedback, language }: Props) {
+  const question: ExamQuestion = language ? localizeQuestion(source, language) : source;
+  // shuffled once per question, so the stored order is not already the answer
+  const itemOrder = useMemo(() => shuffleItems(source) ?? undefined, [source]);
+  const explanation = language ? localizeExplanation(feedback, language) : feedback?.explanation;
+  const type = questionType(question);
+  const optionType = type === 'mcq' || type === 'multi_select';
+  const locked = !!feedback;
+  const picked = toList(value).map(String);
+  const rightOptions = toList(feedback?.correctAnswer).map(String);
+
+  const pick = (optKey: string) => {
+    if (type === 'mcq') return onChange(optKey);
+    onChange(picked.includes(optKey) ? picked.filter((k) => k !== optKey) : [...picked, optKey]);
+  };
+
+  return (
+    <View>
+      <View style={styles.qCard}>
+        <RichText text={question.question} style={styles.qText} images={question.image} />
+        <Text style={styles.qTypeLabel}>{questionTypeLabel(question)}</Text>
+      </View>
+
+      {optionType ? (
+        Object.keys(question.options || {}).map((optKey) => {
+          const selected = picked.includes(optKey);
+          const isRight = rightOptions.includes(optKey);
+          return (
+            <TouchableOpacity
+              key={optKey}
+              disabled={locked}
+              onPress={() => pick(optKey)}
+              style={[
+                styles.option,
+                selected && styles.optionSelected,
+                locked && isRight && styles.optionRight,
+                locked && selected && !isRight && styles.optionWrong,
+              ]}
+            >
+              <View style={[styles.optBadge, selected ? styles.optBadgeSel : styles.optBadgeDef]}>
+                <Text style={styles.optLetter}>{optKey}</Text>
+              </View>
+              <RichText
+                text={question.options?.[optKey]}
+                style={[styles.optText, selected && !locked && styles.optTextSel]}
+                images={question.optionImages?.[optKey]}
+              />
+            </TouchableOpacity>
+          );
+        })
+      ) : (
+        <ExamAnswerInput question={question} value={value} onChange={onChange} disabled={locked} itemOrder={itemOrder} />
+      )}
+
+      {feedback ? (
+        <>
+          <Text style={[styles.verdict, { color: feedback.correct ? SUCCESS : DANGER }]}>{feedback.text}</Text>
+          {!feedback.correct && !optionType ? (
+            <RichText text={`Correct answer: ${describeAnswer(question, feedback.correctAnswer)}`} style={styles.answerLine} />
+          ) : null}
+          {explanation ? (
+            <View style={styles.explanationCard}>
+              <Text style={styles.explanationTitle}>Explanation</Text>
+              <RichText text={explanation} style={styles.explanationText} />
+            </View>
+          ) : null}
+        </>
+      ) : null}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  qCard: { marginTop: 12, backgroundColor: '#fff', borderRadius: 14, borderWidth: 1, borderColor: BORDER, padding: 12 },
+  qText: { fontSize: 18, fontWeight: '900', color: TEXT },
+  qTypeLabel: { marginTop: 6, fontSize: 12, fontWeight: '700', color: MUTED },
+
+  option: {
+    marginTop: 10,
+    borderRadius: 12,
+    padding: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FAFBFF',
+    borderWidth: 1,
+    borderColor: BORDER,
+  },
+  optionSelected: { backgroundColor: PRIMARY },
+  optionRight: { backgroundColor: '#ECFDF3', borderColor: '#ABEFC6' },
+  optionWrong: { backgroundColor: '#FEF3F2', borderColor: '#FECACA' },
+  optBadge: { width: 34, height: 34, borderRadius: 17, marginRight: 10, alignItems: 'center', justifyContent: 'center' },
+  optBadgeDef: { borderWidth: 1, borderColor: MUTED },
+  optBadgeSel: { backgroundColor: '#fff' },
+  optLetter: { color: MUTED, fontWeight: '800' },
+  optText: { flex: 1, color: '#111827', fontSize: 14 },
+  optTextSel: { color: '#fff', fontWeight: '800' },
+
+  verdict: { marginTop: 12, fontWeight: '800' },
+  answerLine: { marginTop: 8, fontSize: 14, fontWeight: '700', color: TEXT },
+  explanationCard: { marginTop: 12, borderWidth: 1, borderColor: BORDER, backgroundColor: '#F8FAFF', borderRadius: 12, padding: 12 },
+  explanationTitle: { fontWeight: '900', color: TEXT, marginBottom: 6 },
+  explanationText: { color: MUTED, lineHeight: 20 },
+});
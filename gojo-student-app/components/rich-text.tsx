@@ -0,0 +1,253 @@
+import { Fragment, useEffect, useMemo, useState } from 'react';
+import { Image, StyleSheet, Text, View, type StyleProp, type TextStyle } from 'react-native';
+
+import { imageList, parseRichText } from '@/app/lib/richText';
+
+const TEXT = '#0B2540';
+const MUTED = '#6B78A8';
+const BORDER = '#EAF0FF';
+
+type MathNode =
+  | { type: 'text'; value: string }
+  | { type: 'sup' | 'sub'; nodes: MathNode[] }
+  | { type: 'frac'; num: MathNode[]; den: MathNode[] }
+  | { type: 'sqrt'; index: MathNode[] | null; nodes: MathNode[] };
+
+type InlinePart = { type: 'text'; value: string } | { type: 'math'; nodes: MathNode[] };
+
+type Block =
+  | { type: 'paragraph'; parts: InlinePart[] }
+  | { type: 'math'; nodes: MathNode[] }
+  | { type: 'image'; url: string; alt: string }
+  | { type: 'table'; header: InlinePart[][] | null; rows: InlinePart[][][] };
+
+type Font = { fontSize: number; color: string; fontWeight?: TextStyle['fontWeight'] };
+
+type Props = {
+  /** Question, option or explanation text in the markup of richText.js. */
+  text?: string | null;
+  /** Text style; a `flex` in it goes to the wrapper. */
+  style?: StyleProp<TextStyle>;
+  /** Images shown below the text: a url or a list (the question's `image` field). */
+  images?: string | string[] | null;
+};
+
+// scripts that have a Unicode form stay inside the text line, which keeps the baseline
+const SUPERSCRIPTS: Record<string, string> = {
+  '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹',
+  '+': '⁺', '-': '⁻', '−': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', n: 'ⁿ', i: 'ⁱ', '°': '°',
+};
+const SUBSCRIPTS: Record<string, string> = {
+  '0': '₀', '1': '₁', '2': '₂', '3': '₃', '4': '₄', '5': '₅', '6': '₆', '7': '₇', '8': '₈', '9': '₉',
+  '+': '₊', '-': '₋', '−': '₋', '=': '₌', '(': '₍', ')': '₎',
+};
+
+function scriptText(nodes: MathNode[], map: Record<string, string>) {
+  if (!nodes.length || nodes.some((n) => n.type !== 'text')) return null;
+  const chars = Array.from(nodes.map((n) => (n as { value: string }).value).join(''));
+  return chars.every((ch) => map[ch]) ? chars.map((ch) => map[ch]).join('') : null;
+}
+
+/** Math that fits on a text line as a plain string, or null when it needs layout. */
+function mathString(nodes: MathNode[]): string | null {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') out += node.value;
+    else if (node.type === 'sup' || node.type === 'sub') {
+      const script = scriptText(node.nodes, node.type === 'sup' ? SUPERSCRIPTS : SUBSCRIPTS);
+      if (script == null) return null;
+      out += script;
+    } else return null;
+  }
+  return out;
+}
+
+function MathRow({ nodes, font }: { nodes: MathNode[]; font: Font }) {
+  return (
+    <View style={styles.mathRow}>
+      {nodes.map((node, i) => (
+        <MathNodeView key={i} node={node} font={font} />
+      ))}
+    </View>
+  );
+}
+
+function MathNodeView({ node, font }: { node: MathNode; font: Font }) {
+  const scaled = (k: number) => ({ ...font, fontSize: font.fontSize * k });
+  switch (node.type) {
+    case 'text':
+      return <Text style={font}>{node.value}</Text>;
+    case 'sup':
+    case 'sub': {
+      const script = scriptText(node.nodes, node.type === 'sup' ? SUPERSCRIPTS : SUBSCRIPTS);
+      if (script != null) return <Text style={font}>{script}</Text>;
+      return (
+        <View style={{ alignSelf: node.type === 'sup' ? 'flex-start' : 'flex-end' }}>
+          <MathRow nodes={node.nodes} font={scaled(0.7)} />
+        </View>
+      );
+    }
+    case 'frac':
+      return (
+        <View style={styles.frac}>
+          <MathRow nodes={node.num} font={scaled(0.85)} />
+          <View style={[styles.fracBar, { backgroundColor: font.color }]} />
+          <MathRow nodes={node.den} font={scaled(0.85)} />
+        </View>
+      );
+    case 'sqrt':
+      return (
+        <View style={styles.mathRow}>
+          {node.index?.length ? (
+            <View style={styles.sqrtIndex}>
+              <MathRow nodes={node.index} font={scaled(0.55)} />
+            </View>
+          ) : null}
+          <Text style={font}>√</Text>
+          <View style={[styles.sqrtBody, { borderTopColor: font.color }]}>
+            <MathRow nodes={node.nodes} font={font} />
+          </View>
+        </View>
+      );
+  }
+}
+
+function Paragraph({ parts, style, font }: { parts: InlinePart[]; style: StyleProp<TextStyle>; font: Font }) {
+  return (
+    <Text style={style}>
+      {parts.map((part, i) => {
+        if (part.type === 'text') return <Fragment key={i}>{part.value}</Fragment>;
+        const line = mathString(part.nodes);
+        if (line != null) return <Fragment key={i}>{line}</Fragment>;
+        return (
+          <View key={i} style={styles.inlineMath}>
+            <MathRow nodes={part.nodes} font={font} />
+          </View>
+        );
+      })}
+    </Text>
+  );
+}
+
+function RichImage({ url, alt }: { url: string; alt?: string }) {
+  const [ratio, setRatio] = useState<number | null>(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let alive = true;
+    setFailed(false);
+    Image.getSize(
+      url,
+      (w, h) => {
+        if (alive && w && h) setRatio(w / h);
+      },
+      () => {
+        if (alive) setFailed(true);
+      }
+    );
+    return () => {
+      alive = false;
+    };
+  }, [url]);
+
+  if (failed) return <Text style={styles.imageMissing}>{alt ? `Image: ${alt}` : 'Image could not be loaded'}</Text>;
+  return (
+    <Image
+      source={{ uri: url }}
+      accessibilityLabel={alt || undefined}
+      resizeMode="contain"
+      style={[styles.image, { aspectRatio: ratio || 16 / 9 }]}
+    />
+  );
+}
+
+function Table({ block, style, font }: { block: Extract<Block, { type: 'table' }>; style: StyleProp<TextStyle>; font: Font }) {
+  const rows = block.header ? [block.header, ...block.rows] : block.rows;
+  const columns = Math.max(...rows.map((r) => r.length));
+  const cellFont = { ...font, fontSize: font.fontSize * 0.9 };
+
+  return (
+    <View style={styles.table}>
+      {rows.map((row, r) => {
+        const head = !!block.header && r === 0;
+        return (
+          <View key={r} style={[styles.tableRow, r > 0 && styles.tableRowBorder, head && styles.tableHead]}>
+            {Array.from({ length: columns }).map((_, c) => (
+              <View key={c} style={[styles.tableCell, c > 0 && styles.tableCellBorder]}>
+                <Paragraph
+                  parts={row[c] || []}
+                  style={[style, { fontSize: cellFont.fontSize }, head && { fontWeight: '800' }]}
+                  font={cellFont}
+                />
+              </View>
+            ))}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+/**
+ * Question, option and explanation text with inline and block math, images and tables
+ * (markup in richText.js). Plain text renders as a single Text, as before.
+ */
+export function RichText({ text, style, images }: Props) {
+  const blocks = useMemo(() => parseRichText(text) as Block[], [text]);
+  const extraImages = imageList(images);
+  const { flex, ...textStyle } = StyleSheet.flatten(style) || {};
+  const font: Font = {
+    fontSize: textStyle.fontSize || 14,
+    color: typeof textStyle.color === 'string' ? textStyle.color : TEXT,
+    fontWeight: textStyle.fontWeight,
+  };
+
+  const only = blocks.length === 1 && blocks[0].type === 'paragraph' ? blocks[0].parts : blocks.length ? null : [];
+  if (!extraImages.length && only && only.every((p) => p.type === 'text')) {
+    return <Text style={style}>{only.map((p) => (p as { value: string }).value).join('')}</Text>;
+  }
+
+  return (
+    <View style={flex != null ? { flex } : null}>
+      {blocks.map((block, i) => {
+        switch (block.type) {
+          case 'paragraph':
+            return <Paragraph key={i} parts={block.parts} style={textStyle} font={font} />;
+          case 'math':
+            return (
+              <View key={i} style={styles.mathBlock}>
+                <MathRow nodes={block.nodes} font={font} />
+              </View>
+            );
+          case 'image':
+            return <RichImage key={i} url={block.url} alt={block.alt} />;
+          case 'table':
+            return <Table key={i} block={block} style={textStyle} font={font} />;
+        }
+      })}
+      {extraImages.map((url) => (
+        <RichImage key={url} url={url} />
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  mathRow: { flexDirection: 'row', alignItems: 'center', flexWrap: 'wrap' },
+  inlineMath: { paddingHorizontal: 1 },
+  mathBlock: { marginVertical: 8, alignItems: 'center' },
+  frac: { alignItems: 'center', marginHorizontal: 2 },
+  fracBar: { alignSelf: 'stretch', height: 1, marginVertical: 1 },
+  sqrtIndex: { alignSelf: 'flex-start', marginRight: -3 },
+  sqrtBody: { borderTopWidth: 1, paddingTop: 1, paddingHorizontal: 1 },
+
+  image: { width: '100%', maxHeight: 260, marginTop: 8, borderRadius: 8, backgroundColor: '#F8FAFF' },
+  imageMissing: { marginTop: 8, color: MUTED, fontSize: 12, fontStyle: 'italic' },
+
+  table: { marginTop: 8, borderWidth: 1, borderColor: BORDER, borderRadius: 8, overflow: 'hidden' },
+  tableRow: { flexDirection: 'row' },
+  tableRowBorder: { borderTopWidth: 1, borderTopColor: BORDER },
+  tableHead: { backgroundColor: '#F8FAFF' },
+  tableCell: { flex: 1, padding: 6 },
+  tableCellBorder: { borderLeftWidth: 1, borderLeftColor: BORDER },
+});
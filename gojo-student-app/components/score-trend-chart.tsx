@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { View } from 'react-native';
+import { Circle, Line, Polyline, Svg } from 'react-native-svg';
+
+const PRIMARY = '#0B72FF';
+const CHART_HEIGHT = 140;
+const CHART_PAD = 10;
+
+type Props = {
+  /** Scores oldest first, 0..100. */
+  points: { percent: number }[];
+  /** Dashed reference line, e.g. the mastery or pass percent. */
+  targetPercent?: number | null;
+};
+
+/**
+ * Line chart of scores over time (subject analytics, attempt history).
+ */
+export function ScoreTrendChart({ points, targetPercent }: Props) {
+  const [width, setWidth] = useState(0);
+  const inner = Math.max(0, width - CHART_PAD * 2);
+  const step = points.length > 1 ? inner / (points.length - 1) : 0;
+  const yFor = (pct: number) => CHART_PAD + (1 - Math.max(0, Math.min(100, pct)) / 100) * (CHART_HEIGHT - CHART_PAD * 2);
+  const xy = points.map((p, i) => ({
+    x: CHART_PAD + (points.length > 1 ? i * step : inner / 2),
+    y: yFor(p.percent),
+  }));
+
+  return (
+    <View onLayout={(e) => setWidth(e.nativeEvent.layout.width)} style={{ height: CHART_HEIGHT }}>
+      {width > 0 ? (
+        <Svg width={width} height={CHART_HEIGHT}>
+          {targetPercent != null ? (
+            <Line
+              x1={CHART_PAD}
+              x2={width - CHART_PAD}
+              y1={yFor(targetPercent)}
+              y2={yFor(targetPercent)}
+              stroke="#ABEFC6"
+              strokeDasharray="4 4"
+            />
+          ) : null}
+          {xy.length > 1 ? (
+            <Polyline points={xy.map((p) => `${p.x},${p.y}`).join(' ')} fill="none" stroke={PRIMARY} strokeWidth={2.5} />
+          ) : null}
+          {xy.map((p, i) => (
+            <Circle key={i} cx={p.x} cy={p.y} r={3.5} fill="#fff" stroke={PRIMARY} strokeWidth={2} />
+          ))}
+        </Svg>
+      ) : null}
+    </View>
+  );
+}
@@ -0,0 +1,129 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState, type ReactNode } from 'react';
+import { onAuthStateChanged } from 'firebase/auth';
+
+import { getAppAuth } from '@/app/lib/authHelpers';
+import { endSession, getSession, subscribeSession } from '@/app/lib/session';
+
+export type Session = {
+  accountId: string | null;
+  userId: string | null;
+  username: string | null;
+  userNodeKey: string | null;
+  role: string | null;
+  schoolKey: string | null;
+  studentId: string | null;
+  examUserId: string | null;
+  grade: string | null;
+  gradeKey: string | null;
+};
+
+export type SessionStatus = 'loading' | 'signedIn' | 'signedOut' | 'expired';
+
+type SessionContextValue = {
+  status: SessionStatus;
+  session: Session | null;
+  /** username to prefill on the sign-in screen after switchAccount */
+  loginHint: string | null;
+  signOut: () => Promise<void>;
+  switchAccount: (username?: string | null) => Promise<void>;
+};
+
+const SessionContext = createContext<SessionContextValue>({
+  status: 'loading',
+  session: null,
+  loginHint: null,
+  signOut: async () => {},
+  switchAccount: async () => {},
+});
+
+// a stored session is only usable for a student account that still has a Firebase Auth user
+function isValid(s: Session | null, hasAuthUser: boolean) {
+  return !!s && !!s.schoolKey && (!!s.userNodeKey || !!s.userId) && s.role === 'student' && hasAuthUser;
+}
+
+/**
+ * Loads the session once, validates it against Firebase Auth and keeps every screen
+ * on the same values. Sign-out and expiry both end in status "signedOut"/"expired".
+ */
+export function SessionProvider({ children }: { children: ReactNode }) {
+  const [session, setSession] = useState<Session | null>(null);
+  const [status, setStatus] = useState<SessionStatus>('loading');
+  const [loginHint, setLoginHint] = useState<string | null>(null);
+
+  useEffect(() => {
+    let alive = true;
+    let authKnown = false;
+    let stored: Session | null | undefined;
+
+    const settle = async () => {
+      if (!alive || !authKnown || stored === undefined) return;
+      // read currentUser rather than the last auth event: signInWithCustomToken sets it before
+      // login saves the session, while onAuthStateChanged may only fire after that save
+      if (isValid(stored, !!getAppAuth().currentUser)) {
+        setLoginHint(null);
+        setSession(stored);
+        setStatus('signedIn');
+        return;
+      }
+      if (stored) {
+        // stored keys without a live auth user (token revoked, pre-auth install, wrong role);
+        // the account keeps its drafts and downloads for the next sign-in
+        await endSession({ keepAccount: true });
+        if (alive) {
+          setSession(null);
+          setStatus('expired');
+        }
+        return;
+      }
+      setSession(null);
+      setStatus((prev) => (prev === 'expired' ? prev : 'signedOut'));
+    };
+
+    getSession().then((s: Session | null) => {
+      stored = s;
+      settle();
+    });
+
+    const unsubAuth = onAuthStateChanged(getAppAuth(), () => {
+      authKnown = true;
+      settle();
+    });
+
+    const unsubSession = subscribeSession((s: Session | null) => {
+      stored = s;
+      settle();
+    });
+
+    return () => {
+      alive = false;
+      unsubAuth();
+      unsubSession();
+    };
+  }, []);
+
+  const signOut = useCallback(async () => {
+    await endSession();
+    setLoginHint(null);
+    setSession(null);
+    setStatus('signedOut');
+  }, []);
+
+  // sign out but keep this account's data on the device; the next sign-in can be a sibling
+  const switchAccount = useCallback(async (username?: string | null) => {
+    await endSession({ keepAccount: true });
+    setLoginHint(username || null);
+    setSession(null);
+    setStatus('signedOut');
+  }, []);
+
+  const value = useMemo(
+    () => ({ status, session, loginHint, signOut, switchAccount }),
+    [status, session, loginHint, signOut, switchAccount]
+  );
+
+  return <SessionContext.Provider value={value}>{children}</SessionContext.Provider>;
+}
+
+export function useSession() {
+  return useContext(SessionContext);
+}
@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+
+import { subscribeLives } from '@/app/lib/livesHelpers';
+
+export type LivesState = {
+  loaded: boolean;
+  currentLives: number | null;
+  maxLives: number;
+  refillIntervalMs: number;
+  lastConsumedAt: number | null;
+  nextInMs: number;
+};
+
+/**
+ * Global hearts for a student, shared with every other screen that shows them.
+ */
+export function useLives(studentId: string | null | undefined): LivesState {
+  const [state, setState] = useState<LivesState>({
+    loaded: false,
+    currentLives: null,
+    maxLives: 5,
+    refillIntervalMs: 20 * 60 * 1000,
+    lastConsumedAt: null,
+    nextInMs: 0,
+  });
+
+  useEffect(() => subscribeLives(studentId, setState), [studentId]);
+
+  return state;
+}